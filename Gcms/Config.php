@@ -310,4 +310,32 @@ class Config extends \Kotchasan\Config
      * @var string
      */
     public $session_key = '';
+
+    /**
+     * Custom fields of customers, a JSON Schema of an object.
+     * The customer form renders it with data-schema (FormManager.renderFromSchema),
+     * the values are validated against it and saved as JSON in customers.custom_fields.
+     * Supported: type string (format date), number, integer, boolean, enum or oneOf,
+     * required, minLength, maxLength, pattern, minimum, maximum, plus ui hints.
+     *
+     * @var array
+     */
+    public $customer_fields = [
+        'type' => 'object',
+        'properties' => [
+            'contract_number' => ['type' => 'string', 'title' => 'Contract number', 'maxLength' => 50],
+            'renewal_date' => ['type' => 'string', 'format' => 'date', 'title' => 'Renewal date'],
+            'preferred_contact' => [
+                'type' => 'string',
+                'title' => 'Preferred contact',
+                'oneOf' => [
+                    ['const' => 'email', 'title' => 'Email'],
+                    ['const' => 'phone', 'title' => 'Phone'],
+                    ['const' => 'line', 'title' => 'LINE']
+                ]
+            ],
+            'newsletter' => ['type' => 'boolean', 'title' => 'Receive newsletter']
+        ],
+        'required' => []
+    ];
 }
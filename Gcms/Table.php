@@ -33,6 +33,24 @@ class Table extends \Kotchasan\ApiController
      */
     protected $allowedSortColumns = [];
 
+    /**
+     * Columns the advanced filter (the "filter" parameter) may query, field => SQL column
+     * Override in subclass; empty = the advanced filter is ignored
+     *
+     * @var array
+     */
+    protected $filterColumns = [];
+
+    /**
+     * Operators accepted in advanced filter rules
+     *
+     * @var array
+     */
+    protected static $filterOperators = [
+        'eq', 'neq', 'contains', 'not_contains', 'starts_with', 'ends_with', 'gt', 'gte', 'lt', 'lte',
+        'between', 'in', 'not_in', 'before', 'after', 'is_empty', 'is_not_empty'
+    ];
+
     /**
      * GET /index/users
      * Get list of data with pagination
@@ -169,7 +187,8 @@ class Table extends \Kotchasan\ApiController
             'search' => $request->get('search')->topic(),
             'page' => max(1, $request->get('page', 1)->toInt()),
             'pageSize' => min(100, max(1, $request->get('pageSize', 25)->toInt())),
-            'sort' => $request->get('sort')->toString()
+            'sort' => $request->get('sort')->toString(),
+            'filter' => $this->parseFilter($request->get('filter')->toString())
         ];
 
         // Merge custom params from subclass
@@ -289,6 +308,179 @@ class Table extends \Kotchasan\ApiController
         return ['columns' => $columns, 'directions' => $directions];
     }
 
+    /**
+     * Parse the advanced filter sent by the table as JSON
+     * Format: {op: 'and'|'or', rules: [{field, operator, value} | group, ...]}
+     * Rules on columns outside $filterColumns or with unknown operators are dropped
+     *
+     * @param string $json
+     *
+     * @return array|null
+     */
+    protected function parseFilter(string $json)
+    {
+        if ($json === '' || empty($this->filterColumns)) {
+            return null;
+        }
+
+        return $this->cleanFilterGroup(json_decode($json, true), 0);
+    }
+
+    /**
+     * @param mixed $group
+     * @param int $depth
+     *
+     * @return array|null
+     */
+    protected function cleanFilterGroup($group, int $depth)
+    {
+        if (!is_array($group) || !isset($group['rules']) || !is_array($group['rules']) || $depth > 3) {
+            return null;
+        }
+
+        $rules = [];
+        foreach (array_slice($group['rules'], 0, 20) as $rule) {
+            $rule = is_array($rule) && isset($rule['rules']) ? $this->cleanFilterGroup($rule, $depth + 1) : $this->cleanFilterRule($rule);
+            if ($rule) {
+                $rules[] = $rule;
+            }
+        }
+
+        return $rules ? ['op' => ($group['op'] ?? '') === 'or' ? 'or' : 'and', 'rules' => $rules] : null;
+    }
+
+    /**
+     * @param mixed $rule
+     *
+     * @return array|null
+     */
+    protected function cleanFilterRule($rule)
+    {
+        if (!is_array($rule) || !is_string($rule['field'] ?? null) || !isset($this->filterColumns[$rule['field']])
+            || !in_array($rule['operator'] ?? null, self::$filterOperators, true)) {
+            return null;
+        }
+
+        $value = $rule['value'] ?? null;
+        switch ($rule['operator']) {
+            case 'is_empty':
+            case 'is_not_empty':
+                $value = null;
+                break;
+            case 'between':
+                if (!is_array($value) || count($value) !== 2) {
+                    return null;
+                }
+                $value = array_map(fn($v) => is_scalar($v) ? trim((string) $v) : '', array_values($value));
+                if (in_array('', $value, true)) {
+                    return null;
+                }
+                break;
+            case 'in':
+            case 'not_in':
+                $value = is_array($value) ? $value : explode(',', is_scalar($value) ? (string) $value : '');
+                $value = array_slice(array_values(array_filter(array_map(fn($v) => is_scalar($v) ? trim((string) $v) : '', $value), 'strlen')), 0, 100);
+                if (empty($value)) {
+                    return null;
+                }
+                break;
+            default:
+                $value = is_scalar($value) ? trim((string) $value) : '';
+                if ($value === '') {
+                    return null;
+                }
+        }
+
+        return ['field' => $rule['field'], 'operator' => $rule['operator'], 'value' => $value];
+    }
+
+    /**
+     * Add the parsed advanced filter to the query
+     *
+     * @param \Kotchasan\QueryBuilder\QueryBuilderInterface $query
+     * @param array|null $filter
+     */
+    protected function applyFilter($query, $filter)
+    {
+        if (!empty($filter)) {
+            $query->where(function ($q) use ($filter) {
+                $this->whereFilterGroup($q, $filter);
+            });
+        }
+    }
+
+    /**
+     * @param \Kotchasan\QueryBuilder\QueryBuilderInterface $query
+     * @param array $group
+     */
+    protected function whereFilterGroup($query, array $group)
+    {
+        foreach ($group['rules'] as $i => $rule) {
+            if (isset($rule['rules'])) {
+                $condition = function ($q) use ($rule) {
+                    $this->whereFilterGroup($q, $rule);
+                };
+            } else {
+                $condition = $this->filterCondition($this->filterColumns[$rule['field']], $rule['operator'], $rule['value']);
+            }
+
+            if ($i > 0 && $group['op'] === 'or') {
+                $query->orWhere($condition);
+            } else {
+                $query->where($condition);
+            }
+        }
+    }
+
+    /**
+     * @param string $column SQL column from $filterColumns
+     * @param string $operator
+     * @param mixed $value
+     *
+     * @return array|string|\Closure where() condition
+     */
+    protected function filterCondition(string $column, string $operator, $value)
+    {
+        $like = is_string($value) ? addcslashes($value, '%_\\') : '';
+
+        switch ($operator) {
+            case 'neq':
+                return [$column, '!=', $value];
+            case 'contains':
+                return [$column, 'LIKE', '%'.$like.'%'];
+            case 'not_contains':
+                return [$column, 'NOT LIKE', '%'.$like.'%'];
+            case 'starts_with':
+                return [$column, 'LIKE', $like.'%'];
+            case 'ends_with':
+                return [$column, 'LIKE', '%'.$like];
+            case 'gt':
+            case 'after':
+                return [$column, '>', $value];
+            case 'gte':
+                return [$column, '>=', $value];
+            case 'lt':
+            case 'before':
+                return [$column, '<', $value];
+            case 'lte':
+                return [$column, '<=', $value];
+            case 'between':
+                return function ($q) use ($column, $value) {
+                    $q->where([$column, '>=', $value[0]])->where([$column, '<=', $value[1]]);
+                };
+            case 'in':
+                return [$column, $value];
+            case 'not_in':
+                return [$column, '!=', $value];
+            case 'is_empty':
+                return "($column IS NULL OR $column = '')";
+            case 'is_not_empty':
+                return "($column IS NOT NULL AND $column != '')";
+            default:
+                return [$column, $value];
+        }
+    }
+
     /**
      * Execute DataTable query
      *
@@ -313,6 +505,7 @@ class Table extends \Kotchasan\ApiController
 
         // Query
         $query = $this->toDataTable($params, $login);
+        $this->applyFilter($query, $params['filter'] ?? null);
 
         // Count total records
         $count = $query->copy()
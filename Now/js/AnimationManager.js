@@ -332,8 +332,11 @@ const AnimationManager = {
 
         if (!keyframes) {
           keyframes = this.createKeyframes(config);
-          // Cache keyframes for reuse
-          this.state.cache.set(cacheKey, keyframes);
+          // Cache preset keyframes for reuse. Custom keyframes are often built per
+          // call (e.g. FLIP from element positions) and would fill the cache.
+          if (typeof animation === 'string') {
+            this.state.cache.set(cacheKey, keyframes);
+          }
         }
 
         // Setup animation
@@ -16,6 +16,11 @@ class FileElementFactory extends ElementFactory {
     ],
     previewContainer: null,
     placeholder: null,
+    chunkSize: 5 * 1024 * 1024,
+    chunkParallel: 3,
+    chunkRetries: 3,
+    chunkStorageKey: 'now_chunk_uploads',
+    imageQuality: 0.85,
     onChange: null,
     onError: null
   };
@@ -27,13 +32,24 @@ class FileElementFactory extends ElementFactory {
       previewContainer: dataset.previewContainer || def.previewContainer || this.config.previewContainer,
       downloadEnabled: dataset.allowDownload === 'true' || def.downloadEnabled === true,
       fileReference: dataset.fileReference || def.fileReference || 'id',
-      maxFileSize: parseInt(dataset.maxFileSize) || def.maxFileSize || this.config.maxFileSize,
+      // Chunked uploads are meant for large files, so only an explicit limit applies to them
+      maxFileSize: parseInt(dataset.maxFileSize) || def.maxFileSize ||
+        (dataset.chunkUpload || def.chunkUrl ? Infinity : this.config.maxFileSize),
       dragDrop: dataset.dragDrop === 'true' || def.dragDrop === true || false,
       actionUrl: dataset.actionUrl || def.actionUrl,
       sortable: dataset.sortable === 'true' || def.sortable === true || false,
       allowRemoveExisting: dataset.allowRemoveExisting === 'true' || def.allowRemoveExisting === true || false,
       placeholder: dataset.placeholder || element.placeholder || def.placeholder || this.config.placeholder,
-      existingFiles: this.parseExistingFiles(element) || def.existingFiles || []
+      existingFiles: this.parseExistingFiles(element) || def.existingFiles || [],
+      chunkUrl: dataset.chunkUpload || def.chunkUrl,
+      chunkSize: parseInt(dataset.chunkSize) || def.chunkSize || this.config.chunkSize,
+      chunkParallel: parseInt(dataset.chunkParallel) || def.chunkParallel || this.config.chunkParallel,
+      chunkChecksum: dataset.chunkChecksum !== 'false' && def.chunkChecksum !== false,
+      imageMaxWidth: parseInt(dataset.imageMaxWidth) || def.imageMaxWidth || null,
+      imageMaxHeight: parseInt(dataset.imageMaxHeight) || def.imageMaxHeight || null,
+      imageFormat: dataset.imageFormat || def.imageFormat || null,
+      imageQuality: parseFloat(dataset.imageQuality) || def.imageQuality || this.config.imageQuality,
+      imageCrop: this.parseAspectRatio(dataset.imageCrop || def.imageCrop)
     };
   }
 
@@ -99,6 +115,32 @@ class FileElementFactory extends ElementFactory {
       return FileElementFactory.validateFormField(this);
     };
 
+    if (config.chunkUrl) {
+      instance.uploads = new Map();
+
+      instance.pauseUpload = function(fileName = null) {
+        return FileElementFactory.pauseChunkedUpload(this, fileName);
+      };
+
+      instance.resumeUpload = function(fileName = null) {
+        return FileElementFactory.resumeChunkedUpload(this, fileName);
+      };
+
+      instance.cancelUpload = function(fileName = null) {
+        return FileElementFactory.cancelChunkedUpload(this, fileName);
+      };
+
+      instance.waitForUploads = function() {
+        return FileElementFactory.waitForChunkedUploads(this);
+      };
+
+      instance.getUploadIds = function() {
+        return Array.from(this.uploads.values())
+          .filter(session => session.status === 'complete')
+          .map(session => session.uploadId);
+      };
+    }
+
     return instance;
   }
 
@@ -304,8 +346,16 @@ class FileElementFactory extends ElementFactory {
 
     FormError.clearFieldError(element.id);
 
-    for (const file of files) {
+    let processed = false;
+    for (let file of files) {
       try {
+        if (this.shouldProcessImage(file, config)) {
+          const result = await this.processImage(file, config);
+          // The crop dialog was cancelled
+          if (!result) continue;
+          processed = processed || result !== file;
+          file = result;
+        }
         await this.validateFile(file, config);
         newFiles.set(file.name, file);
       } catch (error) {
@@ -315,8 +365,17 @@ class FileElementFactory extends ElementFactory {
 
     if (errors.length === 0) {
       privateState.files = newFiles;
+      // The form sends the input's own files, so they are replaced by the processed ones
+      if (processed && typeof DataTransfer !== 'undefined') {
+        const dt = new DataTransfer();
+        newFiles.forEach(file => dt.items.add(file));
+        element.files = dt.files;
+      } else if (newFiles.size === 0) {
+        element.value = '';
+      }
       this.showPreviews(instance);
       this.updatePlaceholderVisibility(instance);
+      if (config.chunkUrl) this.syncChunkedUploads(instance);
 
       if (typeof config.onChange === 'function') {
         config.onChange(Array.from(newFiles.values()), element);
@@ -333,6 +392,7 @@ class FileElementFactory extends ElementFactory {
       privateState.files = new Map();
       this.showPreviews(instance);
       this.updatePlaceholderVisibility(instance);
+      if (config.chunkUrl) this.syncChunkedUploads(instance);
     }
   }
 
@@ -373,6 +433,282 @@ class FileElementFactory extends ElementFactory {
     });
   }
 
+  /**
+   * Image processing for inputs with data-image-max-width, data-image-max-height,
+   * data-image-format (jpeg|webp), data-image-quality (0-1) or data-image-crop
+   * (aspect ratio, e.g. "1:1"). Images are redrawn on a canvas, which applies the
+   * EXIF orientation and drops all metadata (camera, GPS) from the uploaded file.
+   */
+  static parseAspectRatio(value) {
+    if (!value) return null;
+    if (typeof value === 'number') return value > 0 ? value : null;
+
+    const [width, height = 1] = String(value).split(/[:/x]/).map(parseFloat);
+    const ratio = width / height;
+    return ratio > 0 && Number.isFinite(ratio) ? ratio : null;
+  }
+
+  static shouldProcessImage(file, config) {
+    // GIFs may be animated and SVGs are not pixels; both are sent as chosen
+    return /^image\/(jpeg|png|webp|bmp)$/.test(file.type) &&
+      !!(config.imageMaxWidth || config.imageMaxHeight || config.imageFormat || config.imageCrop) &&
+      typeof document.createElement('canvas').toBlob === 'function';
+  }
+
+  /**
+   * @param {File} file - Image file
+   * @param {Object} config - Element config
+   * @returns {Promise<File|null>} Processed file, the original file when the image
+   * cannot be decoded, or null when cropping was cancelled
+   */
+  static async processImage(file, config) {
+    let image;
+    try {
+      image = await this.loadImage(file);
+    } catch (error) {
+      console.warn(`FileElementFactory: Cannot process image ${file.name}:`, error);
+      return file;
+    }
+
+    try {
+      let area = {x: 0, y: 0, width: image.width, height: image.height};
+      if (config.imageCrop) {
+        area = await this.cropImage(image, config.imageCrop);
+        if (!area) return null;
+      }
+
+      const scale = Math.min(
+        1,
+        config.imageMaxWidth ? config.imageMaxWidth / area.width : 1,
+        config.imageMaxHeight ? config.imageMaxHeight / area.height : 1
+      );
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(area.width * scale));
+      canvas.height = Math.max(1, Math.round(area.height * scale));
+
+      const context = canvas.getContext('2d');
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(image.canvas, area.x, area.y, area.width, area.height, 0, 0, canvas.width, canvas.height);
+
+      const formats = {jpeg: 'image/jpeg', jpg: 'image/jpeg', webp: 'image/webp', png: 'image/png'};
+      // PNGs may be transparent, so they stay PNG unless a format is asked for
+      const type = formats[config.imageFormat] || (file.type === 'image/png' ? 'image/png' : 'image/jpeg');
+      let blob = await new Promise(resolve => canvas.toBlob(resolve, type, config.imageQuality));
+      // Browsers without a WebP encoder return PNG
+      if (!blob || blob.type !== type) {
+        blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', config.imageQuality));
+      }
+      if (!blob) return file;
+
+      const extension = blob.type === 'image/jpeg' ? 'jpg' : blob.type.split('/')[1];
+      const name = file.name.replace(/\.[^.]+$/, '') + '.' + extension;
+      return new File([blob], name, {type: blob.type, lastModified: file.lastModified});
+    } finally {
+      image.release();
+    }
+  }
+
+  /**
+   * Decode an image upright onto a canvas
+   * @param {File} file - Image file
+   * @returns {Promise<Object>} {canvas, width, height, release()}
+   */
+  static async loadImage(file) {
+    const url = URL.createObjectURL(file);
+    try {
+      const img = new Image();
+      img.src = url;
+      await img.decode();
+
+      // Current browsers draw images upright by themselves; older ones need the EXIF orientation applied
+      const orientation = window.CSS?.supports?.('image-orientation', 'from-image')
+        ? 1
+        : await this.readImageOrientation(file);
+      const swap = orientation >= 5;
+      const width = swap ? img.naturalHeight : img.naturalWidth;
+      const height = swap ? img.naturalWidth : img.naturalHeight;
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      const transforms = {
+        2: [-1, 0, 0, 1, width, 0],
+        3: [-1, 0, 0, -1, width, height],
+        4: [1, 0, 0, -1, 0, height],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, width, 0],
+        7: [0, -1, -1, 0, width, height],
+        8: [0, -1, 1, 0, 0, height]
+      };
+      if (transforms[orientation]) context.transform(...transforms[orientation]);
+      context.drawImage(img, 0, 0);
+
+      return {
+        canvas,
+        width,
+        height,
+        release() {
+          canvas.width = 0;
+          canvas.height = 0;
+        }
+      };
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * EXIF orientation (1-8) of a JPEG, 1 when it has none
+   * @param {File} file - Image file
+   * @returns {Promise<number>}
+   */
+  static async readImageOrientation(file) {
+    if (file.type !== 'image/jpeg') return 1;
+
+    const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      const length = view.getUint16(offset + 2);
+      // APP1 segment holding "Exif\0\0"
+      if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        if (ifd + 2 > view.byteLength) return 1;
+        const entries = view.getUint16(ifd, little);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (entry + 12 > view.byteLength) return 1;
+          if (view.getUint16(entry, little) === 0x0112) {
+            const orientation = view.getUint16(entry + 8, little);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+          }
+        }
+        return 1;
+      }
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return 1;
+      offset += 2 + length;
+    }
+    return 1;
+  }
+
+  /**
+   * Let the user choose the part of an image to keep. The crop box keeps the
+   * given aspect ratio; drag it to move, drag its corner to resize, or use the
+   * arrow keys (with Shift to resize).
+   * @param {Object} image - Image from loadImage()
+   * @param {number} ratio - Width / height
+   * @returns {Promise<Object|null>} {x, y, width, height} in image pixels, or null when cancelled
+   */
+  static cropImage(image, ratio) {
+    const width = Math.min(image.width, image.height * ratio);
+    const box = {width, height: width / ratio};
+    box.x = (image.width - box.width) / 2;
+    box.y = (image.height - box.height) / 2;
+
+    if (!window.DialogManager?.custom) return Promise.resolve(box);
+
+    const cropper = document.createElement('div');
+    cropper.className = 'image-cropper';
+    const preview = image.canvas;
+    const frame = document.createElement('div');
+    frame.className = 'image-crop-box';
+    frame.tabIndex = 0;
+    frame.setAttribute('role', 'slider');
+    frame.setAttribute('aria-label', Now.translate('Crop area'));
+    const handle = document.createElement('span');
+    handle.className = 'image-crop-handle';
+    frame.appendChild(handle);
+    cropper.append(preview, frame);
+
+    const minWidth = Math.min(box.width, image.width / 10);
+    const update = (next) => {
+      const w = Math.max(minWidth, Math.min(next.width, image.width, image.height * ratio));
+      box.width = w;
+      box.height = w / ratio;
+      box.x = Math.max(0, Math.min(next.x, image.width - box.width));
+      box.y = Math.max(0, Math.min(next.y, image.height - box.height));
+      frame.style.left = `${box.x / image.width * 100}%`;
+      frame.style.top = `${box.y / image.height * 100}%`;
+      frame.style.width = `${box.width / image.width * 100}%`;
+      frame.style.height = `${box.height / image.height * 100}%`;
+    };
+    update(box);
+
+    frame.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      frame.setPointerCapture?.(e.pointerId);
+      const resizing = e.target === handle;
+      const start = {...box, clientX: e.clientX, clientY: e.clientY};
+      const scale = image.width / (preview.clientWidth || image.width);
+
+      const move = (ev) => {
+        const dx = (ev.clientX - start.clientX) * scale;
+        const dy = (ev.clientY - start.clientY) * scale;
+        if (resizing) {
+          update({x: start.x, y: start.y, width: start.width + Math.max(dx, dy * ratio)});
+        } else {
+          update({x: start.x + dx, y: start.y + dy, width: start.width});
+        }
+      };
+      const end = () => {
+        frame.removeEventListener('pointermove', move);
+        frame.removeEventListener('pointerup', end);
+        frame.removeEventListener('pointercancel', end);
+      };
+      frame.addEventListener('pointermove', move);
+      frame.addEventListener('pointerup', end);
+      frame.addEventListener('pointercancel', end);
+    });
+
+    frame.addEventListener('keydown', (e) => {
+      const steps = {ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1]};
+      if (!steps[e.key]) return;
+      e.preventDefault();
+      const step = image.width / 50;
+      const [dx, dy] = steps[e.key];
+      if (e.shiftKey) {
+        update({x: box.x, y: box.y, width: box.width + (dx || -dy) * step});
+      } else {
+        update({x: box.x + dx * step, y: box.y + dy * step, width: box.width});
+      }
+    });
+
+    return new Promise(resolve => {
+      let result = null;
+      DialogManager.custom({
+        title: Now.translate('Crop image'),
+        message: cropper,
+        customClass: 'image-crop-dialog',
+        buttons: {
+          cancel: {
+            text: Now.translate('Cancel'),
+            class: 'text',
+            callback: () => {}
+          },
+          apply: {
+            text: Now.translate('Apply'),
+            class: 'btn-primary',
+            callback: () => {
+              result = {
+                x: Math.round(box.x),
+                y: Math.round(box.y),
+                width: Math.round(box.width),
+                height: Math.round(box.height)
+              };
+            }
+          }
+        },
+        onShow: () => frame.focus(),
+        onClose: () => resolve(result)
+      });
+    });
+  }
+
   static showPreviews(instance) {
     const {previewContainer, element} = instance;
     const privateState = ElementFactory._privateState.get(element);
@@ -450,7 +786,7 @@ class FileElementFactory extends ElementFactory {
       }
 
       let imageContainer;
-      const match = file.url?.toLowerCase().match(/([^\/]{1,})\.([a-z]{3,})$/i);
+      const match = file.url?.toLowerCase().match(/([^\/]{1,})\.([a-z0-9]{2,})$/i);
       if (!match) return;
 
       if (['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(match[2])) {
@@ -500,6 +836,7 @@ class FileElementFactory extends ElementFactory {
     privateState.files.delete(file.name);
     this.showPreviews(instance);
     this.updatePlaceholderVisibility(instance);
+    if (config.chunkUrl) this.syncChunkedUploads(instance);
 
     if (privateState.files.size === 0) {
       element.value = '';
@@ -511,11 +848,12 @@ class FileElementFactory extends ElementFactory {
   }
 
   static clearFiles(instance) {
-    const {element, previewContainer} = instance;
+    const {element, previewContainer, config} = instance;
     const privateState = ElementFactory._privateState.get(element);
 
     element.value = '';
     privateState.files.clear();
+    if (config.chunkUrl) this.syncChunkedUploads(instance);
 
     if (previewContainer) {
       const existingPreviews = previewContainer.querySelectorAll('.preview-item[data-existing="true"]');
@@ -762,6 +1100,399 @@ class FileElementFactory extends ElementFactory {
     }
   }
 
+  /**
+   * Chunked, resumable uploads for inputs with data-chunk-upload="url".
+   * Each file is sent through an upload session on that URL:
+   *   {action: "start", name, size, type, chunkSize, chunks, fingerprint, uploadId?}
+   *     -> {uploadId, received: [indexes of the chunks the server already has]}
+   *   multipart {action: "chunk", uploadId, index, checksum (SHA-256 hex), chunk}
+   *   {action: "complete", uploadId} -> {file}
+   *   {action: "cancel", uploadId}
+   * Upload ids are kept in localStorage by file fingerprint, so choosing the same
+   * file again (e.g. after a reload) continues the session. Forms submit the upload
+   * ids of the field in place of its files.
+   * @param {Object} instance - Element instance
+   */
+  static syncChunkedUploads(instance) {
+    const privateState = ElementFactory._privateState.get(instance.element);
+    const files = privateState.files;
+
+    // Choosing the same file again keeps its session
+    instance.uploads.forEach((session, name) => {
+      const file = files.get(name);
+      if (!file || file.size !== session.file.size || file.lastModified !== session.file.lastModified) {
+        this.cancelChunkedUpload(instance, name);
+      }
+    });
+
+    files.forEach(file => {
+      if (!instance.uploads.has(file.name)) this.startChunkedUpload(instance, file);
+    });
+  }
+
+  static startChunkedUpload(instance, file) {
+    const {config} = instance;
+    const session = {
+      file,
+      fingerprint: [config.chunkUrl, file.name, file.size, file.lastModified].join(':'),
+      uploadId: null,
+      status: 'pending',
+      chunkSize: config.chunkSize,
+      chunks: Math.max(1, Math.ceil(file.size / config.chunkSize)),
+      received: new Set(),
+      loaded: new Map(),
+      requests: new Map(),
+      settled: Promise.resolve(false),
+      row: null
+    };
+    session.uploadId = this.getStoredUploadId(config, session.fingerprint);
+    instance.uploads.set(file.name, session);
+
+    this.renderChunkedUpload(instance, session);
+    this.runChunkedUpload(instance, session);
+    return session;
+  }
+
+  /**
+   * Open (or reopen) the session and send the chunks the server does not have yet
+   * @param {Object} instance - Element instance
+   * @param {Object} session - Upload session
+   */
+  static async runChunkedUpload(instance, session) {
+    const {element, config} = instance;
+
+    // A resume while an earlier run is still waiting on a request starts a new run;
+    // the earlier one stops at its next check instead of sending chunks alongside it
+    const run = {};
+    session.run = run;
+    const active = () => session.run === run && session.status === 'uploading';
+
+    let settle;
+    session.settled = new Promise(resolve => {
+      settle = resolve;
+    });
+    session.status = 'uploading';
+    session.error = null;
+    this.renderChunkedUpload(instance, session);
+
+    try {
+      const started = await this.sendUploadAction(config.chunkUrl, {
+        action: 'start',
+        name: session.file.name,
+        size: session.file.size,
+        type: session.file.type,
+        chunkSize: session.chunkSize,
+        chunks: session.chunks,
+        fingerprint: session.fingerprint,
+        uploadId: session.uploadId
+      });
+      if (!active()) return;
+      if (!started?.uploadId) throw new Error(Now.translate('Upload failed'));
+
+      session.uploadId = started.uploadId;
+      session.received = new Set((started.received || []).map(Number));
+      this.storeUploadId(config, session.fingerprint, session.uploadId);
+      this.renderChunkedUpload(instance, session);
+
+      const queue = [];
+      for (let index = 0; index < session.chunks; index++) {
+        if (!session.received.has(index)) queue.push(index);
+      }
+
+      const worker = async () => {
+        while (active() && queue.length) {
+          await this.sendChunkWithRetry(instance, session, queue.shift(), active);
+        }
+      };
+      await Promise.all(Array.from({length: Math.max(1, config.chunkParallel)}, worker));
+      if (!active()) return;
+
+      const completed = await this.sendUploadAction(config.chunkUrl, {
+        action: 'complete',
+        uploadId: session.uploadId
+      });
+      if (!active()) return;
+
+      session.result = completed?.file || completed;
+      session.status = 'complete';
+      this.forgetUploadId(config, session.fingerprint);
+
+      EventManager.emit('file:upload:complete', {
+        elementId: element.id,
+        file: session.file,
+        uploadId: session.uploadId,
+        result: session.result
+      });
+    } catch (error) {
+      if (!active()) return;
+
+      session.status = 'error';
+      session.error = error.message || Now.translate('Upload failed');
+
+      EventManager.emit('file:upload:error', {
+        elementId: element.id,
+        file: session.file,
+        uploadId: session.uploadId,
+        error
+      });
+    } finally {
+      this.renderChunkedUpload(instance, session);
+      settle(session.run === run ? session.status === 'complete' : session.settled);
+    }
+  }
+
+  static async sendChunkWithRetry(instance, session, index, active) {
+    const {config} = instance;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.sendChunk(instance, session, index, active);
+        return;
+      } catch (error) {
+        // A paused or cancelled upload aborts its requests; those chunks are sent again on resume
+        if (!active()) return;
+        if (attempt >= config.chunkRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+        if (!active()) return;
+      }
+    }
+  }
+
+  static async sendChunk(instance, session, index, active) {
+    const {element, config} = instance;
+    const start = index * session.chunkSize;
+    const blob = session.file.slice(start, Math.min(start + session.chunkSize, session.file.size));
+
+    const formData = new FormData();
+    formData.append('action', 'chunk');
+    formData.append('uploadId', session.uploadId);
+    formData.append('index', index);
+    if (config.chunkChecksum) {
+      const checksum = await this.getChunkChecksum(blob);
+      if (checksum) formData.append('checksum', checksum);
+    }
+    formData.append('chunk', blob, session.file.name);
+    if (!active()) return;
+
+    await new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      session.requests.set(index, xhr);
+
+      xhr.upload.addEventListener('progress', (e) => {
+        session.loaded.set(index, e.loaded);
+        this.renderChunkedUpload(instance, session);
+      });
+
+      xhr.onload = () => {
+        session.requests.delete(index);
+        session.loaded.delete(index);
+        if (xhr.status >= 200 && xhr.status < 300) {
+          // A CSRF token is good for a limited number of requests, keep the rotated one
+          const newToken = xhr.getResponseHeader('X-CSRF-Token');
+          if (newToken) {
+            window.http?.setCsrfToken?.(newToken);
+            window.AuthManager?.updateCSRFToken?.(newToken);
+          }
+          session.received.add(index);
+          this.renderChunkedUpload(instance, session);
+          resolve();
+        } else {
+          const error = new Error(Now.translate('Upload failed'));
+          error.status = xhr.status;
+          reject(error);
+        }
+      };
+      xhr.onerror = xhr.onabort = () => {
+        session.requests.delete(index);
+        session.loaded.delete(index);
+        reject(new Error(Now.translate('Network error')));
+      };
+
+      xhr.open('POST', config.chunkUrl);
+      xhr.withCredentials = true;
+      const csrfToken = window.http?.csrfToken || document.querySelector('meta[name="csrf-token"]')?.getAttribute('content');
+      if (csrfToken) xhr.setRequestHeader('X-CSRF-Token', csrfToken);
+      xhr.send(formData);
+    });
+
+    EventManager.emit('file:upload:progress', {
+      elementId: element.id,
+      file: session.file,
+      uploadId: session.uploadId,
+      received: session.received.size,
+      chunks: session.chunks
+    });
+  }
+
+  static async getChunkChecksum(blob) {
+    if (!window.crypto?.subtle) return null;
+
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  static async sendUploadAction(url, payload) {
+    const apiService = window.ApiService || window.Now?.getManager?.('api');
+    const result = apiService?.post
+      ? await apiService.post(url, payload)
+      : await simpleFetch.post(url, payload);
+
+    if (result?.success === false || (result?.status && (result.status < 200 || result.status >= 300))) {
+      const error = new Error(result?.data?.message || result?.message || Now.translate('Upload failed'));
+      error.status = result?.status;
+      throw error;
+    }
+    return result?.data?.data || result?.data || result;
+  }
+
+  /**
+   * Pause uploads (one file, or all with no name). Chunks being sent are dropped
+   * and sent again on resume.
+   */
+  static pauseChunkedUpload(instance, fileName = null) {
+    this.getChunkedSessions(instance, fileName).forEach(session => {
+      if (!['pending', 'uploading'].includes(session.status)) return;
+      session.status = 'paused';
+      session.requests.forEach(xhr => xhr.abort());
+      this.renderChunkedUpload(instance, session);
+    });
+  }
+
+  static resumeChunkedUpload(instance, fileName = null) {
+    this.getChunkedSessions(instance, fileName).forEach(session => {
+      if (['paused', 'error'].includes(session.status)) this.runChunkedUpload(instance, session);
+    });
+  }
+
+  /**
+   * Stop uploads and tell the server to drop what it received. The file stays
+   * selected only when the session was cancelled through syncChunkedUploads().
+   */
+  static cancelChunkedUpload(instance, fileName = null) {
+    const {config} = instance;
+    this.getChunkedSessions(instance, fileName).forEach(session => {
+      const wasComplete = session.status === 'complete';
+      session.status = 'cancelled';
+      session.requests.forEach(xhr => xhr.abort());
+      session.row?.remove();
+      instance.uploads.delete(session.file.name);
+      this.forgetUploadId(config, session.fingerprint);
+
+      if (session.uploadId && !wasComplete) {
+        this.sendUploadAction(config.chunkUrl, {action: 'cancel', uploadId: session.uploadId}).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * @param {Object} instance - Element instance
+   * @returns {Promise<boolean>} True when every selected file has been uploaded
+   */
+  static async waitForChunkedUploads(instance) {
+    const sessions = Array.from(instance.uploads.values());
+    const results = await Promise.all(sessions.map(session => {
+      if (session.status === 'complete') return true;
+      return ['pending', 'uploading'].includes(session.status) ? session.settled : false;
+    }));
+    return results.every(Boolean);
+  }
+
+  static getChunkedSessions(instance, fileName) {
+    if (!instance.uploads) return [];
+    return fileName === null
+      ? Array.from(instance.uploads.values())
+      : [instance.uploads.get(fileName)].filter(Boolean);
+  }
+
+  static renderChunkedUpload(instance, session) {
+    const {element} = instance;
+
+    if (!session.row) {
+      let list = instance.uploadList;
+      if (!list) {
+        list = document.createElement('div');
+        list.className = 'chunk-uploads';
+        (instance.dropZone || element.parentElement).appendChild(list);
+        instance.uploadList = list;
+      }
+
+      const row = document.createElement('div');
+      row.className = 'chunk-upload';
+      row.innerHTML = `
+        <span class="chunk-upload-name"></span>
+        <div class="chunk-upload-progress"><div class="progress" role="progressbar" aria-valuemin="0" aria-valuemax="100"></div></div>
+        <span class="chunk-upload-status"></span>
+        <button type="button" class="btn chunk-upload-toggle"></button>
+        <button type="button" class="icon-delete chunk-upload-cancel"></button>
+      `;
+      row.querySelector('.chunk-upload-name').textContent = `${session.file.name} (${this.formatFileSize(session.file.size)})`;
+      row.querySelector('.chunk-upload-cancel').title = Now.translate('Cancel upload');
+      row.querySelector('.chunk-upload-toggle').addEventListener('click', () => {
+        if (session.status === 'uploading') {
+          this.pauseChunkedUpload(instance, session.file.name);
+        } else {
+          this.resumeChunkedUpload(instance, session.file.name);
+        }
+      });
+      row.querySelector('.chunk-upload-cancel').addEventListener('click', () => this.removeFile(instance, session.file));
+      list.appendChild(row);
+      session.row = row;
+    }
+
+    const {row} = session;
+    let sent = 0;
+    session.received.forEach(index => {
+      sent += Math.min(session.chunkSize, session.file.size - index * session.chunkSize);
+    });
+    session.loaded.forEach(bytes => {
+      sent += bytes;
+    });
+    const percent = session.file.size ? Math.min(100, Math.round(sent / session.file.size * 100)) : 100;
+    const done = session.status === 'complete' ? 100 : percent;
+
+    row.dataset.status = session.status;
+    const bar = row.querySelector('.progress');
+    bar.style.width = `${done}%`;
+    bar.setAttribute('aria-valuenow', done);
+
+    const labels = {
+      paused: 'Paused',
+      error: session.error || 'Upload failed',
+      complete: 'Uploaded'
+    };
+    row.querySelector('.chunk-upload-status').textContent = labels[session.status]
+      ? Now.translate(labels[session.status])
+      : `${done}%`;
+
+    const toggle = row.querySelector('.chunk-upload-toggle');
+    toggle.hidden = session.status === 'complete';
+    toggle.textContent = Now.translate(session.status === 'uploading' || session.status === 'pending' ? 'Pause' : 'Resume');
+  }
+
+  static getStoredUploadId(config, fingerprint) {
+    const stored = StorageManager.local.get(config.chunkStorageKey || this.config.chunkStorageKey) || {};
+    return stored[fingerprint]?.uploadId || null;
+  }
+
+  static storeUploadId(config, fingerprint, uploadId) {
+    const key = config.chunkStorageKey || this.config.chunkStorageKey;
+    const stored = StorageManager.local.get(key) || {};
+    // Servers drop unfinished sessions eventually; a week-old id is not worth asking about
+    const expired = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    Object.keys(stored).forEach(name => {
+      if (!(stored[name]?.savedAt > expired)) delete stored[name];
+    });
+    stored[fingerprint] = {uploadId, savedAt: Date.now()};
+    StorageManager.local.set(key, stored);
+  }
+
+  static forgetUploadId(config, fingerprint) {
+    const key = config.chunkStorageKey || this.config.chunkStorageKey;
+    const stored = StorageManager.local.get(key) || {};
+    if (!stored[fingerprint]) return;
+    delete stored[fingerprint];
+    StorageManager.local.set(key, stored);
+  }
+
   static createProgressElement(element) {
     let progressContainer = element.parentElement.querySelector('.upload-progress');
     if (!progressContainer) {
@@ -824,6 +1555,9 @@ class FileElementFactory extends ElementFactory {
   static cleanup(instance) {
     const {element, dropZone} = instance;
 
+    // Stored upload ids let the same file continue where it stopped
+    if (instance.uploads) this.pauseChunkedUpload(instance);
+
     EventSystemManager.removeElementHandlers(element);
 
     if (dropZone) {
@@ -30,6 +30,12 @@ const FormManager = {
     redirectAttribute: 'data-redirect',
     showErrorsInline: true,
     showErrorsInNotification: true,
+    stepParam: 'step', // URL parameter holding the current step of data-steps forms
+    remoteValidateDelay: 500, // Typing pause (ms) before a data-validate-remote check is sent
+    draftSaveDelay: 1000, // Typing pause (ms) before a data-autosave form stores its draft
+    draftTtlDays: 7, // Drafts older than this are no longer offered for restore
+    draftDB: 'now_form_drafts',
+    draftStore: 'form_drafts',
     uploadProgressTemplate: `
       <div class="upload-progress" style="display:none">
         <div class="progress">
@@ -53,7 +59,12 @@ const FormManager = {
     elementIndex: new WeakMap(),
     initialized: false,
     activeSubmit: null,
-    validators: new Map()
+    validators: new Map(),
+    leavePrompt: null,
+    leaveHandlers: null,
+    draftDB: null,
+    draftsPurged: false,
+    offlineSync: null
   },
 
   async init(options = {}) {
@@ -75,11 +86,40 @@ const FormManager = {
     }
 
     this.registerStandardValidators();
+    this.setupLeaveHandlers();
 
     this.state.initialized = true;
     return this;
   },
 
+  /**
+   * Unsaved changes of data-confirm-leave forms: SPA navigation (including back/forward)
+   * gets the Save/Discard/Cancel dialog, closing the tab only the browser's own prompt.
+   * Registered once, cleanup() removes them so a later init() does not stack them.
+   */
+  setupLeaveHandlers() {
+    if (this.state.leaveHandlers) return;
+
+    const handlers = {
+      removeGuard: window.RouterManager?.beforeEach(() => this.confirmLeave()),
+      beforeunload: (e) => {
+        if (this.getUnsavedForms().length) {
+          e.preventDefault();
+          e.returnValue = '';
+        }
+      },
+      // Drafts still waiting for the typing pause are written before the page goes away
+      pagehide: () => {
+        this.state.forms.forEach(instance => {
+          if (instance.draft?.timer) this.saveDraft(instance);
+        });
+      }
+    };
+    window.addEventListener('beforeunload', handlers.beforeunload);
+    window.addEventListener('pagehide', handlers.pagehide);
+    this.state.leaveHandlers = handlers;
+  },
+
   registerStandardValidators() {
     this.registerValidator('required', (value, element) => {
       if (element.type === 'checkbox' || element.type === 'radio') {
@@ -206,6 +246,12 @@ const FormManager = {
           submitCount: 0,
           lastSubmitTime: 0
         },
+        // data-validate-remote checks: results by request, running checks by field name, typing timers by field
+        remote: {
+          cache: new Map(),
+          checks: new Map(),
+          timers: new Map()
+        },
         resetTimeout: null
       };
 
@@ -225,6 +271,10 @@ const FormManager = {
         this.restorePersistedValues && this.restorePersistedValues(instance);
       } catch (e) {}
 
+      // Schema fields exist before anything below looks for fields
+      instance.schemas = new Map();
+      await this.initSchemas(instance);
+
       if (form.querySelector('input[type="file"]')) {
         form.enctype = 'multipart/form-data';
       }
@@ -242,6 +292,9 @@ const FormManager = {
         console.warn('FormManager: Failed to load form options:', e);
       }
 
+      // Render repeater rows BEFORE loading data so setFormData() can fill them
+      this.initRepeaters(instance);
+
       // Load form data if data-load-api is specified
       // Errors (403, 401) are handled inside loadFormDataIfNeeded with redirects
       await this.loadFormDataIfNeeded(instance);
@@ -269,8 +322,30 @@ const FormManager = {
 
       this.setupFormEvents(instance);
 
+      if (form.dataset.confirmLeave !== undefined) {
+        // Typing counts before the change event, e.g. when the tab is closed from a focused field
+        form.addEventListener('input', () => {
+          instance.state.modified = true;
+        });
+      }
+
+      this.initConditions(instance);
+
+      if (form.dataset.steps !== undefined) {
+        this.initSteps(instance);
+      }
+
       instance.state.originalData = this.getFormData(instance, true);
 
+      // After the record is loaded, so the draft key has its id and a draft can be compared with it
+      if (form.dataset.autosave !== undefined) {
+        this.initDraft(instance);
+      }
+
+      if (form.dataset.offline === 'queue') {
+        this.initOfflineQueue(instance);
+      }
+
       EventManager.emit('form:init', {formId, instance});
 
       return instance;
@@ -285,6 +360,20 @@ const FormManager = {
     }
   },
 
+  /**
+   * Data of a form with data-load-route, fetched by the loader of the current route.
+   * The same form outside the routed content (e.g. opened in a modal) loads data-load-api.
+   * @param {HTMLElement} element - Form element
+   * @returns {Object|null}
+   */
+  getRouteData(element) {
+    if (element.dataset.loadRoute === undefined) return null;
+
+    const main = document.querySelector(Now.config.mainSelector);
+    const data = window.RouterManager?.state?.current?.data;
+    return main?.contains(element) && data && Object.keys(data).length ? data : null;
+  },
+
   /**
    * Load form data from API if data-load-api is specified
    * Supports URL query parameters if data-load-query-params="true"
@@ -306,14 +395,22 @@ const FormManager = {
         const urlParams = new URLSearchParams(window.location.search);
         const paramObj = Object.fromEntries(urlParams);
 
+        // The wizard step is UI state, not a record key
+        if (element.dataset.steps !== undefined) {
+          delete paramObj[element.dataset.steps || instance.config.stepParam];
+        }
+
         if (Object.keys(paramObj).length > 0) {
           params = paramObj;
         }
       }
 
-      // Make API request
+      // Make API request, unless the route loader already fetched the data
       let response;
-      if (window.ApiService?.get) {
+      const routeData = this.getRouteData(element);
+      if (routeData) {
+        response = {data: {data: routeData}};
+      } else if (window.ApiService?.get) {
         response = await window.ApiService.get(url, params);
       } else if (window.simpleFetch?.get) {
         const queryStr = new URLSearchParams(params).toString();
@@ -976,10 +1073,11 @@ const FormManager = {
     return config;
   },
 
-  initFormElements(instance) {
-    const {element, elements} = instance;
+  initFormElements(instance, root = instance.element) {
+    const {elements} = instance;
 
-    const fields = element.querySelectorAll(this.config.fieldSelector);
+    const fields = [root, ...root.querySelectorAll(this.config.fieldSelector)]
+      .filter(field => field.matches(this.config.fieldSelector));
 
     fields.forEach(field => {
       if (!field.name && !field.id) {
@@ -987,6 +1085,9 @@ const FormManager = {
         return;
       }
 
+      // Repeater rows are registered by updateRepeater()
+      if (field.closest('[data-repeater]')) return;
+
       const fieldName = field.name || field.id;
       const fieldType = this.getFieldType(field);
 
@@ -1088,6 +1189,17 @@ const FormManager = {
     return field.tagName.toLowerCase();
   },
 
+  /**
+   * Validate and submit a form, the same as its submit button
+   * @param {Object} instance - Form instance
+   * @param {Object} options - {leaving: saving before navigating away, which submits
+   *   from any wizard step, skips data-confirm and does not follow redirects}
+   * @returns {Promise<Object|boolean>} The normalized response, or false when not submitted
+   */
+  submitForm(instance, options = {}) {
+    return instance.submit(options);
+  },
+
   /**
    * Sets up event listeners for form submission and field changes
    * @param {Object} instance - The form instance to set up events for
@@ -1096,9 +1208,13 @@ const FormManager = {
   setupFormEvents(instance) {
     const {element} = instance;
 
-    element.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      e.stopPropagation();
+    // Shared by the submit event and submitForm()
+    instance.submit = async (options = {}) => {
+      // Enter on an intermediate wizard step moves to the next step instead of submitting
+      if (!options.leaving && instance.steps && instance.steps.current < instance.steps.sections.length - 1) {
+        await this.nextStep(instance);
+        return false;
+      }
 
       // Clear any previous errors before processing new submission
       FormError.clearFormMessages(element);
@@ -1106,9 +1222,9 @@ const FormManager = {
 
       // Check for confirmation dialog
       const confirmMessage = element.getAttribute('data-confirm');
-      if (confirmMessage) {
+      if (confirmMessage && !options.leaving) {
         const confirmed = await DialogManager.confirm(Now.translate(confirmMessage));
-        if (!confirmed) return;
+        if (!confirmed) return false;
       }
 
       if (window.SecurityManager) {
@@ -1167,6 +1283,11 @@ const FormManager = {
           }
         }
 
+        if (!await this.waitForUploads(instance)) {
+          this.handleInvalidSubmit(instance);
+          return false;
+        }
+
         const data = this.getFormData(instance);
 
         // Check if CSRF token is present
@@ -1201,7 +1322,16 @@ const FormManager = {
 
         let response;
         if (instance.config.ajaxSubmit) {
-          response = await this.submitAjax(instance, data);
+          // data-offline="queue" forms keep submissions that cannot reach the server for SyncManager
+          const queueable = this.canQueueOffline(instance);
+          if (queueable && !navigator.onLine) {
+            response = await this.queueOfflineSubmit(instance, data);
+          } else {
+            response = await this.submitAjax(instance, data);
+            if (queueable && response.networkError) {
+              response = await this.queueOfflineSubmit(instance, data);
+            }
+          }
         } else {
           element.submit();
           response = {success: true};
@@ -1212,8 +1342,10 @@ const FormManager = {
         // { success: true/false, message: "...", data: {...}, status: 201 }
         const isSuccess = response && response.success === true;
 
-        if (isSuccess) {
-          this.handleSuccessfulSubmit(instance, response);
+        if (response?.queued) {
+          this.handleQueuedSubmit(instance, response);
+        } else if (isSuccess) {
+          this.handleSuccessfulSubmit(instance, response, options);
           // After successful submit, save any persisted fields (triggered on submit)
           try {
             this.savePersistedValues && this.savePersistedValues(instance);
@@ -1246,6 +1378,12 @@ const FormManager = {
           this.state.activeSubmit = null;
         }, 100);
       }
+    };
+
+    element.addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      instance.submit();
     });
 
     element.addEventListener('reset', (e) => {
@@ -1302,10 +1440,18 @@ const FormManager = {
     if (instance.config.validateOnInput) {
       element.addEventListener('input', Utils.function.debounce((e) => {
         const field = e.target;
-        if (field.name) {
+        if (field.name && !field.dataset.validateRemote) {
           this.validateField(instance, field);
         }
       }, 300));
+
+      // Fields checked by the server are validated while typing, once per pause
+      element.addEventListener('input', (e) => {
+        const field = e.target;
+        if (field.name && field.dataset?.validateRemote) {
+          this.scheduleRemoteValidation(instance, field);
+        }
+      });
     }
 
     if (instance.config.validateOnBlur) {
@@ -1318,10 +1464,117 @@ const FormManager = {
     }
   },
 
+  /**
+   * Collect the declarative field rules of a form:
+   * data-show-if, data-required-if and data-disabled-if hold an ExpressionEvaluator
+   * expression over the current form values, e.g. data-show-if="stage == 'lost'".
+   * A rule may sit on a field or on a container of fields.
+   * @param {Object} instance - Form instance
+   */
+  initConditions(instance) {
+    const {element} = instance;
+    const types = {showIf: 'show', requiredIf: 'required', disabledIf: 'disabled'};
+
+    instance.conditions = [];
+    element.querySelectorAll('[data-show-if], [data-required-if], [data-disabled-if]').forEach(el => {
+      Object.entries(types).forEach(([attr, type]) => {
+        const expression = el.dataset[attr];
+        if (expression) {
+          instance.conditions.push({element: el, type, expression, active: null});
+        }
+      });
+    });
+    if (!instance.conditions.length) return;
+
+    // Rendering schema fields collects the rules again
+    if (!instance.conditionsBound) {
+      instance.conditionsBound = true;
+      const evaluate = () => this.evaluateConditions(instance);
+      element.addEventListener('input', evaluate);
+      element.addEventListener('change', evaluate);
+    }
+    this.evaluateConditions(instance);
+  },
+
+  /**
+   * Re-evaluate every rule against the live form values. Hiding a field can change
+   * the outcome of rules that read it, so rules are applied until nothing changes.
+   * @param {Object} instance - Form instance
+   */
+  evaluateConditions(instance) {
+    if (!instance.conditions?.length) return;
+
+    for (let pass = 0; pass < 5; pass++) {
+      const values = this.getFormData(instance, true).jsonData;
+      let changed = false;
+
+      instance.conditions.forEach(condition => {
+        const active = !!ExpressionEvaluator.evaluate(condition.expression, values, values);
+        if (condition.active === active) return;
+
+        condition.active = active;
+        changed = true;
+        this.applyCondition(instance, condition);
+      });
+
+      if (!changed) break;
+    }
+  },
+
+  applyCondition(instance, condition) {
+    const {element: el, type, active} = condition;
+    const fields = el.matches(this.config.fieldSelector)
+      ? [el]
+      : Array.from(el.querySelectorAll(this.config.fieldSelector));
+
+    if (type === 'show') {
+      el.hidden = !active;
+      el.dataset.conditionHidden = String(!active);
+    } else if (type === 'required') {
+      fields.forEach(field => {
+        field.required = active;
+      });
+    } else {
+      fields.forEach(field => {
+        field.disabled = active;
+      });
+    }
+
+    // Errors of fields that are no longer shown, required or editable are stale
+    if ((type === 'show' && !active) || (type === 'required' && !active) || (type === 'disabled' && active)) {
+      fields.forEach(field => {
+        if (!field.name) return;
+        FormError.clearFieldError(field.name);
+        delete instance.state.errors[field.name];
+      });
+    }
+
+    this.emitEvent('form:condition', {
+      formId: instance.id,
+      element: el,
+      type,
+      active
+    });
+  },
+
+  /**
+   * Whether a field is hidden by a data-show-if rule (on itself or a container)
+   * @param {HTMLElement} field - Form field
+   * @returns {boolean}
+   */
+  isConditionHidden(field) {
+    return !!field.closest?.('[data-condition-hidden="true"]');
+  },
+
   async validateField(instance, field, forceValidate = false) {
     const fieldName = field.name;
     if (!fieldName) return true;
 
+    // Fields hidden or disabled by a rule cannot be corrected by the user
+    if (this.isConditionHidden(field) || (field.disabled && field.closest('[data-disabled-if]'))) {
+      return true;
+    }
+
     // Skip validation for unmodified fields unless forced (e.g., on form submit)
     if (!forceValidate && instance.config.validateOnlyDirty &&
       !field.classList.contains(instance.config.dirtyClass)) {
@@ -1355,7 +1608,8 @@ const FormManager = {
     if (elementInstance && typeof elementInstance.validate === 'function') {
       try {
         elementInstance.validate(field.value, true);
-        return elementInstance.isValid();
+        if (!elementInstance.isValid()) return false;
+        return field.dataset.validateRemote && field.value !== '' ? this.validateRemote(instance, field) : true;
       } catch (error) {
         FormError.showFieldError(fieldName, error.message || 'Validation error', instance.element);
         instance.state.errors[fieldName] = error.message || 'Validation error';
@@ -1466,12 +1720,158 @@ const FormManager = {
       }
     }
 
+    if (field.dataset.validateRemote && !await this.validateRemote(instance, field)) {
+      return false;
+    }
+
     field.classList.add(instance.config.validClass);
     field.classList.remove(instance.config.invalidClass);
     return true;
   },
 
-  async validateForm(instance) {
+  /**
+   * Check a field against the endpoint in its data-validate-remote attribute.
+   * The endpoint receives the field value (plus the fields listed in
+   * data-validate-remote-with, e.g. "id") as GET parameters and answers
+   * {valid: boolean, message?: string}. Results are cached per form, a check of
+   * an outdated value is aborted, and a check that cannot reach the server does
+   * not block the form because the server validates again on save.
+   * @param {Object} instance - Form instance
+   * @param {HTMLElement} field - Form field
+   * @returns {Promise<boolean>}
+   */
+  async validateRemote(instance, field) {
+    const {name} = field;
+    const {remote} = instance;
+    const url = field.dataset.validateRemote;
+    const params = this.getRemoteValidationParams(instance, field);
+    const key = `${url}?${new URLSearchParams(params)}`;
+
+    clearTimeout(remote.timers.get(field));
+    remote.timers.delete(field);
+
+    let result = remote.cache.get(key);
+    if (!result) {
+      let check = remote.checks.get(name);
+      if (check?.key !== key) {
+        check?.controller.abort();
+        check = {key, controller: new AbortController()};
+        check.promise = this.requestRemoteValidation(url, params, check.controller.signal);
+        remote.checks.set(name, check);
+        this.setRemotePending(instance, field, true);
+      }
+
+      try {
+        result = await check.promise;
+        remote.cache.set(key, result);
+      } catch (error) {
+        if (!check.controller.signal.aborted) {
+          console.warn('FormManager: Remote validation failed:', error);
+        }
+        return true;
+      } finally {
+        if (remote.checks.get(name) === check) {
+          remote.checks.delete(name);
+          this.setRemotePending(instance, field, false);
+        }
+      }
+    }
+
+    // The value changed while waiting, the check of the new value reports instead
+    if (remote.checks.has(name) || remote.timers.has(field)) return true;
+
+    if (result.valid) return true;
+
+    const message = Now.translate(field.dataset.errorRemote || result.message || 'This value is already in use');
+    FormError.showFieldError(name, message, instance.element);
+    instance.state.errors[name] = message;
+    return false;
+  },
+
+  /**
+   * Validate a remote-checked field once the user pauses typing
+   * (config.remoteValidateDelay or data-validate-remote-delay)
+   * @param {Object} instance - Form instance
+   * @param {HTMLElement} field - Form field
+   */
+  scheduleRemoteValidation(instance, field) {
+    const {remote} = instance;
+    clearTimeout(remote.timers.get(field));
+
+    // The running check is for an outdated value
+    const check = remote.checks.get(field.name);
+    if (check) {
+      check.controller.abort();
+      remote.checks.delete(field.name);
+      this.setRemotePending(instance, field, false);
+    }
+
+    const delay = parseInt(field.dataset.validateRemoteDelay) || instance.config.remoteValidateDelay;
+    remote.timers.set(field, setTimeout(() => {
+      remote.timers.delete(field);
+      this.validateField(instance, field, true);
+    }, delay));
+  },
+
+  getRemoteValidationParams(instance, field) {
+    const params = {[field.name]: this.getFieldValue(field) ?? ''};
+    (field.dataset.validateRemoteWith || '').split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+      const other = instance.element.querySelector(`[name="${CSS.escape(name)}"]`);
+      if (other) params[name] = this.getFieldValue(other) ?? '';
+    });
+    return params;
+  },
+
+  async requestRemoteValidation(url, params, signal) {
+    let response;
+    if (window.ApiService?.get) {
+      response = await window.ApiService.get(url, params, {
+        signal,
+        cache: {enabled: false},
+        headers: {'Accept': 'application/json'}
+      });
+    } else if (window.simpleFetch?.get) {
+      response = await window.simpleFetch.get(`${url}?${new URLSearchParams(params)}`, {signal});
+    } else {
+      throw new Error('ApiService or simpleFetch not available');
+    }
+
+    const body = response?.data ?? response;
+    if (response?.success === false || body?.success === false || response?.status >= 400) {
+      throw new Error(body?.message || response?.statusText || `Request failed (${response?.status || 'unknown'})`);
+    }
+
+    const result = body?.data ?? body;
+    return typeof result === 'boolean'
+      ? {valid: result}
+      : {valid: result?.valid !== false, message: result?.message || ''};
+  },
+
+  setRemotePending(instance, field, pending) {
+    field.classList.toggle('validating', pending);
+    field.closest('.form-control')?.classList.toggle('validating', pending);
+    if (pending) {
+      field.setAttribute('aria-busy', 'true');
+    } else {
+      field.removeAttribute('aria-busy');
+    }
+
+    this.emitEvent('form:field:validating', {
+      formId: instance.id,
+      field,
+      name: field.name,
+      pending
+    });
+  },
+
+  /**
+   * Validate every field of the form, or only the fields inside scope
+   * (e.g. the current step of a wizard form)
+   * @param {Object} instance - Form instance
+   * @param {HTMLElement|null} scope - Element containing the fields to validate
+   * @returns {Promise<boolean>}
+   */
+  async validateForm(instance, scope = null) {
     FormError.clearAll();
     instance.state.errors = {};
 
@@ -1482,6 +1882,8 @@ const FormManager = {
 
     // Force validate all fields on form submit (bypass validateOnlyDirty)
     for (const [name, field] of instance.elements) {
+      if (scope && !scope.contains(Array.isArray(field) ? field[0] : field)) continue;
+
       if (Array.isArray(field)) {
         if (field.length > 0) {
           promises.push(this.validateField(instance, field[0], true).then(
@@ -1510,6 +1912,15 @@ const FormManager = {
     instance.state.valid = isValid;
 
     if (!isValid && invalidFields.length > 0) {
+      // Fields validate concurrently; report the first one in document order
+      invalidFields.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+      // Wizard forms open the step holding the first invalid field
+      if (instance.steps) {
+        const step = this.getFieldStep(instance, invalidFields[0]);
+        if (step > -1 && step !== instance.steps.current) this.showStep(instance, step, {focus: false});
+      }
+
       invalidFields[0].focus();
 
       invalidFields[0].scrollIntoView({
@@ -1573,6 +1984,9 @@ const FormManager = {
           const name = nativeEl.name;
           if (!name) continue; // Skip unnamed controls
 
+          // Fields hidden by data-show-if are not part of the submission
+          if (this.isConditionHidden(nativeEl)) continue;
+
           // Skip if we already processed this name (for radio/checkbox groups)
           if (processedNames.has(name)) continue;
 
@@ -1610,6 +2024,21 @@ const FormManager = {
           }
 
           if (nativeEl.type === 'file') {
+            // Chunked uploads are already on the server; send their upload ids instead
+            const uploads = this.getChunkUploader(nativeEl);
+            if (uploads) {
+              const ids = uploads.getUploadIds();
+              if (nativeEl.multiple) {
+                ids.forEach(id => formData.append(`${name}[]`, id));
+                jsonData[name] = ids;
+              } else if (ids.length > 0) {
+                formData.append(name, ids[0]);
+                jsonData[name] = ids[0];
+              }
+              processedNames.add(name);
+              continue;
+            }
+
             // Handle file inputs
             if (nativeEl.multiple && nativeEl.files.length > 0) {
               Array.from(nativeEl.files).forEach(file => formData.append(`${name}[]`, file));
@@ -1659,6 +2088,10 @@ const FormManager = {
       console.warn('FormManager: Error reading form.elements', e);
     }
 
+    // Repeater fields (items[0][qty]) are returned as an array of row objects
+    instance.repeaters?.forEach(repeater => this.collectRepeaterData(repeater, jsonData));
+    instance.schemas?.forEach(entry => this.collectSchemaData(entry, jsonData));
+
     if (!loading && instance.config.csrf !== false) {
       // Check for existing CSRF token in the form
       const existingCsrfInput = element.querySelector('input[name="_token"]');
@@ -1763,7 +2196,13 @@ const FormManager = {
 
     const {element, elements} = instance;
 
-    for (const [fieldName, value] of Object.entries(data.data || data)) {
+    for (const [fieldName, value] of Object.entries(this.flattenSchemaValues(instance, data.data || data))) {
+      if (instance.repeaters?.has(fieldName)) {
+        this.setRepeaterRows(instance, fieldName, value);
+        instance.state.data[fieldName] = value;
+        continue;
+      }
+
       // Find the form field(s) by name
       const field = elements.get(fieldName);
 
@@ -1954,6 +2393,8 @@ const FormManager = {
       TemplateManager.processDataDirectives(element, context);
     }
 
+    this.evaluateConditions(instance);
+
     // Trigger change event to update any dependent elements
     this.emitEvent('form:data:set', {
       formId: instance.id,
@@ -2046,17 +2487,9 @@ const FormManager = {
 
   async submitAjax(instance, data) {
     const {element, config} = instance;
-    const hasFiles = Array.from(element.elements).some(el => el.type === 'file' && el.files?.length > 0);
+    const hasFiles = this.hasSelectedFiles(element);
     try {
-      const method = element.getAttribute('data-method') ||
-        element.method ||
-        config.method ||
-        'POST';
-
-      const url = element.getAttribute('data-action') ||
-        element.action ||
-        config.action ||
-        window.location.href;
+      const {method, url} = this.getSubmitTarget(instance);
 
       let response;
 
@@ -2103,7 +2536,9 @@ const FormManager = {
           message: Now.translate(response.data?.message || response.statusText || config.errorMessage),
           errors: response.data?.errors || {},
           status: response.status,
-          data: response.data
+          data: response.data,
+          // The request did not reach the server
+          networkError: !!response.error && response.data == null
         };
       }
 
@@ -2116,6 +2551,14 @@ const FormManager = {
     }
   },
 
+  getSubmitTarget(instance) {
+    const {element, config} = instance;
+    return {
+      method: element.getAttribute('data-method') || element.method || config.method || 'POST',
+      url: element.getAttribute('data-action') || element.action || config.action || window.location.href
+    };
+  },
+
   submitWithProgress(instance, url, formData) {
     return new Promise((resolve, reject) => {
       const {element, config} = instance;
@@ -2508,7 +2951,7 @@ const FormManager = {
     window.location.href = url;
   },
 
-  async handleSuccessfulSubmit(instance, response) {
+  async handleSuccessfulSubmit(instance, response, options = {}) {
     const {element, config} = instance;
 
     FormError.clearAll();
@@ -2517,8 +2960,18 @@ const FormManager = {
       this.resetForm(instance);
     }
 
+    // The saved values are the new baseline for unsaved-changes checks
+    instance.state.modified = false;
+    instance.state.originalData = this.getFormData(instance, true);
+    this.deleteDraft(instance);
+
     const data = response.data.data || response.data;
 
+    // Saved on the way to another page, which the navigation continues to
+    if (options.leaving && Array.isArray(data?.actions)) {
+      data.actions = data.actions.filter(action => action.type !== 'redirect');
+    }
+
     // Handle login form authentication OR register form with auto-login
     if (data && data.user && data.token &&
       (element.dataset.form === 'login' || element.dataset.form === 'register')) {
@@ -2612,7 +3065,7 @@ const FormManager = {
     }
 
     // Handle redirect (if not handled by ResponseHandler actions)
-    if (!(data && data.actions && data.actions.some(a => a.type === 'redirect'))) {
+    if (!options.leaving && !(data && data.actions && data.actions.some(a => a.type === 'redirect'))) {
       const redirectUrl = this.determineRedirectUrl(element, response, config);
 
       if (redirectUrl) {
@@ -2751,7 +3204,8 @@ const FormManager = {
     if (response.errors && !response.actions) {
       const errorMessages = [];
 
-      Object.entries(response.errors).forEach(([field, messages]) => {
+      Object.entries(response.errors).forEach(([key, messages]) => {
+        const field = this.getRepeaterFieldName(instance, key);
         const message = Array.isArray(messages) ? messages[0] : messages;
 
         // Always highlight the field
@@ -2771,6 +3225,20 @@ const FormManager = {
       }
     }
 
+    // Wizard forms go back to the first step holding a server-side error
+    if (instance.steps && response.errors) {
+      const fields = Object.keys(response.errors)
+        .map(key => this.getRepeaterFieldName(instance, key))
+        .map(name => ({name, step: this.getFieldStep(instance, name)}))
+        .filter(item => item.step > -1)
+        .sort((a, b) => a.step - b.step);
+      if (fields.length) {
+        this.showStep(instance, fields[0].step, {focus: false});
+        const field = instance.elements.get(fields[0].name);
+        (Array.isArray(field) ? field[0] : field)?.focus();
+      }
+    }
+
     this.emitEvent('form:error', {
       formId: instance.id,
       response: response,
@@ -2778,6 +3246,48 @@ const FormManager = {
     });
   },
 
+  /**
+   * File input enhanced with chunked uploads (data-chunk-upload), if it is one
+   * @param {HTMLInputElement} field - File input
+   * @returns {Object|null} FileElementFactory instance
+   */
+  getChunkUploader(field) {
+    if (!field.dataset.chunkUpload) return null;
+    const uploader = window.ElementManager?.getInstanceByElement(field);
+    return typeof uploader?.getUploadIds === 'function' ? uploader : null;
+  },
+
+  /**
+   * Whether the form has files that must be sent with it (chunked uploads are sent separately)
+   * @param {HTMLFormElement} element - Form element
+   * @returns {boolean}
+   */
+  hasSelectedFiles(element) {
+    return Array.from(element.elements).some(el =>
+      el.type === 'file' && el.files?.length > 0 && !this.getChunkUploader(el)
+    );
+  },
+
+  /**
+   * Wait for the chunked uploads of a form to finish
+   * @param {Object} instance - Form instance
+   * @returns {Promise<boolean>} False when an upload is paused or failed
+   */
+  async waitForUploads(instance) {
+    const fields = Array.from(instance.element.elements).filter(el => el.type === 'file' && this.getChunkUploader(el));
+    let complete = true;
+
+    for (const field of fields) {
+      if (await this.getChunkUploader(field).waitForUploads()) continue;
+
+      complete = false;
+      const message = Now.translate('Wait for the upload to finish or remove the file');
+      instance.state.errors[field.name] = message;
+      FormError.showFieldError(field.name, message, instance.element);
+    }
+    return complete;
+  },
+
   handleInvalidSubmit(instance) {
     if (window.NotificationManager) {
       // Show the first field's error message for better user experience
@@ -2818,11 +3328,24 @@ const FormManager = {
 
     FormError.clearAll();
 
+    instance.repeaters?.forEach((repeater, name) => {
+      this.setRepeaterRows(instance, name, instance.state.originalData.jsonData?.[name]);
+    });
+
+    this.evaluateConditions(instance);
+
     instance.state.errors = {};
     instance.state.valid = true;
+    instance.state.modified = false;
+    this.deleteDraft(instance);
 
     instance.state.data = {...instance.state.originalData};
 
+    if (instance.steps) {
+      instance.steps.visited = 0;
+      this.showStep(instance, 0, {focus: false});
+    }
+
     elements.forEach((field, name) => {
       if (Array.isArray(field)) {
         field.forEach(el => {
@@ -2843,83 +3366,1721 @@ const FormManager = {
   },
 
   /**
-   * Handle cascade when a field with data-cascade-source changes
+   * Whether a form has changes that were not saved
    * @param {Object} instance - Form instance
-   * @param {HTMLElement} sourceField - The field that triggered the cascade
+   * @returns {boolean}
    */
-  async handleCascade(instance, sourceField) {
-    const {element} = instance;
-    const cascadeApi = element.dataset.cascadeApi;
+  isDirty(instance) {
+    if (!instance?.state.modified) return false;
 
-    if (!cascadeApi) {
-      console.warn('FormManager: data-cascade-api not found on form');
-      return;
-    }
+    const values = this.getFormData(instance, true).jsonData;
+    return JSON.stringify(values) !== JSON.stringify(instance.state.originalData?.jsonData || {});
+  },
 
-    // Prevent cascade loop - check if we're already processing a cascade
-    if (instance.state.cascading) return;
+  getUnsavedForms() {
+    return Array.from(this.state.forms.values()).filter(instance =>
+      instance.element.isConnected &&
+      instance.element.dataset.confirmLeave !== undefined &&
+      this.isDirty(instance)
+    );
+  },
 
-    try {
-      // Mark as cascading to prevent loops
-      instance.state.cascading = true;
+  /**
+   * Router guard for forms marked data-confirm-leave. Asks whether to save, discard
+   * or keep unsaved changes before another page replaces the form; saving continues
+   * the navigation only when the form was saved.
+   * @returns {Promise<boolean>} False keeps the current page
+   */
+  async confirmLeave() {
+    if (this.state.leavePrompt) return this.state.leavePrompt;
 
-      // Show loading state on source field
-      sourceField.classList.add('loading');
+    const unsaved = this.getUnsavedForms();
+    if (!unsaved.length) return true;
 
-      // Collect all fields with data-cascade-source
-      const cascadeFields = Array.from(element.querySelectorAll('[data-cascade-source]'));
+    this.state.leavePrompt = (async () => {
+      for (const instance of unsaved) {
+        const choice = await this.askUnsavedChanges(instance);
+        if (choice === 'cancel') return false;
 
-      // Build FormData with all cascade field values
-      const formData = new FormData();
-      cascadeFields.forEach(field => {
-        const fieldName = field.name || field.id;
-        const fieldValue = this.getFieldValue(field);
-        if (fieldValue !== null && fieldValue !== undefined && fieldValue !== '') {
-          formData.append(fieldName, fieldValue);
+        if (choice === 'save') {
+          // Validation and server errors are shown on the form, which stays open
+          const response = await this.submitForm(instance, {leaving: true});
+          if (response?.success !== true) return false;
+        } else {
+          instance.state.modified = false;
+          this.deleteDraft(instance);
         }
-      });
-
-      // Add source parameter (which field triggered the change)
-      const sourceName = sourceField.dataset.cascadeSource;
-      formData.append('source', sourceName);
-
-      // Call cascade API using framework's HTTP client (includes CSRF token)
-      let response;
-      if (window.ApiService && typeof window.ApiService.post === 'function') {
-        response = await window.ApiService.post(cascadeApi, formData);
-      } else if (window.simpleFetch && typeof window.simpleFetch.post === 'function') {
-        response = await window.simpleFetch.post(cascadeApi, formData);
-      } else {
-        throw new Error('FormManager: No HTTP client available (ApiService or simpleFetch required)');
-      }
-
-      // Process response
-      if (response && response.data) {
-        this.processCascadeResponse(instance, response.data, sourceField);
       }
+      return true;
+    })();
 
-    } catch (error) {
-      console.error('FormManager: Error handling cascade:', error);
+    try {
+      return await this.state.leavePrompt;
     } finally {
-      sourceField.classList.remove('loading');
-      // Release cascade lock
-      instance.state.cascading = false;
+      this.state.leavePrompt = null;
     }
   },
 
   /**
-   * Process cascade API response
-   * Format: {data: {...}, options: {...}}
    * @param {Object} instance - Form instance
-   * @param {Object} responseData - Response data from cascade API
-   * @param {HTMLElement} sourceField - The field that triggered the cascade (optional)
+   * @returns {Promise<string>} "save", "discard" or "cancel"
    */
-  processCascadeResponse(instance, responseData, sourceField = null) {
-    const {element} = instance;
+  askUnsavedChanges(instance) {
+    const message = Now.translate(instance.element.dataset.confirmLeave || 'You have unsaved changes. Do you want to save them before leaving?');
 
-    // Handle nested structure from API wrapper (e.g., {data: {data: {...}, options: {...}}})
-    let actualData = responseData;
-    if (responseData.data && responseData.data.data && responseData.data.options) {
+    if (!window.DialogManager) {
+      return Promise.resolve(window.confirm(message) ? 'discard' : 'cancel');
+    }
+
+    return new Promise(resolve => {
+      DialogManager.custom({
+        template: 'confirm',
+        title: Now.translate('Unsaved changes'),
+        message,
+        buttons: {
+          cancel: {
+            text: Now.translate('Cancel'),
+            class: 'text',
+            callback: () => resolve('cancel')
+          },
+          discard: {
+            text: Now.translate('Discard'),
+            class: 'btn-danger',
+            callback: () => resolve('discard')
+          },
+          save: {
+            text: Now.translate('Save'),
+            class: 'btn-primary',
+            callback: () => resolve('save')
+          }
+        },
+        // Closing the dialog (X or Escape) keeps the page
+        onClose: () => resolve('cancel')
+      });
+    });
+  },
+
+  /**
+   * Autosave a data-autosave form as a draft in IndexedDB, one draft per form and
+   * record (the field named by data-autosave-key, "id" by default). A draft left
+   * by an earlier visit is offered for restore until it expires
+   * (data-draft-ttl-days); saving or resetting the form deletes it.
+   * @param {Object} instance - Form instance
+   */
+  async initDraft(instance) {
+    const {element} = instance;
+    if (!window.StorageManager?.isSupported()) return;
+
+    instance.draft = {
+      key: this.getDraftKey(instance),
+      timer: null,
+      queue: Promise.resolve(),
+      offer: null,
+      changed: false
+    };
+
+    const schedule = () => this.scheduleDraftSave(instance);
+    element.addEventListener('input', schedule);
+    element.addEventListener('change', schedule);
+
+    try {
+      await this.purgeExpiredDrafts();
+      const draft = await StorageManager.getById(this.config.draftStore, instance.draft.key, await this.openDraftDB());
+      if (!draft || !element.isConnected) return;
+
+      // Nothing to offer when the draft holds what the form already shows
+      const current = this.getDraftValues(instance).data;
+      if (JSON.stringify(draft.data) === JSON.stringify(current)) return;
+
+      this.offerDraft(instance, draft);
+    } catch (error) {
+      console.warn('FormManager: Failed to read form draft:', error);
+    }
+  },
+
+  openDraftDB() {
+    if (!this.state.draftDB) {
+      const name = this.config.draftDB;
+      this.state.draftDB = StorageManager.createDatabase({
+        name,
+        version: 1,
+        stores: {
+          [this.config.draftStore]: {
+            keyPath: 'key',
+            autoIncrement: false,
+            indexes: [
+              {name: 'formId', keyPath: 'formId'},
+              {name: 'expires', keyPath: 'expires'}
+            ]
+          }
+        }
+      }).then(() => name).catch(error => {
+        this.state.draftDB = null;
+        throw error;
+      });
+    }
+    return this.state.draftDB;
+  },
+
+  async purgeExpiredDrafts() {
+    if (this.state.draftsPurged) return;
+    this.state.draftsPurged = true;
+
+    await StorageManager.deleteByQuery(this.config.draftStore, {
+      index: 'expires',
+      range: IDBKeyRange.upperBound(Date.now())
+    }, await this.openDraftDB());
+  },
+
+  getDraftKey(instance) {
+    const field = instance.element.dataset.autosaveKey || 'id';
+    const recordId = instance.element.querySelector(`[name="${CSS.escape(field)}"]`)?.value;
+    return `${instance.id}:${recordId || 'new'}`;
+  },
+
+  /**
+   * The values a draft keeps: the form's JSON values without passwords and the
+   * CSRF token. Selected files cannot be stored, only their name, size and type.
+   * @param {Object} instance - Form instance
+   * @param {Object|null} values - Stored values to clean, or null for the current ones
+   * @returns {Object} {data, files}
+   */
+  getDraftValues(instance, values = null) {
+    const data = {...(values || this.getFormData(instance, true).jsonData)};
+    const files = {};
+
+    delete data._token;
+    instance.element.querySelectorAll('input[type="password"], input[type="file"]').forEach(field => {
+      delete data[field.name];
+      if (field.type === 'file' && !values && field.files?.length) {
+        files[field.name] = Array.from(field.files).map(file => ({name: file.name, size: file.size, type: file.type}));
+      }
+    });
+
+    return {data, files};
+  },
+
+  scheduleDraftSave(instance) {
+    const {draft} = instance;
+    if (!draft) return;
+
+    // An offered draft is kept until the user restores or discards it
+    if (draft.offer) {
+      draft.changed = true;
+      return;
+    }
+
+    clearTimeout(draft.timer);
+    draft.timer = setTimeout(() => this.saveDraft(instance), instance.config.draftSaveDelay);
+  },
+
+  /**
+   * Store the current values as the form's draft. Values equal to the loaded
+   * record delete the draft instead.
+   * @param {Object} instance - Form instance
+   * @returns {Promise<void>}
+   */
+  saveDraft(instance) {
+    const {draft, element} = instance;
+    if (!draft) return Promise.resolve();
+
+    clearTimeout(draft.timer);
+    draft.timer = null;
+
+    const {data, files} = this.getDraftValues(instance);
+    const original = this.getDraftValues(instance, instance.state.originalData?.jsonData || {}).data;
+    if (JSON.stringify(data) === JSON.stringify(original) && !Object.keys(files).length) {
+      return this.deleteDraft(instance);
+    }
+
+    const ttlDays = parseFloat(element.dataset.draftTtlDays) || instance.config.draftTtlDays;
+    const now = Date.now();
+    const record = {
+      key: draft.key,
+      formId: instance.id,
+      url: window.location.pathname + window.location.search,
+      data,
+      files,
+      savedAt: now,
+      expires: now + ttlDays * 24 * 60 * 60 * 1000
+    };
+
+    return this.queueDraftTask(instance, async (dbName) => {
+      await StorageManager.update(instance.config.draftStore, record, dbName);
+      this.emitEvent('form:draft:save', {formId: instance.id, key: draft.key, savedAt: now});
+    });
+  },
+
+  deleteDraft(instance) {
+    const {draft} = instance;
+    if (!draft) return Promise.resolve();
+
+    clearTimeout(draft.timer);
+    draft.timer = null;
+    this.closeDraftOffer(instance);
+
+    return this.queueDraftTask(instance, async (dbName) => {
+      await StorageManager.delete(instance.config.draftStore, draft.key, dbName);
+    });
+  },
+
+  // Draft writes run one after another, so a late save cannot bring back a deleted draft
+  queueDraftTask(instance, task) {
+    const {draft} = instance;
+    draft.queue = draft.queue
+      .then(() => this.openDraftDB())
+      .then(task)
+      .catch(error => console.warn('FormManager: Failed to store form draft:', error));
+    return draft.queue;
+  },
+
+  /**
+   * Show the "restore draft?" banner above the form
+   * @param {Object} instance - Form instance
+   * @param {Object} draft - Stored draft record
+   */
+  offerDraft(instance, draft) {
+    const banner = document.createElement('div');
+    banner.className = 'form-draft-banner';
+    banner.setAttribute('role', 'status');
+
+    const message = document.createElement('span');
+    message.textContent = Now.translate('Restore the draft saved {time}?', {time: this.formatDraftAge(draft.savedAt)});
+    banner.appendChild(message);
+
+    const fileNames = Object.values(draft.files || {}).flat().map(file => file.name);
+    if (fileNames.length) {
+      const files = document.createElement('small');
+      files.textContent = Now.translate('Files must be attached again: {files}', {files: fileNames.join(', ')});
+      banner.appendChild(files);
+    }
+
+    const restore = document.createElement('button');
+    restore.type = 'button';
+    restore.className = 'btn btn-primary';
+    restore.textContent = Now.translate('Restore');
+    restore.addEventListener('click', () => this.restoreDraft(instance, draft));
+
+    const discard = document.createElement('button');
+    discard.type = 'button';
+    discard.className = 'btn';
+    discard.textContent = Now.translate('Discard');
+    discard.addEventListener('click', () => this.discardDraft(instance));
+
+    banner.append(restore, discard);
+    instance.element.prepend(banner);
+    instance.draft.offer = banner;
+
+    this.emitEvent('form:draft:found', {formId: instance.id, key: draft.key, savedAt: draft.savedAt});
+  },
+
+  closeDraftOffer(instance) {
+    const {draft} = instance;
+    if (!draft?.offer) return;
+
+    draft.offer.remove();
+    draft.offer = null;
+    draft.changed = false;
+  },
+
+  restoreDraft(instance, draft) {
+    this.closeDraftOffer(instance);
+    this.setFormData(instance, draft.data);
+    instance.state.modified = true;
+
+    // The restored values stay in storage until the form is saved
+    this.saveDraft(instance);
+
+    this.emitEvent('form:draft:restore', {formId: instance.id, key: draft.key, data: draft.data});
+  },
+
+  discardDraft(instance) {
+    const {changed} = instance.draft;
+    this.deleteDraft(instance);
+
+    // Changes typed while the banner was open become the new draft
+    if (changed) this.saveDraft(instance);
+
+    this.emitEvent('form:draft:discard', {formId: instance.id, key: instance.draft.key});
+  },
+
+  formatDraftAge(savedAt) {
+    const minutes = Math.round((savedAt - Date.now()) / 60000);
+    const [value, unit] = Math.abs(minutes) < 60
+      ? [minutes, 'minute']
+      : Math.abs(minutes) < 1440 ? [Math.round(minutes / 60), 'hour'] : [Math.round(minutes / 1440), 'day'];
+
+    const i18n = window.Now?.getManager?.('i18n') || window.I18nManager;
+    const locale = (i18n?.getCurrentLocale?.() || navigator.language || 'en').split('-')[0];
+    try {
+      return new Intl.RelativeTimeFormat(locale, {numeric: 'auto'}).format(value, unit);
+    } catch (e) {
+      return new Date(savedAt).toLocaleString();
+    }
+  },
+
+  getSyncManager() {
+    return window.Now?.getManager?.('sync') || window.SyncManager || null;
+  },
+
+  /**
+   * Whether a submission can be kept for later. Selected files cannot be
+   * queued, so forms holding them fail as usual when offline.
+   * @param {Object} instance - Form instance
+   * @returns {boolean}
+   */
+  canQueueOffline(instance) {
+    const {element} = instance;
+    return element.dataset.offline === 'queue' &&
+      !!this.getSyncManager() &&
+      !!window.StorageManager?.isSupported() &&
+      !this.hasSelectedFiles(element);
+  },
+
+  /**
+   * Set up SyncManager for queued form submissions, once per page. Queued
+   * submissions are sent when the connection returns and, right away, those
+   * left over from an earlier visit.
+   * @returns {Promise<Object>} SyncManager
+   */
+  initOfflineSync() {
+    if (!this.state.offlineSync) {
+      const sync = this.getSyncManager();
+      this.state.offlineSync = (async () => {
+        if (!sync.state.initialized) await sync.init();
+        if (!sync.state.enabled) await sync.enable();
+
+        EventManager.on('sync:online', () => sync.syncAll());
+        EventManager.on('sync:operation:success', (e) => this.handleSyncedSubmit(e.data.operation, e.data.response));
+        EventManager.on('sync:operation:rejected', (e) => this.handleRejectedSubmit(e.data.operation, e.data.response));
+
+        if (navigator.onLine) sync.syncAll();
+        return sync;
+      })().catch(error => {
+        this.state.offlineSync = null;
+        throw error;
+      });
+    }
+    return this.state.offlineSync;
+  },
+
+  /**
+   * Show the submissions of a data-offline="queue" form that are still waiting to be sent
+   * @param {Object} instance - Form instance
+   */
+  async initOfflineQueue(instance) {
+    instance.offline = {pending: new Set()};
+    if (!this.getSyncManager() || !window.StorageManager?.isSupported()) return;
+
+    try {
+      const sync = await this.initOfflineSync();
+      const operations = await sync.getPendingOperations();
+      operations
+        .filter(operation => operation.meta?.source === 'form' && operation.meta.formId === instance.id)
+        .forEach(operation => instance.offline.pending.add(operation.id));
+      this.updateSyncStatus(instance);
+    } catch (error) {
+      console.warn('FormManager: Failed to start offline submissions:', error);
+    }
+  },
+
+  /**
+   * Store a submission as a SyncManager pending operation
+   * @param {Object} instance - Form instance
+   * @param {Object} data - {formData, jsonData}
+   * @returns {Promise<Object>} Normalized response with queued: true, or a failure
+   */
+  async queueOfflineSubmit(instance, data) {
+    const {method, url} = this.getSubmitTarget(instance);
+    const values = {...data.jsonData};
+    // The client adds a current token when the operation is finally sent
+    delete values._token;
+
+    try {
+      const sync = await this.initOfflineSync();
+      const operation = await sync.addPendingOperation({
+        storeName: instance.id,
+        method: method.toUpperCase() === 'PUT' ? 'update' : 'add',
+        endpoint: url,
+        data: values,
+        priority: 'high',
+        meta: {
+          source: 'form',
+          formId: instance.id,
+          draftKey: this.getDraftKey(instance),
+          autosave: instance.element.dataset.autosave !== undefined
+        }
+      });
+
+      return {
+        success: true,
+        queued: true,
+        operation,
+        message: Now.translate('You are offline. The data will be sent when the connection returns.')
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: Now.translate(error.message || instance.config.errorMessage),
+        error
+      };
+    }
+  },
+
+  handleQueuedSubmit(instance, response) {
+    const {element, config} = instance;
+
+    FormError.clearAll();
+    if (config.resetAfterSubmit) {
+      this.resetForm(instance);
+    }
+
+    // The queue holds the values now, so they no longer count as unsaved
+    instance.state.modified = false;
+    instance.state.originalData = this.getFormData(instance, true);
+    this.deleteDraft(instance);
+
+    instance.offline?.pending.add(response.operation.id);
+    this.updateSyncStatus(instance);
+
+    if (config.showSuccessInline !== false) {
+      FormError.showSuccess(response.message, element);
+    }
+    if (config.showSuccessInNotification !== false && window.NotificationManager) {
+      NotificationManager.info(response.message);
+    }
+
+    this.emitEvent('form:sync:queued', {
+      formId: instance.id,
+      operation: response.operation
+    });
+  },
+
+  /**
+   * Report a queued submission the server accepted. Actions of the response
+   * (such as redirects) are not run, the user may be on another page by now.
+   * @param {Object} operation - SyncManager operation
+   * @param {Object} response - HTTP response
+   */
+  handleSyncedSubmit(operation, response) {
+    if (operation?.meta?.source !== 'form') return;
+
+    const instance = this.state.forms.get(operation.meta.formId);
+    if (instance?.offline?.pending.delete(operation.id)) {
+      this.updateSyncStatus(instance);
+    }
+
+    if (window.NotificationManager) {
+      NotificationManager.success(Now.translate(response?.data?.message || 'Data saved while offline has been sent'));
+    }
+
+    this.emitEvent('form:sync:success', {
+      formId: operation.meta.formId,
+      operation,
+      response
+    });
+  },
+
+  /**
+   * Report a queued submission the server refused. An open form for the same
+   * record gets the values back with the errors; otherwise the values become
+   * the form's draft (data-autosave forms) so they are not lost.
+   * @param {Object} operation - SyncManager operation
+   * @param {Object} response - HTTP response
+   */
+  async handleRejectedSubmit(operation, response) {
+    if (operation?.meta?.source !== 'form') return;
+
+    const {formId, draftKey, autosave} = operation.meta;
+    const body = response?.data && typeof response.data === 'object' ? response.data : {};
+    const message = Now.translate(body.message || 'Data saved while offline could not be sent');
+
+    let instance = this.state.forms.get(formId);
+    if (instance?.offline?.pending.delete(operation.id)) {
+      this.updateSyncStatus(instance);
+    }
+    if (instance && (!instance.element.isConnected || this.getDraftKey(instance) !== draftKey)) {
+      instance = null;
+    }
+
+    if (instance) {
+      this.setFormData(instance, operation.data);
+      instance.state.modified = true;
+      this.handleFailedSubmit(instance, {
+        success: false,
+        message,
+        errors: body.errors || {},
+        status: response?.status,
+        data: body
+      });
+    } else {
+      if (autosave && window.StorageManager?.isSupported()) {
+        try {
+          const now = Date.now();
+          await StorageManager.update(this.config.draftStore, {
+            key: draftKey,
+            formId,
+            data: operation.data,
+            files: {},
+            savedAt: now,
+            expires: now + this.config.draftTtlDays * 24 * 60 * 60 * 1000
+          }, await this.openDraftDB());
+        } catch (error) {
+          console.warn('FormManager: Failed to keep rejected data as a draft:', error);
+        }
+      }
+      if (window.NotificationManager) {
+        NotificationManager.error(message);
+      }
+    }
+
+    this.emitEvent('form:sync:rejected', {
+      formId,
+      operation,
+      response
+    });
+  },
+
+  updateSyncStatus(instance) {
+    const {element, offline} = instance;
+    let status = element.querySelector('.form-sync-status');
+    const count = offline?.pending.size || 0;
+
+    if (!count) {
+      status?.remove();
+      delete element.dataset.sync;
+      return;
+    }
+
+    if (!status) {
+      status = document.createElement('p');
+      status.className = 'form-sync-status';
+      status.setAttribute('role', 'status');
+      element.prepend(status);
+    }
+    status.textContent = Now.translate('{count} submissions waiting to sync', {count});
+    element.dataset.sync = 'pending';
+  },
+
+  /**
+   * Turn a form with data-steps into a wizard. Each [data-step] section is one
+   * step, titled by its data-step value or its legend. The form is still sent
+   * once, by the submit button shown on the last step.
+   * @param {Object} instance - Form instance
+   */
+  initSteps(instance) {
+    const {element} = instance;
+    const sections = Array.from(element.querySelectorAll('[data-step]'));
+    if (sections.length < 2) return;
+
+    const steps = {
+      sections,
+      current: 0,
+      visited: 0,
+      param: element.dataset.steps || instance.config.stepParam,
+      progress: document.createElement('ol'),
+      back: document.createElement('button'),
+      next: document.createElement('button'),
+      status: document.createElement('p')
+    };
+    instance.steps = steps;
+
+    steps.progress.className = 'form-steps';
+    sections.forEach((section, index) => {
+      const title = section.dataset.step || section.querySelector('legend')?.textContent.trim() || `${index + 1}`;
+      const li = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.stepIndex = index;
+      button.innerHTML = `<span class="form-step-number">${index + 1}</span> <span class="form-step-title"></span>`;
+      button.querySelector('.form-step-title').textContent = Now.translate(title);
+      li.appendChild(button);
+      steps.progress.appendChild(li);
+    });
+    steps.progress.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-step-index]');
+      if (button) this.goToStep(instance, parseInt(button.dataset.stepIndex));
+    });
+    sections[0].before(steps.progress);
+
+    steps.status.className = 'form-step-status sr-only';
+    steps.status.setAttribute('aria-live', 'polite');
+    steps.progress.after(steps.status);
+
+    steps.back.type = 'button';
+    steps.back.className = 'btn form-step-back';
+    steps.back.textContent = Now.translate('Back');
+    steps.back.addEventListener('click', () => this.prevStep(instance));
+
+    steps.next.type = 'button';
+    steps.next.className = 'btn btn-primary form-step-next';
+    steps.next.textContent = Now.translate('Next');
+    steps.next.addEventListener('click', () => this.nextStep(instance));
+
+    const submitButton = element.querySelector(instance.config.submitButtonSelector);
+    if (submitButton) {
+      submitButton.before(steps.back, steps.next);
+    } else {
+      const nav = document.createElement('div');
+      nav.className = 'form-step-nav';
+      nav.append(steps.back, steps.next);
+      element.appendChild(nav);
+    }
+
+    // Hidden steps cannot show native validation messages; each step is validated by validateForm()
+    element.noValidate = true;
+
+    // Resume at the step in the URL; the final submit still validates every step
+    const requested = parseInt(this.getStepParam(steps.param)) - 1;
+    const start = requested > 0 ? Math.min(requested, sections.length - 1) : 0;
+    steps.visited = start;
+    this.showStep(instance, start, {focus: false});
+  },
+
+  /**
+   * Show one step and update the progress indicator, buttons and URL
+   * @param {Object} instance - Form instance
+   * @param {number} index - Step index (0-based)
+   * @param {Object} options - {focus: move focus to the first field of the step}
+   */
+  showStep(instance, index, options = {}) {
+    const {steps} = instance;
+    if (!steps) return;
+
+    const last = steps.sections.length - 1;
+    index = Math.max(0, Math.min(index, last));
+    const previous = steps.current;
+    steps.current = index;
+    steps.visited = Math.max(steps.visited, index);
+
+    steps.sections.forEach((section, i) => {
+      section.hidden = i !== index;
+    });
+
+    steps.progress.querySelectorAll('li').forEach((li, i) => {
+      li.classList.toggle('active', i === index);
+      li.classList.toggle('completed', i < index);
+      const button = li.querySelector('button');
+      button.disabled = i > steps.visited;
+      if (i === index) {
+        button.setAttribute('aria-current', 'step');
+      } else {
+        button.removeAttribute('aria-current');
+      }
+    });
+
+    steps.status.textContent = Now.translate('Step {current} of {total}', {current: index + 1, total: last + 1});
+    steps.back.disabled = index === 0;
+    steps.next.hidden = index === last;
+    const submitButton = instance.element.querySelector(instance.config.submitButtonSelector);
+    if (submitButton) submitButton.hidden = index !== last;
+
+    this.setStepParam(steps.param, index === 0 ? null : index + 1);
+
+    if (options.focus !== false) {
+      const field = steps.sections[index].querySelector('input:not([type="hidden"]), select, textarea');
+      field?.focus();
+    }
+
+    this.emitEvent('form:step', {
+      formId: instance.id,
+      step: index,
+      previous,
+      total: last + 1
+    });
+  },
+
+  /**
+   * Validate the current step and move to the next one
+   * @param {Object} instance - Form instance
+   * @returns {Promise<boolean>} False when the current step is invalid
+   */
+  async nextStep(instance) {
+    const {steps} = instance;
+    if (!steps) return false;
+
+    const valid = await this.validateForm(instance, steps.sections[steps.current]);
+    if (!valid) {
+      this.handleInvalidSubmit(instance);
+      return false;
+    }
+
+    this.showStep(instance, steps.current + 1);
+    return true;
+  },
+
+  prevStep(instance) {
+    if (instance.steps) this.showStep(instance, instance.steps.current - 1);
+  },
+
+  /**
+   * Jump to a step. Earlier steps are always reachable; later steps only when
+   * every step before them is valid.
+   * @param {Object} instance - Form instance
+   * @param {number} index - Step index (0-based)
+   * @returns {Promise<boolean>}
+   */
+  async goToStep(instance, index) {
+    const {steps} = instance;
+    if (!steps || index === steps.current) return false;
+
+    while (steps.current < index) {
+      if (!await this.nextStep(instance)) return false;
+    }
+    if (index < steps.current) this.showStep(instance, index);
+    return true;
+  },
+
+  /**
+   * Index of the step containing a field
+   * @param {Object} instance - Form instance
+   * @param {HTMLElement|string} field - Field element or name
+   * @returns {number} Step index, or -1
+   */
+  getFieldStep(instance, field) {
+    const {steps, element} = instance;
+    if (!steps) return -1;
+
+    if (typeof field === 'string') {
+      const named = instance.elements.get(field);
+      field = (Array.isArray(named) ? named[0] : named) ||
+        element.querySelector(`[name="${CSS.escape(field)}"], [name="${CSS.escape(field)}[]"]`) ||
+        document.getElementById(field);
+    }
+    if (!field) return -1;
+
+    return steps.sections.findIndex(section => section.contains(field));
+  },
+
+  getStepParam(name) {
+    const hashQuery = window.location.hash.split('?')[1];
+    const params = new URLSearchParams(hashQuery !== undefined ? hashQuery : window.location.search);
+    return params.get(name);
+  },
+
+  setStepParam(name, value) {
+    const hash = window.location.hash;
+    const hashMode = hash.includes('?') || hash.startsWith('#/');
+    const [base, query = ''] = hashMode ? hash.split('?') : [window.location.pathname, window.location.search.substring(1)];
+    const params = new URLSearchParams(query);
+    if (value === null) {
+      params.delete(name);
+    } else {
+      params.set(name, value);
+    }
+
+    const queryString = params.toString();
+    const url = hashMode
+      ? `${window.location.pathname}${window.location.search}${base}${queryString ? '?' + queryString : ''}`
+      : `${base}${queryString ? '?' + queryString : ''}${hash}`;
+
+    try {
+      window.history.replaceState(window.history.state, '', url);
+    } catch (e) {
+      console.warn('FormManager: Failed to update step in URL:', e);
+    }
+  },
+
+  /**
+   * Set up the repeatable field groups of a form. A [data-repeater="items"] container
+   * holds a <template> with the fields of one row, named relative to the row (name="qty").
+   * Rendered rows name their fields items[0][qty], items[1][qty], ... so native and
+   * multipart submits post a nested array and getFormData() returns items as an array
+   * of row objects. data-min and data-max limit the number of rows.
+   * Runs before the form data is loaded so setFormData() can fill the rows.
+   * @param {Object} instance - Form instance
+   */
+  initRepeaters(instance) {
+    instance.repeaters = new Map();
+
+    instance.element.querySelectorAll('[data-repeater]').forEach(container => {
+      const name = container.dataset.repeater;
+      const template = container.querySelector(':scope > template');
+      if (!name || !template) {
+        console.warn('FormManager: data-repeater requires a name and a <template>:', container);
+        return;
+      }
+
+      const repeater = {
+        name,
+        container,
+        template,
+        min: Math.max(0, parseInt(container.dataset.min) || 0),
+        max: parseInt(container.dataset.max) || Infinity,
+        list: container.querySelector('[data-repeater-list]'),
+        addButton: container.querySelector('[data-repeater-add]'),
+        reorder: container.dataset.sortable !== 'false',
+        sortable: null
+      };
+      instance.repeaters.set(name, repeater);
+
+      if (!repeater.list) {
+        repeater.list = document.createElement('div');
+        repeater.list.className = 'repeater-list';
+        template.after(repeater.list);
+      }
+
+      if (!repeater.addButton) {
+        repeater.addButton = document.createElement('button');
+        repeater.addButton.type = 'button';
+        repeater.addButton.className = 'btn repeater-add';
+        repeater.addButton.dataset.repeaterAdd = '';
+        repeater.addButton.textContent = Now.translate(container.dataset.addText || 'Add');
+        repeater.list.after(repeater.addButton);
+      }
+
+      container.addEventListener('click', (e) => {
+        if (e.target.closest('[data-repeater]') !== container) return;
+
+        if (e.target.closest('[data-repeater-add]')) {
+          this.addRepeaterRow(instance, name);
+          return;
+        }
+        const remove = e.target.closest('[data-repeater-remove]');
+        if (remove) {
+          this.removeRepeaterRow(instance, name, remove.closest('.repeater-row'));
+        }
+      });
+
+      // Sortable only drags with the pointer, the handle moves its row with the arrow keys
+      container.addEventListener('keydown', (e) => {
+        const handle = e.target.closest('[data-repeater-handle]');
+        if (!handle || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+        e.preventDefault();
+        this.moveRepeaterRow(instance, name, handle.closest('.repeater-row'), e.key === 'ArrowUp' ? -1 : 1);
+        handle.focus();
+      });
+
+      if (repeater.reorder && typeof Sortable !== 'undefined') {
+        repeater.sortable = new Sortable(repeater.list, {
+          draggable: '.repeater-row',
+          handle: '[data-repeater-handle]',
+          animation: 150,
+          onEnd: (evt) => {
+            if (evt.newIndex !== evt.oldIndex) this.handleRepeaterSort(instance, repeater, evt.item);
+          }
+        });
+      }
+
+      this.setRepeaterRows(instance, name, []);
+    });
+  },
+
+  getRepeaterRows(repeater) {
+    return Array.from(repeater.list.children).filter(el => el.classList.contains('repeater-row'));
+  },
+
+  /**
+   * Replace the rows of a repeater with one row per item, keeping at least data-min rows
+   * @param {Object} instance - Form instance
+   * @param {string} name - Repeater name
+   * @param {Array<Object>} items - Row values
+   */
+  setRepeaterRows(instance, name, items) {
+    const repeater = instance.repeaters?.get(name);
+    if (!repeater) return;
+
+    items = Array.isArray(items) ? items.slice(0, repeater.max) : [];
+    this.getRepeaterRows(repeater).forEach(row => {
+      this.destroyRepeaterRow(instance, row);
+      row.remove();
+    });
+
+    const count = Math.max(repeater.min, items.length);
+    for (let i = 0; i < count; i++) {
+      repeater.list.appendChild(this.createRepeaterRow(repeater));
+    }
+    this.updateRepeater(instance, repeater);
+
+    this.getRepeaterRows(repeater).forEach((row, index) => {
+      if (items[index]) this.setRepeaterRowValues(row, items[index]);
+    });
+  },
+
+  /**
+   * Append a row to a repeater
+   * @param {Object} instance - Form instance
+   * @param {string} name - Repeater name
+   * @param {Object} values - Initial values of the row
+   * @returns {HTMLElement|null} The new row, or null when the repeater is full
+   */
+  addRepeaterRow(instance, name, values = null) {
+    const repeater = instance.repeaters?.get(name);
+    if (!repeater || this.getRepeaterRows(repeater).length >= repeater.max) return null;
+
+    const row = this.createRepeaterRow(repeater);
+    repeater.list.appendChild(row);
+    this.updateRepeater(instance, repeater);
+    if (values) this.setRepeaterRowValues(row, values);
+
+    instance.state.modified = true;
+    this.scheduleDraftSave(instance);
+    this.evaluateConditions(instance);
+    row.querySelector('input:not([type="hidden"]), select, textarea')?.focus();
+
+    this.emitEvent('form:repeater:add', {
+      formId: instance.id,
+      name,
+      row,
+      index: Number(row.dataset.index)
+    });
+    return row;
+  },
+
+  /**
+   * Remove a row from a repeater. Rows below data-min cannot be removed.
+   * @param {Object} instance - Form instance
+   * @param {string} name - Repeater name
+   * @param {HTMLElement|number} row - Row element or index
+   * @returns {boolean}
+   */
+  removeRepeaterRow(instance, name, row) {
+    const repeater = instance.repeaters?.get(name);
+    if (!repeater) return false;
+
+    const rows = this.getRepeaterRows(repeater);
+    if (typeof row === 'number') row = rows[row];
+    const index = rows.indexOf(row);
+    if (index < 0 || rows.length <= repeater.min) return false;
+
+    // Errors are keyed by field name, which changes for every row below this one
+    this.clearRepeaterErrors(instance, repeater);
+    this.destroyRepeaterRow(instance, row);
+    row.remove();
+    this.updateRepeater(instance, repeater);
+
+    instance.state.modified = true;
+    this.scheduleDraftSave(instance);
+    this.evaluateConditions(instance);
+
+    const next = rows[index + 1] || rows[index - 1];
+    (next?.querySelector('input:not([type="hidden"]), select, textarea') || repeater.addButton).focus();
+
+    this.emitEvent('form:repeater:remove', {
+      formId: instance.id,
+      name,
+      index
+    });
+    return true;
+  },
+
+  /**
+   * Move a row up (-1) or down (1)
+   * @param {Object} instance - Form instance
+   * @param {string} name - Repeater name
+   * @param {HTMLElement} row - Row element
+   * @param {number} offset - Direction
+   */
+  moveRepeaterRow(instance, name, row, offset) {
+    const repeater = instance.repeaters?.get(name);
+    if (!repeater || !row) return;
+
+    const rows = this.getRepeaterRows(repeater);
+    const target = rows[rows.indexOf(row) + offset];
+    if (!target) return;
+
+    if (offset < 0) {
+      target.before(row);
+    } else {
+      target.after(row);
+    }
+    this.handleRepeaterSort(instance, repeater, row);
+  },
+
+  handleRepeaterSort(instance, repeater, row) {
+    this.clearRepeaterErrors(instance, repeater);
+    this.updateRepeater(instance, repeater);
+    instance.state.modified = true;
+    this.scheduleDraftSave(instance);
+
+    this.emitEvent('form:repeater:sort', {
+      formId: instance.id,
+      name: repeater.name,
+      row,
+      index: Number(row.dataset.index)
+    });
+  },
+
+  createRepeaterRow(repeater) {
+    const row = document.createElement('div');
+    row.className = 'repeater-row';
+    row.appendChild(repeater.template.content.cloneNode(true));
+
+    // Remember the names and ids of the template, rows are renamed on every change
+    row.querySelectorAll('[name]').forEach(field => {
+      field.dataset.repeaterField = field.getAttribute('name');
+    });
+    row.querySelectorAll('[id]').forEach(el => {
+      el.dataset.repeaterId = el.id;
+    });
+    row.querySelectorAll('label[for]').forEach(label => {
+      label.dataset.repeaterFor = label.htmlFor;
+    });
+
+    if (repeater.reorder && !row.querySelector('[data-repeater-handle]')) {
+      const handle = document.createElement('span');
+      handle.className = 'drag-handle repeater-handle';
+      handle.dataset.repeaterHandle = '';
+      handle.tabIndex = 0;
+      handle.setAttribute('role', 'button');
+      handle.setAttribute('aria-label', Now.translate('Drag to reorder'));
+      handle.textContent = '⋮⋮';
+      row.prepend(handle);
+    }
+
+    if (!row.querySelector('[data-repeater-remove]')) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn repeater-remove';
+      remove.dataset.repeaterRemove = '';
+      remove.textContent = Now.translate('Remove');
+      row.appendChild(remove);
+    }
+
+    return row;
+  },
+
+  /**
+   * Rename the rows in their current order, update the add/remove buttons and
+   * register the row fields so they are validated with the form
+   * @param {Object} instance - Form instance
+   * @param {Object} repeater - Repeater state
+   */
+  updateRepeater(instance, repeater) {
+    const {name} = repeater;
+    const rows = this.getRepeaterRows(repeater);
+
+    rows.forEach((row, index) => {
+      const prefix = `${name}_${index}_`;
+      row.dataset.index = index;
+
+      row.querySelectorAll('[data-repeater-id]').forEach(el => {
+        el.id = prefix + el.dataset.repeaterId;
+      });
+      row.querySelectorAll('label[data-repeater-for]').forEach(label => {
+        label.htmlFor = prefix + label.dataset.repeaterFor;
+      });
+      row.querySelectorAll('[data-repeater-field]').forEach(field => {
+        const relative = field.dataset.repeaterField;
+        field.name = relative.endsWith('[]')
+          ? `${name}[${index}][${relative.slice(0, -2)}][]`
+          : `${name}[${index}][${relative}]`;
+
+        // FormError shows messages in result_{id}
+        const result = field.dataset.repeaterId && row.querySelector(`[id="${prefix}result_${field.dataset.repeaterId}"]`);
+        if (result) field.dataset.result = result.id;
+      });
+    });
+
+    repeater.container.dataset.count = rows.length;
+    repeater.addButton.disabled = rows.length >= repeater.max;
+    repeater.list.querySelectorAll('[data-repeater-remove]').forEach(button => {
+      button.disabled = rows.length <= repeater.min;
+    });
+
+    const {elements} = instance;
+    Array.from(elements.keys()).forEach(key => {
+      if (key.startsWith(`${name}[`)) elements.delete(key);
+    });
+
+    repeater.list.querySelectorAll(this.config.fieldSelector).forEach(field => {
+      if (!field.name) return;
+
+      const fieldType = this.getFieldType(field);
+      if (fieldType === 'radio' || (fieldType === 'checkbox' && field.name.endsWith('[]'))) {
+        const key = fieldType === 'radio' ? field.name : field.name.slice(0, -2);
+        if (!elements.has(key)) elements.set(key, []);
+        elements.get(key).push(field);
+        return;
+      }
+
+      elements.set(field.name, field);
+      if (fieldType !== 'checkbox' && instance.config.autoEnhance && window.ElementManager) {
+        window.ElementManager.enhance(field);
+      }
+    });
+  },
+
+  setRepeaterRowValues(row, values) {
+    row.querySelectorAll('[data-repeater-field]').forEach(field => {
+      const relative = field.dataset.repeaterField;
+      const key = relative.endsWith('[]') ? relative.slice(0, -2) : relative;
+      if (!(key in values)) return;
+
+      const value = values[key];
+      if (field.type === 'checkbox' && relative.endsWith('[]')) {
+        field.checked = [].concat(value ?? []).map(String).includes(field.value);
+      } else {
+        this.setFieldValue(field, value, true);
+      }
+    });
+  },
+
+  destroyRepeaterRow(instance, row) {
+    row.querySelectorAll(this.config.fieldSelector).forEach(field => {
+      FormError.clearFieldError(field);
+      if (field.name) delete instance.state.errors[field.name];
+      if (window.ElementManager) {
+        try {
+          window.ElementManager.destroyByElement(field);
+        } catch (e) {
+          // Element might not be enhanced, ignore
+        }
+      }
+    });
+  },
+
+  clearRepeaterErrors(instance, repeater) {
+    repeater.list.querySelectorAll(this.config.fieldSelector).forEach(field => {
+      FormError.clearFieldError(field);
+      if (field.name) delete instance.state.errors[field.name];
+    });
+  },
+
+  /**
+   * Replace the items[0][qty] entries of jsonData with an items array of row objects
+   * @param {Object} repeater - Repeater state
+   * @param {Object} jsonData - Collected form values
+   */
+  collectRepeaterData(repeater, jsonData) {
+    const rows = this.getRepeaterRows(repeater).map(() => ({}));
+    const escaped = repeater.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${escaped}\\[(\\d+)\\]\\[([^\\]]+)\\]$`);
+
+    Object.keys(jsonData).forEach(key => {
+      const match = key.match(pattern);
+      if (!match) return;
+      if (rows[match[1]]) rows[match[1]][match[2]] = jsonData[key];
+      delete jsonData[key];
+    });
+
+    jsonData[repeater.name] = rows;
+  },
+
+  /**
+   * Map a server error key of a repeater or nested schema field to its field name:
+   * items.0.qty becomes items[0][qty]
+   * @param {Object} instance - Form instance
+   * @param {string} key - Error key
+   * @returns {string}
+   */
+  getRepeaterFieldName(instance, key) {
+    const [name, ...path] = key.split('.');
+    if (!path.length) return key;
+    const fieldName = name + path.map(part => `[${part}]`).join('');
+    return instance.repeaters?.has(name) || instance.elements.has(fieldName) ? fieldName : key;
+  },
+
+  /**
+   * Render the schema containers of a form: data-schema holds a URL returning the
+   * schema (or the schema as inline JSON), data-schema-name optionally nests the
+   * values under one key, e.g. data-schema-name="custom_fields".
+   * @param {Object} instance - Form instance
+   */
+  async initSchemas(instance) {
+    const containers = instance.element.querySelectorAll('[data-schema]');
+
+    for (const container of containers) {
+      const source = container.dataset.schema.trim();
+      try {
+        let schema;
+        if (source.startsWith('{')) {
+          schema = JSON.parse(source);
+        } else {
+          const response = window.ApiService?.get
+            ? await window.ApiService.get(source)
+            : await window.simpleFetch.get(source);
+          const responseData = response.data || response;
+          schema = responseData?.data?.schema || responseData?.data || responseData;
+        }
+        this.renderFromSchema(container, schema, {prefix: container.dataset.schemaName || '', instance});
+      } catch (error) {
+        console.warn('FormManager: Failed to load form schema:', source, error);
+      }
+    }
+  },
+
+  /**
+   * Build form fields from a JSON Schema of an object, using the element factories
+   * for the generated inputs. Supported keywords: type (string, number, integer,
+   * boolean, array, object), title, description, default, enum, oneOf/anyOf
+   * ({const, title}), required, minLength, maxLength, pattern, minimum, maximum,
+   * multipleOf, format (date, date-time, time, email, uri, color, binary),
+   * readOnly and items. UI hints are keyed by property name (a dotted path for
+   * nested objects):
+   * {widget, label, placeholder, help, icon, rows, accept, optionsKey, attrs,
+   *  errors: {required: 'message', ...}, showIf, requiredIf, disabledIf}
+   * plus ui.order, a list of property names ('*' for the rest).
+   * Widgets: text, textarea, password, hidden, select, radio, checkboxes, switch,
+   * tags, currency, range, color, tel, file.
+   * Values are read and written as the schema types through getFormData() and setFormData().
+   * @param {HTMLElement|string} container - Container (or the form itself) to render into
+   * @param {Object} schema - JSON Schema
+   * @param {Object} options - {ui: UI hints (default schema.ui), prefix: key to nest the values under}
+   * @returns {Object|null} The form instance, when the container is inside an initialized form
+   */
+  renderFromSchema(container, schema, options = {}) {
+    if (typeof container === 'string') container = document.querySelector(container);
+    if (!container || !schema || typeof schema !== 'object') return null;
+
+    const form = container.closest('form');
+    const instance = options.instance || (form && this.state.elementIndex.get(form)) || null;
+    const entry = {
+      container,
+      schema,
+      ui: options.ui || schema.ui || {},
+      prefix: options.prefix || ''
+    };
+
+    // Replace the fields of an earlier render of this container
+    const previous = Array.from(container.querySelectorAll(':scope > [data-schema-field]'));
+    if (instance) this.clearSchemaFields(instance, previous);
+    previous.forEach(el => el.remove());
+
+    const rendered = Array.from(this.createSchemaFields(entry, schema, entry.prefix ? [entry.prefix] : []).children);
+    rendered.forEach(el => {
+      el.dataset.schemaField = '';
+    });
+    container.append(...rendered);
+
+    if (!instance) return null;
+
+    instance.schemas = instance.schemas || new Map();
+    instance.schemas.set(container, entry);
+
+    // Schemas rendered by initSchemas() are registered with the rest of the form
+    if (!options.instance) {
+      if (instance.state.formOptions) this.setFormOptions(container, instance.state.formOptions);
+      if (container.querySelector('input[type="file"]')) form.enctype = 'multipart/form-data';
+      rendered.forEach(el => this.initFormElements(instance, el));
+      this.initConditions(instance);
+      instance.state.originalData = this.getFormData(instance, true);
+    }
+
+    this.emitEvent('form:schema', {
+      formId: instance.id,
+      container,
+      schema
+    });
+    return instance;
+  },
+
+  createSchemaFields(entry, schema, path) {
+    const fragment = document.createDocumentFragment();
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+
+    let names = Object.keys(properties);
+    const order = entry.ui.order;
+    if (Array.isArray(order)) {
+      const rest = names.filter(name => !order.includes(name));
+      names = order.flatMap(name => (name === '*' ? rest : name)).filter(name => properties[name]);
+      if (!order.includes('*')) names.push(...rest);
+    }
+
+    names.forEach(name => {
+      const property = properties[name];
+      const ui = entry.ui[[...path.slice(entry.prefix ? 1 : 0), name].join('.')] || {};
+      const fieldPath = [...path, name];
+
+      let element;
+      if (this.getSchemaType(property) === 'object') {
+        element = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = Now.translate(ui.label || property.title || name);
+        element.append(legend, this.createSchemaFields(entry, property, fieldPath));
+      } else {
+        element = this.createSchemaField(property, fieldPath, ui, required.includes(name));
+      }
+
+      ['showIf', 'requiredIf', 'disabledIf'].forEach(rule => {
+        if (ui[rule]) element.dataset[rule] = ui[rule];
+      });
+      fragment.appendChild(element);
+    });
+
+    return fragment;
+  },
+
+  createSchemaField(property, path, ui, required) {
+    const type = this.getSchemaType(property);
+    const items = property.items || {};
+    const choices = this.getSchemaChoices(type === 'array' ? items : property);
+    const name = path[0] + path.slice(1).map(part => `[${part}]`).join('');
+    const id = `schema_${path.join('_')}`;
+    const label = Now.translate(ui.label || property.title || path[path.length - 1]);
+
+    let widget = ui.widget;
+    if (!widget) {
+      if (type === 'boolean') {
+        widget = 'switch';
+      } else if (type === 'array') {
+        widget = items.format === 'binary' ? 'file' : (choices ? 'select' : 'tags');
+      } else if (choices) {
+        widget = 'select';
+      } else if (property.format === 'binary' || property.contentMediaType) {
+        widget = 'file';
+      } else {
+        widget = 'text';
+      }
+    }
+
+    const wrapper = document.createElement('div');
+    const labelEl = document.createElement('label');
+    labelEl.textContent = label;
+
+    // Switches and option groups carry their own labels
+    if (widget === 'switch') {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.className = 'switch';
+      input.id = id;
+      input.name = name;
+      input.value = '1';
+      input.checked = property.default === true;
+      this.applySchemaAttributes(input, property, ui, required);
+      labelEl.htmlFor = id;
+      wrapper.append(input, labelEl);
+      this.appendSchemaHelp(wrapper, property, ui);
+      return wrapper;
+    }
+
+    if (widget === 'radio' || widget === 'checkboxes') {
+      const group = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = label;
+      group.appendChild(legend);
+      const defaults = [].concat(property.default ?? []).map(String);
+
+      (choices || []).forEach((choice, index) => {
+        const option = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = widget === 'radio' ? 'radio' : 'checkbox';
+        input.name = widget === 'radio' ? name : `${name}[]`;
+        input.id = `${id}_${index}`;
+        input.value = choice.value;
+        input.checked = defaults.includes(String(choice.value));
+        if (index === 0) this.applySchemaAttributes(input, property, ui, required && widget === 'radio');
+        option.append(input, ` ${Now.translate(choice.label)}`);
+        group.appendChild(option);
+      });
+      wrapper.appendChild(group);
+      this.appendSchemaHelp(wrapper, property, ui);
+      return wrapper;
+    }
+
+    let input;
+    if (widget === 'textarea') {
+      input = document.createElement('textarea');
+      input.rows = ui.rows || 3;
+    } else if (widget === 'select') {
+      input = document.createElement('select');
+      input.multiple = type === 'array';
+      if (!input.multiple) {
+        const empty = document.createElement('option');
+        empty.value = '';
+        empty.textContent = Now.translate(ui.placeholder || 'Not specified');
+        input.appendChild(empty);
+      }
+      const defaults = [].concat(property.default ?? []).map(String);
+      (choices || []).forEach(choice => {
+        const option = document.createElement('option');
+        option.value = choice.value;
+        option.textContent = Now.translate(choice.label);
+        option.selected = defaults.includes(String(choice.value));
+        input.appendChild(option);
+      });
+    } else {
+      input = document.createElement('input');
+      const formats = {date: 'date', 'date-time': 'datetime-local', time: 'time', email: 'email', uri: 'url', color: 'color'};
+      const widgets = {
+        password: 'password',
+        hidden: 'hidden',
+        currency: 'currency',
+        range: 'range',
+        color: 'color',
+        tel: 'tel',
+        file: 'file'
+      };
+      input.type = widgets[widget] ||
+        (type === 'number' || type === 'integer' ? 'number' : formats[property.format] || 'text');
+      if (widget === 'tags') input.dataset.element = 'tags';
+      if (input.type === 'file') {
+        input.multiple = type === 'array';
+        if (ui.accept || property.contentMediaType) input.accept = ui.accept || property.contentMediaType;
+      } else if (property.default !== undefined && type !== 'array') {
+        input.value = property.default;
+      }
+    }
+
+    input.id = id;
+    input.name = name;
+    this.applySchemaAttributes(input, property, ui, required);
+
+    if (input.type === 'hidden') return input;
+
+    labelEl.htmlFor = id;
+    const control = document.createElement('span');
+    control.className = `form-control ${ui.icon || 'icon-edit'}`;
+    control.appendChild(input);
+    wrapper.append(labelEl, control);
+    this.appendSchemaHelp(wrapper, property, ui);
+    return wrapper;
+  },
+
+  /**
+   * Schema constraints become the attributes validateField() already checks
+   */
+  applySchemaAttributes(input, property, ui, required) {
+    const type = this.getSchemaType(property);
+
+    if (required) input.required = true;
+    if (property.readOnly) input.readOnly = true;
+    if (ui.placeholder && input.tagName !== 'SELECT') input.placeholder = Now.translate(ui.placeholder);
+    if (ui.optionsKey) input.dataset.optionsKey = ui.optionsKey;
+
+    if (type === 'string') {
+      if (property.minLength !== undefined) input.minLength = property.minLength;
+      if (property.maxLength !== undefined) input.maxLength = property.maxLength;
+      if (property.pattern) input.pattern = property.pattern;
+      if (property.format === 'email') input.dataset.validateEmail = '';
+      if (property.format === 'uri') input.dataset.validateUrl = '';
+    } else if (type === 'number' || type === 'integer') {
+      if (property.minimum !== undefined) input.min = property.minimum;
+      if (property.maximum !== undefined) input.max = property.maximum;
+      if (property.multipleOf !== undefined) {
+        input.step = property.multipleOf;
+      } else if (type === 'integer') {
+        input.step = 1;
+      } else if (input.type === 'number') {
+        input.step = 'any';
+      }
+      if (type === 'integer') input.dataset.validateInteger = '';
+    }
+
+    Object.entries(ui.errors || {}).forEach(([rule, message]) => {
+      input.dataset[`error${rule.charAt(0).toUpperCase() + rule.slice(1)}`] = message;
+    });
+    Object.entries(ui.attrs || {}).forEach(([attr, value]) => input.setAttribute(attr, value));
+  },
+
+  appendSchemaHelp(wrapper, property, ui) {
+    const help = ui.help || property.description;
+    if (!help) return;
+
+    const comment = document.createElement('div');
+    comment.className = 'comment';
+    comment.textContent = Now.translate(help);
+    wrapper.appendChild(comment);
+  },
+
+  getSchemaType(property) {
+    const type = Array.isArray(property.type)
+      ? property.type.find(t => t !== 'null')
+      : property.type;
+    if (type) return type;
+    if (property.properties) return 'object';
+    if (property.items) return 'array';
+    return 'string';
+  },
+
+  getSchemaChoices(property) {
+    const options = property.oneOf || property.anyOf;
+    if (Array.isArray(options) && options.every(option => 'const' in option)) {
+      return options.map(option => ({value: option.const, label: option.title ?? String(option.const)}));
+    }
+    if (Array.isArray(property.enum)) {
+      return property.enum
+        .filter(value => value !== null)
+        .map((value, index) => ({value, label: property.enumNames?.[index] ?? String(value)}));
+    }
+    return null;
+  },
+
+  /**
+   * Replace the flat values of schema fields in getFormData() with values of the
+   * schema types, nested like the schema
+   * @param {Object} entry - Rendered schema
+   * @param {Object} jsonData - Form values
+   */
+  collectSchemaData(entry, jsonData) {
+    const collect = (schema, path) => {
+      const values = {};
+      Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        const fieldPath = [...path, name];
+        const type = this.getSchemaType(property);
+        if (type === 'object') {
+          values[name] = collect(property, fieldPath);
+          return;
+        }
+
+        const key = fieldPath[0] + fieldPath.slice(1).map(part => `[${part}]`).join('');
+        if (!(key in jsonData)) return;
+        values[name] = this.castSchemaValue(property, jsonData[key]);
+        if (path.length) delete jsonData[key];
+      });
+      return values;
+    };
+
+    const values = collect(entry.schema, entry.prefix ? [entry.prefix] : []);
+    if (entry.prefix) {
+      jsonData[entry.prefix] = values;
+    } else {
+      Object.assign(jsonData, values);
+    }
+  },
+
+  castSchemaValue(property, value) {
+    const type = this.getSchemaType(property);
+    if (type === 'array') {
+      return [].concat(value ?? []).map(item => this.castSchemaValue(property.items || {}, item));
+    }
+    if (type === 'boolean') return value === true || value === '1' || value === 'true';
+    if (type === 'number' || type === 'integer') {
+      if (value === '' || value === null || value === undefined) return null;
+      // Currency inputs are formatted with thousands separators
+      const number = parseFloat(String(value).replace(/,/g, ''));
+      if (Number.isNaN(number)) return value;
+      return type === 'integer' ? Math.trunc(number) : number;
+    }
+    return value;
+  },
+
+  /**
+   * Flatten nested values of schema fields to their field names for setFormData()
+   * @param {Object} instance - Form instance
+   * @param {Object} data - Values
+   * @returns {Object}
+   */
+  flattenSchemaValues(instance, data) {
+    if (!instance.schemas?.size) return data;
+
+    const flat = {...data};
+    const flatten = (schema, path, values) => {
+      if (!values || typeof values !== 'object') return;
+      Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        if (!(name in values)) return;
+        const fieldPath = [...path, name];
+        if (this.getSchemaType(property) === 'object') {
+          flatten(property, fieldPath, values[name]);
+        } else if (fieldPath.length > 1) {
+          flat[fieldPath[0] + fieldPath.slice(1).map(part => `[${part}]`).join('')] = values[name];
+        }
+      });
+    };
+
+    instance.schemas.forEach(entry => {
+      if (entry.prefix) {
+        flatten(entry.schema, [entry.prefix], data[entry.prefix]);
+        delete flat[entry.prefix];
+      } else {
+        Object.entries(entry.schema.properties || {}).forEach(([name, property]) => {
+          if (this.getSchemaType(property) === 'object' && data[name]) {
+            flatten(property, [name], data[name]);
+            delete flat[name];
+          }
+        });
+      }
+    });
+    return flat;
+  },
+
+  clearSchemaFields(instance, rendered) {
+    rendered.forEach(el => {
+      const fields = el.matches(this.config.fieldSelector)
+        ? [el]
+        : Array.from(el.querySelectorAll(this.config.fieldSelector));
+      fields.forEach(field => {
+        const name = field.name || field.id;
+        const baseName = name.endsWith('[]') ? name.slice(0, -2) : name;
+        instance.elements.delete(name);
+        instance.elements.delete(baseName);
+        delete instance.state.data[baseName];
+        delete instance.state.errors[name];
+        FormError.clearFieldError(name);
+      });
+      window.ElementManager?.destroyContainer(el);
+    });
+  },
+
+  /**
+   * Handle cascade when a field with data-cascade-source changes
+   * @param {Object} instance - Form instance
+   * @param {HTMLElement} sourceField - The field that triggered the cascade
+   */
+  async handleCascade(instance, sourceField) {
+    const {element} = instance;
+    const cascadeApi = element.dataset.cascadeApi;
+
+    if (!cascadeApi) {
+      console.warn('FormManager: data-cascade-api not found on form');
+      return;
+    }
+
+    // Prevent cascade loop - check if we're already processing a cascade
+    if (instance.state.cascading) return;
+
+    try {
+      // Mark as cascading to prevent loops
+      instance.state.cascading = true;
+
+      // Show loading state on source field
+      sourceField.classList.add('loading');
+
+      // Collect all fields with data-cascade-source
+      const cascadeFields = Array.from(element.querySelectorAll('[data-cascade-source]'));
+
+      // Build FormData with all cascade field values
+      const formData = new FormData();
+      cascadeFields.forEach(field => {
+        const fieldName = field.name || field.id;
+        const fieldValue = this.getFieldValue(field);
+        if (fieldValue !== null && fieldValue !== undefined && fieldValue !== '') {
+          formData.append(fieldName, fieldValue);
+        }
+      });
+
+      // Add source parameter (which field triggered the change)
+      const sourceName = sourceField.dataset.cascadeSource;
+      formData.append('source', sourceName);
+
+      // Call cascade API using framework's HTTP client (includes CSRF token)
+      let response;
+      if (window.ApiService && typeof window.ApiService.post === 'function') {
+        response = await window.ApiService.post(cascadeApi, formData);
+      } else if (window.simpleFetch && typeof window.simpleFetch.post === 'function') {
+        response = await window.simpleFetch.post(cascadeApi, formData);
+      } else {
+        throw new Error('FormManager: No HTTP client available (ApiService or simpleFetch required)');
+      }
+
+      // Process response
+      if (response && response.data) {
+        this.processCascadeResponse(instance, response.data, sourceField);
+      }
+
+    } catch (error) {
+      console.error('FormManager: Error handling cascade:', error);
+    } finally {
+      sourceField.classList.remove('loading');
+      // Release cascade lock
+      instance.state.cascading = false;
+    }
+  },
+
+  /**
+   * Process cascade API response
+   * Format: {data: {...}, options: {...}}
+   * @param {Object} instance - Form instance
+   * @param {Object} responseData - Response data from cascade API
+   * @param {HTMLElement} sourceField - The field that triggered the cascade (optional)
+   */
+  processCascadeResponse(instance, responseData, sourceField = null) {
+    const {element} = instance;
+
+    // Handle nested structure from API wrapper (e.g., {data: {data: {...}, options: {...}}})
+    let actualData = responseData;
+    if (responseData.data && responseData.data.data && responseData.data.options) {
       actualData = responseData.data;
     }
 
@@ -3054,6 +5215,16 @@ const FormManager = {
         });
       }
 
+      instance.repeaters?.forEach(repeater => repeater.sortable?.destroy());
+
+      if (instance.remote) {
+        instance.remote.timers.forEach(timer => clearTimeout(timer));
+        instance.remote.checks.forEach(check => check.controller.abort());
+      }
+
+      // Keep what was typed since the last autosave
+      if (instance.draft?.timer) this.saveDraft(instance);
+
       // remove from elementIndex (WeakMap) and forms map
       try {this.state.elementIndex.delete(instance.element);} catch (e) {}
       try {this.state.forms.delete(instance.id);} catch (e) {}
@@ -3285,6 +5456,14 @@ const FormManager = {
       this.destroy(id);
     }
 
+    const handlers = this.state.leaveHandlers;
+    if (handlers) {
+      handlers.removeGuard?.();
+      window.removeEventListener('beforeunload', handlers.beforeunload);
+      window.removeEventListener('pagehide', handlers.pagehide);
+      this.state.leaveHandlers = null;
+    }
+
     this.state.forms.clear();
     this.state.validators.clear();
     this.state.initialized = false;
@@ -10,6 +10,42 @@ const RouterManager = {
     base: '/',
     autoDetectBase: true,  // Auto-detect base path
     fallback: 'index.html',
+    // Template kept mounted around every route that does not set its own layout (false for none)
+    layout: null,
+
+    // Shown while route loaders run longer than pendingDelay (ms), and when a loader fails
+    pendingTemplate: null,
+    errorTemplate: null,
+    pendingDelay: 200,
+
+    prefetch: {
+      enabled: false,
+      // Links prefetch on 'hover' (and focus/touch), 'viewport' or 'eager'.
+      // data-prefetch on a link overrides it, data-prefetch="none" opts out
+      strategy: 'hover',
+      delay: 65,
+      data: false, // Also run route loaders, the next navigation to the route uses the result
+      ttl: 60000,
+      budget: 1024 * 1024 // Approximate bytes of prefetched templates and data held at once
+    },
+
+    // Animated swap of the route content: 'fade' or 'slide' (by navigation direction).
+    // A route may set transition: false, a type, or {type, duration}
+    transition: {
+      enabled: false,
+      type: 'fade',
+      duration: 250
+    },
+
+    // Scroll positions and opted-in UI state per history entry, restored on back/forward
+    restoration: {
+      enabled: true,
+      // Scroll containers kept besides the window; elements with data-scroll-key are always kept
+      scrollContainers: [],
+      timeout: 1000, // Keep re-applying a scroll position this long (ms) while late content loads
+      limit: 50, // History entries whose snapshots are kept
+      storageKey: 'router_history'
+    },
 
     auth: {
       enabled: false,
@@ -58,6 +94,19 @@ const RouterManager = {
 
   routes: new Map(),
   params: new Map(),
+  prefetched: new Map(),
+  snapshots: new Map(),
+
+  // How elements with data-keep-state save and restore their UI state, see registerStateProvider()
+  stateProviders: new Map([
+    ['details', {
+      selector: 'details',
+      save: (element) => element.open,
+      restore: (element, open) => {
+        element.open = open;
+      }
+    }]
+  ]),
 
   globalGuards: {
     beforeEach: [],
@@ -70,7 +119,14 @@ const RouterManager = {
     initialized: false,
     loading: false,
     error: null,
-    disabled: false
+    disabled: false,
+    guarding: null,
+    mounted: [],
+    outlet: null,
+    loader: null,
+    historyKey: null,
+    historyIndex: 0,
+    transitionSource: null
   },
 
   beforeEach(guard) {
@@ -141,11 +197,18 @@ const RouterManager = {
         initialized: false,
         loading: false,
         error: null,
-        disabled: false
+        disabled: false,
+        mounted: [],
+        outlet: null,
+        loader: null,
+        historyKey: null,
+        historyIndex: 0,
+        transitionSource: null
       };
 
       this.routes.clear();
       this.params.clear();
+      this.prefetched.clear();
 
       // Prefer base path provided by Now.js if available
       if (options.autoDetectBase !== false) {
@@ -178,6 +241,8 @@ const RouterManager = {
         return this;
       }
 
+      this.loadHistorySnapshots();
+
       if (!window.TemplateManager) {
         throw new Error('TemplateManager is required but not found');
       }
@@ -193,7 +258,8 @@ const RouterManager = {
       if (this.config.notFound?.path) {
         this.register(this.config.notFound.path, {
           template: this.config.notFound.template,
-          title: this.config.notFound.title
+          title: this.config.notFound.title,
+          layout: this.config.notFound.layout
         });
       }
 
@@ -237,6 +303,7 @@ const RouterManager = {
       }
 
       this.setupEventListeners();
+      this.schedulePrefetch(() => this.prefetchRoutes());
 
       this.state.initialized = true;
 
@@ -338,8 +405,10 @@ const RouterManager = {
    * Enhanced Navigate with Auth Guards
    */
   async navigate(path, params = {}, options = {}) {
+    let loading = null;
     try {
-      if (this.state.loading && !options.force) return false;
+      // A navigation waiting for route data gives way to a new one, loadRouteData() aborts it
+      if (this.state.loading && !options.force && !this.state.loader) return false;
 
       // Parse URL: separate path, query string, and hash
       let cleanPath = path;
@@ -381,15 +450,21 @@ const RouterManager = {
 
       // Skip navigation if already on the same path (unless forced)
       // But handle hash changes - update URL and dispatch hashchange event
+      // A route with a loader loads again when the query changes (/deal?id=5 to ?id=6)
+      const current = this.state.current;
+      const queryChanged = current?.loader && JSON.stringify(current.query || {}) !== JSON.stringify(mergedParams);
       if (!options.force && !options.isInitialLoad &&
-        this.state.current && this.state.current.path === normalizedPath) {
+        current && current.path === normalizedPath && !queryChanged) {
         // Check if hash changed
         const currentHash = window.location.hash.slice(1);
         if (hashFragment !== currentHash) {
           // Update URL with new hash (don't append # if empty)
           const hashPart = hashFragment ? '#' + hashFragment : '';
           const newUrl = window.location.pathname + window.location.search + hashPart;
-          history.pushState({params: this.state.current.params, hash: hashFragment}, '', newUrl);
+          this.saveHistorySnapshot();
+          this.state.historyKey = this.createHistoryKey();
+          this.state.historyIndex++;
+          history.pushState({params: this.state.current.params, hash: hashFragment, key: this.state.historyKey, index: this.state.historyIndex}, '', newUrl);
           // Dispatch hashchange event so TabsComponent and other listeners can respond
           window.dispatchEvent(new HashChangeEvent('hashchange'));
         }
@@ -498,15 +573,26 @@ const RouterManager = {
       // Build the full URL with query parameters
       let fullUrl = this.resolvePath(cleanPath, match.params, finalQueryString, hashFragment);
 
-      // Update history
+      // Update history. The page being left keeps its scroll and UI state for back/forward,
+      // a reload keeps the key of its entry so the state can be restored
+      const historyKey = (options.isInitialLoad && window.history.state?.key) || this.createHistoryKey();
+      const snapshot = options.isInitialLoad ? this.snapshots.get(historyKey) : null;
+      if (options.isInitialLoad) {
+        this.state.historyIndex = window.history.state?.index || 0;
+      }
       if (options.replace) {
-        window.history.replaceState({params: match.params}, '', fullUrl);
+        window.history.replaceState({params: match.params, key: historyKey, index: this.state.historyIndex}, '', fullUrl);
       } else {
-        window.history.pushState({params: match.params}, '', fullUrl);
+        this.saveHistorySnapshot();
+        this.state.historyIndex++;
+        window.history.pushState({params: match.params, key: historyKey, index: this.state.historyIndex}, '', fullUrl);
       }
+      this.state.historyKey = historyKey;
 
       this.showLoading();
 
+      loading = this.loadRouteData(match.route, match.params, mergedParams);
+
       let template = this.resolveTemplate(match.route.template, match.params);
       let content = await this.loadTemplate(template);
 
@@ -531,11 +617,19 @@ const RouterManager = {
         document.title = title;
       }
 
-      await this.render(mainContent.innerHTML);
+      const data = await this.awaitRouteData(match.route, match.params, loading);
+      if (!data) return false;
+      this.state.current.data = Object.assign({}, ...data.values());
 
-      const shouldScroll = options.scroll !== false;
+      const update = () => this.renderRoute(match.route, match.params, mainContent.innerHTML, data);
+      // The first page appears without a transition
+      await (options.isInitialLoad ? update() : this.transition(match.route, 'forward', update));
+
+      const shouldScroll = options.scroll !== false && !snapshot;
       if (shouldScroll) {
         window.scrollTo(0, 0);
+      } else if (snapshot) {
+        this.restoreHistorySnapshot(snapshot);
       }
 
       const hash = window.location.hash.slice(1);
@@ -574,7 +668,8 @@ const RouterManager = {
       this.handleError('Navigation failed', error);
       return false;
     } finally {
-      this.hideLoading();
+      // A superseded navigation leaves the loading state to the one that replaced it
+      if (!loading?.signal?.aborted) this.hideLoading();
     }
   },
 
@@ -583,7 +678,8 @@ const RouterManager = {
    * Finds the first element with data-script and calls TemplateManager.processDataScript
    */
   executePageScripts() {
-    const mainContent = document.querySelector(Now.config.mainSelector);
+    // Look in the outlet the route was rendered into, not in the layout around it
+    const mainContent = this.state.outlet?.isConnected ? this.state.outlet : document.querySelector(Now.config.mainSelector);
     if (!mainContent) return;
 
     // Find first data-script in page (only one per page)
@@ -591,7 +687,7 @@ const RouterManager = {
     if (scriptElement && window.TemplateManager?.processDataScript) {
       const context = {
         state: {
-          data: this.state.current?.params || {},
+          data: {...this.state.current?.params, ...this.state.current?.data},
           route: this.state.current
         }
       };
@@ -793,7 +889,9 @@ const RouterManager = {
           ? childPath
           : path + (path.endsWith('/') ? '' : '/') + childPath;
 
-        this.register(fullChildPath, childConfig);
+        // Children render into an outlet of the parent route's template
+        const child = typeof childConfig === 'string' ? {template: childConfig} : childConfig;
+        this.register(fullChildPath, {...child, parent: path});
       });
     }
   },
@@ -999,10 +1097,24 @@ const RouterManager = {
 
     window.addEventListener('popstate', (event) => this.handlePopState(event));
 
+    if (this.config.restoration?.enabled) {
+      if ('scrollRestoration' in history) {
+        history.scrollRestoration = 'manual';
+      }
+      window.addEventListener('pagehide', () => this.storeHistorySnapshots());
+    }
+
     if (this.config.mode === 'hash') {
       window.addEventListener('hashchange', (event) => this.handleHashChange(event));
     }
 
+    if (this.config.prefetch?.enabled) {
+      const intent = (event) => this.handlePrefetchIntent(event);
+      document.addEventListener('mouseover', intent);
+      document.addEventListener('focusin', intent);
+      document.addEventListener('touchstart', intent, {passive: true});
+    }
+
     // Handle page reload and direct URL access
     window.addEventListener('load', () => {
       // Special handling for hash mode direct URLs
@@ -1047,10 +1159,25 @@ const RouterManager = {
     const link = event.target.closest('a');
     if (!link) return;
 
+    const target = this.getLinkRoute(link);
+    if (!target) return;
+
+    event.preventDefault();
+    // An element around the link with data-transition-name morphs into its counterpart on the next page
+    this.state.transitionSource = link.closest('[data-transition-name]');
+    this.navigate(target.path, target.params);
+  },
+
+  /**
+   * Route a link leads to, with the params from its data-param-* attributes
+   * @param {HTMLAnchorElement} link
+   * @returns {{path: string, params: Object}|null} null when the browser should handle the link
+   */
+  getLinkRoute(link) {
     // Skip if external link, download, or has target
     if (link.hasAttribute('download') ||
       link.hasAttribute('target') ||
-      link.getAttribute('rel') === 'external') return;
+      link.getAttribute('rel') === 'external') return null;
 
     // Priority 1: Use data-route if present
     let routePath = link.getAttribute('data-route');
@@ -1068,10 +1195,10 @@ const RouterManager = {
       // Priority 2: Extract route from href
       const href = link.getAttribute('href');
 
-      if (!href) return;
+      if (!href) return null;
 
       // mailto, tel, hash-only -> let browser handle
-      if (/^(mailto:|tel:|#)/.test(href)) return;
+      if (/^(mailto:|tel:|#)/.test(href)) return null;
 
       // If it's an absolute URL (http/https), check origin
       if (/^https?:\/\//i.test(href)) {
@@ -1082,10 +1209,10 @@ const RouterManager = {
           if (!isSameOrigin) {
             // External redirect: if target specified, allow browser to follow target
             if (link.hasAttribute('target')) {
-              return; // do not intercept
+              return null; // do not intercept
             }
             // No target: let browser handle navigation (default behavior)
-            return;
+            return null;
           }
 
           // Same-origin absolute URL: convert to route path by removing base
@@ -1116,8 +1243,7 @@ const RouterManager = {
       }
     });
 
-    event.preventDefault();
-    this.navigate(routePath, params);
+    return {path: routePath, params};
   },
 
   /**
@@ -1164,6 +1290,336 @@ const RouterManager = {
     }
   },
 
+  /**
+   * Let one kind of element keep UI state across back/forward. Elements opt in with
+   * data-keep-state="key" (or an id); save(element) returns a JSON-safe value that
+   * restore(element, value) applies when the history entry is shown again.
+   * @param {string} name - Provider name
+   * @param {{selector: string, save: Function, restore: Function}} provider
+   */
+  registerStateProvider(name, provider) {
+    this.stateProviders.set(name, provider);
+  },
+
+  createHistoryKey() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  },
+
+  /**
+   * Snapshot the scroll positions and UI state of the page on screen for its history entry
+   */
+  saveHistorySnapshot() {
+    const key = this.state.historyKey;
+    if (!key || !this.config.restoration?.enabled) return;
+
+    const containers = {};
+    this.getScrollContainers().forEach((element, name) => {
+      containers[name] = [element.scrollLeft, element.scrollTop];
+    });
+
+    const ui = {};
+    this.forEachKeptState((element, id, provider) => {
+      try {
+        ui[id] = provider.save(element);
+      } catch (error) {
+        console.warn(`RouterManager: failed to save state of ${id}`, error);
+      }
+    });
+
+    // Most recent last, the oldest entries go first
+    this.snapshots.delete(key);
+    this.snapshots.set(key, {scroll: {window: [window.scrollX, window.scrollY], containers}, ui});
+    while (this.snapshots.size > this.config.restoration.limit) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+  },
+
+  /**
+   * Apply a snapshot. Content such as table rows may still be loading, so scroll positions
+   * are re-applied every frame until they stick, the timeout passes or the user scrolls.
+   * @param {{scroll: Object, ui: Object}} snapshot
+   */
+  restoreHistorySnapshot(snapshot) {
+    this.forEachKeptState((element, id, provider) => {
+      if (snapshot.ui?.[id] === undefined) return;
+      try {
+        provider.restore(element, snapshot.ui[id]);
+      } catch (error) {
+        console.warn(`RouterManager: failed to restore state of ${id}`, error);
+      }
+    });
+
+    const {window: [x, y] = [0, 0], containers = {}} = snapshot.scroll || {};
+    const deadline = Date.now() + this.config.restoration.timeout;
+    let cancelled = false;
+    const cancel = () => {
+      cancelled = true;
+    };
+    const events = ['wheel', 'touchstart', 'keydown'];
+    events.forEach(type => window.addEventListener(type, cancel, {once: true, passive: true}));
+
+    const apply = () => {
+      if (cancelled) return;
+
+      window.scrollTo(x, y);
+      let done = Math.abs(window.scrollY - y) < 2;
+
+      const elements = this.getScrollContainers();
+      Object.entries(containers).forEach(([name, [left, top]]) => {
+        const element = elements.get(name);
+        if (element) {
+          element.scrollLeft = left;
+          element.scrollTop = top;
+        }
+        if (!element || Math.abs(element.scrollTop - top) >= 2) done = false;
+      });
+
+      if (!done && Date.now() < deadline) {
+        requestAnimationFrame(apply);
+      } else {
+        events.forEach(type => window.removeEventListener(type, cancel));
+      }
+    };
+    apply();
+  },
+
+  getScrollContainers() {
+    const containers = new Map();
+    (this.config.restoration?.scrollContainers || []).forEach(selector => {
+      const element = document.querySelector(selector);
+      if (element) containers.set(selector, element);
+    });
+    document.querySelectorAll('[data-scroll-key]').forEach(element => {
+      containers.set(element.dataset.scrollKey, element);
+    });
+    return containers;
+  },
+
+  forEachKeptState(callback) {
+    document.querySelectorAll('[data-keep-state]').forEach(element => {
+      const key = element.dataset.keepState || element.id;
+      if (!key) return;
+
+      this.stateProviders.forEach((provider, name) => {
+        if (element.matches(provider.selector)) {
+          callback(element, `${name}:${key}`, provider);
+        }
+      });
+    });
+  },
+
+  /**
+   * Snapshots live in sessionStorage across reloads of the tab
+   */
+  storeHistorySnapshots() {
+    this.saveHistorySnapshot();
+    try {
+      sessionStorage.setItem(this.config.restoration.storageKey, JSON.stringify([...this.snapshots]));
+    } catch (e) {
+      // Storage full or unavailable, snapshots stay in memory only
+    }
+  },
+
+  loadHistorySnapshots() {
+    this.snapshots.clear();
+    if (!this.config.restoration?.enabled) return;
+
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.config.restoration.storageKey) || '[]');
+      stored.forEach(([key, snapshot]) => this.snapshots.set(key, snapshot));
+    } catch (e) {
+      // Ignore unreadable snapshots
+    }
+  },
+
+  /**
+   * Prefetch the template of a route, of its layout and parent routes, and with
+   * config.prefetch.data the results of their loaders. Best effort: nothing is
+   * fetched with Save-Data on, on 2g, or once the prefetch budget is used up.
+   * @param {string} path - Route path, may include a query string
+   * @param {Object} [params] - Extra query params
+   * @returns {Promise<boolean>}
+   */
+  async prefetch(path, params = {}) {
+    if (!this.canPrefetch()) return false;
+
+    const [pathPart, queryString = ''] = path.split('#')[0].split('?');
+    const normalizedPath = this.handleTrailingSlash(pathPart);
+    const match = this.matchRoute(normalizedPath);
+    if (!match || match.route.prefetch === false) return false;
+
+    const query = {...Object.fromEntries(new URLSearchParams(queryString)), ...params};
+    const levels = this.getRouteLevels(match.route, match.params);
+    const templates = [...levels.map(level => level.template), this.resolveTemplate(match.route.template, match.params)]
+      .filter(template => template && !String(template).trim().startsWith('<'));
+
+    try {
+      await Promise.all(templates.map(template => this.prefetchEntry(`template:${template}`, () => this.loadTemplate(template))));
+
+      if (this.config.prefetch.data) {
+        const routes = [...levels.map(level => level.route).filter(Boolean), match.route]
+          .filter(route => route.loader && this.canPrefetchData(route));
+        await Promise.all(routes.map(route => this.prefetchEntry(
+          this.getPrefetchKey(route, match.params, query),
+          () => this.runLoader(route, match.params, query, new AbortController().signal)
+        )));
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Prefetch the routes declared with prefetch: true
+   */
+  prefetchRoutes() {
+    this.routes.forEach((route, path) => {
+      if (route.prefetch === true && !route.paramNames.length) {
+        this.prefetch(path);
+      }
+    });
+  },
+
+  prefetchLink(link) {
+    if (this.getPrefetchStrategy(link) === 'none') return;
+
+    const target = this.getLinkRoute(link);
+    if (target) {
+      this.prefetch(target.path, target.params);
+    }
+  },
+
+  getPrefetchStrategy(link) {
+    const strategy = link.dataset.prefetch || this.config.prefetch?.strategy;
+    return strategy === 'false' ? 'none' : strategy;
+  },
+
+  /**
+   * Hover prefetches after a short delay so passing over a link does not fetch it,
+   * focus and touch prefetch at once. Applies to every link not opted out.
+   */
+  handlePrefetchIntent(event) {
+    const link = event.target.closest?.('a');
+    if (!link || this.getPrefetchStrategy(link) === 'none') return;
+
+    if (event.type !== 'mouseover') {
+      this.prefetchLink(link);
+      return;
+    }
+
+    if (this.state.prefetchHover === link) return;
+    this.state.prefetchHover = link;
+    const timer = setTimeout(() => this.prefetchLink(link), this.config.prefetch.delay);
+    link.addEventListener('mouseleave', () => {
+      clearTimeout(timer);
+      if (this.state.prefetchHover === link) this.state.prefetchHover = null;
+    }, {once: true});
+  },
+
+  /**
+   * Start prefetching the links of newly rendered content with the viewport or eager strategy
+   * @param {HTMLElement} root
+   */
+  observePrefetchLinks(root) {
+    if (!this.canPrefetch()) return;
+
+    root.querySelectorAll('a[href], a[data-route]').forEach(link => {
+      const strategy = this.getPrefetchStrategy(link);
+      if (strategy === 'eager') {
+        this.schedulePrefetch(() => this.prefetchLink(link));
+      } else if (strategy === 'viewport' && 'IntersectionObserver' in window) {
+        this.state.prefetchObserver ??= new IntersectionObserver((entries, observer) => {
+          entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            this.prefetchLink(entry.target);
+          });
+        }, {rootMargin: '200px'});
+        this.state.prefetchObserver.observe(link);
+      }
+    });
+  },
+
+  unobservePrefetchLinks(root) {
+    const observer = this.state.prefetchObserver;
+    if (observer) {
+      root.querySelectorAll('a').forEach(link => observer.unobserve(link));
+    }
+  },
+
+  schedulePrefetch(callback) {
+    if (!this.config.prefetch?.enabled) return;
+    if ('requestIdleCallback' in window) {
+      requestIdleCallback(callback, {timeout: 2000});
+    } else {
+      setTimeout(callback, 200);
+    }
+  },
+
+  canPrefetch() {
+    if (!this.config?.prefetch?.enabled) return false;
+
+    const connection = navigator.connection;
+    return !connection?.saveData && !/2g$/.test(connection?.effectiveType || '');
+  },
+
+  /**
+   * Loader data is only prefetched for routes the user may open, a guarded fetch
+   * would fail anyway
+   */
+  canPrefetchData(route) {
+    const authManager = Now.getManager('auth');
+    if (!this.config.auth?.enabled || typeof authManager?.isAuthenticated !== 'function') return true;
+    if (route.requireAuth && !authManager.isAuthenticated()) return false;
+    return !route.roles?.length || route.roles.some(role => authManager.hasRole?.(role));
+  },
+
+  /**
+   * Load once per key and account the result against the prefetch budget.
+   * Nothing new is loaded while the budget is used up, entries free it when they expire.
+   */
+  prefetchEntry(key, load) {
+    const now = Date.now();
+    let size = 0;
+    this.prefetched.forEach((entry, entryKey) => {
+      if (entry.expires <= now) {
+        this.prefetched.delete(entryKey);
+      } else {
+        size += entry.size;
+      }
+    });
+
+    if (this.prefetched.has(key)) return this.prefetched.get(key).promise;
+    if (size >= this.config.prefetch.budget) return Promise.resolve(null);
+
+    const entry = {size: 0, expires: now + this.config.prefetch.ttl};
+    entry.promise = load().then(result => {
+      entry.size = (typeof result === 'string' ? result : JSON.stringify(result) || '').length;
+      return result;
+    }, error => {
+      this.prefetched.delete(key);
+      throw error;
+    });
+    this.prefetched.set(key, entry);
+    return entry.promise;
+  },
+
+  /**
+   * Prefetched loader data is used once, the navigation after it loads fresh data
+   */
+  takePrefetched(key) {
+    const entry = this.prefetched.get(key);
+    if (!entry) return null;
+
+    this.prefetched.delete(key);
+    return entry.expires > Date.now() ? entry.promise : null;
+  },
+
+  getPrefetchKey(route, params, query) {
+    return `data:${route.path}?${new URLSearchParams({...params, ...query})}`;
+  },
+
   handlePopState(event) {
     const path = this.getPath(); // Get path without query
     const params = event.state?.params || {};
@@ -1181,6 +1637,9 @@ const RouterManager = {
 
     const hash = window.location.hash.slice(1); // Remove '#'
 
+    // The page on screen still belongs to the entry being left
+    this.saveHistorySnapshot();
+
     // We just need to process the route without modifying the URL
     this.processRoute(path, params, queryParams, hash);
   },
@@ -1195,6 +1654,58 @@ const RouterManager = {
       return await this.handleNotFound(normalizedPath, params);
     }
 
+    // Back/forward has already changed the URL, a guard that keeps the page puts it back.
+    // In hash mode popstate and hashchange both arrive for the same change.
+    if (this.state.current) {
+      const href = window.location.href;
+      if (this.state.guarding === href) return false;
+
+      // Back on the entry of the page on screen after a cancelled traversal was undone
+      const entry = window.history.state;
+      if (entry?.key && entry.key === this.state.historyKey && entry.index === this.state.historyIndex) return false;
+
+      const current = this.state.current;
+      const to = {path: normalizedPath, params, route: match.route, query: queryParams, hash};
+      const from = {path: current.path, params: current.params, route: current};
+
+      let guardResult;
+      this.state.guarding = href;
+      try {
+        guardResult = await this.runBeforeEachGuards(to, from);
+      } finally {
+        this.state.guarding = null;
+      }
+
+      if (guardResult === false) {
+        // Traverse back to the page on screen so the forward stack survives.
+        // Entries without a key were added after it (see below).
+        const delta = this.state.historyIndex - (entry?.key ? entry.index : this.state.historyIndex + 1);
+        if (Number.isInteger(delta) && delta !== 0) {
+          window.history.go(delta);
+        } else {
+          const query = new URLSearchParams(current.query || {}).toString();
+          window.history.replaceState({params: current.params, key: this.state.historyKey, index: this.state.historyIndex}, '', this.resolvePath(current.path, current.params || {}, query, current.hash));
+        }
+        return false;
+      }
+      if (typeof guardResult === 'string') {
+        return this.navigate(guardResult, {}, {replace: true});
+      }
+    }
+
+    // Entries added by other code have no key yet
+    let historyKey = window.history.state?.key;
+    let historyIndex = window.history.state?.index;
+    if (!historyKey) {
+      historyKey = this.createHistoryKey();
+      historyIndex = this.state.historyIndex + 1;
+      window.history.replaceState({...window.history.state, key: historyKey, index: historyIndex}, '');
+    }
+    const direction = historyIndex < this.state.historyIndex ? 'back' : 'forward';
+    this.state.historyKey = historyKey;
+    this.state.historyIndex = historyIndex ?? this.state.historyIndex;
+
+    let loading = null;
     try {
       this.params.set(match.route.path, params);
       this.state.previous = this.state.current;
@@ -1208,6 +1719,8 @@ const RouterManager = {
 
       this.showLoading();
 
+      loading = this.loadRouteData(match.route, params, queryParams);
+
       let template = this.resolveTemplate(match.route.template, params);
       let content = await this.loadTemplate(template);
 
@@ -1219,7 +1732,11 @@ const RouterManager = {
         document.title = this.translateTitle(match.route.title);
       }
 
-      await this.render(content);
+      const data = await this.awaitRouteData(match.route, params, loading);
+      if (!data) return false;
+      this.state.current.data = Object.assign({}, ...data.values());
+
+      await this.transition(match.route, direction, () => this.renderRoute(match.route, params, content, data));
 
       await EventManager.emit('route:changed', {
         path: match.route.path,
@@ -1228,12 +1745,17 @@ const RouterManager = {
         previous: this.state.previous
       });
 
+      const snapshot = this.snapshots.get(historyKey);
+      if (snapshot) {
+        this.restoreHistorySnapshot(snapshot);
+      }
+
       return true;
     } catch (error) {
       console.error('Route processing failed:', error);
       return false;
     } finally {
-      this.hideLoading();
+      if (!loading?.signal?.aborted) this.hideLoading();
     }
   },
 
@@ -1325,22 +1847,383 @@ const RouterManager = {
     }
   },
 
-  async render(content) {
+  /**
+   * Render a route inside its layout and parent routes. Each level is rendered into
+   * the outlet of the level around it; levels still mounted from the previous route
+   * with the same params are kept, so only the innermost outlet that changed is replaced.
+   * @param {Object} route - Matched route
+   * @param {Object} params - Route params
+   * @param {string} content - Route template content
+   * @param {Map} [data] - Loader data per route, from awaitRouteData()
+   */
+  async renderRoute(route, params, content, data = null) {
+    const levels = this.getRouteLevels(route, params);
+    const mounted = this.state.mounted || [];
+
+    // A route with data of its own is processed with the data of the routes around it
+    const contexts = new Map();
+    let state = {};
+    [...levels.map(level => level.route).filter(Boolean), route].forEach(r => {
+      const own = data?.get(r);
+      state = {...state, ...own};
+      if (own) contexts.set(r, {state, data: state, reactive: false});
+    });
+
+    let target = null;
+    let index = 0;
+    const isMounted = (level, entry) => entry?.key === level.key && entry.outlet.isConnected &&
+      (entry.data ?? null) === (data?.get(level.route) ?? null);
+    while (index < levels.length && isMounted(levels[index], mounted[index])) {
+      target = mounted[index].outlet;
+      index++;
+    }
+
+    const next = mounted.slice(0, index);
+    for (; index < levels.length; index++) {
+      const level = levels[index];
+      await this.render(await this.loadTemplate(level.template), target, contexts.get(level.route));
+
+      const outlet = this.findOutlet(target || document.querySelector(Now.config.mainSelector), level.outlet);
+      if (!outlet) {
+        console.warn(`RouterManager: outlet "${level.outlet || 'default'}" not found in ${level.template}`);
+        break;
+      }
+      next.push({key: level.key, outlet, data: data?.get(level.route) ?? null});
+      target = outlet;
+    }
+
+    await this.render(content, target, contexts.get(route));
+    this.state.mounted = next;
+    this.state.outlet = target;
+  },
+
+  /**
+   * Layout and parent routes around a route, outermost first. The layout comes from the
+   * nearest route in the chain that sets one, otherwise from config.layout.
+   * @param {Object} route - Matched route
+   * @param {Object} params - Route params
+   * @returns {Array<{key: string, template: string, outlet: string, route: Object}>} outlet is
+   * the name of the outlet the next level renders into, route is unset for the layout
+   */
+  getRouteLevels(route, params = {}) {
+    const chain = [];
+    for (let current = route; current; current = current.parent ? this.routes.get(current.parent) : null) {
+      chain.unshift(current);
+    }
+
+    const owner = chain.slice().reverse().find(r => r.layout !== undefined);
+    const layout = owner ? owner.layout : this.config.layout;
+
+    const levels = [];
+    if (layout) {
+      levels.push({key: `layout:${layout}>${chain[0].outlet || ''}`, template: layout, outlet: chain[0].outlet});
+    }
+    chain.slice(0, -1).forEach((parent, i) => {
+      const template = this.resolveTemplate(parent.template, params);
+      const outlet = chain[i + 1].outlet;
+      levels.push({key: `${this.resolveTemplate(parent.path, params)}:${template}>${outlet || ''}`, template, outlet, route: parent});
+    });
+    return levels;
+  },
+
+  /**
+   * Start the loaders of a route and of its parent routes, all in parallel. A loader is
+   * either a function ({params, query, signal, route}) returning the data, or an API URL
+   * (with :params) fetched with the query. Parents that stay mounted keep their data.
+   * @param {Object} route - Matched route
+   * @param {Object} params - Route params
+   * @param {Object} query - Query params
+   * @returns {{promise: Promise<Map>, signal: AbortSignal|null}}
+   */
+  loadRouteData(route, params, query = {}) {
+    this.abortLoaders();
+
+    const mounted = this.state.mounted || [];
+    const levels = [...this.getRouteLevels(route, params).filter(level => level.route), {route}];
+    if (!levels.some(level => level.route.loader)) {
+      return {promise: Promise.resolve(new Map()), signal: null};
+    }
+
+    const controller = new AbortController();
+    this.state.loader = controller;
+
+    const promise = Promise.all(levels.map(level => {
+      const kept = level.key && mounted.find(entry => entry.key === level.key && entry.outlet.isConnected);
+      if (kept) return kept.data;
+
+      const prefetched = level.route.loader && this.takePrefetched(this.getPrefetchKey(level.route, params, query));
+      return prefetched || this.runLoader(level.route, params, query, controller.signal);
+    })).then(results => new Map(levels.map((level, i) => [level.route, results[i]])))
+      .finally(() => {
+        if (this.state.loader === controller) this.state.loader = null;
+      });
+    // Rejections are handled by awaitRouteData(), which may only be reached after the template loads
+    promise.catch(() => {});
+
+    return {promise, signal: controller.signal};
+  },
+
+  async runLoader(route, params, query, signal) {
+    const {loader} = route;
+    if (!loader) return null;
+
+    const result = typeof loader === 'function'
+      ? await loader({params, query, signal, route})
+      : await this.fetchRouteData(this.resolveTemplate(loader, params), query, signal);
+
+    return result && typeof result === 'object' && !Array.isArray(result) ? result : {data: result};
+  },
+
+  async fetchRouteData(url, query, signal) {
+    let response;
+    if (window.ApiService?.get) {
+      response = await ApiService.get(url, query, {signal});
+    } else if (window.simpleFetch?.get) {
+      const queryStr = new URLSearchParams(query).toString();
+      response = await simpleFetch.get(queryStr ? `${url}?${queryStr}` : url, {signal});
+    } else {
+      throw new Error('ApiService or simpleFetch not available');
+    }
+
+    if (!signal.aborted && (response.success === false || response.status >= 400)) {
+      const error = new Error(response.data?.message || response.statusText || 'Failed to load route data');
+      error.status = response.status;
+      throw error;
+    }
+    return response.data?.data ?? response.data;
+  },
+
+  abortLoaders() {
+    if (this.state.loader) {
+      this.state.loader.abort();
+      this.state.loader = null;
+    }
+  },
+
+  /**
+   * Wait for the data started by loadRouteData(). The pending template is rendered when
+   * loading takes longer than pendingDelay; when a loader fails the error template is
+   * rendered in place of the route with {error: {message, status}}.
+   * @param {Object} route - Matched route
+   * @param {Object} params - Route params
+   * @param {{promise: Promise<Map>, signal: AbortSignal|null}} loading
+   * @returns {Promise<Map|null>} Data per route, null when the navigation was superseded or failed
+   */
+  async awaitRouteData(route, params, loading) {
+    const {promise, signal} = loading;
+    if (!signal) return promise;
+
+    const pendingTemplate = route.pendingTemplate ?? this.config.pendingTemplate;
+    if (pendingTemplate) {
+      let timer;
+      const settled = await Promise.race([
+        promise.then(() => true, () => true),
+        new Promise(resolve => {
+          timer = setTimeout(() => resolve(false), this.config.pendingDelay);
+        })
+      ]);
+      clearTimeout(timer);
+
+      if (!settled && !signal.aborted) {
+        const content = await this.loadTemplate(this.resolveTemplate(pendingTemplate, params));
+        if (!signal.aborted) await this.renderRoute(route, params, content);
+      }
+    }
+
+    try {
+      const data = await promise;
+      return signal.aborted ? null : data;
+    } catch (error) {
+      if (signal.aborted) return null;
+
+      this.state.error = error;
+      await EventManager.emit('route:error', {
+        path: route.path,
+        params,
+        route,
+        error
+      });
+
+      const errorTemplate = route.errorTemplate ?? this.config.errorTemplate;
+      const content = errorTemplate && await this.loadTemplate(this.resolveTemplate(errorTemplate, params));
+      if (!content) {
+        this.handleError('Route loader failed', error);
+        return null;
+      }
+
+      const state = {error: {message: error.message, status: error.status}};
+      await this.renderRoute(route, params, content, new Map([[route, state]]));
+      return null;
+    }
+  },
+
+  /**
+   * Swap the route content with an animation. Uses the View Transitions API where the
+   * browser has it (styled in animations.css), AnimationManager otherwise. Nothing is
+   * animated with prefers-reduced-motion.
+   * @param {Object} route - Route being shown
+   * @param {string} direction - 'forward' or 'back'
+   * @param {Function} update - Renders the new content
+   */
+  async transition(route, direction, update) {
+    const source = this.state.transitionSource;
+    this.state.transitionSource = null;
+
+    const options = this.getTransitionOptions(route);
+    if (!options) return update();
+
+    const name = source?.isConnected ? source.dataset.transitionName : null;
+
+    if (typeof document.startViewTransition === 'function') {
+      const root = document.documentElement;
+      root.dataset.transition = options.type;
+      root.dataset.transitionDirection = direction;
+      root.style.setProperty('--route-transition-duration', `${options.duration}ms`);
+
+      let content = this.getTransitionElement();
+      if (content) content.style.viewTransitionName = 'route-content';
+      if (name) source.style.viewTransitionName = name;
+
+      let target = null;
+      const viewTransition = document.startViewTransition(async () => {
+        if (content) content.style.viewTransitionName = '';
+        if (name) source.style.viewTransitionName = '';
+
+        await update();
+
+        content = this.getTransitionElement();
+        if (content) content.style.viewTransitionName = 'route-content';
+        target = name ? this.findTransitionTarget(name, source) : null;
+        if (target) target.style.viewTransitionName = name;
+      });
+
+      // A failed update already rejects updateCallbackDone for the caller
+      viewTransition.finished.catch(() => {}).then(() => {
+        if (content) content.style.viewTransitionName = '';
+        if (target) target.style.viewTransitionName = '';
+        delete root.dataset.transition;
+        delete root.dataset.transitionDirection;
+      });
+      return viewTransition.updateCallbackDone;
+    }
+
+    if (!window.AnimationManager) return update();
+
+    // Same motion as animations.css: forward leaves to the left and enters from the
+    // right, back the other way. The 'out' of fade-right moves left, the 'in' of
+    // fade-left comes from the right.
+    let leave = 'fade';
+    let enter = 'fade';
+    if (options.type === 'slide') {
+      [leave, enter] = direction === 'back' ? ['fade-left', 'fade-right'] : ['fade-right', 'fade-left'];
+    }
+    const duration = options.duration / 2;
+    const from = name ? source.getBoundingClientRect() : null;
+
+    const previous = this.getTransitionElement();
+    if (previous) {
+      await AnimationManager.animate(previous, leave, {direction: 'out', duration}).catch(() => {});
+    }
+
+    await update();
+
+    // The old element may still be there (main without layout), drop its faded-out state
+    previous?.getAnimations?.().forEach(running => running.cancel());
+
+    const next = this.getTransitionElement();
+    const target = from ? this.findTransitionTarget(name, source) : null;
+    if (target) {
+      // FLIP: start the target where the source was and let it grow into place
+      const to = target.getBoundingClientRect();
+      AnimationManager.animate(target, {
+        from: {
+          transformOrigin: 'top left',
+          transform: `translate(${from.left - to.left}px, ${from.top - to.top}px) scale(${from.width / (to.width || 1)}, ${from.height / (to.height || 1)})`
+        },
+        to: {transformOrigin: 'top left', transform: 'none'}
+      }, {duration: options.duration, fill: 'none'}).catch(() => {});
+    }
+    if (next && next !== target) {
+      AnimationManager.animate(next, enter, {direction: 'in', duration, fill: 'none'}).catch(() => {});
+    }
+  },
+
+  getTransitionOptions(route) {
+    const config = this.config.transition;
+    if (!config?.enabled) return null;
+
+    let options = route?.transition ?? config.type;
+    if (options === false || options === 'none') return null;
+    if (typeof options === 'string') options = {type: options};
+
+    if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) return null;
+
+    return {duration: config.duration, ...options, type: options.type || config.type};
+  },
+
+  /**
+   * Element holding the route content. Outlets add no box (display: contents),
+   * their single child is animated instead.
+   */
+  getTransitionElement() {
+    const root = this.state.outlet?.isConnected ? this.state.outlet : document.querySelector(Now.config.mainSelector);
+    if (root?.hasAttribute('data-outlet')) {
+      return root.childElementCount === 1 ? root.firstElementChild : null;
+    }
+    return root;
+  },
+
+  /**
+   * Counterpart of a shared element on the new page: the only element with the same
+   * data-transition-name, or the one with the same data-transition-key.
+   */
+  findTransitionTarget(name, source) {
+    const candidates = Array.from(document.querySelectorAll(`[data-transition-name="${name}"]`))
+      .filter(element => element !== source);
+    if (candidates.length === 1) return candidates[0];
+
+    const key = source?.dataset.transitionKey;
+    return key ? candidates.find(element => element.dataset.transitionKey === key) || null : null;
+  },
+
+  findOutlet(container, name) {
+    const selector = name ? `[data-outlet="${name}"]` : '[data-outlet=""], [data-outlet="default"]';
+    return container.querySelector(selector);
+  },
+
+  /**
+   * Replace the content of main, or of an outlet inside it. Rendering into an outlet
+   * only tears down what is inside the outlet, the layout around it stays mounted.
+   * @param {string} content - HTML content
+   * @param {HTMLElement} [target] - Outlet to render into, defaults to main
+   * @param {Object} [context] - TemplateManager context the content is processed with
+   */
+  async render(content, target = null, context = null) {
     try {
       const main = document.querySelector(Now.config.mainSelector);
       if (!main) {
         throw new Error(`Main content area not found: ${Now.config.mainSelector} in ${document.location.href}`);
       }
+      const root = target || main;
 
       const componentManager = Now.getManager('component');
       const templateManager = Now.getManager('template');
 
       if (templateManager) {
-        templateManager.cleanup();
+        if (root === main) {
+          // cleanup() empties the template cache, prefetched templates have to be fetched again
+          templateManager.cleanup();
+          this.prefetched.forEach((entry, key) => {
+            if (key.startsWith('template:')) this.prefetched.delete(key);
+          });
+        } else {
+          templateManager.cleanupElement(root);
+          templateManager.cleanupHandlers();
+        }
       }
 
       if (componentManager) {
-        const componentElements = main.querySelectorAll('[data-component]');
+        const componentElements = root.querySelectorAll('[data-component]');
         for (const element of componentElements) {
           const instance = componentManager.instances.get(element);
           if (instance) {
@@ -1349,20 +2232,20 @@ const RouterManager = {
         }
       }
 
-      // Destroy element/form instances inside main before replacing content
+      // Destroy element/form instances inside the target before replacing content
       try {
         const elementManager = Now.getManager('element') || window.ElementManager;
         const formManager = Now.getManager('form') || window.FormManager;
 
         if (elementManager) {
-          const els = main.querySelectorAll('[data-element]');
+          const els = root.querySelectorAll('[data-element]');
           els.forEach(el => {
             try {elementManager.destroyByElement && elementManager.destroyByElement(el);} catch (e) {}
           });
         }
 
         if (formManager) {
-          const forms = main.querySelectorAll('form[data-form]');
+          const forms = root.querySelectorAll('form[data-form]');
           forms.forEach(f => {
             try {formManager.destroyFormByElement && formManager.destroyFormByElement(f);} catch (e) {}
           });
@@ -1371,8 +2254,13 @@ const RouterManager = {
         console.warn('RouterManager: cleanup before render failed', e);
       }
 
-      main.innerHTML = '';
-      main.innerHTML = content;
+      this.unobservePrefetchLinks(root);
+      root.innerHTML = '';
+      root.innerHTML = content;
+
+      if (context && templateManager) {
+        templateManager.processTemplate(root, {...context, skipScan: true});
+      }
 
       if (componentManager) {
         await componentManager.initializeExistingElements();
@@ -1384,16 +2272,18 @@ const RouterManager = {
         const formManager = Now.getManager('form') || window.FormManager;
 
         if (elementManager && typeof elementManager.scan === 'function') {
-          elementManager.scan(main);
+          elementManager.scan(root);
         }
 
         if (formManager && typeof formManager.scan === 'function') {
-          formManager.scan(main);
+          formManager.scan(root);
         }
       } catch (e) {
         console.warn('RouterManager: post-render scan failed', e);
       }
 
+      this.observePrefetchLinks(root);
+
       const i18n = Now.getManager('i18n');
       if (i18n && i18n.config.enabled) {
         const currentLocale = i18n.getCurrentLocale();
@@ -1402,7 +2292,8 @@ const RouterManager = {
 
       await EventManager.emit('content:rendered', {
         path: this.getPath(),
-        main
+        main,
+        outlet: root
       });
     } catch (error) {
       ErrorManager.handle('Failed to render content', {
@@ -1448,6 +2339,7 @@ const RouterManager = {
   },
 
   async handleNotFound(path, params = {}) {
+    this.abortLoaders();
     this.state.current = null;
     this.hideLoading();
     this.state.error = new Error('Page not found');
@@ -1487,7 +2379,7 @@ const RouterManager = {
         try {
           const content = await this.loadTemplate(config.template);
           if (content) {
-            await this.render(content);
+            await this.renderRoute(this.routes.get(config.path) || {template: config.template, layout: config.layout}, params, content);
             await EventManager.emit('route:changed', {
               path,
               params,
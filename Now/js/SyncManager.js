@@ -182,6 +182,8 @@ const SyncManager = {
    * @param {string} operation.method - HTTP method ('add', 'update', 'delete')
    * @param {Object} operation.data - Data to send
    * @param {string} operation.priority - Priority ('high', 'medium', 'low')
+   * @param {string} [operation.endpoint] - URL to send to instead of the store's endpoint
+   * @param {Object} [operation.meta] - Caller data kept with the operation (not sent)
    * @returns {Promise<Object>} - The pending operation
    */
   async addPendingOperation(operation) {
@@ -207,7 +209,7 @@ const SyncManager = {
   },
 
   async _storePendingOperation(operation) {
-    const {storeName, data, method, priority = 'medium'} = operation;
+    const {storeName, data, method, priority = 'medium', endpoint, meta} = operation;
 
     if (!storeName || !data || !method) {
       throw new Error('Missing required fields for pending operation');
@@ -223,6 +225,8 @@ const SyncManager = {
       status: 'pending',
       nextRetry: Date.now()
     };
+    if (endpoint) pendingOp.endpoint = endpoint;
+    if (meta) pendingOp.meta = meta;
 
     const id = await this.storageManager.add(
       this.config.pendingOperationsStore,
@@ -405,7 +409,7 @@ const SyncManager = {
    */
   async processOperation(operation) {
     try {
-      const endpoint = this.getEndpoint(operation.storeName);
+      const endpoint = operation.endpoint || this.getEndpoint(operation.storeName);
       if (!endpoint) {
         throw new Error(`No endpoint configured for store: ${operation.storeName}`);
       }
@@ -456,6 +460,27 @@ const SyncManager = {
         throw new Error('No HTTP client available');
       }
 
+      // Clients created with throwOnError: false resolve failed requests
+      if (response?.success === false) {
+        const status = response.status || 0;
+        if (status < 400 || status >= 500 || [401, 403, 408, 429].includes(status)) {
+          const error = new Error(response.statusText || `Request failed (${status})`);
+          error.status = status;
+          throw error;
+        }
+
+        // The server refused the data (e.g. validation errors), sending it again cannot succeed
+        await this.storageManager.delete(this.config.pendingOperationsStore, operation.id);
+        this.state.activeRequests--;
+
+        EventManager.emit('sync:operation:rejected', {
+          operation,
+          response
+        });
+
+        return response;
+      }
+
       await this.storageManager.delete(this.config.pendingOperationsStore, operation.id);
 
       this.state.activeRequests--;
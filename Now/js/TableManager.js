@@ -18,6 +18,27 @@ const TableManager = {
     actionUrl: '',
     actionButton: 'Process',
     rowActions: {}, // e.g. {print:"Print",edit:{label:"Edit",submenu:{inline:"Inline Edit",page:"Open Editor"}},delete:"Delete"}
+    virtual: false, // Render only the rows inside the viewport (large client-side datasets)
+    rowHeight: 0, // Fixed row height in px for virtual mode (0 = measure the first rendered row)
+    virtualBuffer: 10, // Extra rows rendered above and below the viewport in virtual mode
+    groupBy: [], // Group rows by one or more fields, e.g. data-group-by="stage,owner"
+    groupAggregates: {}, // Per-group subtotals, e.g. {value: 'sum', id: 'count'}
+    groupCollapsed: false, // Render groups collapsed initially
+    columnChooser: false, // Show the column chooser and saved views controls
+    saveUrl: '', // Endpoint for batched inline edits (falls back to actionUrl with action "batch_update")
+    filterBuilder: false, // Show the advanced AND/OR filter builder (server sources apply it via Gcms\Table::$filterColumns)
+    paginationMode: 'page', // 'page' (page/pageSize) or 'cursor' (keyset pagination driven by meta.next_cursor)
+    infiniteScroll: false, // Server-side tables: append the next page when scrolling to the end instead of paging
+    pivot: false, // Show the pivot table builder
+    pivotRows: [], // Initial pivot row fields, e.g. data-pivot-rows="owner"
+    pivotColumns: [], // Initial pivot column fields; date fields take a period, e.g. "expected_close_date:month"
+    pivotValues: [], // Initial pivot values as field:aggregate, e.g. "value:sum,id:count" (empty = row count)
+    pivotMaxRows: 10000, // Upper limit of rows fetched from the server for pivoting
+    exportMaxRows: 50000, // Upper limit of rows fetched from the server for xlsx/pdf/print exports
+    detailUrl: '', // Expandable rows: endpoint loaded lazily per row, e.g. "api/crm/customer/summary?id=${id}"
+    detailTemplate: '', // Expandable rows: id of a <template> rendered with the row (and loaded detail) by TemplateManager
+    realtimeUrl: '', // Server push channel applying insert/update/delete patches (SSE endpoint or ws:// URL)
+    realtimeTransport: 'auto', // 'auto' (WebSocket for ws:// URLs, otherwise SSE), 'sse' or 'ws'
     params: {
       search: '',
       pageSize: 0,
@@ -37,6 +58,24 @@ const TableManager = {
 
     this.setupDynamicTableObserver();
 
+    // Tables with data-keep-state get their expanded rows and groups back on back/forward
+    window.RouterManager?.registerStateProvider('table', {
+      selector: 'table[data-table]',
+      save: (element) => {
+        const table = this.state.tables.get(element.dataset.table);
+        return table ? {expandedRows: [...table.expandedRows], groupToggled: [...table.groupToggled]} : undefined;
+      },
+      restore: (element, state) => {
+        const tableId = element.dataset.table;
+        const table = this.state.tables.get(tableId);
+        if (!table) return;
+
+        state.expandedRows.forEach(id => this.toggleRowDetail(tableId, id, true));
+        table.groupToggled = new Set(state.groupToggled);
+        if (table.data?.length && table.groupBy.length) this.renderTable(tableId);
+      }
+    });
+
     document.querySelectorAll('table[data-table]').forEach(table => {
       this.initTable(table);
     });
@@ -129,7 +168,7 @@ const TableManager = {
     const urlParams = new URLSearchParams(searchParams);
 
     // Clear all existing table-related parameters
-    const commonTableParams = ['page', 'pageSize', 'search', 'sort'];
+    const commonTableParams = ['page', 'pageSize', 'search', 'sort', 'groupBy', 'filter', 'columnOrder', 'hiddenColumns'];
 
     // Internal parameters that should NOT be synced to URL
     const internalParams = ['total', 'totalPages', 'totalRecords', 'loading', 'error'];
@@ -184,7 +223,8 @@ const TableManager = {
     }
 
     try {
-      window.history.replaceState({}, '', newUrl);
+      // Keep the router's entry state (params, scroll snapshot key)
+      window.history.replaceState(window.history.state, '', newUrl);
     } catch (e) {
       console.warn('Failed to update URL parameters:', e);
     }
@@ -218,6 +258,20 @@ const TableManager = {
       }
     }
 
+    // Add grouping fields in compact format (e.g., 'stage,owner')
+    if (table.groupBy && table.groupBy.length > 0) {
+      params.groupBy = table.groupBy.join(',');
+    }
+
+    // Add the column layout when it differs from the markup (e.g., 'name,owner,stage')
+    const layout = this.getColumnLayout(table);
+    if (table.defaultColumnOrder && layout.order.join(',') !== table.defaultColumnOrder.join(',')) {
+      params.columnOrder = layout.order.join(',');
+    }
+    if (layout.hidden.length > 0) {
+      params.hiddenColumns = layout.hidden.join(',');
+    }
+
     // Clean up empty values
     Object.keys(params).forEach(key => {
       const value = params[key];
@@ -243,10 +297,28 @@ const TableManager = {
 
     // Update table config params
     Object.keys(urlParams).forEach(key => {
-      if (['sort', 'order'].includes(key)) return; // Handle separately
+      if (['sort', 'order', 'groupBy', 'columnOrder', 'hiddenColumns'].includes(key)) return; // Handle separately
       table.config.params[key] = urlParams[key];
     });
 
+    // Restore the advanced filter tree (JSON in the "filter" parameter)
+    if (urlParams.filter !== undefined) {
+      table.advancedFilter = this.parseAdvancedFilter(urlParams.filter);
+      table.filterDraft = null;
+      this.renderFilterBuilder(table, tableId);
+    }
+
+    // Column layout is applied by restoreSavedView() once the default order is known
+    if (urlParams.columnOrder !== undefined || urlParams.hiddenColumns !== undefined) {
+      const list = (value) => String(value || '').split(',').map(field => field.trim()).filter(Boolean);
+      table.urlColumnLayout = {order: list(urlParams.columnOrder), hidden: list(urlParams.hiddenColumns)};
+    }
+
+    // Restore grouping fields (e.g., 'stage,owner')
+    if (urlParams.groupBy !== undefined) {
+      table.groupBy = String(urlParams.groupBy).split(',').map(field => field.trim()).filter(Boolean);
+    }
+
     // Restore sort state from compact format (e.g., 'name asc,status desc')
     if (urlParams.sort) {
       table.sortState = {};
@@ -364,6 +436,32 @@ const TableManager = {
         columns: new Map(),
         filterOptions: new Map(),
         elementInstances: new Map(),
+        groupBy: [...(config.groupBy || [])].filter(Boolean),
+        groupDefaultCollapsed: config.groupCollapsed === true,
+        groupToggled: new Set(), // Group keys whose state differs from groupDefaultCollapsed
+        hiddenColumns: new Set(),
+        advancedFilter: null, // {op: 'and'|'or', rules: [...]} applied by filterData()
+        cursor: {current: null, next: null, history: [], offset: 0, hasTotal: true}, // Keyset pagination state
+        appending: false, // Next setData() appends rows instead of replacing them (infinite scroll)
+        loadingMore: false,
+        expandedRows: new Set(), // Ids of rows showing their detail panel
+        detailCache: new Map(), // Loaded detail by row id
+        detailRequests: new Map(), // Detail requests in flight by row id
+        realtime: {source: null, status: 'closed', queue: [], timer: null, reconnectTimer: null, retries: 0, closed: true},
+        pivot: {
+          active: false,
+          rows: [...(config.pivotRows || [])].filter(Boolean),
+          columns: [...(config.pivotColumns || [])].filter(Boolean),
+          values: [...(config.pivotValues || [])].filter(Boolean),
+          sourceRows: null, // Server-side tables: every row of the current query
+          truncated: false,
+          loadToken: 0,
+          result: null, // Last buildPivot() result
+          drill: null // {rows, label, page} while showing the rows behind a pivot cell
+        },
+        edits: new Map(), // Unsaved inline edits: rowId => {changes: {field: {original, value}}}
+        editHistory: [], // Undo stack of unsaved edits
+        editErrors: {}, // Server-rejected edits: rowId => {field|_row: message}
         initializing: true, // Flag to prevent redundant renders during setup
         externalFilterForm: externalFilterForm || null // Store reference to external filter form
       });
@@ -390,6 +488,9 @@ const TableManager = {
         this.restoreFilterUIFromState(tableId);
       }
 
+      // Restore saved column layout / active view for the current user
+      this.restoreSavedView(tableId, urlStateLoaded);
+
       // Load table data once (preventing redundant renders during init)
       // Only load if not already bound to state
       try {
@@ -432,6 +533,11 @@ const TableManager = {
         }
       }
 
+      // Patches received before the initial load completes wait in the queue
+      if (config.realtimeUrl) {
+        this.connectRealtime(tableId);
+      }
+
       return tableId;
 
     } catch (error) {
@@ -582,6 +688,13 @@ const TableManager = {
   handleSelectAll(table, tableId, checked) {
     if (!table?.element) return;
 
+    // Virtual tables only render a slice of rows, so select-all works on the whole dataset
+    if (table.virtual) {
+      table.selectedIds = checked
+        ? new Set(table.virtual.dataRows.map((row, index) => this.getRowKey(table, row, index)))
+        : new Set();
+    }
+
     const checkboxes = table.element.querySelectorAll('tbody .select-row');
     checkboxes.forEach(cb => {
       cb.checked = checked;
@@ -596,19 +709,23 @@ const TableManager = {
   },
 
   handleRowSelection(table, tableId) {
-    const checkboxes = table.element.querySelectorAll('tbody .select-row');
-    const checkedBoxes = table.element.querySelectorAll('tbody .select-row:checked');
-
-    const allChecked = checkboxes.length > 0 && checkboxes.length === checkedBoxes.length;
-    const someChecked = checkedBoxes.length > 0 && checkedBoxes.length < checkboxes.length;
-
-    const allCheckboxes = table.element.querySelectorAll('.select-all');
-    allCheckboxes.forEach(cb => {
-      cb.checked = allChecked;
-      cb.indeterminate = someChecked;
-    });
+    if (table.virtual) {
+      // Rendered checkboxes are only a window over the dataset; keep the full selection by id
+      if (!table.selectedIds) table.selectedIds = new Set();
+      table.element.querySelectorAll('tbody .select-row').forEach(cb => {
+        if (cb.checked) {
+          table.selectedIds.add(cb.value);
+        } else {
+          table.selectedIds.delete(cb.value);
+        }
+      });
+      table.selectedRows = Array.from(table.selectedIds);
+    } else {
+      const checkedBoxes = table.element.querySelectorAll('tbody .select-row:checked');
+      table.selectedRows = Array.from(checkedBoxes).map(cb => cb.value);
+    }
 
-    table.selectedRows = Array.from(checkedBoxes).map(cb => cb.value);
+    this.syncSelectAllState(table);
 
     if (table.config.onSelectionChange) {
       table.config.onSelectionChange(table.selectedRows);
@@ -620,6 +737,28 @@ const TableManager = {
     });
   },
 
+  syncSelectAllState(table) {
+    if (!table?.element || !table.config.showCheckbox) return;
+
+    let total;
+    let selected;
+    if (table.virtual) {
+      total = table.virtual.dataRows.length;
+      selected = table.selectedIds ? table.selectedIds.size : 0;
+    } else {
+      total = table.element.querySelectorAll('tbody .select-row').length;
+      selected = table.element.querySelectorAll('tbody .select-row:checked').length;
+    }
+
+    const allChecked = total > 0 && selected === total;
+    const someChecked = selected > 0 && selected < total;
+
+    table.element.querySelectorAll('.select-all').forEach(cb => {
+      cb.checked = allChecked;
+      cb.indeterminate = someChecked;
+    });
+  },
+
   clearSelection(table, tableId, options = {}) {
     if (!table?.element || !table.config.showCheckbox) return;
 
@@ -639,6 +778,7 @@ const TableManager = {
 
     const hadSelection = Array.isArray(table.selectedRows) && table.selectedRows.length > 0;
     table.selectedRows = [];
+    if (table.selectedIds) table.selectedIds.clear();
 
     if (table.actionElements?.submit?.element) {
       table.actionElements.submit.element.disabled = true;
@@ -736,6 +876,21 @@ const TableManager = {
       }
     }
 
+    // Expandable rows: the chevron column follows the checkbox column
+    if (this.isExpandable(table)) {
+      ['thead', 'tfoot'].forEach(section => {
+        const tr = tableEl.querySelector(`${section} tr:first-child`);
+        if (!tr || tr.querySelector('.expand-column')) return;
+        const cell = document.createElement(section === 'thead' ? 'th' : 'td');
+        cell.className = 'expand-column';
+        const rowspan = tableEl.querySelectorAll(`${section} tr`).length;
+        if (section === 'thead' && rowspan > 1) {
+          cell.setAttribute('rowspan', rowspan);
+        }
+        tr.insertBefore(cell, tr.querySelector('.check-column')?.nextSibling || tr.firstChild);
+      });
+    }
+
     // Create filter wrapper only if no external form exists
     if (!table.externalFilterForm) {
       table.filterWrapper = document.createElement('div');
@@ -762,6 +917,10 @@ const TableManager = {
     if (table.externalFilterForm) {
       this.setupExternalFilter(table, tableId);
     }
+    this.setupFilterBuilder(table, tableId);
+    this.setupPivot(table, tableId);
+    this.setupColumnChooser(table, tableId);
+    this.setupGroupControls(table, tableId);
     this.setupFooter(table);
     this.setupCheckboxes(table, tableId);
     this.setupActions(table, tableId);
@@ -796,14 +955,22 @@ const TableManager = {
       if (tbody) {
         const delegatedClick = (e) => this._handleDelegatedClick(e, tableId);
         const delegatedChange = (e) => this._handleDelegatedChange(e, tableId);
+        const delegatedDblClick = (e) => {
+          const cell = e.target.closest('td[data-field]');
+          if (cell && !e.target.closest('.cell-editor') && this.startCellEdit(tableId, cell)) {
+            e.preventDefault();
+          }
+        };
 
         tbody.addEventListener('click', delegatedClick);
         tbody.addEventListener('change', delegatedChange);
+        tbody.addEventListener('dblclick', delegatedDblClick);
 
         // store references for cleanup
         table.eventHandlers.delegation = {
           click: delegatedClick,
-          change: delegatedChange
+          change: delegatedChange,
+          dblclick: delegatedDblClick
         };
       }
 
@@ -987,11 +1154,18 @@ const TableManager = {
 
     this.clearSelection(table, tableId);
 
+    // Drilled-down pivot rows are sorted on the client
+    if (table.pivot.drill) {
+      this.renderTable(tableId);
+      return;
+    }
+
     // If table source is remote (api/... or http), reload from API with sort params
     const source = table.element.dataset.source || table.config.source || '';
     if (source && (source.startsWith('api/') || source.startsWith('http'))) {
       // Reset to page 1 when sorting changes
       table.config.params.page = 1;
+      this.resetCursor(table);
 
       // Reload data from API using current sort and filter params
       this.loadFromApi(table, tableId, source).catch(err => {
@@ -1085,6 +1259,496 @@ const TableManager = {
     }
   },
 
+  /**
+   * Open an inline editor in a cell whose column declares data-editor
+   * (text, select, date, number, currency, tags, ...)
+   * @param {string} tableId - Table identifier
+   * @param {HTMLTableCellElement} cell - Cell to edit
+   * @returns {boolean} Whether an editor was opened
+   */
+  startCellEdit(tableId, cell) {
+    const table = this.state.tables.get(tableId);
+    const field = cell?.dataset.field;
+    const attributes = field ? table?.columns.get(field) : null;
+    if (!attributes?.editor || cell.classList.contains('cell-editing')) return false;
+
+    const tr = cell.closest('tr');
+    const rowData = tr?.dataset.id !== undefined ? this.getRowObjectById(tableId, tr.dataset.id) : null;
+    const elementManager = Now.getManager('element');
+    if (!rowData || !elementManager) return false;
+
+    // Only one editor at a time; an invalid pending edit keeps its editor open
+    if (table.activeEditor && !this.commitCellEdit(tableId)) return false;
+
+    const index = parseInt(tr.dataset.rowIndex) || 0;
+    const config = this.getElementConfig(table, tableId, field, {...attributes, cellElement: attributes.editor}, rowData, index);
+    config.id = `${config.id}_editor`;
+    config.wrapper = 'div';
+    if (attributes.editor === 'select' && table.dataOptions?.[field]) {
+      config.options = table.dataOptions[field];
+    }
+
+    let instance;
+    try {
+      instance = elementManager.create(attributes.editor, config);
+    } catch (error) {
+      this.handleError('Failed to create cell editor', error, 'startCellEdit');
+      return false;
+    }
+    if (!instance?.element) return false;
+
+    const editorNode = instance.wrapper || instance.element;
+    editorNode.classList.add('cell-editor');
+
+    const editor = {
+      field,
+      cell,
+      rowData,
+      instance,
+      type: attributes.editor,
+      content: Array.from(cell.childNodes)
+    };
+    table.activeEditor = editor;
+
+    cell.classList.add('cell-editing');
+    cell.replaceChildren(editorNode);
+
+    editorNode.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.cancelCellEdit(tableId);
+        tr.focus();
+      } else if (e.key === 'Enter' && (editor.type !== 'tags' || e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        if (this.commitCellEdit(tableId)) tr.focus();
+      } else if (e.key === 'Tab') {
+        e.preventDefault();
+        this.commitCellEdit(tableId, {move: e.shiftKey ? -1 : 1});
+      }
+    });
+
+    // Commit when focus leaves the editor (date pickers and dropdowns keep focus inside)
+    editorNode.addEventListener('focusout', () => {
+      setTimeout(() => {
+        if (table.activeEditor === editor && !editorNode.contains(document.activeElement)) {
+          this.commitCellEdit(tableId);
+        }
+      }, 150);
+    });
+
+    instance.element.focus();
+    if (typeof instance.element.select === 'function' && attributes.editor !== 'select') {
+      instance.element.select();
+    }
+
+    EventManager.emit('table:editStart', {tableId, field, rowData});
+    return true;
+  },
+
+  /**
+   * Validate and apply the value of the open cell editor
+   * @param {string} tableId - Table identifier
+   * @param {Object} options - {move: 1|-1} to open the next/previous editable cell in the row
+   * @returns {boolean} False when the value is invalid (the editor stays open)
+   */
+  commitCellEdit(tableId, options = {}) {
+    const table = this.state.tables.get(tableId);
+    const editor = table?.activeEditor;
+    if (!editor) return true;
+
+    const value = this.readEditorValue(editor);
+    const error = this.validateCellValue(table, editor.field, value, editor.instance.element);
+    if (error) {
+      let message = editor.cell.querySelector('.cell-error-message');
+      if (!message) {
+        message = document.createElement('div');
+        message.className = 'cell-error-message';
+        message.setAttribute('role', 'alert');
+        editor.cell.appendChild(message);
+      }
+      message.textContent = error;
+      editor.cell.classList.add('cell-error');
+      editor.instance.element.setAttribute('aria-invalid', 'true');
+      editor.instance.element.focus();
+      return false;
+    }
+
+    const tr = editor.cell.closest('tr');
+    this.closeCellEditor(table);
+    this.applyCellEdit(table, tableId, editor.rowData, editor.field, value);
+    const cell = this.refreshCell(table, tableId, editor.cell, editor.rowData);
+
+    if (options.move && tr) {
+      const editable = Array.from(tr.querySelectorAll('td.cell-editable'));
+      const next = editable[editable.indexOf(cell) + options.move];
+      if (next) this.startCellEdit(tableId, next);
+    }
+
+    return true;
+  },
+
+  cancelCellEdit(tableId) {
+    const table = this.state.tables.get(tableId);
+    const editor = table?.activeEditor;
+    if (!editor) return;
+
+    this.closeCellEditor(table);
+    editor.cell.classList.remove('cell-editing');
+    editor.cell.replaceChildren(...editor.content);
+  },
+
+  closeCellEditor(table) {
+    const editor = table.activeEditor;
+    if (!editor) return;
+
+    table.activeEditor = null;
+    const elementManager = Now.getManager('element');
+    if (elementManager && editor.instance.element.id) {
+      elementManager.destroy(editor.instance.element.id);
+    }
+  },
+
+  readEditorValue(editor) {
+    const {instance, type} = editor;
+    const element = instance.element;
+
+    if (type === 'tags') {
+      return Array.isArray(element.value) ? element.value : [];
+    }
+    if (typeof instance.parseNumber === 'function') {
+      if (element.value === '') return '';
+      const number = instance.parseNumber(element.value);
+      return isNaN(number) ? element.value : number;
+    }
+    return this.getFormElementValue(element);
+  },
+
+  /**
+   * Validate a cell value with the validators registered in FormManager.
+   * Column rules use data-validate, e.g. data-validate="required,min:0"
+   * @returns {string|null} Error message or null when valid
+   */
+  validateCellValue(table, field, value, element) {
+    const rules = table.columns.get(field)?.validate;
+    if (!rules) return null;
+
+    const formManager = window.Now?.getManager ? Now.getManager('form') : window.FormManager;
+    const validators = formManager?.state?.validators;
+    if (!validators) return null;
+
+    const text = Array.isArray(value) ? value.join(',') : (value === null || value === undefined ? '' : String(value));
+
+    for (const rule of String(rules).split(',').map(r => r.trim()).filter(Boolean)) {
+      const [name, ...rest] = rule.split(':');
+      const param = rest.join(':');
+      const validator = validators.get(name);
+      if (!validator) {
+        console.warn(`TableManager: unknown validator "${name}" for column ${field}`);
+        continue;
+      }
+      if (!validator.validate(text, element, param)) {
+        return Now.translate(validator.message || 'Invalid value', {[name]: param, 0: param});
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Record an unsaved change of a cell and update the row data
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   * @param {Object} rowData - Row object
+   * @param {string} field - Field name
+   * @param {*} value - New value
+   * @param {boolean} recordHistory - Push the change onto the undo stack
+   * @returns {boolean} Whether the value changed
+   */
+  applyCellEdit(table, tableId, rowData, field, value, recordHistory = true) {
+    const same = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '') || String(a ?? '') === String(b ?? '');
+    const id = String(rowData.id);
+    const previous = rowData[field];
+    if (same(previous, value)) return false;
+
+    const entry = table.edits.get(id) || {changes: {}};
+    const original = field in entry.changes ? entry.changes[field].original : previous;
+
+    if (recordHistory) {
+      table.editHistory.push({id, field, previous, value});
+    }
+
+    rowData[field] = value;
+    if (same(original, value)) {
+      delete entry.changes[field];
+    } else {
+      entry.changes[field] = {original, value};
+    }
+
+    if (Object.keys(entry.changes).length) {
+      table.edits.set(id, entry);
+    } else {
+      table.edits.delete(id);
+    }
+
+    if (table.editErrors[id]) {
+      delete table.editErrors[id][field];
+      delete table.editErrors[id]._row;
+      if (!Object.keys(table.editErrors[id]).length) delete table.editErrors[id];
+    }
+
+    this.updateEditBar(table, tableId);
+    EventManager.emit('table:cellEdit', {tableId, id: rowData.id, field, value, previous, rowData});
+    return true;
+  },
+
+  /**
+   * Re-render a single cell after an edit
+   * @returns {HTMLTableCellElement} The new cell
+   */
+  refreshCell(table, tableId, cell, rowData) {
+    const field = cell.dataset.field;
+    const tr = cell.closest('tr');
+    const holder = document.createElement('tr');
+    this.renderCell(table, tableId, holder, field, table.columns.get(field), rowData, parseInt(tr?.dataset.rowIndex) || 0);
+
+    const fresh = holder.lastElementChild;
+    if (cell.dataset.elementId) {
+      Now.getManager('element')?.destroy(cell.dataset.elementId);
+      table.elementInstances.delete(cell.dataset.elementId);
+    }
+    cell.replaceWith(fresh);
+    if (tr) this.decorateEditableCells(table, tr, rowData);
+    return fresh;
+  },
+
+  /**
+   * Mark editable, unsaved (dirty) and rejected cells of a rendered row
+   */
+  decorateEditableCells(table, tr, rowData) {
+    const id = String(rowData?.id);
+    const changes = table.edits.get(id)?.changes || {};
+    const errors = table.editErrors[id] || {};
+
+    tr.querySelectorAll('td[data-field]').forEach(td => {
+      const field = td.dataset.field;
+      const attributes = table.columns.get(field);
+      td.classList.toggle('cell-editable', !!attributes?.editor);
+      td.classList.toggle('cell-dirty', field in changes);
+      td.classList.toggle('cell-error', !!errors[field]);
+      if (errors[field]) td.title = errors[field];
+    });
+
+    tr.classList.toggle('row-error', !!errors._row);
+    if (errors._row) tr.title = errors._row;
+  },
+
+  /**
+   * Revert the most recent unsaved cell edit
+   * @param {string} tableId - Table identifier
+   * @returns {boolean} Whether an edit was undone
+   */
+  undoEdit(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return false;
+
+    this.cancelCellEdit(tableId);
+    const last = table.editHistory.pop();
+    if (!last) return false;
+
+    const rowData = this.getRowObjectById(tableId, last.id);
+    if (rowData) {
+      this.applyCellEdit(table, tableId, rowData, last.field, last.previous, false);
+    }
+    this.renderTable(tableId);
+    return true;
+  },
+
+  /**
+   * Revert all unsaved cell edits
+   * @param {string} tableId - Table identifier
+   */
+  discardEdits(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
+
+    this.cancelCellEdit(tableId);
+    table.edits.forEach((entry, id) => {
+      const rowData = this.getRowObjectById(tableId, id);
+      if (!rowData) return;
+      Object.entries(entry.changes).forEach(([field, change]) => {
+        rowData[field] = change.original;
+      });
+    });
+
+    table.edits.clear();
+    table.editHistory = [];
+    table.editErrors = {};
+    this.updateEditBar(table, tableId);
+    this.renderTable(tableId);
+    EventManager.emit('table:editDiscard', {tableId});
+  },
+
+  /**
+   * Unsaved edits as [{id, changes: {field: value}}]
+   * @param {string} tableId - Table identifier
+   * @returns {Array}
+   */
+  getPendingEdits(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return [];
+
+    return Array.from(table.edits, ([id, entry]) => ({
+      id,
+      changes: Object.fromEntries(Object.entries(entry.changes).map(([field, change]) => [field, change.value]))
+    }));
+  },
+
+  /**
+   * Send all unsaved edits in one request to data-save-url (or data-action-url
+   * with action "batch_update", handled by handleBatchUpdateAction() of a Gcms\Table controller). The server may reject individual rows by returning
+   * errors keyed by row id: {errors: {"12": {"value": "Must be positive"}, "13": "Locked"}}
+   * or as a list: {errors: [{id: 12, field: "value", message: "..."}]}.
+   * Rejected rows stay dirty; accepted rows are committed.
+   * @param {string} tableId - Table identifier
+   * @returns {Promise<boolean>} True when every row was saved
+   */
+  async saveEdits(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return false;
+    if (table.activeEditor && !this.commitCellEdit(tableId)) return false;
+
+    const rows = this.getPendingEdits(tableId);
+    if (!rows.length) return true;
+
+    const saveUrl = table.element.dataset.saveUrl || table.config.saveUrl;
+    const url = saveUrl || table.element.dataset.actionUrl || table.config.actionUrl;
+
+    // Local tables: accept the edits as they are
+    if (!url) {
+      table.edits.clear();
+      table.editHistory = [];
+      table.editErrors = {};
+      this.updateEditBar(table, tableId);
+      this.renderTable(tableId);
+      EventManager.emit('table:editSave', {tableId, rows, saved: rows.map(r => r.id), errors: {}});
+      return true;
+    }
+
+    const saveButton = table.editElements?.save;
+    saveButton?.classList.add('loading');
+
+    let responseData = null;
+    try {
+      const payload = saveUrl ? {rows, tableId} : {action: 'batch_update', rows, tableId};
+      const resp = await window.http.post(url, payload);
+      responseData = resp?.data?.data ?? resp?.data ?? resp;
+
+      const errors = this.normalizeEditErrors(responseData?.errors);
+      if ((resp?.success === false || responseData?.success === false) && !Object.keys(errors).length) {
+        throw new Error(responseData?.message || resp?.statusText || 'Failed to save changes');
+      }
+
+      const saved = [];
+      rows.forEach(({id}) => {
+        if (errors[id]) return;
+        table.edits.delete(id);
+        delete table.editErrors[id];
+        saved.push(id);
+      });
+
+      Object.assign(table.editErrors, errors);
+      table.editHistory = table.editHistory.filter(item => table.edits.has(item.id));
+
+      if (Object.keys(errors).length) {
+        NotificationManager.warning(Now.translate('{count} rows could not be saved', {count: Object.keys(errors).length}));
+      } else {
+        NotificationManager.success(responseData?.message || 'Saved successfully');
+      }
+
+      this.updateEditBar(table, tableId);
+      this.renderTable(tableId);
+      EventManager.emit('table:editSave', {tableId, rows, saved, errors, response: responseData});
+      return !Object.keys(errors).length;
+    } catch (error) {
+      console.error('Batch save error:', error);
+      NotificationManager.error(error.message || 'Failed to save changes');
+      EventManager.emit('table:error', {tableId, action: 'batchUpdate', error, timestamp: Date.now()});
+      return false;
+    } finally {
+      saveButton?.classList.remove('loading');
+    }
+  },
+
+  normalizeEditErrors(errors) {
+    const result = {};
+    if (!errors) return result;
+
+    const add = (id, field, message) => {
+      id = String(id);
+      result[id] = result[id] || {};
+      result[id][field || '_row'] = Now.translate(String(message));
+    };
+
+    if (Array.isArray(errors)) {
+      errors.forEach(item => item && item.id !== undefined && add(item.id, item.field, item.message || item.error || 'Invalid value'));
+    } else if (typeof errors === 'object') {
+      Object.entries(errors).forEach(([id, value]) => {
+        if (value && typeof value === 'object') {
+          Object.entries(value).forEach(([field, message]) => add(id, field, message));
+        } else {
+          add(id, null, value);
+        }
+      });
+    }
+
+    return result;
+  },
+
+  /**
+   * Show the unsaved changes bar (Save / Undo / Discard) below the table
+   */
+  updateEditBar(table, tableId) {
+    if (!table.editWrapper) {
+      if (!table.element.parentNode) return;
+
+      const wrapper = document.createElement('div');
+      wrapper.className = 'table_nav table-edit-bar';
+      wrapper.setAttribute('role', 'status');
+
+      const status = document.createElement('span');
+      status.className = 'table-edit-status';
+
+      const createButton = (label, className, handler) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = Now.translate(label);
+        button.dataset.i18n = label;
+        button.addEventListener('click', (e) => {
+          e.preventDefault();
+          handler();
+        });
+        return button;
+      };
+
+      const undo = createButton('Undo', 'btn', () => this.undoEdit(tableId));
+      const discard = createButton('Discard', 'btn', () => this.discardEdits(tableId));
+      const save = createButton('Save changes', 'btn btn-primary', () => this.saveEdits(tableId));
+
+      wrapper.append(status, undo, discard, save);
+      table.element.after(wrapper);
+      table.editWrapper = wrapper;
+      table.editElements = {status, undo, save};
+    }
+
+    const count = Array.from(table.edits.values()).reduce((sum, entry) => sum + Object.keys(entry.changes).length, 0);
+    table.editWrapper.hidden = count === 0 && !Object.keys(table.editErrors).length;
+    table.editElements.status.textContent = Now.translate('{count} unsaved changes', {count});
+    table.editElements.undo.disabled = !table.editHistory.length;
+    table.editElements.save.disabled = count === 0;
+  },
+
   setupFilter(table, tableId) {
     if (!table?.filterWrapper) return;
 
@@ -1487,6 +2151,16 @@ const TableManager = {
     // Update filter data, reset to page 1
     table.config.params['page'] = 1;
     table.config.params[filterKey] = value;
+    if (filterKey !== 'page') this.resetCursor(table);
+
+    // Paging through drilled-down pivot rows stays on the client
+    if (table.pivot.drill) {
+      if (filterKey === 'page') {
+        this.renderTable(tableId);
+        return;
+      }
+      table.pivot.drill = null;
+    }
 
     this.clearSelection(table, tableId);
 
@@ -1689,6 +2363,9 @@ const TableManager = {
 
     this.clearSelection(table, tableId);
 
+    // Reloading refreshes the details of expanded rows too
+    table.detailCache.clear();
+
     try {
       const source = table.element.dataset.source;
 
@@ -1700,6 +2377,8 @@ const TableManager = {
       this.showLoading(table);
 
       if (source.startsWith('api/') || source.startsWith('http')) {
+        // Infinite scroll reloads start over from the first page
+        if (table.config.infiniteScroll) this.resetCursor(table);
         await this.loadFromApi(table, tableId, source);
       } else if (source.endsWith('.json')) {
         await this.loadFromJson(tableId, source);
@@ -2179,6 +2858,14 @@ const TableManager = {
           // Setup column resizing for dynamic headers
           this.setupColumnResizing(tableId);
 
+          // Re-apply the user's column layout to the new headers
+          const savedLayout = this.loadViews(table).layout;
+          if (savedLayout) {
+            this.setColumnLayout(tableId, savedLayout, {render: false, persist: false});
+          } else {
+            this.refreshColumnChooser(table, tableId);
+          }
+
           // Setup accessibility after all components are created
           this.setupAccessibility(table.element, tableId, table.config);
 
@@ -2244,13 +2931,21 @@ const TableManager = {
       // Auto-correct page if it exceeds totalPages (e.g., from stale URL params)
       const correctedPage = metaPage > metaTotalPages ? metaTotalPages : metaPage;
 
+      // Keyset pagination: the server returns the cursor of the next page and may omit the total
+      const {next_cursor: nextCursor = null, nextCursor: nextCursorAlt = null, ...meta} = normalized.meta;
+      const hasTotal = normalized.meta.total !== undefined && normalized.meta.total !== null;
+      // Pages after the first are usually not counted again, the first page's total still applies
+      const keepTotal = !hasTotal && !!table.cursor.current && table.cursor.hasTotal;
+      table.cursor.next = nextCursor ?? nextCursorAlt;
+      table.cursor.hasTotal = hasTotal || keepTotal;
+
       table.config.params = {
         ...table.config.params,
-        ...normalized.meta,
+        ...meta,
         page: correctedPage,
         pageSize: metaPageSize,
-        total: metaTotal,
-        totalPages: metaTotalPages
+        total: keepTotal ? table.config.params.total : metaTotal,
+        totalPages: keepTotal ? table.config.params.totalPages : metaTotalPages
       };
 
 
@@ -2265,7 +2960,9 @@ const TableManager = {
       if (!Array.isArray(tableContent)) {
         throw new Error('Invalid data format: expected array');
       }
-      table.data = tableContent;
+      table.data = table.appending ? this.mergeRows(table.data, tableContent) : tableContent;
+      table.appending = false;
+      table.pivot.sourceRows = null;
 
       // If API/state did not provide filter option lists, derive them from data for select filters
       try {
@@ -2494,21 +3191,32 @@ const TableManager = {
     try {
       tbody.innerHTML = '';
 
-      // Check if data comes from API (server-side)
-      const source = tableEl.dataset.source || config.source || '';
+      if (table.pivot.active && !table.pivot.drill) {
+        this.renderPivot(tableId);
+        return;
+      }
+
+      // Rows behind a pivot cell replace the table data while drilling down
+      const drillRows = table.pivot.active ? table.pivot.drill?.rows : null;
+
+      // Check if data comes from API (server-side)
+      const source = tableEl.dataset.source || config.source || '';
       const hasApiSource = source && (source.startsWith('api/') || source.startsWith('http'));
 
       // Also check if response has meta.total which indicates server-side pagination
       const hasServerMeta = table.serverSide || (config.params.total !== undefined && config.params.total !== (table.data || []).length);
 
-      const isServerSide = hasApiSource || hasServerMeta;
+      const isServerSide = !drillRows && (hasApiSource || hasServerMeta);
 
       // Ensure at least one editable row exists so add/copy controls are visible
-      if (config.allowRowModification && (!Array.isArray(table.data) || table.data.length === 0)) {
+      if (!drillRows && config.allowRowModification && (!Array.isArray(table.data) || table.data.length === 0)) {
         table.data = [this.createEmptyRow(table)];
       }
 
-      const baseData = table.data || [];
+      const baseData = drillRows || table.data || [];
+
+      // Rows without an id are selected by their position in table.data (see getRowKey)
+      table.rowIndexes = new Map((table.data || []).map((row, index) => [row, index]));
 
       let filteredData = baseData;
       let pageData = baseData;
@@ -2523,15 +3231,26 @@ const TableManager = {
         totalPages = config.params.totalPages || Math.ceil(totalRecords / (config.params.pageSize || baseData.length || 1));
       } else {
         // Client-side: apply filtering, sorting, and pagination
-        filteredData = this.filterData(table, baseData);
-        filteredData = this.sortData(table, filteredData);
-        const paginationResult = this.paginateData(table, filteredData);
-        pageData = paginationResult.pageData;
-        totalPages = paginationResult.totalPages;
-        totalRecords = paginationResult.totalRecords;
+        filteredData = drillRows || this.filterData(table, baseData);
+        filteredData = this.sortByGroups(table, this.sortData(table, filteredData));
+
+        if (config.virtual) {
+          // Virtual mode renders the whole filtered dataset through a scroll window
+          pageData = filteredData;
+          totalRecords = filteredData.length;
+        } else {
+          const paginationResult = this.paginateData(table, filteredData);
+          pageData = paginationResult.pageData;
+          totalPages = paginationResult.totalPages;
+          totalRecords = paginationResult.totalRecords;
+        }
       }
 
+      // Group headers are interleaved with data rows when grouping is enabled
+      const displayRows = this.buildDisplayRows(table, pageData, filteredData);
+
       if (pageData.length === 0) {
+        if (table.virtual) table.virtual.rows = [];
         const tr = document.createElement('tr');
         const td = document.createElement('td');
         td.colSpan = tableEl.querySelectorAll('thead th').length;
@@ -2539,10 +3258,16 @@ const TableManager = {
         td.textContent = Now.translate('No data available');
         tr.appendChild(td);
         tbody.appendChild(tr);
+      } else if (config.virtual) {
+        this.renderVirtualRows(table, tableId, displayRows, pageData);
       } else {
-        pageData.forEach((item, index) => {
-          const tr = this.renderRow(table, tableId, item, index);
+        displayRows.forEach((entry, index) => {
+          const tr = this.renderDisplayRow(table, tableId, entry, index);
           tbody.appendChild(tr);
+          // Expanded rows keep their detail panel across sorting and paging
+          if (tr.classList.contains('row-expanded')) {
+            tbody.appendChild(this.renderDetailRow(table, tableId, tr));
+          }
         });
       }
 
@@ -2557,10 +3282,14 @@ const TableManager = {
 
       this.setupFooter(table);
 
-      if (config.params.pageSize > 0) {
+      if (config.params.pageSize > 0 && (!config.virtual || config.infiniteScroll)) {
         this.updatePagination(table, tableId, totalRecords, totalPages);
       }
 
+      if (isServerSide && config.infiniteScroll) {
+        this.updateInfiniteScroll(table, tableId);
+      }
+
       EventManager.emit('table:render', {
         tableId,
         data: pageData,
@@ -2573,6 +3302,229 @@ const TableManager = {
     }
   },
 
+  /**
+   * Render rows in virtual mode: only the rows inside the viewport (plus a buffer)
+   * are materialised, the rest of the dataset is represented by spacer rows.
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   * @param {Array} rows - Rows to display (data rows and group headers)
+   * @param {Array} dataRows - Full filtered and sorted dataset
+   */
+  renderVirtualRows(table, tableId, rows, dataRows = rows) {
+    const virtual = this.setupVirtualScroll(table, tableId);
+    if (!virtual) return;
+
+    virtual.rows = rows;
+    virtual.dataRows = dataRows;
+    virtual.start = -1;
+    virtual.end = -1;
+
+    table.element.setAttribute('aria-rowcount', rows.length);
+
+    // Measure the row height once from a real row when not configured
+    if (!virtual.rowHeight) {
+      const tbody = table.element.querySelector('tbody');
+      const probe = this.renderVirtualRow(table, tableId, dataRows[0], 0);
+      tbody.appendChild(probe);
+      virtual.rowHeight = probe.offsetHeight || 40;
+      this.releaseRowElements(table, probe);
+      probe.remove();
+    }
+
+    this.updateVirtualWindow(tableId, true);
+  },
+
+  /**
+   * Create the virtual scroll state and bind the scroll listener once per table
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   * @returns {Object|null} Virtual scroll state
+   */
+  setupVirtualScroll(table, tableId) {
+    if (!table?.element) return null;
+    if (table.virtual) return table.virtual;
+
+    const scrollTarget = this.getScrollParent(table.element);
+    const virtual = {
+      rows: [],
+      dataRows: [],
+      start: -1,
+      end: -1,
+      rowHeight: parseInt(table.config.rowHeight) || 0,
+      buffer: parseInt(table.config.virtualBuffer) || 10,
+      scrollTarget,
+      frame: null,
+      onScroll: null
+    };
+
+    virtual.onScroll = () => {
+      if (virtual.frame) return;
+      virtual.frame = requestAnimationFrame(() => {
+        virtual.frame = null;
+        this.updateVirtualWindow(tableId);
+      });
+    };
+
+    scrollTarget.addEventListener('scroll', virtual.onScroll, {passive: true});
+    window.addEventListener('resize', virtual.onScroll, {passive: true});
+
+    table.virtual = virtual;
+    return virtual;
+  },
+
+  /**
+   * Find the nearest vertically scrollable ancestor (falls back to window).
+   * Decided by overflow alone: at setup the rows are not rendered yet, so the
+   * container does not overflow until later.
+   * @param {HTMLElement} element
+   * @returns {HTMLElement|Window}
+   */
+  getScrollParent(element) {
+    let node = element.parentElement;
+    while (node && node !== document.body && node !== document.documentElement) {
+      const overflowY = window.getComputedStyle(node).overflowY;
+      if (overflowY === 'auto' || overflowY === 'scroll') {
+        return node;
+      }
+      node = node.parentElement;
+    }
+    return window;
+  },
+
+  /**
+   * Re-render the visible slice of a virtual table when the scroll position changes
+   * @param {string} tableId - Table identifier
+   * @param {boolean} force - Render even when the visible range is unchanged
+   */
+  updateVirtualWindow(tableId, force = false) {
+    const table = this.state.tables.get(tableId);
+    const virtual = table?.virtual;
+    if (!virtual || !virtual.rows.length) return;
+
+    const tbody = table.element.querySelector('tbody');
+    if (!tbody) return;
+
+    const {rows, rowHeight, buffer, scrollTarget} = virtual;
+    const viewTop = scrollTarget === window ? 0 : scrollTarget.getBoundingClientRect().top;
+    const viewHeight = scrollTarget === window ? window.innerHeight : scrollTarget.clientHeight;
+    const offset = Math.max(0, viewTop - tbody.getBoundingClientRect().top);
+
+    const start = Math.max(0, Math.floor(offset / rowHeight) - buffer);
+    const end = Math.min(rows.length, Math.ceil((offset + viewHeight) / rowHeight) + buffer);
+
+    if (!force && start === virtual.start && end === virtual.end) return;
+
+    virtual.start = start;
+    virtual.end = end;
+
+    this.releaseRowElements(table, tbody);
+    tbody.innerHTML = '';
+
+    const colSpan = table.element.querySelectorAll('thead tr:last-child th').length || 1;
+    const fragment = document.createDocumentFragment();
+
+    if (start > 0) {
+      fragment.appendChild(this.createVirtualSpacer(colSpan, start * rowHeight));
+    }
+
+    for (let i = start; i < end; i++) {
+      fragment.appendChild(this.renderVirtualRow(table, tableId, rows[i], i));
+    }
+
+    if (end < rows.length) {
+      fragment.appendChild(this.createVirtualSpacer(colSpan, (rows.length - end) * rowHeight));
+    }
+
+    tbody.appendChild(fragment);
+
+    this.syncSelectAllState(table);
+  },
+
+  renderVirtualRow(table, tableId, item, index) {
+    const tr = this.renderDisplayRow(table, tableId, item, index);
+    tr.dataset.rowIndex = index;
+    tr.setAttribute('role', 'row');
+    tr.setAttribute('tabindex', '0');
+    tr.setAttribute('aria-rowindex', index + 1);
+    return tr;
+  },
+
+  createVirtualSpacer(colSpan, height) {
+    const tr = document.createElement('tr');
+    tr.className = 'virtual-spacer';
+    tr.setAttribute('aria-hidden', 'true');
+    const td = document.createElement('td');
+    td.colSpan = colSpan;
+    td.style.height = `${height}px`;
+    tr.appendChild(td);
+    return tr;
+  },
+
+  /**
+   * Destroy ElementManager instances created inside rows that are about to be discarded
+   * @param {Object} table - Table instance
+   * @param {HTMLElement} container - tbody or row element
+   */
+  releaseRowElements(table, container) {
+    if (!table.elementInstances?.size) return;
+
+    const elementManager = Now.getManager('element');
+    container.querySelectorAll('td[data-element-id]').forEach(td => {
+      const id = td.dataset.elementId;
+      if (elementManager) elementManager.destroy(id);
+      table.elementInstances.delete(id);
+    });
+  },
+
+  /**
+   * Scroll a virtual table so the row at the given dataset index is rendered and focus it
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   * @param {number} index - Row index in the full dataset
+   */
+  focusVirtualRow(table, tableId, index) {
+    const virtual = table?.virtual;
+    if (!virtual || !virtual.rows.length) return;
+
+    index = Math.max(0, Math.min(virtual.rows.length - 1, index));
+
+    let tr = table.element.querySelector(`tbody tr[data-row-index="${index}"]`);
+    const viewHeight = virtual.scrollTarget === window ? window.innerHeight : virtual.scrollTarget.clientHeight;
+    const rect = tr?.getBoundingClientRect();
+    const viewTop = virtual.scrollTarget === window ? 0 : virtual.scrollTarget.getBoundingClientRect().top;
+
+    if (!tr || rect.top < viewTop || rect.bottom > viewTop + viewHeight) {
+      const tbodyTop = table.element.querySelector('tbody').getBoundingClientRect().top;
+      const rowTop = tbodyTop - viewTop + index * virtual.rowHeight;
+      const delta = rowTop - (viewHeight - virtual.rowHeight) / 2;
+
+      if (virtual.scrollTarget === window) {
+        window.scrollBy(0, delta);
+      } else {
+        virtual.scrollTarget.scrollTop += delta;
+      }
+
+      this.updateVirtualWindow(tableId);
+      tr = table.element.querySelector(`tbody tr[data-row-index="${index}"]`);
+    }
+
+    if (tr) {
+      tr.focus({preventScroll: true});
+      this.announceRowChange(table.element, index, tr);
+    }
+  },
+
+  cleanupVirtualScroll(table) {
+    const virtual = table?.virtual;
+    if (!virtual) return;
+
+    virtual.scrollTarget.removeEventListener('scroll', virtual.onScroll);
+    window.removeEventListener('resize', virtual.onScroll);
+    if (virtual.frame) cancelAnimationFrame(virtual.frame);
+
+    table.virtual = null;
+  },
+
   restoreSortUI(table) {
     if (!table || !table.element) return;
 
@@ -2614,6 +3566,14 @@ const TableManager = {
   renderRow(table, tableId, item, index) {
     const tr = document.createElement('tr');
 
+    // Keep unsaved inline edits when rows are re-rendered or reloaded
+    const pending = table.edits.get(String(item.id));
+    if (pending) {
+      Object.entries(pending.changes).forEach(([field, change]) => {
+        item[field] = change.value;
+      });
+    }
+
     if (item.id) {
       tr.dataset.id = item.id;
     }
@@ -2622,7 +3582,8 @@ const TableManager = {
       const td = document.createElement('td');
       td.className = 'check-column';
 
-      const checkboxId = `select-row-${tableId}-${item.id || index}`;
+      const rowKey = this.getRowKey(table, item, index);
+      const checkboxId = `select-row-${tableId}-${rowKey}`;
 
       const label = document.createElement('label');
       label.htmlFor = checkboxId;
@@ -2631,7 +3592,10 @@ const TableManager = {
       checkbox.type = 'checkbox';
       checkbox.className = 'select-row';
       checkbox.id = checkboxId;
-      checkbox.value = item.id || index;
+      checkbox.value = rowKey;
+      if (table.virtual && table.selectedIds?.has(rowKey)) {
+        checkbox.checked = true;
+      }
       checkbox.addEventListener('change', () => {
         this.handleRowSelection(table, tableId);
       });
@@ -2641,6 +3605,13 @@ const TableManager = {
       tr.appendChild(td);
     }
 
+    if (this.isExpandable(table)) {
+      tr.appendChild(this.createExpandCell(table, tableId, item));
+      if (table.expandedRows.has(String(item.id))) {
+        tr.classList.add('row-expanded');
+      }
+    }
+
     if (table.config.allowRowModification && table.config.rowSortable !== false) {
       const handle = document.createElement('td');
       handle.className = 'drag-handle';
@@ -2652,8 +3623,10 @@ const TableManager = {
     }
 
     table.columns.forEach((attributes, field) => {
+      if (table.hiddenColumns.has(field)) return;
       this.renderCell(table, tableId, tr, field, attributes, item, index);
     });
+    this.decorateEditableCells(table, tr, item);
 
     if (table.config.allowRowModification) {
       const td = document.createElement('td');
@@ -2892,9 +3865,13 @@ const TableManager = {
             allValue: '',
             formatter: '',
             format: '',
+            currency: '',
+            decimals: '',
             class: '',
             cellClass: '',
             cellElement: '',
+            editor: '',
+            validate: '',
             autocomplete: 'off',
             template: ''
           });
@@ -2943,6 +3920,12 @@ const TableManager = {
       tr.appendChild(th);
     }
 
+    if (this.isExpandable(table)) {
+      const th = document.createElement('th');
+      th.className = 'expand-column';
+      tr.appendChild(th);
+    }
+
     // Add drag handle column if row modification with sortable is enabled
     if (table.config.allowRowModification && table.config.rowSortable !== false) {
       const th = document.createElement('th');
@@ -3199,919 +4182,3943 @@ const TableManager = {
     return columns;
   },
 
-  updateTableCaption(table, totalRecords, totalPages) {
-    if (!table?.element || !table.config.showCaption) return;
+  /**
+   * Create the expand/collapse-all controls shown while rows are grouped
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   */
+  setupGroupControls(table, tableId) {
+    if (!table?.element?.parentNode) return;
+
+    if (!table.groupWrapper) {
+      table.groupWrapper = document.createElement('div');
+      table.groupWrapper.className = 'table_nav table-group-controls';
+      table.element.parentNode.insertBefore(table.groupWrapper, table.element);
+
+      [
+        {label: 'Expand all', handler: () => this.expandAllGroups(tableId)},
+        {label: 'Collapse all', handler: () => this.collapseAllGroups(tableId)}
+      ].forEach(({label, handler}) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn';
+        button.textContent = Now.translate(label);
+        button.dataset.i18n = label;
+        button.addEventListener('click', (e) => {
+          e.preventDefault();
+          handler();
+        });
+        table.groupWrapper.appendChild(button);
+      });
+    }
 
-    const {pageSize, page, search} = table.config.params;
+    table.groupWrapper.hidden = !(table.groupBy && table.groupBy.length);
+  },
 
-    let caption = table.element.querySelector('caption');
+  /**
+   * Change the grouping fields of a table at runtime
+   * @param {string} tableId - Table identifier
+   * @param {Array|string} fields - Field names, e.g. ['stage', 'owner'] or 'stage,owner'
+   */
+  setGroupBy(tableId, fields) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
 
-    if (!caption) {
-      caption = document.createElement('caption');
-      table.element.appendChild(caption);
-    }
+    const list = Array.isArray(fields) ? fields : String(fields || '').split(',');
+    table.groupBy = list.map(field => String(field).trim()).filter(Boolean);
+    table.groupToggled.clear();
 
-    let searchText = '';
-    if (search && search.length > 0) {
-      searchText = "Search <strong>{search}</strong> found {count} entries, displayed {start} to {end}, page {page} of {total} pages";
-    } else {
-      searchText = "All {count} entries, displayed {start} to {end}, page {page} of {total} pages";
-    }
+    this.setupGroupControls(table, tableId);
+    this.syncStateToUrl(tableId);
+    this.renderTable(tableId);
 
-    const params = {
-      count: totalRecords,
-      start: (page - 1) * pageSize + 1,
-      end: Math.min(page * pageSize, totalRecords),
-      page: page,
-      total: totalPages,
-      search: search
-    };
+    EventManager.emit('table:groupChange', {
+      tableId,
+      groupBy: [...table.groupBy]
+    });
+  },
 
-    let translated = Now.translate(searchText, params);
+  isGroupCollapsed(table, key) {
+    return table.groupDefaultCollapsed !== table.groupToggled.has(key);
+  },
 
-    if (typeof translated === 'string' && /\{[^}]+\}/.test(translated)) {
-      try {
-        const i18n = Now.getManager ? Now.getManager('i18n') : window.I18nManager;
-        if (i18n && typeof i18n.interpolate === 'function') {
-          translated = i18n.interpolate(translated, params, i18n.getTranslations?.());
-        } else {
-          // Fallback simple interpolation
-          translated = String(translated).replace(/\{([^}]+)\}/g, (m, k) => {
-            return params[k] !== undefined ? params[k] : m;
-          });
-        }
-      } catch (err) {}
+  /**
+   * Expand or collapse a single group
+   * @param {string} tableId - Table identifier
+   * @param {string} key - Group key (data-group-key of the header row)
+   * @param {boolean|null} collapsed - Desired state, or null to toggle
+   */
+  toggleGroup(tableId, key, collapsed = null) {
+    const table = this.state.tables.get(tableId);
+    if (!table || !key) return;
+
+    const current = this.isGroupCollapsed(table, key);
+    const next = collapsed === null ? !current : collapsed;
+    if (next === current) return;
+
+    if (table.groupToggled.has(key)) {
+      table.groupToggled.delete(key);
+    } else {
+      table.groupToggled.add(key);
     }
 
-    caption.innerHTML = translated;
+    this.renderTable(tableId);
+
+    EventManager.emit('table:groupToggle', {
+      tableId,
+      key,
+      collapsed: next
+    });
   },
 
-  filterData(table, data) {
-    if (!table || !table.config.params || Object.keys(table.config.params).length === 0) {
-      return data;
-    }
+  expandAllGroups(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
 
-    const filters = table.config.params;
-    const searchColumns = table.config.searchColumns || [];
+    table.groupDefaultCollapsed = false;
+    table.groupToggled.clear();
+    this.renderTable(tableId);
+  },
 
-    return data.filter(item => {
-      const generalFilters = Object.entries(filters).every(([field, filterValue]) => {
-        if (['search', 'pageSize', 'page', 'total', 'summary'].includes(field)) return true;
+  collapseAllGroups(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
 
-        if (filterValue === '') return true;
+    table.groupDefaultCollapsed = true;
+    table.groupToggled.clear();
+    this.renderTable(tableId);
+  },
 
-        const value = item[field];
-        // If there's no corresponding column for this param (e.g., 'totalPages'), skip it
-        const attributes = table.columns.get(field);
-        if (!attributes) return true;
+  /**
+   * Group rows by every groupBy field, ordered by group value
+   * @param {Object} table - Table instance
+   * @param {Array} rows - Filtered and sorted data rows
+   * @returns {Array} Groups ({key, field, value, level, rows, children})
+   */
+  buildGroupTree(table, rows) {
+    const fields = (table.groupBy || []).filter(field => field);
 
-        if (value === undefined || value === null) return false;
+    const normalize = (v) => {
+      if (v === null || v === undefined) return '';
+      if (typeof v === 'object') {
+        if (v.value !== undefined) return v.value;
+        if (v.text !== undefined) return v.text;
+        return JSON.stringify(v);
+      }
+      return v;
+    };
 
-        if (attributes.showAll && filterValue.toString() === attributes.allValue.toString()) return true;
+    const build = (groupRows, level, parentKey) => {
+      const field = fields[level];
+      const groups = new Map();
 
-        const filterFn = table.element.querySelector(`th[data-field="${field}"]`)?.dataset.filterFn;
-        if (filterFn && typeof window[filterFn] === 'function') {
-          return window[filterFn](value, filterValue, item);
+      groupRows.forEach(row => {
+        const value = normalize(row[field]);
+        const groupValue = String(value);
+        if (!groups.has(groupValue)) {
+          groups.set(groupValue, {value, rows: []});
         }
+        groups.get(groupValue).rows.push(row);
+      });
 
-        // For text-type filters, use partial match (contains)
-        if (attributes.type === 'text') {
-          return value.toString().toLowerCase().includes(filterValue.toString().toLowerCase());
-        }
+      // Order groups by value, following the column sort direction when the group field is sorted
+      const direction = table.sortState?.[field] === 'desc' ? -1 : 1;
+      const ordered = Array.from(groups.values()).sort((a, b) => this.compareGroupValues(a.value, b.value) * direction);
 
-        // For select and other types, use exact match
-        return value.toString() === filterValue.toString();
+      return ordered.map(group => {
+        const key = `${parentKey}${parentKey ? '/' : ''}${field}=${encodeURIComponent(group.value)}`;
+        return {
+          key,
+          field,
+          value: group.value,
+          level,
+          rows: group.rows,
+          children: level < fields.length - 1 ? build(group.rows, level + 1, key) : null
+        };
       });
+    };
 
-      const searchFilter = !filters.search || searchColumns.some(column => {
-        const value = item[column];
-        if (value === undefined || value === null) return false;
+    return fields.length ? build(rows, 0, '') : [];
+  },
 
-        return value.toString().toLowerCase()
-          .includes(filters.search.toLowerCase());
+  /**
+   * Reorder rows so that each group is contiguous, keeping the sort order inside
+   * groups. Applied before pagination so a group is never scattered over pages.
+   * @param {Object} table - Table instance
+   * @param {Array} rows - Filtered and sorted data rows
+   * @returns {Array}
+   */
+  sortByGroups(table, rows) {
+    const tree = this.buildGroupTree(table, rows);
+    if (!tree.length) return rows;
+
+    const ordered = [];
+    const walk = (nodes) => nodes.forEach(node => {
+      if (node.children) {
+        walk(node.children);
+      } else {
+        ordered.push(...node.rows);
+      }
+    });
+    walk(tree);
+    return ordered;
+  },
+
+  /**
+   * Build the list of rows to display. Without grouping this is the data itself;
+   * with grouping, group header entries are inserted before their rows and rows
+   * of collapsed groups are left out. Counts and aggregates of a header cover the
+   * whole group, also when only part of it is on the current page.
+   * @param {Object} table - Table instance
+   * @param {Array} rows - Rows of the current page
+   * @param {Array} allRows - Filtered and sorted rows of every page
+   * @returns {Array} Data rows and group entries ({__group: true, ...})
+   */
+  buildDisplayRows(table, rows, allRows = rows) {
+    if (!rows.length) return rows;
+    const tree = this.buildGroupTree(table, allRows);
+    if (!tree.length) return rows;
+
+    const onPage = new Set(rows);
+    const display = [];
+
+    const walk = (nodes) => nodes.forEach(node => {
+      const pageRows = node.rows.filter(row => onPage.has(row));
+      if (!pageRows.length) return;
+
+      const collapsed = this.isGroupCollapsed(table, node.key);
+      display.push({
+        __group: true,
+        key: node.key,
+        field: node.field,
+        value: node.value,
+        level: node.level,
+        rows: node.rows,
+        count: node.rows.length,
+        collapsed
       });
 
-      return generalFilters && searchFilter;
+      if (collapsed) return;
+
+      if (node.children) {
+        walk(node.children);
+      } else {
+        display.push(...pageRows);
+      }
     });
+
+    walk(tree);
+    return display;
   },
 
-  sortData(table, data) {
-    if (!table || !table.sortState || Object.keys(table.sortState).length === 0) {
-      return data;
+  compareGroupValues(a, b) {
+    const numA = parseFloat(a);
+    const numB = parseFloat(b);
+    if (!isNaN(numA) && !isNaN(numB) && String(numA) === String(a) && String(numB) === String(b)) {
+      return numA - numB;
     }
+    return String(a).localeCompare(String(b), undefined, {numeric: true});
+  },
 
-    return [...data].sort((a, b) => {
-      for (const [field, direction] of Object.entries(table.sortState)) {
-        const aVal = a[field];
-        const bVal = b[field];
-
-        const sorter = table.element.querySelector(`th[data-field="${field}"]`)?.dataset.sorter;
-        if (sorter && typeof window[sorter] === 'function') {
-          const result = window[sorter](aVal, bVal, a, b);
-          if (result !== 0) return direction === 'asc' ? result : -result;
-          continue;
-        }
+  /**
+   * Display text of a grouped value, resolving lookups and column formats
+   * @param {Object} table - Table instance
+   * @param {string} field - Field name
+   * @param {*} value - Raw value
+   * @returns {string}
+   */
+  formatGroupValue(table, field, value) {
+    if (value === '' || value === null || value === undefined) {
+      return Now.translate('(Empty)');
+    }
 
-        if (aVal === bVal) continue;
+    const attributes = table.columns.get(field) || {};
+    const lookupOptions = table.dataOptions?.[field] || table.filterOptions?.[field] || attributes.options;
+    let text = value;
+    if (attributes.format) {
+      text = this.formatValue(value, attributes.format, lookupOptions);
+    } else if (lookupOptions && Object.keys(lookupOptions).length) {
+      text = this.formatValue(value, 'lookup', lookupOptions);
+    }
+    return this.translateValue(String(text));
+  },
 
-        const result = aVal > bVal ? 1 : -1;
-        return direction === 'asc' ? result : -result;
+  renderDisplayRow(table, tableId, entry, index) {
+    if (entry && entry.__group) {
+      return this.renderGroupRow(table, tableId, entry);
+    }
+    return this.renderRow(table, tableId, entry, index);
+  },
+
+  /**
+   * Render a group header row with toggle, label, row count and per-group aggregates
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   * @param {Object} group - Group entry from buildDisplayRows()
+   * @returns {HTMLTableRowElement}
+   */
+  renderGroupRow(table, tableId, group) {
+    const tr = document.createElement('tr');
+    tr.className = `group-header group-level-${group.level}`;
+    tr.dataset.groupKey = group.key;
+    tr.setAttribute('role', 'row');
+    tr.setAttribute('tabindex', '0');
+    tr.setAttribute('aria-level', group.level + 1);
+    tr.setAttribute('aria-expanded', String(!group.collapsed));
+
+    const {config} = table;
+    const fields = Array.from(table.columns.keys()).filter(field => !table.hiddenColumns.has(field));
+    const aggregates = config.groupAggregates || {};
+
+    // Leading cells rendered before data columns in renderRow()
+    let leading = 0;
+    if (config.showCheckbox) leading++;
+    if (this.isExpandable(table)) leading++;
+    if (config.allowRowModification && config.rowSortable !== false) leading++;
+
+    // The label spans every column before the first aggregated one. When the first
+    // column is aggregated the label takes the leading cells, or shares that column's cell
+    const firstAggregate = fields.findIndex(field => aggregates[field]);
+    const labelColumns = firstAggregate === -1 ? fields.length : firstAggregate;
+    const sharedCell = labelColumns + leading === 0;
+
+    const labelCell = document.createElement('td');
+    labelCell.className = 'group-label-cell';
+    labelCell.colSpan = sharedCell ? 1 : leading + labelColumns;
+    labelCell.style.paddingLeft = `${group.level * 1.5 + 0.5}rem`;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'group-toggle';
+    toggle.setAttribute('aria-label', Now.translate(group.collapsed ? 'Expand' : 'Collapse'));
+    labelCell.appendChild(toggle);
+
+    const attributes = table.columns.get(group.field) || {};
+    const th = table.element.querySelector(`thead th[data-field="${group.field}"]`);
+    const columnLabel = attributes.label || (th ? th.textContent.trim() : group.field);
+
+    const label = document.createElement('span');
+    label.className = 'group-label';
+    label.textContent = `${columnLabel}: ${this.formatGroupValue(table, group.field, group.value)}`;
+    labelCell.appendChild(label);
+
+    const count = document.createElement('span');
+    count.className = 'group-count';
+    count.textContent = `(${group.count})`;
+    labelCell.appendChild(count);
+
+    tr.appendChild(labelCell);
+
+    fields.slice(labelColumns).forEach((field, index) => {
+      let td;
+      if (sharedCell && index === 0) {
+        td = document.createElement('span');
+        labelCell.appendChild(td);
+      } else {
+        td = document.createElement('td');
+        tr.appendChild(td);
+      }
+      const type = aggregates[field];
+      if (type) {
+        const value = type === 'count'
+          ? group.count
+          : this.calculateAggregate(group.rows, field, type);
+        const format = table.columns.get(field)?.format;
+        td.className = 'aggregate-cell';
+        td.textContent = this.formatValue(value, format === 'lookup' ? '' : format);
       }
-      return 0;
     });
-  },
 
-  paginateData(table, data) {
-    if (!table || table.config.params.pageSize <= 0) {
-      return {pageData: data, totalPages: 1, totalRecords: data.length};
+    // Trailing cells: row modification icons and row actions
+    if (config.allowRowModification) {
+      tr.appendChild(document.createElement('td'));
     }
-
-    const {pageSize, page} = table.config.params;
-    const start = (page - 1) * pageSize;
-    let pageData;
-    if (table.serverSide) {
-      // Assume server returned the page's rows already
-      pageData = data;
-    } else {
-      pageData = data.slice(start, start + pageSize);
+    if (table.element.dataset.rowActions || table.element.dataset.rowActionsJson) {
+      tr.appendChild(document.createElement('td'));
     }
 
-    // If server provided a total (via meta), use it; otherwise derive from data length
-    const totalRecords = parseInt(table.config.params.total || data.length || 0);
-    const totalPages = pageSize > 0 ? Math.max(1, Math.ceil(totalRecords / pageSize)) : 1;
+    return tr;
+  },
 
-    return {pageData, totalPages, totalRecords};
+  /**
+   * Whether rows of a table can be expanded to show a detail panel.
+   * Detail rows need a real row id and rows of variable height, so they are
+   * not available in virtual mode or on editable (row modification) tables.
+   * @param {Object} table - Table instance
+   * @returns {boolean}
+   */
+  isExpandable(table) {
+    const {config} = table;
+    return !!(config.detailUrl || config.detailTemplate) && !config.virtual && !config.allowRowModification;
   },
 
-  updatePagination(table, tableId, totalRecords, totalPages) {
-    if (!table) return;
+  createExpandCell(table, tableId, item) {
+    const td = document.createElement('td');
+    td.className = 'expand-column';
 
-    table.paginationWrapper.innerHTML = '';
+    const id = item.id;
+    if (id === undefined || id === null || id === '') return td;
 
-    if (totalPages > 1) {
-      let startPage = Math.max(1, table.config.params.page - 2);
-      let endPage = Math.min(totalPages, startPage + 4);
+    const expanded = table.expandedRows.has(String(id));
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'row-expand';
+    button.setAttribute('aria-expanded', String(expanded));
+    button.setAttribute('aria-controls', this.getDetailRowId(tableId, id));
+    button.setAttribute('aria-label', Now.translate(expanded ? 'Hide details' : 'Show details'));
+    td.appendChild(button);
+    return td;
+  },
 
-      if (endPage - startPage < 4) {
-        startPage = Math.max(1, endPage - 4);
-      }
+  getDetailRowId(tableId, id) {
+    return `${tableId}-detail-${String(id).replace(/[^\w-]/g, '_')}`;
+  },
 
-      if (startPage > 1) {
-        this.addPaginationButton(table, tableId, 1, '1', table.config.params.page);
-      }
+  /**
+   * Render the detail row shown below an expanded row
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   * @param {HTMLTableRowElement} tr - The expanded row
+   * @returns {HTMLTableRowElement}
+   */
+  renderDetailRow(table, tableId, tr) {
+    const id = tr.dataset.id;
+    const detailRow = document.createElement('tr');
+    detailRow.className = 'detail-row';
+    detailRow.id = this.getDetailRowId(tableId, id);
+    detailRow.dataset.detailFor = id;
 
-      for (let i = startPage; i <= endPage; i++) {
-        this.addPaginationButton(table, tableId, i, i, table.config.params.page);
+    const td = document.createElement('td');
+    td.className = 'detail-cell';
+    td.colSpan = tr.cells.length;
+
+    const container = document.createElement('div');
+    container.className = 'row-detail';
+    td.appendChild(container);
+    detailRow.appendChild(td);
+
+    this.renderRowDetail(table, tableId, id, container);
+    return detailRow;
+  },
+
+  /**
+   * Fill a detail container from the cache, loading the detail first when needed
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   * @param {string} id - Row id
+   * @param {HTMLElement} container - Detail container
+   */
+  async renderRowDetail(table, tableId, id, container) {
+    const key = String(id);
+    const row = this.getRowObjectById(tableId, key) || {id};
+
+    if (table.config.detailUrl && !table.detailCache.has(key)) {
+      container.textContent = `${Now.translate('Loading')}...`;
+      container.setAttribute('aria-busy', 'true');
+      try {
+        await this.loadRowDetail(table, tableId, row);
+      } catch (error) {
+        container.removeAttribute('aria-busy');
+        container.textContent = Now.translate('Failed to load data');
+        this.handleError('Loading row detail', error, 'renderRowDetail');
+        return;
       }
+      // The row may have been collapsed or re-rendered while loading
+      if (!container.isConnected) return;
+    }
 
-      if (endPage < totalPages) {
-        this.addPaginationButton(table, tableId, totalPages, totalPages, table.config.params.page);
+    container.removeAttribute('aria-busy');
+    const detail = table.config.detailUrl ? table.detailCache.get(key) : null;
+    const templateId = table.config.detailTemplate;
+    const template = templateId ? document.getElementById(templateId) : null;
+
+    if (template) {
+      // Object details are merged into the row so the template can use both
+      const data = detail && typeof detail === 'object' && !Array.isArray(detail)
+        ? {...row, ...detail}
+        : {...row, detail};
+      const context = {state: {data}, data};
+      if (window.TemplateManager && typeof TemplateManager.processTemplateString === 'function') {
+        TemplateManager.processTemplateString(template.innerHTML, context, container);
+      } else {
+        container.innerHTML = template.innerHTML;
       }
+    } else if (typeof detail === 'string' || typeof detail?.html === 'string') {
+      container.innerHTML = typeof detail === 'string' ? detail : detail.html;
+    } else {
+      container.innerHTML = '';
+      container.appendChild(this.createDetailList(detail ?? row));
     }
 
-    this.updateTableCaption(table, totalRecords, totalPages);
+    EventManager.emit('table:rowDetailRender', {
+      tableId,
+      rowId: key,
+      row,
+      detail,
+      container
+    });
   },
 
-  addPaginationButton(table, tableId, page, text, currentPage) {
-    const button = document.createElement('button');
-    button.textContent = text;
-    button.setAttribute('type', 'button');
+  /**
+   * Fetch the detail of a row from config.detailUrl and cache it by row id.
+   * ${field} placeholders in the URL are replaced with row values; without
+   * placeholders the row id is sent as the "id" parameter.
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   * @param {Object} row - Row data
+   * @returns {Promise<*>} Detail payload
+   */
+  loadRowDetail(table, tableId, row) {
+    const key = String(row.id);
+    if (table.detailCache.has(key)) return Promise.resolve(table.detailCache.get(key));
+    if (table.detailRequests.has(key)) return table.detailRequests.get(key);
+
+    const template = table.config.detailUrl;
+    const hasPlaceholders = /\${\w+}/.test(template);
+    const url = template.replace(/\${(\w+)}/g, (match, field) => encodeURIComponent(row[field] ?? ''));
+
+    const request = ApiService.get(url, hasPlaceholders ? {} : {id: row.id}, {
+      headers: {'Accept': 'application/json'}
+    }).then(response => {
+      if (response?.success === false) {
+        throw new Error(response?.message || response?.statusText || `Request failed (${response?.status || 'unknown'})`);
+      }
+      const detail = response?.data?.data ?? response?.data ?? response;
+      table.detailCache.set(key, detail);
 
-    if (page !== currentPage) {
-      button.classList.add('pagination-button');
-      button.setAttribute('aria-label', Now.translate('Go to page {page}', {page}));
-      button.onclick = (e) => {
-        e.preventDefault();
-        this.handleFilterChange(table, tableId, 'page', parseInt(page));
-      };
-    } else {
-      button.disabled = true;
-      button.setAttribute('aria-current', 'page');
-    }
+      EventManager.emit('table:rowDetailLoad', {
+        tableId,
+        rowId: key,
+        detail
+      });
+      return detail;
+    }).finally(() => {
+      table.detailRequests.delete(key);
+    });
 
-    table.paginationWrapper.appendChild(button);
+    table.detailRequests.set(key, request);
+    return request;
   },
 
-  renderCell(table, tableId, row, field, attributes, rowData, index) {
-    const cell = document.createElement('td');
-    cell.dataset.field = field;
-    let value = rowData[field];
+  createDetailList(detail) {
+    const list = document.createElement('dl');
+    list.className = 'row-detail-list';
+    Object.entries(detail || {}).forEach(([key, value]) => {
+      if (value === null || value === undefined || typeof value === 'object') return;
+      const dt = document.createElement('dt');
+      dt.textContent = Now.translate(key);
+      const dd = document.createElement('dd');
+      dd.textContent = String(value);
+      list.append(dt, dd);
+    });
+    return list;
+  },
 
-    const normalizeValue = (v) => {
-      if (v === null || v === undefined) return v;
-      if (typeof v === 'object') {
-        if (v.text !== undefined) return v.text;
-        if (v.html !== undefined) return v.html;
-        if (v.value !== undefined) return v.value;
-        return JSON.stringify(v);
-      }
-      return v;
-    };
+  /**
+   * Expand or collapse the detail panel of a row
+   * @param {string} tableId - Table identifier
+   * @param {string|number} id - Row id
+   * @param {boolean|null} expanded - Desired state, or null to toggle
+   */
+  toggleRowDetail(tableId, id, expanded = null) {
+    const table = this.state.tables.get(tableId);
+    if (!table || !this.isExpandable(table) || id === undefined || id === null) return;
 
-    const rawValue = value;
-    const primValue = normalizeValue(value);
+    const key = String(id);
+    const current = table.expandedRows.has(key);
+    const next = expanded === null ? !current : !!expanded;
+    if (next === current) return;
 
-    try {
-      // Setup cell attributes
-      if (attributes.cellClass) {
-        cell.className = attributes.cellClass;
-      }
+    if (next) {
+      table.expandedRows.add(key);
+    } else {
+      table.expandedRows.delete(key);
+    }
 
-      if (attributes.align) {
-        cell.style.textAlign = attributes.align;
+    // Update the rendered row in place; rows on other pages pick up the state when rendered
+    const tr = this.findRowElement(table, key);
+    if (tr) {
+      const button = tr.querySelector('.row-expand');
+      if (button) {
+        button.setAttribute('aria-expanded', String(next));
+        button.setAttribute('aria-label', Now.translate(next ? 'Hide details' : 'Show details'));
       }
+      tr.classList.toggle('row-expanded', next);
 
-      // Handle null or undefined values
-      if (primValue === null || primValue === undefined) {
-        cell.textContent = attributes.emptyText || '';
-        row.appendChild(cell);
-        return;
+      const existing = tr.nextElementSibling?.classList.contains('detail-row') ? tr.nextElementSibling : null;
+      if (next && !existing) {
+        tr.after(this.renderDetailRow(table, tableId, tr));
+      } else if (!next && existing) {
+        existing.remove();
       }
+    }
 
-      // Handle different render types
-      if (attributes.cellElement && attributes.cellElement !== '') {
-        // Render as interactive element
-        this.renderElementCell(cell, table, tableId, field, attributes, rowData, index);
-      } else if (attributes.formatter && typeof window[attributes.formatter] === 'function') {
-        // Custom formatter function - pass rawValue and primValue for flexibility
-        window[attributes.formatter](cell, rawValue, rowData, attributes);
-      } else if (attributes.format) {
-        // Built-in formatter - look up options in priority order:
-        // 1. API response options (table.dataOptions)
-        // 2. Filter options (table.filterOptions)
-        // 3. HTML data-options (attributes.options)
-        const lookupOptions = table.dataOptions?.[field] || table.filterOptions?.[field] || attributes.options;
-        cell.textContent = this.formatValue(primValue, attributes.format, lookupOptions);
-      } else if (attributes.template) {
-        // Template-based rendering
-        // 1) Replace ${key} placeholders with row values
-        let template = attributes.template.replace(/\${(\w+)}/g, (match, key) => {
-          const v = rowData[key];
-          return v !== undefined ? normalizeValue(v) : match;
-        });
+    EventManager.emit('table:rowExpand', {
+      tableId,
+      rowId: key,
+      expanded: next
+    });
+  },
 
-        // 2) Run i18n interpolation on the resulting HTML string so tokens like
-        //    {LNG_*} (including patterns formed like {LNG_${status_text}}) are resolved
-        try {
-          const i18n = window.Now && Now.getManager ? Now.getManager('i18n') : null;
-          if (i18n && typeof i18n.interpolate === 'function') {
-            template = i18n.interpolate(template);
-          } else if (window.Now && typeof Now.translate === 'function') {
-            // Fallback: if translate exists but no interpolate, attempt a best-effort
-            // Translate plain tokens that match exactly one token inside the template
-            // (not ideal for full HTML, but better than nothing)
-            // Only translate when the template is simple text
-            const plain = template.replace(/^\s+|\s+$/g, '');
-            if (!plain.includes('<') && plain.startsWith('{LNG_') && plain.endsWith('}')) {
-              template = Now.translate(plain.slice(1, -1));
-            }
-          }
-        } catch (e) {
-          // Ignore i18n errors and fall back to raw template
-        }
+  expandRow(tableId, id) {
+    this.toggleRowDetail(tableId, id, true);
+  },
 
-        // 2.5) If TemplateManager is available, process the template string so it can use
-        // its directives/interpolation and sanitization with the current row context
-        try {
-          const tm = window.TemplateManager;
-          if (!tm || typeof tm.processTemplateString !== 'function') {
-            throw new Error('TemplateManager.processTemplateString not available');
-          }
+  collapseRow(tableId, id) {
+    this.toggleRowDetail(tableId, id, false);
+  },
 
-          const container = document.createElement('div');
-          const context = {
-            state: {data: rowData},
-            data: rowData,
-            skipScan: true // avoid re-scanning element/form managers inside table cells
-          };
-          tm.processTemplateString(template, context, container);
-          template = container.innerHTML;
-        } catch (e) {
-          const message = `Template error: ${e.message || e}`;
-          // Surface visibly in cell and log for developers
-          template = `<span class="template-error" title="${message}">${message}</span>`;
-          try {
-            ErrorManager.handle(message, {
-              context: 'TableManager.renderCell.template',
-              data: {field, template: attributes.template, error: e}
-            });
-          } catch (logErr) {
-            console.error(message, e);
-          }
-        }
+  collapseAllRows(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
 
-        // 3) Insert HTML
-        cell.innerHTML = template;
+    Array.from(table.expandedRows).forEach(id => this.toggleRowDetail(tableId, id, false));
+  },
 
-        // 4) Immediately translate any elements inside the inserted HTML that carry data-i18n
-        try {
-          const i18n = window.Now && Now.getManager ? Now.getManager('i18n') : null;
-          // Query for elements with data-i18n attribute inside this cell
-          const els = cell.querySelectorAll('[data-i18n]');
-          els.forEach(el => {
-            const originalAttr = el.getAttribute('data-i18n');
-            const attr = originalAttr;
-            // Preserve original i18n key for later re-translation
-            if (originalAttr !== null && originalAttr !== undefined) {
-              try {el.dataset.i18n = originalAttr;} catch (e) { /* ignore */}
-            }
-            // If attribute is empty (just presence), translate current textContent
-            if (attr === '' || attr === null) {
-              if (typeof Now !== 'undefined' && typeof Now.translate === 'function') {
-                el.textContent = Now.translate(el.textContent || '');
-              }
-            } else {
-              // Attribute has a value (possibly produced by ${...}); use it as the key
-              // If i18n.interpolate exists, run it so tokens are resolved; otherwise use Now.translate
-              let key = attr;
-              if (i18n && typeof i18n.interpolate === 'function') {
-                try {key = i18n.interpolate(key);} catch (e) { /* ignore */}
-              }
-              if (typeof Now !== 'undefined' && typeof Now.translate === 'function') {
-                el.textContent = Now.translate(key);
-              } else {
-                // Fallback: set to interpolated value
-                el.textContent = key;
-              }
-            }
-          });
-        } catch (e) {
-          // ignore translation errors for cell post-processing
-        }
-      } else {
-        // Default rendering - prefer HTML when original value had an html property
-        if (rawValue && typeof rawValue === 'object' && rawValue.html !== undefined) {
-          cell.innerHTML = rawValue.html;
-        } else {
-          cell.textContent = primValue;
-        }
-      }
-
-      // Add any data attributes
-      if (attributes.dataAttributes) {
-        Object.entries(attributes.dataAttributes).forEach(([attr, val]) => {
-          const attrValue = typeof val === 'function' ? val(rowData) : val;
-          cell.dataset[attr] = attrValue;
-        });
-      }
-
-      // Add any event handlers directly to the cell
-      if (attributes.events) {
-        Object.entries(attributes.events).forEach(([event, handler]) => {
-          cell.addEventListener(event, (e) => handler(e, rowData, cell, table));
-        });
-      }
+  /**
+   * Forget loaded details so they are fetched again on the next expand
+   * @param {string} tableId - Table identifier
+   * @param {string|number|null} id - Row id, or null for every row
+   */
+  clearDetailCache(tableId, id = null) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
 
-      row.appendChild(cell);
-    } catch (error) {
-      this.handleError('Rendering cell failed', error, 'renderCell');
-      // Fallback to simple text rendering
-      cell.textContent = value !== undefined ? value : '';
-      row.appendChild(cell);
+    if (id === null) {
+      table.detailCache.clear();
+    } else {
+      table.detailCache.delete(String(id));
     }
   },
 
-  translateValue(value) {
-    try {
-      const i18n = window.Now && Now.getManager ? Now.getManager('i18n') : null;
-      if (i18n && typeof i18n.interpolate === 'function') {
-        return i18n.interpolate(value);
-      }
-      if (typeof Now !== 'undefined' && typeof Now.translate === 'function') {
-        return Now.translate(value);
-      }
-    } catch (e) {}
-    return value;
-  },
-
-  retranslateFilter(table) {
-    if (!table) return;
-
-    const config = table.config || {};
+  updateTableCaption(table, totalRecords, totalPages) {
+    if (!table?.element || !table.config.showCaption) return;
 
-    // Internal filter UI (ElementManager-built)
-    if (table.filterElements && table.filterElements instanceof Map) {
-      // Search placeholder
-      const searchObj = table.filterElements.get('search');
-      if (searchObj?.element && Array.isArray(config.searchColumns) && config.searchColumns.length) {
-        searchObj.element.placeholder = `${Now.translate('Search in')}: ${config.searchColumns.join(', ')}`;
-      }
-    }
-  },
+    const {pageSize, page, search} = table.config.params;
 
-  renderElementCell(cell, table, tableId, field, attributes, rowData, index) {
-    const elementManager = Now.getManager('element');
-    const value = rowData[field];
+    let caption = table.element.querySelector('caption');
 
-    if (!elementManager) {
-      cell.textContent = value || '';
-      return;
+    if (!caption) {
+      caption = document.createElement('caption');
+      table.element.appendChild(caption);
     }
 
-    let elementType = attributes.cellElement;
-    let config = this.getElementConfig(table, tableId, field, attributes, rowData, index);
+    const hasSearch = search && search.length > 0;
+    const drilled = !!table.pivot.drill;
+    const cursorMode = this.isCursorPagination(table) && !drilled;
+    const appended = table.config.infiniteScroll && this.isServerSideTable(table) && !drilled;
+    const rowCount = (table.data || []).length;
 
-    if (!config) {
-      cell.textContent = value;
-      return;
+    let searchText = '';
+    let start = (page - 1) * pageSize + 1;
+    let end = Math.min(page * pageSize, totalRecords);
+    let currentPage = page;
+
+    if (appended) {
+      // Infinite scroll: every loaded row is on screen
+      start = rowCount > 0 ? 1 : 0;
+      end = rowCount;
+    } else if (cursorMode) {
+      start = rowCount > 0 ? table.cursor.offset + 1 : 0;
+      end = table.cursor.offset + rowCount;
+      currentPage = table.cursor.history.length + 1;
+      totalPages = Math.max(currentPage, Math.ceil(totalRecords / (pageSize || 1)));
+    }
+
+    if (cursorMode && !table.cursor.hasTotal) {
+      // The server did not count the matching rows
+      searchText = hasSearch ? "Search <strong>{search}</strong>, displayed {start} to {end}" : "Displayed {start} to {end}";
+    } else if (appended) {
+      searchText = hasSearch ? "Search <strong>{search}</strong> found {count} entries, displayed {start} to {end}" : "All {count} entries, displayed {start} to {end}";
+    } else if (hasSearch) {
+      searchText = "Search <strong>{search}</strong> found {count} entries, displayed {start} to {end}, page {page} of {total} pages";
+    } else {
+      searchText = "All {count} entries, displayed {start} to {end}, page {page} of {total} pages";
     }
 
-    try {
-      // Create the element using ElementManager
-      const element = elementManager.create(elementType, config);
+    const params = {
+      count: totalRecords,
+      start,
+      end,
+      page: currentPage,
+      total: totalPages,
+      search: search
+    };
 
-      if (element && element.element) {
-        // Store element ID for later reference
-        cell.dataset.elementId = element.element.id;
+    let translated = Now.translate(searchText, params);
 
-        // Append the element or its wrapper to the cell
-        if (element.wrapper) {
-          cell.appendChild(element.wrapper);
+    if (typeof translated === 'string' && /\{[^}]+\}/.test(translated)) {
+      try {
+        const i18n = Now.getManager ? Now.getManager('i18n') : window.I18nManager;
+        if (i18n && typeof i18n.interpolate === 'function') {
+          translated = i18n.interpolate(translated, params, i18n.getTranslations?.());
         } else {
-          cell.appendChild(element.element);
-        }
-
-        // Track the element in table state for cleanup
-        if (!table.elementInstances) {
-          table.elementInstances = new Map();
+          // Fallback simple interpolation
+          translated = String(translated).replace(/\{([^}]+)\}/g, (m, k) => {
+            return params[k] !== undefined ? params[k] : m;
+          });
         }
-        table.elementInstances.set(element.element.id, element);
-      } else {
-        // Fallback if element creation failed
-        cell.textContent = value;
-      }
-    } catch (error) {
-      console.error('Failed to create element in cell:', error);
-      cell.textContent = value;
+      } catch (err) {}
     }
+
+    caption.innerHTML = translated;
   },
 
-  getElementConfig(table, tableId, field, attributes, rowData, index) {
-    // Allow using data-type as a shorthand for data-cell-element.
-    if (!attributes.cellElement && attributes.type) {
-      attributes.cellElement = attributes.type;
+  filterData(table, data) {
+    if (!table || !table.config.params || Object.keys(table.config.params).length === 0) {
+      return data;
     }
-    if (!attributes.cellElement) return null;
 
-    // Base configuration common to all elements
-    const rawValue = rowData[field];
-    const normalizeValue = (v) => {
-      if (v === null || v === undefined) return v;
-      if (typeof v === 'object') {
-        if (v.value !== undefined) return v.value;
-        if (v.text !== undefined) return v.text;
-        if (v.html !== undefined) return v.html;
-        return JSON.stringify(v);
-      }
-      return v;
-    };
-    const value = normalizeValue(rawValue);
-    const config = {
-      type: attributes.cellElement,
-      name: `${field}[${rowData.id || index}]`,
-      id: `${tableId}_${field}_${rowData.id || index}`, // Predictable format for error highlighting
-      wrapper: attributes.wrapper || 'div',
-      value: value,
-      autocomplete: attributes.autocomplete || 'off',
-      className: attributes.class,
-      readOnly: attributes.readOnly,
-      disabled: attributes.disabled,
-      required: attributes.required,
-      placeholder: attributes.placeholder || attributes.label
-    };
+    const filters = table.config.params;
+    const searchColumns = table.config.searchColumns || [];
 
-    // Element-specific configurations
-    switch (attributes.cellElement) {
-      case 'select':
-        // Handle select element. options can come from several places:
-        config.options = (table.filterOptions && table.filterOptions[field]) || attributes.options || {};
-        if (typeof config.options === 'string' && window[config.options]) {
-          config.options = window[config.options];
-        }
-        config.multiple = attributes.multiple;
-        config.allowEmpty = attributes.allowEmpty !== false;
-        break;
+    return data.filter(item => {
+      const generalFilters = Object.entries(filters).every(([field, filterValue]) => {
+        if (['search', 'pageSize', 'page', 'total', 'summary', 'filter'].includes(field)) return true;
 
-      case 'text':
-      case 'email':
-      case 'url':
-      case 'password':
-        // Text-like elements
-        if (attributes.minLength !== undefined && attributes.minLength !== null && attributes.minLength !== '') {
-          const parsedMin = parseInt(attributes.minLength, 10);
-          if (!isNaN(parsedMin) && parsedMin >= 0) config.minLength = parsedMin;
-        }
-        if (attributes.maxLength !== undefined && attributes.maxLength !== null && attributes.maxLength !== '') {
-          const parsedMax = parseInt(attributes.maxLength, 10);
-          if (!isNaN(parsedMax) && parsedMax > 0) config.maxLength = parsedMax;
-        }
-        config.pattern = attributes.pattern;
-        config.autocomplete = attributes.autocomplete || config.type;
-        // Add datalist if provided
-        if (attributes.datalist) {
-          config.datalist = attributes.datalist;
-        }
-        break;
+        if (filterValue === '') return true;
 
-      case 'number':
-        // Number input
-        config.min = attributes.min;
-        config.max = attributes.max;
-        config.step = attributes.step || 1;
-        break;
+        const value = item[field];
+        // If there's no corresponding column for this param (e.g., 'totalPages'), skip it
+        const attributes = table.columns.get(field);
+        if (!attributes) return true;
 
-      case 'textarea':
-        // Textarea
-        config.rows = attributes.rows || 3;
-        config.cols = attributes.cols;
-        config.resizable = attributes.resizable !== false;
-        break;
+        if (value === undefined || value === null) return false;
 
-      case 'date':
-      case 'time':
-      case 'datetime-local':
-        // Date/time inputs
-        config.min = attributes.min;
-        config.max = attributes.max;
-        config.format = attributes.format;
-        break;
+        if (attributes.showAll && filterValue.toString() === attributes.allValue.toString()) return true;
 
-      case 'color':
-        // Color input - ensure value is in #RRGGBB format
-        if (config.value && !config.value.startsWith('#')) {
-          config.value = '#' + config.value;
+        const filterFn = table.element.querySelector(`th[data-field="${field}"]`)?.dataset.filterFn;
+        if (filterFn && typeof window[filterFn] === 'function') {
+          return window[filterFn](value, filterValue, item);
         }
-        // Ensure uppercase for consistency
-        if (config.value) {
-          config.value = config.value.toUpperCase();
+
+        // For text-type filters, use partial match (contains)
+        if (attributes.type === 'text') {
+          return value.toString().toLowerCase().includes(filterValue.toString().toLowerCase());
         }
-        break;
 
-      case 'file':
-        // File upload
-        config.accept = attributes.accept;
-        config.multiple = attributes.multiple;
-        config.maxFileSize = attributes.maxFileSize;
-        config.preview = attributes.preview;
-        break;
+        // For select and other types, use exact match
+        return value.toString() === filterValue.toString();
+      });
+
+      const searchFilter = !filters.search || searchColumns.some(column => {
+        const value = item[column];
+        if (value === undefined || value === null) return false;
+
+        return value.toString().toLowerCase()
+          .includes(filters.search.toLowerCase());
+      });
+
+      const advancedFilter = !table.advancedFilter || this.matchFilterGroup(table, table.advancedFilter, item);
+
+      return generalFilters && searchFilter && advancedFilter;
+    });
+  },
+
+  /**
+   * Operators available in the advanced filter builder
+   * value: 'single' | 'range' (between) | 'list' (in) | 'none'
+   */
+  filterOperators: {
+    eq: {label: 'equals', value: 'single'},
+    neq: {label: 'not equals', value: 'single'},
+    contains: {label: 'contains', value: 'single'},
+    not_contains: {label: 'does not contain', value: 'single'},
+    starts_with: {label: 'starts with', value: 'single'},
+    ends_with: {label: 'ends with', value: 'single'},
+    gt: {label: 'greater than', value: 'single'},
+    gte: {label: 'greater than or equal', value: 'single'},
+    lt: {label: 'less than', value: 'single'},
+    lte: {label: 'less than or equal', value: 'single'},
+    between: {label: 'between', value: 'range'},
+    in: {label: 'is any of', value: 'list'},
+    not_in: {label: 'is none of', value: 'list'},
+    before: {label: 'before', value: 'single'},
+    after: {label: 'after', value: 'single'},
+    is_empty: {label: 'is empty', value: 'none'},
+    is_not_empty: {label: 'is not empty', value: 'none'}
+  },
+
+  /**
+   * Parse and clean an advanced filter tree.
+   * Format: {op: 'and'|'or', rules: [{field, operator, value} | group, ...]}
+   * @param {Object|string} filter - Filter tree or its JSON (as stored in the URL)
+   * @returns {Object|null} Normalized tree, or null when it has no complete rules
+   */
+  parseAdvancedFilter(filter) {
+    if (!filter) return null;
+    if (typeof filter === 'string') {
+      try {
+        filter = JSON.parse(filter);
+      } catch (e) {
+        console.warn('TableManager: invalid advanced filter', e);
+        return null;
+      }
+    }
+
+    const clean = (group) => {
+      if (!group || !Array.isArray(group.rules)) return null;
+
+      const rules = group.rules.map(rule => {
+        if (rule && Array.isArray(rule.rules)) return clean(rule);
+
+        const operator = this.filterOperators[rule?.operator];
+        if (!rule?.field || !operator) return null;
+
+        let value = rule.value;
+        if (operator.value === 'none') {
+          value = null;
+        } else if (operator.value === 'range') {
+          if (!Array.isArray(value) || value.length !== 2 || value.some(v => v === '' || v === null || v === undefined)) return null;
+        } else if (operator.value === 'list') {
+          value = (Array.isArray(value) ? value : String(value ?? '').split(','))
+            .map(v => String(v).trim())
+            .filter(v => v !== '');
+          if (!value.length) return null;
+        } else if (value === '' || value === null || value === undefined) {
+          return null;
+        }
+
+        return {field: rule.field, operator: rule.operator, value};
+      }).filter(Boolean);
+
+      return rules.length ? {op: group.op === 'or' ? 'or' : 'and', rules} : null;
+    };
+
+    return clean(filter);
+  },
+
+  /**
+   * Apply (or clear with null) an advanced filter. The tree is stored as JSON in
+   * the "filter" parameter so it is sent to server-side sources and kept in the URL.
+   * @param {string} tableId - Table identifier
+   * @param {Object|string|null} filter - Filter tree
+   */
+  setAdvancedFilter(tableId, filter) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
+
+    table.advancedFilter = this.parseAdvancedFilter(filter);
+    table.filterDraft = null;
+    this.renderFilterBuilder(table, tableId);
+
+    const value = table.advancedFilter ? JSON.stringify(table.advancedFilter) : '';
+    this.handleFilterChange(table, tableId, 'filter', value, null);
+
+    EventManager.emit('table:advancedFilter', {tableId, filter: table.advancedFilter});
+  },
+
+  matchFilterGroup(table, group, item) {
+    const test = (rule) => Array.isArray(rule.rules)
+      ? this.matchFilterGroup(table, rule, item)
+      : this.matchFilterRule(table, rule, item);
+
+    return group.op === 'or' ? group.rules.some(test) : group.rules.every(test);
+  },
+
+  matchFilterRule(table, rule, item) {
+    let value = item[rule.field];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      value = value.value !== undefined ? value.value : value.text;
+    }
+
+    const isEmpty = value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length);
+    if (rule.operator === 'is_empty') return isEmpty;
+    if (rule.operator === 'is_not_empty') return !isEmpty;
+
+    const text = (v) => String(v ?? '').toLowerCase();
+    const values = Array.isArray(value) ? value.map(text) : [text(value)];
+
+    // Compare as numbers when both sides are numeric, then as dates, then as text
+    const compare = (a, b) => {
+      if (a === null || a === undefined || a === '') return NaN;
+      const numA = Number(a);
+      const numB = Number(b);
+      if (!isNaN(numA) && !isNaN(numB) && String(a).trim() !== '' && String(b).trim() !== '') return numA - numB;
+      const dateA = Date.parse(a);
+      const dateB = Date.parse(b);
+      if (!isNaN(dateA) && !isNaN(dateB)) return dateA - dateB;
+      return String(a).localeCompare(String(b), undefined, {numeric: true, sensitivity: 'base'});
+    };
+
+    switch (rule.operator) {
+      case 'eq':
+        return values.includes(text(rule.value));
+      case 'neq':
+        return !values.includes(text(rule.value));
+      case 'contains':
+        return values.some(v => v.includes(text(rule.value)));
+      case 'not_contains':
+        return !values.some(v => v.includes(text(rule.value)));
+      case 'starts_with':
+        return values.some(v => v.startsWith(text(rule.value)));
+      case 'ends_with':
+        return values.some(v => v.endsWith(text(rule.value)));
+      case 'in':
+        return rule.value.some(v => values.includes(text(v)));
+      case 'not_in':
+        return !rule.value.some(v => values.includes(text(v)));
+      case 'gt':
+      case 'after':
+        return compare(value, rule.value) > 0;
+      case 'gte':
+        return compare(value, rule.value) >= 0;
+      case 'lt':
+      case 'before':
+        return compare(value, rule.value) < 0;
+      case 'lte':
+        return compare(value, rule.value) <= 0;
+      case 'between':
+        return compare(value, rule.value[0]) >= 0 && compare(value, rule.value[1]) <= 0;
+      default:
+        return true;
+    }
+  },
+
+  /**
+   * Create the advanced filter builder panel (data-filter-builder="true")
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   */
+  setupFilterBuilder(table, tableId) {
+    if (!table.config.filterBuilder || table.filterBuilderWrapper || !table.element.parentNode) return;
+
+    const wrapper = document.createElement('details');
+    wrapper.className = 'table-filter-builder';
+
+    const summary = document.createElement('summary');
+    summary.className = 'btn';
+    summary.textContent = Now.translate('Advanced filter');
+    summary.dataset.i18n = 'Advanced filter';
+    wrapper.appendChild(summary);
+
+    const body = document.createElement('div');
+    body.className = 'filter-builder-body';
+    wrapper.appendChild(body);
+
+    table.element.parentNode.insertBefore(wrapper, table.element);
+    table.filterBuilderWrapper = wrapper;
+    table.filterBuilderBody = body;
+    this.renderFilterBuilder(table, tableId);
+  },
+
+  /**
+   * Render the builder UI from the current draft (or the applied filter)
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   */
+  renderFilterBuilder(table, tableId) {
+    const body = table.filterBuilderBody;
+    if (!body) return;
+
+    if (!table.filterDraft) {
+      table.filterDraft = table.advancedFilter
+        ? JSON.parse(JSON.stringify(table.advancedFilter))
+        : {op: 'and', rules: []};
+    }
+
+    const summary = table.filterBuilderWrapper.querySelector('summary');
+    const countRules = (group) => group ? group.rules.reduce((n, rule) => n + (rule.rules ? countRules(rule) : 1), 0) : 0;
+    const count = countRules(table.advancedFilter);
+    summary.textContent = Now.translate('Advanced filter') + (count ? ` (${count})` : '');
+
+    body.replaceChildren(this.renderFilterGroup(table, tableId, table.filterDraft, null));
+
+    const actions = document.createElement('div');
+    actions.className = 'filter-builder-actions';
+
+    const apply = document.createElement('button');
+    apply.type = 'button';
+    apply.className = 'btn btn-primary';
+    apply.textContent = Now.translate('Apply');
+    apply.addEventListener('click', () => this.setAdvancedFilter(tableId, table.filterDraft));
+
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'btn';
+    clear.textContent = Now.translate('Clear filter');
+    clear.addEventListener('click', () => this.setAdvancedFilter(tableId, null));
+
+    actions.append(apply, clear);
+    body.appendChild(actions);
+  },
+
+  renderFilterGroup(table, tableId, group, parent) {
+    const rerender = () => this.renderFilterBuilder(table, tableId);
+
+    const box = document.createElement('fieldset');
+    box.className = 'filter-group';
+
+    const header = document.createElement('div');
+    header.className = 'filter-group-header';
+
+    const op = document.createElement('select');
+    op.setAttribute('aria-label', Now.translate('Match'));
+    op.append(new Option(Now.translate('All conditions (AND)'), 'and'), new Option(Now.translate('Any condition (OR)'), 'or'));
+    op.value = group.op;
+    op.addEventListener('change', () => {
+      group.op = op.value;
+    });
+    header.appendChild(op);
+
+    const addRule = document.createElement('button');
+    addRule.type = 'button';
+    addRule.className = 'btn';
+    addRule.textContent = Now.translate('Add condition');
+    addRule.addEventListener('click', () => {
+      group.rules.push({field: table.columns.keys().next().value, operator: 'eq', value: ''});
+      rerender();
+    });
+
+    const addGroup = document.createElement('button');
+    addGroup.type = 'button';
+    addGroup.className = 'btn';
+    addGroup.textContent = Now.translate('Add group');
+    addGroup.addEventListener('click', () => {
+      group.rules.push({op: group.op === 'and' ? 'or' : 'and', rules: []});
+      rerender();
+    });
+
+    header.append(addRule, addGroup);
+
+    if (parent) {
+      header.appendChild(this.createFilterRemoveButton(() => {
+        parent.rules.splice(parent.rules.indexOf(group), 1);
+        rerender();
+      }));
+    }
+
+    box.appendChild(header);
+
+    group.rules.forEach(rule => {
+      box.appendChild(Array.isArray(rule.rules)
+        ? this.renderFilterGroup(table, tableId, rule, group)
+        : this.renderFilterRule(table, tableId, rule, group));
+    });
+
+    return box;
+  },
+
+  renderFilterRule(table, tableId, rule, group) {
+    const row = document.createElement('div');
+    row.className = 'filter-rule';
+
+    const field = document.createElement('select');
+    field.setAttribute('aria-label', Now.translate('Field'));
+    table.columns.forEach((attributes, name) => {
+      const th = table.element.querySelector(`thead th[data-field="${name}"]`);
+      field.appendChild(new Option(attributes.label || (th ? th.textContent.trim() : name), name));
+    });
+    field.value = rule.field;
+    field.addEventListener('change', () => {
+      rule.field = field.value;
+      rule.value = '';
+      this.renderFilterBuilder(table, tableId);
+    });
+
+    const operator = document.createElement('select');
+    operator.setAttribute('aria-label', Now.translate('Operator'));
+    Object.entries(this.filterOperators).forEach(([key, def]) => {
+      operator.appendChild(new Option(Now.translate(def.label), key));
+    });
+    operator.value = rule.operator;
+    operator.addEventListener('change', () => {
+      const before = this.filterOperators[rule.operator]?.value;
+      rule.operator = operator.value;
+      const after = this.filterOperators[rule.operator].value;
+      if (before !== after) {
+        rule.value = after === 'range' ? ['', ''] : (after === 'list' ? [] : '');
+        this.renderFilterBuilder(table, tableId);
+      }
+    });
+
+    row.append(field, operator);
+
+    const kind = this.filterOperators[rule.operator]?.value;
+    if (kind === 'range') {
+      if (!Array.isArray(rule.value)) rule.value = ['', ''];
+      [0, 1].forEach(i => {
+        row.appendChild(this.createFilterValueInput(table, rule.field, rule.value[i], (v) => {
+          rule.value[i] = v;
+        }));
+      });
+    } else if (kind === 'list') {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = Now.translate('Comma separated values');
+      input.setAttribute('aria-label', Now.translate('Value'));
+      input.value = Array.isArray(rule.value) ? rule.value.join(', ') : (rule.value || '');
+      input.addEventListener('input', () => {
+        rule.value = input.value.split(',').map(v => v.trim()).filter(Boolean);
+      });
+      row.appendChild(input);
+    } else if (kind === 'single') {
+      row.appendChild(this.createFilterValueInput(table, rule.field, rule.value, (v) => {
+        rule.value = v;
+      }));
+    }
+
+    row.appendChild(this.createFilterRemoveButton(() => {
+      group.rules.splice(group.rules.indexOf(rule), 1);
+      this.renderFilterBuilder(table, tableId);
+    }));
+
+    return row;
+  },
+
+  createFilterValueInput(table, field, value, onChange) {
+    const attributes = table.columns.get(field) || {};
+    const options = table.dataOptions?.[field] || table.filterOptions?.[field] || attributes.options;
+    let input;
+
+    if (options && Object.keys(options).length) {
+      input = document.createElement('select');
+      input.appendChild(new Option('', ''));
+      const entries = Array.isArray(options)
+        ? options.map(opt => [opt.value ?? opt.key, opt.label || opt.text || opt.value])
+        : Object.entries(options instanceof Map ? Object.fromEntries(options) : options);
+      entries.forEach(([key, label]) => input.appendChild(new Option(Now.translate(String(label)), key)));
+    } else {
+      input = document.createElement('input');
+      const format = attributes.format || attributes.editor || attributes.type;
+      input.type = ['date', 'datetime'].includes(format) ? 'date' : (['number', 'currency', 'percent'].includes(format) ? 'number' : 'text');
+    }
+
+    input.setAttribute('aria-label', Now.translate('Value'));
+    input.value = value ?? '';
+    input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => onChange(input.value));
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') e.preventDefault();
+    });
+    return input;
+  },
+
+  createFilterRemoveButton(handler) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn filter-remove';
+    button.textContent = '×';
+    button.title = Now.translate('Remove');
+    button.setAttribute('aria-label', Now.translate('Remove'));
+    button.addEventListener('click', handler);
+    return button;
+  },
+
+  pivotAggregates: ['sum', 'count', 'avg', 'min', 'max'],
+
+  pivotPeriods: ['day', 'month', 'quarter', 'year'],
+
+  /**
+   * Create the pivot builder (field pickers) and the container for the pivoted result
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   */
+  setupPivot(table, tableId) {
+    if (!table.config.pivot || table.pivotWrapper || !table.element.parentNode) return;
+
+    const wrapper = document.createElement('details');
+    wrapper.className = 'table-pivot-builder';
+
+    const summary = document.createElement('summary');
+    summary.className = 'btn';
+    summary.textContent = Now.translate('Pivot table');
+    summary.dataset.i18n = 'Pivot table';
+    wrapper.appendChild(summary);
+
+    const body = document.createElement('div');
+    body.className = 'pivot-builder-body';
+    wrapper.appendChild(body);
+
+    const output = document.createElement('div');
+    output.className = 'table-pivot';
+    output.hidden = true;
+
+    // Drill-down: every pivot value is a button that opens the rows behind it
+    output.addEventListener('click', (e) => {
+      const button = e.target.closest('.pivot-value');
+      if (button && table.pivot.result) {
+        e.preventDefault();
+        this.drillDownPivot(tableId, button.dataset.row, button.dataset.column);
+        return;
+      }
+      if (e.target.closest('.pivot-back')) {
+        e.preventDefault();
+        this.exitPivotDrill(tableId);
+      }
+    });
+
+    table.element.parentNode.insertBefore(wrapper, table.element);
+    table.element.parentNode.insertBefore(output, table.element);
+    table.pivotWrapper = wrapper;
+    table.pivotBody = body;
+    table.pivotOutput = output;
+    this.renderPivotBuilder(table, tableId);
+  },
+
+  /**
+   * Render the field list, the rows/columns/values drop zones and the export buttons
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   */
+  renderPivotBuilder(table, tableId) {
+    const body = table.pivotBody;
+    if (!body) return;
+
+    const {pivot} = table;
+    body.innerHTML = '';
+
+    const summary = table.pivotWrapper.querySelector('summary');
+    summary.textContent = Now.translate('Pivot table') + (pivot.active ? ` (${Now.translate('On')})` : '');
+
+    const toggleLabel = document.createElement('label');
+    toggleLabel.className = 'pivot-toggle';
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = pivot.active;
+    toggle.addEventListener('change', () => this.setPivotActive(tableId, toggle.checked));
+    toggleLabel.append(toggle, ` ${Now.translate('Pivot mode')}`);
+    body.appendChild(toggleLabel);
+
+    // Available fields; dropping a chip back here removes it from its zone
+    const fieldList = document.createElement('div');
+    fieldList.className = 'pivot-fields';
+    fieldList.setAttribute('aria-label', Now.translate('Fields'));
+    table.columns.forEach((attributes, field) => {
+      fieldList.appendChild(this.createPivotChip(table, field, this.getPivotFieldLabel(table, field)));
+    });
+    fieldList.addEventListener('dragover', (e) => e.preventDefault());
+    fieldList.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const source = this.readPivotDrag(e);
+      if (source?.zone) {
+        this.movePivotField(tableId, source, null);
+      }
+    });
+    body.appendChild(fieldList);
+
+    const zones = document.createElement('div');
+    zones.className = 'pivot-zones';
+    [
+      {zone: 'rows', label: 'Rows'},
+      {zone: 'columns', label: 'Columns'},
+      {zone: 'values', label: 'Values'}
+    ].forEach(({zone, label}) => {
+      zones.appendChild(this.renderPivotZone(table, tableId, zone, label));
+    });
+    body.appendChild(zones);
+
+    if (pivot.active) {
+      const actions = document.createElement('div');
+      actions.className = 'pivot-actions';
+      [
+        {format: 'xlsx', label: 'Export Excel'},
+        {format: 'csv', label: 'Export CSV'},
+        {format: 'print', label: 'Print'}
+      ].forEach(({format, label}) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn';
+        button.textContent = Now.translate(label);
+        button.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.exportPivot(tableId, format);
+        });
+        actions.appendChild(button);
+      });
+      body.appendChild(actions);
+    }
+  },
+
+  /**
+   * Render one drop zone with its chips and an "Add field" select
+   * (the select is the keyboard alternative to drag and drop)
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   * @param {string} zone - 'rows', 'columns' or 'values'
+   * @param {string} label - Zone heading
+   * @returns {HTMLElement}
+   */
+  renderPivotZone(table, tableId, zone, label) {
+    const container = document.createElement('div');
+    container.className = 'pivot-zone';
+    container.dataset.zone = zone;
+
+    const heading = document.createElement('div');
+    heading.className = 'pivot-zone-title';
+    heading.textContent = Now.translate(label);
+    container.appendChild(heading);
+
+    const list = document.createElement('div');
+    list.className = 'pivot-zone-items';
+    table.pivot[zone].forEach((spec, index) => {
+      const [field, option = ''] = spec.split(':');
+      const chip = this.createPivotChip(table, field, this.getPivotFieldLabel(table, field), {zone, index});
+
+      // Values pick an aggregate, date fields in rows/columns pick a period
+      const choices = zone === 'values'
+        ? this.pivotAggregates
+        : (this.isPivotDateField(table, field) ? ['', ...this.pivotPeriods] : null);
+      if (choices) {
+        const select = document.createElement('select');
+        choices.forEach(choice => {
+          const opt = document.createElement('option');
+          opt.value = choice;
+          opt.textContent = Now.translate(this.getPivotOptionLabel(choice));
+          opt.selected = choice === option;
+          select.appendChild(opt);
+        });
+        select.addEventListener('change', () => {
+          const specs = [...table.pivot[zone]];
+          specs[index] = select.value ? `${field}:${select.value}` : field;
+          this.setPivot(tableId, {[zone]: specs});
+        });
+        chip.appendChild(select);
+      }
+
+      chip.appendChild(this.createFilterRemoveButton((e) => {
+        e.preventDefault();
+        this.movePivotField(tableId, {zone, index}, null);
+      }));
+      list.appendChild(chip);
+    });
+
+    if (!table.pivot[zone].length) {
+      const empty = document.createElement('span');
+      empty.className = 'pivot-zone-empty';
+      empty.textContent = Now.translate(zone === 'values' ? 'Count' : 'Drag fields here');
+      list.appendChild(empty);
+    }
+    container.appendChild(list);
+
+    const add = document.createElement('select');
+    add.className = 'pivot-add';
+    add.setAttribute('aria-label', `${Now.translate('Add field')}: ${Now.translate(label)}`);
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = Now.translate('Add field');
+    add.appendChild(placeholder);
+    table.columns.forEach((attributes, field) => {
+      const opt = document.createElement('option');
+      opt.value = field;
+      opt.textContent = this.getPivotFieldLabel(table, field);
+      add.appendChild(opt);
+    });
+    add.addEventListener('change', () => {
+      if (add.value) this.movePivotField(tableId, {field: add.value}, {zone});
+    });
+    container.appendChild(add);
+
+    container.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      container.classList.add('drag-over');
+    });
+    container.addEventListener('dragleave', () => container.classList.remove('drag-over'));
+    container.addEventListener('drop', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      container.classList.remove('drag-over');
+      const source = this.readPivotDrag(e);
+      if (!source) return;
+
+      // Dropping on a chip inserts before it, anywhere else appends
+      const target = e.target.closest('.pivot-chip');
+      const index = target && target.dataset.index !== undefined ? parseInt(target.dataset.index) : null;
+      this.movePivotField(tableId, source, {zone, index});
+    });
+
+    return container;
+  },
+
+  createPivotChip(table, field, label, position = null) {
+    const chip = document.createElement('span');
+    chip.className = 'pivot-chip';
+    chip.draggable = true;
+    chip.dataset.field = field;
+    if (position) chip.dataset.index = position.index;
+
+    const text = document.createElement('span');
+    text.className = 'pivot-chip-label';
+    text.textContent = label;
+    chip.appendChild(text);
+
+    chip.addEventListener('dragstart', (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', JSON.stringify({field, ...(position || {})}));
+    });
+    return chip;
+  },
+
+  readPivotDrag(e) {
+    try {
+      const data = JSON.parse(e.dataTransfer.getData('text/plain'));
+      return data && data.field ? data : null;
+    } catch (err) {
+      return null;
+    }
+  },
+
+  /**
+   * Move a field between the field list and the pivot zones
+   * @param {string} tableId - Table identifier
+   * @param {Object} source - {field, zone?, index?} (no zone = from the field list)
+   * @param {Object|null} target - {zone, index?}, or null to remove the field
+   */
+  movePivotField(tableId, source, target) {
+    const table = this.state.tables.get(tableId);
+    if (!table || !source) return;
+
+    const next = {
+      rows: [...table.pivot.rows],
+      columns: [...table.pivot.columns],
+      values: [...table.pivot.values]
+    };
+
+    let spec = source.field;
+    if (source.zone && next[source.zone]?.[source.index] !== undefined) {
+      spec = next[source.zone].splice(source.index, 1)[0];
+    }
+
+    if (target) {
+      const [field, option] = spec.split(':');
+      const fromValues = source.zone === 'values';
+      // Keep the period/aggregate only while the field stays on the same kind of zone
+      if (target.zone === 'values') {
+        spec = fromValues ? spec : `${field}:${this.isPivotNumericField(table, field) ? 'sum' : 'count'}`;
+      } else if (fromValues || !option) {
+        spec = this.isPivotDateField(table, field) ? `${field}:month` : field;
+      }
+
+      let index = target.index ?? next[target.zone].length;
+      if (source.zone === target.zone && source.index < index) index--;
+      next[target.zone].splice(Math.max(0, index), 0, spec);
+    }
+
+    this.setPivot(tableId, next);
+  },
+
+  /**
+   * Change the pivot layout
+   * @param {string} tableId - Table identifier
+   * @param {Object} layout - {rows, columns, values} as field specs, e.g.
+   *   {rows: ['owner'], columns: ['expected_close_date:month'], values: ['value:sum', 'id:count']}
+   */
+  setPivot(tableId, layout = {}) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
+
+    const {pivot} = table;
+    ['rows', 'columns', 'values'].forEach(zone => {
+      if (layout[zone] !== undefined) {
+        const specs = Array.isArray(layout[zone]) ? layout[zone] : String(layout[zone]).split(',');
+        pivot[zone] = specs.map(spec => String(spec).trim()).filter(Boolean);
+      }
+    });
+    pivot.drill = null;
+
+    this.renderPivotBuilder(table, tableId);
+    if (pivot.active) this.renderTable(tableId);
+
+    EventManager.emit('table:pivotChange', {
+      tableId,
+      active: pivot.active,
+      rows: [...pivot.rows],
+      columns: [...pivot.columns],
+      values: [...pivot.values]
+    });
+  },
+
+  /**
+   * Switch between the normal rows view and the pivoted view
+   * @param {string} tableId - Table identifier
+   * @param {boolean} active - Show the pivot table
+   */
+  setPivotActive(tableId, active) {
+    const table = this.state.tables.get(tableId);
+    if (!table?.pivotOutput) return;
+
+    const {pivot} = table;
+    if (pivot.drill) {
+      table.config.params.page = pivot.drill.page;
+      pivot.drill = null;
+    }
+    pivot.active = !!active;
+
+    if (!pivot.active) {
+      table.element.hidden = false;
+      if (table.paginationWrapper) table.paginationWrapper.hidden = false;
+      table.pivotOutput.hidden = true;
+      table.pivotOutput.innerHTML = '';
+      pivot.result = null;
+    }
+
+    this.clearSelection(table, tableId);
+    this.renderPivotBuilder(table, tableId);
+    this.renderTable(tableId);
+
+    EventManager.emit('table:pivotChange', {
+      tableId,
+      active: pivot.active,
+      rows: [...pivot.rows],
+      columns: [...pivot.columns],
+      values: [...pivot.values]
+    });
+  },
+
+  /**
+   * Render the pivoted view in place of the table body. Client-side tables pivot
+   * the filtered data; server-side tables fetch every page of the current query first.
+   * @param {string} tableId - Table identifier
+   */
+  renderPivot(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table?.pivotOutput) return;
+
+    const {pivot} = table;
+    const output = table.pivotOutput;
+    table.element.hidden = true;
+    if (table.paginationWrapper) table.paginationWrapper.hidden = true;
+    output.hidden = false;
+
+    let rows;
+    if (this.isServerSideTable(table) || table.serverSide) {
+      if (!pivot.sourceRows) {
+        const token = ++pivot.loadToken;
+        output.innerHTML = '';
+        const loading = document.createElement('p');
+        loading.className = 'pivot-message';
+        loading.textContent = `${Now.translate('Loading')}...`;
+        output.appendChild(loading);
+
+        this.fetchServerRows(table, table.config.pivotMaxRows || 10000).then(result => {
+          if (token !== pivot.loadToken || !pivot.active) return;
+          pivot.sourceRows = result.rows;
+          pivot.truncated = result.truncated;
+          this.renderPivot(tableId);
+        }).catch(error => {
+          if (token !== pivot.loadToken) return;
+          loading.textContent = Now.translate('Failed to load data');
+          this.handleError('Loading pivot data', error, 'renderPivot');
+        });
+        return;
+      }
+      rows = pivot.sourceRows;
+    } else {
+      rows = this.sortData(table, this.filterData(table, table.data || []));
+      pivot.truncated = false;
+    }
+
+    pivot.result = this.buildPivot(table, rows);
+
+    output.innerHTML = '';
+    if (pivot.truncated) {
+      const note = document.createElement('p');
+      note.className = 'pivot-message';
+      note.textContent = Now.translate('Only the first {count} rows are included', {count: rows.length});
+      output.appendChild(note);
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'tablebody';
+    wrapper.appendChild(this.renderPivotTable(table, pivot.result));
+    output.appendChild(wrapper);
+
+    EventManager.emit('table:pivotRender', {
+      tableId,
+      rows: pivot.result.rowKeys.length,
+      columns: pivot.result.columnKeys.length,
+      records: rows.length
+    });
+  },
+
+  /**
+   * Fetch all rows of the current server-side query, following page numbers or cursors
+   * @param {Object} table - Table instance
+   * @param {number} maxRows - Stop after this many rows
+   * @returns {Promise<{rows: Array, truncated: boolean}>}
+   */
+  async fetchServerRows(table, maxRows) {
+    const source = table.element.dataset.source || table.config.source;
+    const cursorMode = this.isCursorPagination(table);
+    const method = (table.config.method || 'GET').toUpperCase();
+    const rows = [];
+    let page = 1;
+    let cursor = null;
+
+    while (rows.length < maxRows) {
+      const params = {
+        ...this.getFilterParams(table),
+        ...this.getSortParams(table),
+        pageSize: 100 // Largest page the table API serves
+      };
+      if (table.config.params.search) params.search = table.config.params.search;
+      if (cursorMode) {
+        if (cursor) params.cursor = cursor;
+      } else {
+        params.page = page;
+      }
+
+      const options = {headers: {'Accept': 'application/json'}, cache: {...ApiService.config.cache, enabled: false}};
+      const response = method === 'GET'
+        ? await ApiService.get(source, params, options)
+        : await ApiService[method.toLowerCase()](source, undefined, {...options, params});
+      if (response?.success === false) {
+        throw new Error(response?.message || response?.statusText || `Request failed (${response?.status || 'unknown'})`);
+      }
+
+      const payload = response?.data ?? response;
+      const pageRows = Array.isArray(payload) ? payload
+        : Array.isArray(payload?.data) ? payload.data
+          : Array.isArray(payload?.data?.data) ? payload.data.data : [];
+      const meta = payload?.meta || payload?.data?.meta || {};
+      rows.push(...pageRows);
+
+      if (!pageRows.length) break;
+      if (cursorMode) {
+        cursor = meta.next_cursor ?? meta.nextCursor ?? null;
+        if (!cursor) break;
+      } else {
+        if (page >= parseInt(meta.totalPages || 1)) break;
+        page++;
+      }
+    }
+
+    const truncated = rows.length >= maxRows;
+    return {rows: rows.slice(0, maxRows), truncated};
+  },
+
+  /**
+   * Aggregate rows into a pivot result
+   * @param {Object} table - Table instance
+   * @param {Array} rows - Source rows
+   * @returns {Object} {rowKeys, columnKeys, measures, cells, rows} where row/column keys are
+   *   {key, values, rows} and cells maps "rowKey|columnKey" to the rows in that cell
+   */
+  buildPivot(table, rows) {
+    const {pivot} = table;
+    const measures = (pivot.values.length ? pivot.values : [':count']).map(spec => {
+      const [field, type = 'sum'] = spec.split(':');
+      return {field, type: this.pivotAggregates.includes(type) ? type : 'sum'};
+    });
+
+    const collect = (specs) => {
+      const keys = new Map();
+      rows.forEach(row => {
+        const values = specs.map(spec => this.getPivotKeyValue(row, spec));
+        const key = JSON.stringify(values);
+        if (!keys.has(key)) keys.set(key, {key, values, rows: []});
+        keys.get(key).rows.push(row);
+      });
+      return Array.from(keys.values()).sort((a, b) => {
+        for (let i = 0; i < a.values.length; i++) {
+          const result = this.compareGroupValues(a.values[i], b.values[i]);
+          if (result !== 0) return result;
+        }
+        return 0;
+      });
+    };
+
+    const rowKeys = collect(pivot.rows);
+    const columnKeys = collect(pivot.columns);
+    const cells = new Map();
+    rows.forEach(row => {
+      const rowKey = JSON.stringify(pivot.rows.map(spec => this.getPivotKeyValue(row, spec)));
+      const columnKey = JSON.stringify(pivot.columns.map(spec => this.getPivotKeyValue(row, spec)));
+      const key = `${rowKey}|${columnKey}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(row);
+    });
+
+    return {rowKeys, columnKeys, measures, cells, rows};
+  },
+
+  /**
+   * Rows behind a pivot cell. An empty row or column key stands for the totals.
+   * @param {Object} result - Result of buildPivot()
+   * @param {string} rowKey - Row key, or '' for the column total
+   * @param {string} columnKey - Column key, or '' for the row total
+   * @returns {Array}
+   */
+  getPivotCellRows(result, rowKey, columnKey) {
+    if (rowKey && columnKey) return result.cells.get(`${rowKey}|${columnKey}`) || [];
+    if (rowKey) return result.rowKeys.find(entry => entry.key === rowKey)?.rows || [];
+    if (columnKey) return result.columnKeys.find(entry => entry.key === columnKey)?.rows || [];
+    return result.rows;
+  },
+
+  calculatePivotValue(rows, measure) {
+    if (measure.type === 'count') return rows.length;
+    return this.calculateAggregate(rows, measure.field, measure.type);
+  },
+
+  /**
+   * Build the pivot <table>: row fields down the side, column field values across
+   * the top (one sub-column per value), with row and column totals
+   * @param {Object} table - Table instance
+   * @param {Object} result - Result of buildPivot()
+   * @returns {HTMLTableElement}
+   */
+  renderPivotTable(table, result) {
+    const {pivot} = table;
+    const {rowKeys, columnKeys, measures} = result;
+    const hasColumns = pivot.columns.length > 0;
+    const rowHeaders = pivot.rows.length ? pivot.rows : [''];
+    const measureLabels = measures.map(measure => this.getPivotMeasureLabel(table, measure));
+    const headerRows = hasColumns && measures.length > 1 ? 2 : 1;
+
+    const el = document.createElement('table');
+    el.className = 'table border fullwidth pivot-table';
+    el.setAttribute('role', 'grid');
+
+    const caption = document.createElement('caption');
+    caption.textContent = measureLabels.join(', ');
+    el.appendChild(caption);
+
+    const thead = document.createElement('thead');
+    const top = document.createElement('tr');
+    rowHeaders.forEach(spec => {
+      const th = document.createElement('th');
+      th.textContent = spec ? this.getPivotSpecLabel(table, spec) : '';
+      th.rowSpan = headerRows;
+      top.appendChild(th);
+    });
+
+    const addHeader = (tr, text, colSpan = 1) => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      th.colSpan = colSpan;
+      th.className = 'center';
+      tr.appendChild(th);
+    };
+
+    if (hasColumns) {
+      const subHeader = document.createElement('tr');
+      const columnHeaders = [...columnKeys.map(entry => this.getPivotKeyLabel(table, pivot.columns, entry.values)), Now.translate('Total')];
+      columnHeaders.forEach(text => {
+        if (headerRows === 2) {
+          addHeader(top, text, measures.length);
+          measureLabels.forEach(label => addHeader(subHeader, label));
+        } else {
+          addHeader(top, text);
+        }
+      });
+      thead.appendChild(top);
+      if (headerRows === 2) thead.appendChild(subHeader);
+    } else {
+      measureLabels.forEach(label => addHeader(top, label));
+      thead.appendChild(top);
+    }
+    el.appendChild(thead);
+
+    const valueCells = (tr, rowKey) => {
+      const keys = hasColumns ? [...columnKeys.map(entry => entry.key), ''] : [''];
+      keys.forEach(columnKey => {
+        const rows = this.getPivotCellRows(result, rowKey, columnKey);
+        measures.forEach(measure => {
+          const td = document.createElement('td');
+          td.className = columnKey ? 'pivot-cell' : 'pivot-cell pivot-total';
+          if (rows.length) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'pivot-value';
+            button.dataset.row = rowKey;
+            button.dataset.column = columnKey;
+            button.textContent = this.formatPivotValue(table, this.calculatePivotValue(rows, measure), measure);
+            td.appendChild(button);
+          }
+          tr.appendChild(td);
+        });
+      });
+    };
+
+    const tbody = document.createElement('tbody');
+    if (pivot.rows.length) {
+      rowKeys.forEach(entry => {
+        const tr = document.createElement('tr');
+        entry.values.forEach((value, index) => {
+          const th = document.createElement('th');
+          th.scope = 'row';
+          th.textContent = this.getPivotKeyLabel(table, [pivot.rows[index]], [value]);
+          tr.appendChild(th);
+        });
+        valueCells(tr, entry.key);
+        tbody.appendChild(tr);
+      });
+    }
+    el.appendChild(tbody);
+
+    // Grand total row (the only body row when no row fields are chosen)
+    const totalRow = document.createElement('tr');
+    totalRow.className = 'pivot-total';
+    const totalLabel = document.createElement('th');
+    totalLabel.scope = 'row';
+    totalLabel.colSpan = rowHeaders.length;
+    totalLabel.textContent = Now.translate('Total');
+    totalRow.appendChild(totalLabel);
+    valueCells(totalRow, '');
+
+    if (pivot.rows.length) {
+      const tfoot = document.createElement('tfoot');
+      tfoot.appendChild(totalRow);
+      el.appendChild(tfoot);
+    } else {
+      tbody.appendChild(totalRow);
+    }
+
+    return el;
+  },
+
+  /**
+   * Show the rows behind a pivot cell in the regular table view
+   * @param {string} tableId - Table identifier
+   * @param {string} rowKey - Row key of the cell ('' for totals)
+   * @param {string} columnKey - Column key of the cell ('' for totals)
+   */
+  drillDownPivot(tableId, rowKey = '', columnKey = '') {
+    const table = this.state.tables.get(tableId);
+    if (!table?.pivot?.result) return;
+
+    const {pivot} = table;
+    const rows = this.getPivotCellRows(pivot.result, rowKey, columnKey);
+    const parts = [];
+    if (rowKey) parts.push(this.getPivotKeyLabel(table, pivot.rows, JSON.parse(rowKey)));
+    if (columnKey) parts.push(this.getPivotKeyLabel(table, pivot.columns, JSON.parse(columnKey)));
+    const label = parts.filter(Boolean).join(', ') || Now.translate('Total');
+
+    pivot.drill = {rows, label, page: table.config.params.page};
+    table.config.params.page = 1;
+
+    const output = table.pivotOutput;
+    output.innerHTML = '';
+    const bar = document.createElement('div');
+    bar.className = 'table_nav pivot-drill-bar';
+    const text = document.createElement('span');
+    text.textContent = Now.translate('Showing {count} rows for {label}', {count: rows.length, label});
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'btn pivot-back';
+    back.textContent = Now.translate('Back to pivot');
+    bar.append(text, back);
+    output.appendChild(bar);
+
+    table.element.hidden = false;
+    if (table.paginationWrapper) table.paginationWrapper.hidden = false;
+    this.clearSelection(table, tableId);
+    this.renderTable(tableId);
+    back.focus();
+
+    EventManager.emit('table:pivotDrill', {
+      tableId,
+      rowKey,
+      columnKey,
+      count: rows.length
+    });
+  },
+
+  exitPivotDrill(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table?.pivot?.drill) return;
+
+    table.config.params.page = table.pivot.drill.page;
+    table.pivot.drill = null;
+    this.clearSelection(table, tableId);
+    this.renderTable(tableId);
+  },
+
+  /**
+   * Export the pivoted result (as displayed, including totals)
+   * @param {string} tableId - Table identifier
+   * @param {string} format - 'xlsx', 'csv' or 'print'
+   * @param {Object} options - Export options (filename, sheetName, title)
+   * @returns {boolean}
+   */
+  exportPivot(tableId, format = 'xlsx', options = {}) {
+    const table = this.state.tables.get(tableId);
+    const result = table?.pivot?.result;
+    if (!result) return false;
+
+    const {pivot} = table;
+    const {rowKeys, columnKeys, measures} = result;
+    const columns = [];
+    const labels = {};
+    const attributes = {};
+
+    pivot.rows.forEach((spec, index) => {
+      const key = `row${index}`;
+      columns.push(key);
+      labels[key] = this.getPivotSpecLabel(table, spec);
+      attributes[key] = {};
+    });
+    if (!pivot.rows.length) {
+      columns.push('row0');
+      labels.row0 = '';
+      attributes.row0 = {};
+    }
+
+    const valueKeys = pivot.columns.length ? [...columnKeys.map(entry => entry.key), ''] : [''];
+    valueKeys.forEach((columnKey, c) => {
+      const columnEntry = columnKeys.find(entry => entry.key === columnKey);
+      const columnLabel = columnKey ? this.getPivotKeyLabel(table, pivot.columns, columnEntry.values) : (pivot.columns.length ? Now.translate('Total') : '');
+      measures.forEach((measure, m) => {
+        const key = `value${c}_${m}`;
+        columns.push(key);
+        labels[key] = [columnLabel, this.getPivotMeasureLabel(table, measure)].filter(Boolean).join(' ');
+        attributes[key] = this.getPivotMeasureFormat(table, measure);
+      });
+    });
+
+    const buildRow = (rowKey, headers) => {
+      const row = {};
+      headers.forEach((text, index) => {
+        row[`row${index}`] = text;
+      });
+      valueKeys.forEach((columnKey, c) => {
+        const rows = this.getPivotCellRows(result, rowKey, columnKey);
+        measures.forEach((measure, m) => {
+          row[`value${c}_${m}`] = rows.length ? this.calculatePivotValue(rows, measure) : '';
+        });
+      });
+      return row;
+    };
+
+    const data = pivot.rows.length
+      ? rowKeys.map(entry => buildRow(entry.key, entry.values.map((value, index) => this.getPivotKeyLabel(table, [pivot.rows[index]], [value]))))
+      : [];
+    data.push(buildRow('', [Now.translate('Total')]));
+
+    const formatText = (value, field) => {
+      if (field.startsWith('row') || value === '') return value;
+      return this.formatPivotValue(table, value, measures[parseInt(field.split('_')[1])]);
+    };
+
+    const exportOptions = {filename: `${tableId}-pivot.${format === 'print' ? 'pdf' : format}`, ...options};
+
+    if (format === 'xlsx') {
+      this.exportXlsx(tableId, data, columns, labels, formatText, attributes, exportOptions);
+    } else if (format === 'pdf' || format === 'print') {
+      this.exportPrint(tableId, data, columns, labels, formatText, attributes, exportOptions);
+    } else {
+      this.exportCsv(data, columns, labels, formatText, exportOptions);
+    }
+
+    EventManager.emit('table:export', {tableId, format, pivot: true, success: true, count: data.length});
+    return true;
+  },
+
+  getPivotKeyValue(row, spec) {
+    const [field, period] = spec.split(':');
+    let value = row?.[field];
+    if (value && typeof value === 'object') {
+      value = value.value !== undefined ? value.value : (value.text !== undefined ? value.text : JSON.stringify(value));
+    }
+    if (value === null || value === undefined) return '';
+
+    if (period) {
+      const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+      if (m) {
+        switch (period) {
+          case 'year':
+            return m[1];
+          case 'quarter':
+            return `${m[1]}-Q${Math.ceil(parseInt(m[2]) / 3)}`;
+          case 'month':
+            return `${m[1]}-${m[2]}`;
+          case 'day':
+            return `${m[1]}-${m[2]}-${m[3]}`;
+        }
+      }
+    }
+    return value;
+  },
+
+  getPivotKeyLabel(table, specs, values) {
+    return values.map((value, index) => {
+      const [field, period] = (specs[index] || '').split(':');
+      if (period && value !== '') return String(value);
+      return this.formatGroupValue(table, field, value);
+    }).join(' / ');
+  },
+
+  getPivotFieldLabel(table, field) {
+    const attributes = table.columns.get(field) || {};
+    const th = table.element.querySelector(`thead th[data-field="${field}"]`);
+    return attributes.label ? Now.translate(attributes.label) : (th ? th.textContent.trim() : field);
+  },
+
+  getPivotSpecLabel(table, spec) {
+    const [field, period] = spec.split(':');
+    const label = this.getPivotFieldLabel(table, field);
+    return period ? `${label} (${Now.translate(this.getPivotOptionLabel(period))})` : label;
+  },
+
+  getPivotOptionLabel(option) {
+    return {
+      '': 'Exact date',
+      day: 'Day',
+      month: 'Month',
+      quarter: 'Quarter',
+      year: 'Year',
+      sum: 'Sum',
+      count: 'Count',
+      avg: 'Average',
+      min: 'Minimum',
+      max: 'Maximum'
+    }[option] || option;
+  },
+
+  getPivotMeasureLabel(table, measure) {
+    const aggregate = Now.translate(this.getPivotOptionLabel(measure.type));
+    if (!measure.field) return aggregate;
+    return Now.translate('{aggregate} of {field}', {aggregate, field: this.getPivotFieldLabel(table, measure.field)});
+  },
+
+  getPivotMeasureFormat(table, measure) {
+    if (measure.type === 'count') return {format: 'number'};
+    const attributes = table.columns.get(measure.field) || {};
+    if (['number', 'currency', 'percent'].includes(attributes.format)) return attributes;
+    const decimals = parseInt(attributes.decimals);
+    return {format: 'number', decimals: isNaN(decimals) ? (measure.type === 'avg' ? 2 : 0) : decimals};
+  },
+
+  formatPivotValue(table, value, measure) {
+    const options = this.getPivotMeasureFormat(table, measure);
+    return this.formatValue(value, options.format, options);
+  },
+
+  isPivotDateField(table, field) {
+    const attributes = table.columns.get(field) || {};
+    if (['date', 'datetime'].includes(attributes.format) || ['date', 'datetime-local'].includes(attributes.type)) {
+      return true;
+    }
+    const sample = (table.pivot?.sourceRows || table.data || []).find(row => row?.[field]);
+    return !!sample && /^\d{4}-\d{2}-\d{2}/.test(String(sample[field]));
+  },
+
+  isPivotNumericField(table, field) {
+    const attributes = table.columns.get(field) || {};
+    if (['number', 'currency', 'percent'].includes(attributes.format)) return true;
+    const sample = (table.pivot?.sourceRows || table.data || []).find(row => row?.[field] !== null && row?.[field] !== undefined && row?.[field] !== '');
+    return !!sample && typeof sample[field] !== 'boolean' && !isNaN(sample[field]) && field !== 'id';
+  },
+
+  sortData(table, data) {
+    if (!table || !table.sortState || Object.keys(table.sortState).length === 0) {
+      return data;
+    }
+
+    return [...data].sort((a, b) => {
+      for (const [field, direction] of Object.entries(table.sortState)) {
+        const aVal = a[field];
+        const bVal = b[field];
+
+        const sorter = table.element.querySelector(`th[data-field="${field}"]`)?.dataset.sorter;
+        if (sorter && typeof window[sorter] === 'function') {
+          const result = window[sorter](aVal, bVal, a, b);
+          if (result !== 0) return direction === 'asc' ? result : -result;
+          continue;
+        }
+
+        if (aVal === bVal) continue;
+
+        const result = aVal > bVal ? 1 : -1;
+        return direction === 'asc' ? result : -result;
+      }
+      return 0;
+    });
+  },
+
+  paginateData(table, data) {
+    // Non-numeric page sizes (e.g. data-page-size="all") disable pagination
+    if (!table || !(table.config.params.pageSize > 0)) {
+      return {pageData: data, totalPages: 1, totalRecords: data.length};
+    }
+
+    const {pageSize, page} = table.config.params;
+    const start = (page - 1) * pageSize;
+    // Drilled-down pivot rows are a complete client-side dataset even on server-side tables
+    const serverPaged = table.serverSide && !table.pivot?.drill;
+    let pageData;
+    if (serverPaged) {
+      // Assume server returned the page's rows already
+      pageData = data;
+    } else {
+      pageData = data.slice(start, start + pageSize);
+    }
+
+    // If server provided a total (via meta), use it; otherwise derive from data length
+    const totalRecords = table.pivot?.drill ? data.length : parseInt(table.config.params.total || data.length || 0);
+    const totalPages = pageSize > 0 ? Math.max(1, Math.ceil(totalRecords / pageSize)) : 1;
+
+    return {pageData, totalPages, totalRecords};
+  },
+
+  updatePagination(table, tableId, totalRecords, totalPages) {
+    if (!table) return;
+
+    const {config} = table;
+
+    table.paginationWrapper.innerHTML = '';
+
+    // Drilled-down pivot rows are paged on the client
+    const drilled = !!table.pivot.drill;
+
+    if (config.infiniteScroll && this.isServerSideTable(table) && !drilled) {
+      this.addLoadMoreButton(table, tableId);
+    } else if (this.isCursorPagination(table) && !drilled) {
+      this.addCursorButtons(table, tableId);
+    } else if (totalPages > 1) {
+      let startPage = Math.max(1, table.config.params.page - 2);
+      let endPage = Math.min(totalPages, startPage + 4);
+
+      if (endPage - startPage < 4) {
+        startPage = Math.max(1, endPage - 4);
+      }
+
+      if (startPage > 1) {
+        this.addPaginationButton(table, tableId, 1, '1', table.config.params.page);
+      }
+
+      for (let i = startPage; i <= endPage; i++) {
+        this.addPaginationButton(table, tableId, i, i, table.config.params.page);
+      }
+
+      if (endPage < totalPages) {
+        this.addPaginationButton(table, tableId, totalPages, totalPages, table.config.params.page);
+      }
+    }
+
+    this.updateTableCaption(table, totalRecords, totalPages);
+  },
+
+  addPaginationButton(table, tableId, page, text, currentPage) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.setAttribute('type', 'button');
+
+    if (page !== currentPage) {
+      button.classList.add('pagination-button');
+      button.setAttribute('aria-label', Now.translate('Go to page {page}', {page}));
+      button.onclick = (e) => {
+        e.preventDefault();
+        this.handleFilterChange(table, tableId, 'page', parseInt(page));
+      };
+    } else {
+      button.disabled = true;
+      button.setAttribute('aria-current', 'page');
+    }
+
+    table.paginationWrapper.appendChild(button);
+  },
+
+  /**
+   * Render Previous/Next buttons for cursor (keyset) pagination
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   */
+  addCursorButtons(table, tableId) {
+    const buttons = [
+      {text: 'Previous', direction: -1, enabled: table.cursor.history.length > 0},
+      {text: 'Next', direction: 1, enabled: !!table.cursor.next}
+    ];
+    if (!buttons.some(b => b.enabled)) return;
+
+    buttons.forEach(({text, direction, enabled}) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'pagination-cursor';
+      button.textContent = Now.translate(text);
+      button.disabled = !enabled;
+      if (enabled) {
+        button.classList.add('pagination-button');
+        button.onclick = (e) => {
+          e.preventDefault();
+          this.goToCursorPage(tableId, direction);
+        };
+      }
+      table.paginationWrapper.appendChild(button);
+    });
+  },
+
+  /**
+   * Render the "Load more" button used by infinite scroll tables. It doubles as
+   * a keyboard accessible fallback when IntersectionObserver is unavailable.
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   */
+  addLoadMoreButton(table, tableId) {
+    if (!this.hasMoreRows(table)) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pagination-button table-load-more';
+    button.textContent = Now.translate(table.loadingMore ? 'Loading' : 'Load more');
+    button.disabled = table.loadingMore;
+    button.onclick = (e) => {
+      e.preventDefault();
+      this.loadMore(tableId);
+    };
+    table.paginationWrapper.appendChild(button);
+  },
+
+  isCursorPagination(table) {
+    return table?.config?.paginationMode === 'cursor';
+  },
+
+  /**
+   * Forget the cursor position so the next request starts from the first page.
+   * Called whenever filters, search or sorting change.
+   * @param {Object} table - Table instance
+   */
+  resetCursor(table) {
+    if (!table?.cursor) return;
+    table.cursor.current = null;
+    table.cursor.next = null;
+    table.cursor.history = [];
+    table.cursor.offset = 0;
+    table.appending = false;
+    if (table.config.infiniteScroll) table.config.params.page = 1;
+  },
+
+  /**
+   * Whether the server has more rows after the ones loaded
+   * @param {Object} table - Table instance
+   * @returns {boolean}
+   */
+  hasMoreRows(table) {
+    if (!table) return false;
+    if (this.isCursorPagination(table)) return !!table.cursor.next;
+
+    const {page = 1, totalPages = 1} = table.config.params;
+    return page < totalPages;
+  },
+
+  /**
+   * Move one page forward or back in cursor pagination mode
+   * @param {string} tableId - Table identifier
+   * @param {number} direction - 1 for the next page, -1 for the previous page
+   */
+  async goToCursorPage(tableId, direction) {
+    const table = this.state.tables.get(tableId);
+    if (!table || table.loadingMore || !this.isServerSideTable(table)) return;
+
+    const {cursor} = table;
+    const position = {current: cursor.current, offset: cursor.offset, history: [...cursor.history]};
+    if (direction > 0) {
+      if (!cursor.next) return;
+      cursor.history.push({cursor: cursor.current, offset: cursor.offset});
+      cursor.offset += (table.data || []).length;
+      cursor.current = cursor.next;
+    } else {
+      const previous = cursor.history.pop();
+      if (!previous) return;
+      cursor.current = previous.cursor;
+      cursor.offset = previous.offset;
+    }
+
+    this.clearSelection(table, tableId);
+
+    const loadedData = table.data;
+    table.loadingMore = true;
+    try {
+      await this.loadFromApi(table, tableId, table.element.dataset.source || table.config.source);
+    } catch (error) {
+      this.handleError('Loading page', error, 'loadData');
+    } finally {
+      table.loadingMore = false;
+    }
+
+    // setData() replaces table.data on success; stay on the current page otherwise
+    if (table.data === loadedData) {
+      Object.assign(cursor, position);
+    }
+  },
+
+  /**
+   * Fetch the next page and append its rows to the table (infinite scroll)
+   * @param {string} tableId - Table identifier
+   * @returns {Promise<boolean>} True when rows were requested
+   */
+  async loadMore(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table || table.loadingMore || !this.isServerSideTable(table) || !this.hasMoreRows(table)) {
+      return false;
+    }
+
+    const previousPage = table.config.params.page;
+    if (this.isCursorPagination(table)) {
+      table.cursor.history.push({cursor: table.cursor.current, offset: table.cursor.offset});
+      table.cursor.current = table.cursor.next;
+    } else {
+      table.config.params.page = (parseInt(previousPage) || 1) + 1;
+    }
+
+    table.loadingMore = true;
+    table.appending = true;
+    const button = table.paginationWrapper?.querySelector('.table-load-more');
+    if (button) {
+      button.disabled = true;
+      button.textContent = Now.translate('Loading');
+    }
+
+    try {
+      await this.loadFromApi(table, tableId, table.element.dataset.source || table.config.source);
+    } catch (error) {
+      this.handleError('Loading more rows', error, 'loadData');
+    }
+
+    // setData() clears the appending flag once the rows are merged
+    const loaded = !table.appending;
+    if (!loaded) {
+      // Allow the same page to be requested again
+      if (this.isCursorPagination(table)) {
+        table.cursor.current = table.cursor.history.pop()?.cursor ?? null;
+      } else {
+        table.config.params.page = previousPage;
+      }
+    }
+
+    table.loadingMore = false;
+    table.appending = false;
+    if (table.config.infiniteScroll && table.paginationWrapper) {
+      table.paginationWrapper.innerHTML = '';
+      this.addLoadMoreButton(table, tableId);
+    }
+
+    if (loaded) {
+      EventManager.emit('table:loadMore', {
+        tableId,
+        rows: table.data.length,
+        hasMore: this.hasMoreRows(table)
+      });
+      if (table.infinite) this.updateInfiniteScroll(table, tableId);
+    }
+
+    return loaded;
+  },
+
+  /**
+   * Append rows to the loaded data, skipping rows already present by id
+   * (rows inserted on the server can shift offset based pages)
+   * @param {Array} rows - Rows already loaded
+   * @param {Array} more - Newly fetched rows
+   * @returns {Array}
+   */
+  mergeRows(rows, more) {
+    const existing = Array.isArray(rows) ? rows : [];
+    const ids = new Set(existing.map(row => row?.id).filter(id => id !== undefined && id !== null));
+    return existing.concat(more.filter(row => row?.id === undefined || row?.id === null || !ids.has(row.id)));
+  },
+
+  /**
+   * Observe a sentinel below the table and load the next page when it scrolls into view
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   */
+  updateInfiniteScroll(table, tableId) {
+    if (typeof IntersectionObserver === 'undefined' || !table?.element?.parentNode) return;
+
+    if (!table.infinite) {
+      const sentinel = document.createElement('div');
+      sentinel.className = 'table-scroll-sentinel';
+      sentinel.setAttribute('aria-hidden', 'true');
+      table.element.after(sentinel);
+
+      const scrollParent = this.getScrollParent(table.element);
+      const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.loadMore(tableId);
+        }
+      }, {
+        root: scrollParent === window ? null : scrollParent,
+        rootMargin: '200px 0px'
+      });
+
+      table.infinite = {sentinel, observer};
+    }
+
+    // Re-observing reports the current intersection again, so a short page that
+    // leaves the sentinel visible keeps loading until the viewport is filled
+    const {sentinel, observer} = table.infinite;
+    observer.unobserve(sentinel);
+    if (this.hasMoreRows(table)) {
+      observer.observe(sentinel);
+    }
+  },
+
+  cleanupInfiniteScroll(table) {
+    if (!table?.infinite) return;
+
+    table.infinite.observer.disconnect();
+    table.infinite.sentinel.remove();
+    table.infinite = null;
+  },
+
+  /**
+   * Subscribe a table to its server push channel (config.realtimeUrl).
+   * ws:// and wss:// URLs use a WebSocket that reconnects with backoff, other URLs
+   * use an EventSource. Every message is a patch or an array of patches:
+   * {action: "insert"|"update"|"delete", row|rows|id|ids, table?}. Patches naming
+   * another table are ignored. SSE events named insert, update or delete carry
+   * the row(s) or id(s) directly as their data.
+   * @param {string} tableId - Table identifier
+   */
+  connectRealtime(tableId) {
+    const table = this.state.tables.get(tableId);
+    const url = table?.config.realtimeUrl;
+    if (!url) return;
+
+    this.disconnectRealtime(tableId);
+    const {realtime} = table;
+    realtime.closed = false;
+
+    const transport = table.config.realtimeTransport === 'auto'
+      ? (/^wss?:/i.test(url) ? 'ws' : 'sse')
+      : table.config.realtimeTransport;
+
+    try {
+      if (transport === 'ws') {
+        const socketUrl = /^wss?:/i.test(url)
+          ? url
+          : new URL(url, window.location.href).href.replace(/^http/i, 'ws');
+        const socket = new WebSocket(socketUrl);
+        socket.onopen = () => {
+          realtime.retries = 0;
+          this.setRealtimeStatus(table, 'open');
+        };
+        socket.onmessage = (e) => this.receiveRealtime(tableId, e.data);
+        socket.onclose = () => {
+          if (realtime.source !== socket) return;
+          realtime.source = null;
+          this.setRealtimeStatus(table, 'closed');
+          if (realtime.closed) return;
+          const delay = Math.min(30000, 1000 * 2 ** realtime.retries++);
+          realtime.reconnectTimer = setTimeout(() => this.connectRealtime(tableId), delay);
+        };
+        realtime.source = socket;
+      } else {
+        // EventSource reconnects by itself and resends Last-Event-ID
+        const source = new EventSource(url, {withCredentials: true});
+        source.onopen = () => this.setRealtimeStatus(table, 'open');
+        source.onmessage = (e) => this.receiveRealtime(tableId, e.data);
+        source.onerror = () => {
+          this.setRealtimeStatus(table, source.readyState === EventSource.CLOSED ? 'closed' : 'connecting');
+        };
+        ['insert', 'update', 'delete'].forEach(action => {
+          source.addEventListener(action, (e) => this.receiveRealtime(tableId, e.data, action));
+        });
+        realtime.source = source;
+      }
+      this.setRealtimeStatus(table, 'connecting');
+    } catch (error) {
+      this.handleError('Failed to connect realtime updates', error, 'connectRealtime');
+    }
+  },
+
+  disconnectRealtime(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table?.realtime) return;
+
+    const {realtime} = table;
+    realtime.closed = true;
+    clearTimeout(realtime.reconnectTimer);
+    clearTimeout(realtime.timer);
+    realtime.reconnectTimer = null;
+    realtime.timer = null;
+
+    const source = realtime.source;
+    realtime.source = null;
+    if (source) {
+      source.close();
+      this.setRealtimeStatus(table, 'closed');
+    }
+  },
+
+  setRealtimeStatus(table, status) {
+    if (table.realtime.status === status) return;
+    table.realtime.status = status;
+    table.element.dataset.realtime = status;
+    EventManager.emit('table:realtimeStatus', {tableId: table.id, status});
+  },
+
+  receiveRealtime(tableId, raw, action = null) {
+    let message;
+    try {
+      message = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      this.handleError('Invalid realtime message', error, 'receiveRealtime');
+      return;
+    }
+
+    const patches = action ? [{action, data: message}] : [].concat(message);
+    patches.forEach(patch => {
+      if (!patch || typeof patch !== 'object') return;
+      if (patch.table && patch.table !== tableId) return;
+      this.applyPatch(tableId, patch);
+    });
+  },
+
+  /**
+   * Queue a patch for the table. Patches are applied in batches so a burst of
+   * changes re-renders the table once.
+   * @param {string} tableId - Table identifier
+   * @param {Object} patch - {action: "insert"|"update"|"delete", row|rows|data|id|ids}
+   */
+  applyPatch(tableId, patch) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
+
+    const action = patch?.action || patch?.type;
+    if (!['insert', 'update', 'delete'].includes(action)) {
+      this.handleError(`Unknown realtime action "${action}"`, null, 'applyPatch');
+      return;
+    }
+
+    const payload = patch.rows ?? patch.row ?? patch.data ?? patch.ids ?? patch.id;
+    const items = [].concat(payload ?? []);
+    const rows = action === 'delete'
+      ? items.map(item => (item && typeof item === 'object' ? item.id : item))
+      : items.filter(item => item && typeof item === 'object');
+
+    table.realtime.queue.push({action, rows});
+    if (!table.realtime.timer) {
+      table.realtime.timer = setTimeout(() => this.flushRealtime(tableId), 100);
+    }
+  },
+
+  /**
+   * Apply queued patches to the dataset and re-render. Rendering waits for the
+   * initial load and for an open cell editor; selections, focus and unsaved edits
+   * are kept.
+   * @param {string} tableId - Table identifier
+   */
+  flushRealtime(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
+
+    const {realtime} = table;
+    clearTimeout(realtime.timer);
+    realtime.timer = null;
+    if (!realtime.queue.length) return;
+
+    // Re-rendering would replace the row holding the editor
+    if (table.initializing || table.activeEditor || table.loadingMore) {
+      realtime.timer = setTimeout(() => this.flushRealtime(tableId), 250);
+      return;
+    }
+
+    const selected = new Set(this.getSelectedRowIds(table).map(String));
+    const changes = {inserted: new Set(), updated: new Set(), deleted: new Set()};
+    realtime.queue.splice(0).forEach(patch => this.applyRealtimePatch(table, patch, changes));
+    if (!changes.inserted.size && !changes.updated.size && !changes.deleted.size) return;
+
+    const {params} = table.config;
+    if (this.isServerSideTable(table) || table.serverSide) {
+      params.total = Math.max(0, (parseInt(params.total) || 0) + changes.inserted.size - changes.deleted.size);
+      if (params.pageSize > 0) params.totalPages = Math.max(1, Math.ceil(params.total / params.pageSize));
+    } else {
+      params.total = table.data.length;
+    }
+    this.updateEditBar(table, table.id);
+
+    const render = () => {
+      // Focus moves to the same control of the re-rendered row
+      const active = document.activeElement;
+      const focusedRow = table.element.contains(active) ? active.closest('tbody tr[data-id]') : null;
+      const focused = focusedRow
+        ? {id: focusedRow.dataset.id, index: Array.from(focusedRow.querySelectorAll('*')).indexOf(active)}
+        : null;
+
+      this.renderTable(tableId);
+
+      if (!table.virtual) {
+        table.element.querySelectorAll('tbody .select-row').forEach(cb => {
+          cb.checked = selected.has(String(cb.value));
+        });
+      }
+      // Deleted or filtered out rows leave the selection
+      if (this.getSelectedRowIds(table).length === selected.size) {
+        this.syncSelectAllState(table);
+      } else {
+        this.handleRowSelection(table, tableId);
+      }
+
+      if (focused) {
+        const tr = this.findRowElement(table, focused.id);
+        const target = focused.index > -1 ? tr?.querySelectorAll('*')[focused.index] : tr;
+        (target || tr)?.focus({preventScroll: true});
+      }
+
+      [...changes.inserted, ...changes.updated].forEach(id => {
+        const tr = this.findRowElement(table, id);
+        if (!tr) return;
+        tr.classList.add('row-highlight');
+        setTimeout(() => tr.classList.remove('row-highlight'), 1500);
+      });
+    };
+
+    // Fade out deleted rows before they disappear
+    const leaving = Array.from(changes.deleted).map(id => this.findRowElement(table, id)).filter(Boolean);
+    if (leaving.length) {
+      leaving.forEach(tr => tr.classList.add('row-removing'));
+      setTimeout(render, 300);
+    } else {
+      render();
+    }
+
+    EventManager.emit('table:realtimeUpdate', {
+      tableId,
+      inserted: Array.from(changes.inserted),
+      updated: Array.from(changes.updated),
+      deleted: Array.from(changes.deleted)
+    });
+  },
+
+  /**
+   * Apply one patch to table.data (and to the pivot source rows).
+   * Client-side tables hold the whole dataset, so rows are upserted and filtering,
+   * sorting and paging happen when rendering. Server-side tables hold one page:
+   * updated rows leave the page when they stop matching the filters, and inserted
+   * rows are only shown on the first page when they match.
+   * @param {Object} table - Table instance
+   * @param {Object} patch - Normalized patch {action, rows}
+   * @param {Object} changes - Sets of inserted, updated and deleted ids
+   */
+  applyRealtimePatch(table, patch, changes) {
+    const serverSide = this.isServerSideTable(table) || table.serverSide;
+    const matches = (row) => this.filterData(table, [row]).length > 0;
+    const indexOf = (rows, id) => rows.findIndex(row => String(row.id) === id);
+
+    const remove = (id) => {
+      const index = indexOf(table.data, id);
+      if (index > -1) table.data.splice(index, 1);
+      table.edits.delete(id);
+      delete table.editErrors[id];
+      table.expandedRows.delete(id);
+      table.detailCache.delete(id);
+      table.selectedIds?.delete(id);
+      return index > -1;
+    };
+
+    const sourceRows = table.pivot.sourceRows;
+
+    if (patch.action === 'delete') {
+      patch.rows.forEach(value => {
+        if (value === undefined || value === null) return;
+        const id = String(value);
+        if (remove(id)) changes.deleted.add(id);
+        if (sourceRows) {
+          const index = indexOf(sourceRows, id);
+          if (index > -1) sourceRows.splice(index, 1);
+        }
+      });
+      return;
+    }
+
+    const firstPage = (parseInt(table.config.params.page) || 1) <= 1 && !table.cursor.offset;
+
+    patch.rows.forEach(row => {
+      if (row.id === undefined || row.id === null) return;
+      const id = String(row.id);
+      const existing = table.data[indexOf(table.data, id)];
+
+      if (existing) {
+        this.mergeRealtimeRow(table, existing, row);
+        table.detailCache.delete(id);
+        if (serverSide && !matches(existing)) {
+          remove(id);
+          changes.deleted.add(id);
+        } else {
+          changes.updated.add(id);
+        }
+      } else if (!serverSide) {
+        table.data.push({...row});
+        changes.inserted.add(id);
+      } else if (patch.action === 'insert' && matches(row)) {
+        if (firstPage) table.data.unshift({...row});
+        changes.inserted.add(id);
+      }
+
+      if (sourceRows) {
+        const source = sourceRows[indexOf(sourceRows, id)];
+        if (source) {
+          Object.assign(source, row);
+        } else if (!serverSide || matches(row)) {
+          sourceRows.push({...row});
+        }
+      }
+    });
+
+    // A server page keeps its sort order and size
+    if (serverSide) {
+      table.data = this.sortData(table, table.data);
+      const {pageSize} = table.config.params;
+      if (pageSize > 0 && !table.config.infiniteScroll && table.data.length > pageSize) {
+        table.data.length = pageSize;
+      }
+    }
+  },
+
+  /**
+   * Merge pushed values into a row without overwriting unsaved inline edits.
+   * The pushed value becomes the edit's original, so discarding reverts to it.
+   */
+  mergeRealtimeRow(table, target, row) {
+    const changes = table.edits.get(String(target.id))?.changes || {};
+    Object.entries(row).forEach(([field, value]) => {
+      if (field in changes) {
+        changes[field].original = value;
+      } else {
+        target[field] = value;
+      }
+    });
+  },
+
+  findRowElement(table, id) {
+    return Array.from(table.element.querySelectorAll('tbody tr[data-id]'))
+      .find(tr => tr.dataset.id === String(id) && !tr.classList.contains('detail-row'));
+  },
+
+  renderCell(table, tableId, row, field, attributes, rowData, index) {
+    const cell = document.createElement('td');
+    cell.dataset.field = field;
+    let value = rowData[field];
+
+    const normalizeValue = (v) => {
+      if (v === null || v === undefined) return v;
+      if (typeof v === 'object') {
+        if (v.text !== undefined) return v.text;
+        if (v.html !== undefined) return v.html;
+        if (v.value !== undefined) return v.value;
+        return JSON.stringify(v);
+      }
+      return v;
+    };
+
+    const rawValue = value;
+    const primValue = normalizeValue(value);
+
+    try {
+      // Setup cell attributes
+      if (attributes.cellClass) {
+        cell.className = attributes.cellClass;
+      }
+
+      if (attributes.align) {
+        cell.style.textAlign = attributes.align;
+      }
+
+      // Handle null or undefined values
+      if (primValue === null || primValue === undefined) {
+        cell.textContent = attributes.emptyText || '';
+        row.appendChild(cell);
+        return;
+      }
+
+      // Handle different render types
+      if (attributes.cellElement && attributes.cellElement !== '') {
+        // Render as interactive element
+        this.renderElementCell(cell, table, tableId, field, attributes, rowData, index);
+      } else if (attributes.formatter && typeof window[attributes.formatter] === 'function') {
+        // Custom formatter function - pass rawValue and primValue for flexibility
+        window[attributes.formatter](cell, rawValue, rowData, attributes);
+      } else if (attributes.format) {
+        // Built-in formatter - look up options in priority order:
+        // 1. API response options (table.dataOptions)
+        // 2. Filter options (table.filterOptions)
+        // 3. HTML data-options (attributes.options)
+        const lookupOptions = table.dataOptions?.[field] || table.filterOptions?.[field] || attributes.options;
+        cell.textContent = this.formatValue(primValue, attributes.format, lookupOptions);
+      } else if (attributes.template) {
+        // Template-based rendering
+        // 1) Replace ${key} placeholders with row values
+        let template = attributes.template.replace(/\${(\w+)}/g, (match, key) => {
+          const v = rowData[key];
+          return v !== undefined ? normalizeValue(v) : match;
+        });
+
+        // 2) Run i18n interpolation on the resulting HTML string so tokens like
+        //    {LNG_*} (including patterns formed like {LNG_${status_text}}) are resolved
+        try {
+          const i18n = window.Now && Now.getManager ? Now.getManager('i18n') : null;
+          if (i18n && typeof i18n.interpolate === 'function') {
+            template = i18n.interpolate(template);
+          } else if (window.Now && typeof Now.translate === 'function') {
+            // Fallback: if translate exists but no interpolate, attempt a best-effort
+            // Translate plain tokens that match exactly one token inside the template
+            // (not ideal for full HTML, but better than nothing)
+            // Only translate when the template is simple text
+            const plain = template.replace(/^\s+|\s+$/g, '');
+            if (!plain.includes('<') && plain.startsWith('{LNG_') && plain.endsWith('}')) {
+              template = Now.translate(plain.slice(1, -1));
+            }
+          }
+        } catch (e) {
+          // Ignore i18n errors and fall back to raw template
+        }
+
+        // 2.5) If TemplateManager is available, process the template string so it can use
+        // its directives/interpolation and sanitization with the current row context
+        try {
+          const tm = window.TemplateManager;
+          if (!tm || typeof tm.processTemplateString !== 'function') {
+            throw new Error('TemplateManager.processTemplateString not available');
+          }
+
+          const container = document.createElement('div');
+          const context = {
+            state: {data: rowData},
+            data: rowData,
+            skipScan: true // avoid re-scanning element/form managers inside table cells
+          };
+          tm.processTemplateString(template, context, container);
+          template = container.innerHTML;
+        } catch (e) {
+          const message = `Template error: ${e.message || e}`;
+          // Surface visibly in cell and log for developers
+          template = `<span class="template-error" title="${message}">${message}</span>`;
+          try {
+            ErrorManager.handle(message, {
+              context: 'TableManager.renderCell.template',
+              data: {field, template: attributes.template, error: e}
+            });
+          } catch (logErr) {
+            console.error(message, e);
+          }
+        }
+
+        // 3) Insert HTML
+        cell.innerHTML = template;
+
+        // 4) Immediately translate any elements inside the inserted HTML that carry data-i18n
+        try {
+          const i18n = window.Now && Now.getManager ? Now.getManager('i18n') : null;
+          // Query for elements with data-i18n attribute inside this cell
+          const els = cell.querySelectorAll('[data-i18n]');
+          els.forEach(el => {
+            const originalAttr = el.getAttribute('data-i18n');
+            const attr = originalAttr;
+            // Preserve original i18n key for later re-translation
+            if (originalAttr !== null && originalAttr !== undefined) {
+              try {el.dataset.i18n = originalAttr;} catch (e) { /* ignore */}
+            }
+            // If attribute is empty (just presence), translate current textContent
+            if (attr === '' || attr === null) {
+              if (typeof Now !== 'undefined' && typeof Now.translate === 'function') {
+                el.textContent = Now.translate(el.textContent || '');
+              }
+            } else {
+              // Attribute has a value (possibly produced by ${...}); use it as the key
+              // If i18n.interpolate exists, run it so tokens are resolved; otherwise use Now.translate
+              let key = attr;
+              if (i18n && typeof i18n.interpolate === 'function') {
+                try {key = i18n.interpolate(key);} catch (e) { /* ignore */}
+              }
+              if (typeof Now !== 'undefined' && typeof Now.translate === 'function') {
+                el.textContent = Now.translate(key);
+              } else {
+                // Fallback: set to interpolated value
+                el.textContent = key;
+              }
+            }
+          });
+        } catch (e) {
+          // ignore translation errors for cell post-processing
+        }
+      } else {
+        // Default rendering - prefer HTML when original value had an html property
+        if (rawValue && typeof rawValue === 'object' && rawValue.html !== undefined) {
+          cell.innerHTML = rawValue.html;
+        } else {
+          cell.textContent = primValue;
+        }
+      }
+
+      // Add any data attributes
+      if (attributes.dataAttributes) {
+        Object.entries(attributes.dataAttributes).forEach(([attr, val]) => {
+          const attrValue = typeof val === 'function' ? val(rowData) : val;
+          cell.dataset[attr] = attrValue;
+        });
+      }
+
+      // Add any event handlers directly to the cell
+      if (attributes.events) {
+        Object.entries(attributes.events).forEach(([event, handler]) => {
+          cell.addEventListener(event, (e) => handler(e, rowData, cell, table));
+        });
+      }
+
+      row.appendChild(cell);
+    } catch (error) {
+      this.handleError('Rendering cell failed', error, 'renderCell');
+      // Fallback to simple text rendering
+      cell.textContent = value !== undefined ? value : '';
+      row.appendChild(cell);
+    }
+  },
+
+  translateValue(value) {
+    try {
+      const i18n = window.Now && Now.getManager ? Now.getManager('i18n') : null;
+      if (i18n && typeof i18n.interpolate === 'function') {
+        return i18n.interpolate(value);
+      }
+      if (typeof Now !== 'undefined' && typeof Now.translate === 'function') {
+        return Now.translate(value);
+      }
+    } catch (e) {}
+    return value;
+  },
+
+  retranslateFilter(table) {
+    if (!table) return;
+
+    const config = table.config || {};
+
+    // Internal filter UI (ElementManager-built)
+    if (table.filterElements && table.filterElements instanceof Map) {
+      // Search placeholder
+      const searchObj = table.filterElements.get('search');
+      if (searchObj?.element && Array.isArray(config.searchColumns) && config.searchColumns.length) {
+        searchObj.element.placeholder = `${Now.translate('Search in')}: ${config.searchColumns.join(', ')}`;
+      }
+    }
+  },
+
+  renderElementCell(cell, table, tableId, field, attributes, rowData, index) {
+    const elementManager = Now.getManager('element');
+    const value = rowData[field];
+
+    if (!elementManager) {
+      cell.textContent = value || '';
+      return;
+    }
+
+    let elementType = attributes.cellElement;
+    let config = this.getElementConfig(table, tableId, field, attributes, rowData, index);
+
+    if (!config) {
+      cell.textContent = value;
+      return;
+    }
+
+    try {
+      // Create the element using ElementManager
+      const element = elementManager.create(elementType, config);
+
+      if (element && element.element) {
+        // Store element ID for later reference
+        cell.dataset.elementId = element.element.id;
+
+        // Append the element or its wrapper to the cell
+        if (element.wrapper) {
+          cell.appendChild(element.wrapper);
+        } else {
+          cell.appendChild(element.element);
+        }
+
+        // Track the element in table state for cleanup
+        if (!table.elementInstances) {
+          table.elementInstances = new Map();
+        }
+        table.elementInstances.set(element.element.id, element);
+      } else {
+        // Fallback if element creation failed
+        cell.textContent = value;
+      }
+    } catch (error) {
+      console.error('Failed to create element in cell:', error);
+      cell.textContent = value;
+    }
+  },
+
+  getElementConfig(table, tableId, field, attributes, rowData, index) {
+    // Allow using data-type as a shorthand for data-cell-element.
+    if (!attributes.cellElement && attributes.type) {
+      attributes.cellElement = attributes.type;
+    }
+    if (!attributes.cellElement) return null;
+
+    // Base configuration common to all elements
+    const rawValue = rowData[field];
+    const normalizeValue = (v) => {
+      if (v === null || v === undefined) return v;
+      if (typeof v === 'object') {
+        if (v.value !== undefined) return v.value;
+        if (v.text !== undefined) return v.text;
+        if (v.html !== undefined) return v.html;
+        return JSON.stringify(v);
+      }
+      return v;
+    };
+    const value = normalizeValue(rawValue);
+    const config = {
+      type: attributes.cellElement,
+      name: `${field}[${rowData.id || index}]`,
+      id: `${tableId}_${field}_${rowData.id || index}`, // Predictable format for error highlighting
+      wrapper: attributes.wrapper || 'div',
+      value: value,
+      autocomplete: attributes.autocomplete || 'off',
+      className: attributes.class,
+      readOnly: attributes.readOnly,
+      disabled: attributes.disabled,
+      required: attributes.required,
+      placeholder: attributes.placeholder || attributes.label
+    };
+
+    // Element-specific configurations
+    switch (attributes.cellElement) {
+      case 'select':
+        // Handle select element. options can come from several places:
+        config.options = (table.filterOptions && table.filterOptions[field]) || attributes.options || {};
+        if (typeof config.options === 'string' && window[config.options]) {
+          config.options = window[config.options];
+        }
+        config.multiple = attributes.multiple;
+        config.allowEmpty = attributes.allowEmpty !== false;
+        break;
+
+      case 'text':
+      case 'email':
+      case 'url':
+      case 'password':
+        // Text-like elements
+        if (attributes.minLength !== undefined && attributes.minLength !== null && attributes.minLength !== '') {
+          const parsedMin = parseInt(attributes.minLength, 10);
+          if (!isNaN(parsedMin) && parsedMin >= 0) config.minLength = parsedMin;
+        }
+        if (attributes.maxLength !== undefined && attributes.maxLength !== null && attributes.maxLength !== '') {
+          const parsedMax = parseInt(attributes.maxLength, 10);
+          if (!isNaN(parsedMax) && parsedMax > 0) config.maxLength = parsedMax;
+        }
+        config.pattern = attributes.pattern;
+        config.autocomplete = attributes.autocomplete || config.type;
+        // Add datalist if provided
+        if (attributes.datalist) {
+          config.datalist = attributes.datalist;
+        }
+        break;
+
+      case 'number':
+        // Number input
+        config.min = attributes.min;
+        config.max = attributes.max;
+        config.step = attributes.step || 1;
+        break;
+
+      case 'textarea':
+        // Textarea
+        config.rows = attributes.rows || 3;
+        config.cols = attributes.cols;
+        config.resizable = attributes.resizable !== false;
+        break;
+
+      case 'date':
+      case 'time':
+      case 'datetime-local':
+        // Date/time inputs
+        config.min = attributes.min;
+        config.max = attributes.max;
+        config.format = attributes.format;
+        break;
+
+      case 'color':
+        // Color input - ensure value is in #RRGGBB format
+        if (config.value && !config.value.startsWith('#')) {
+          config.value = '#' + config.value;
+        }
+        // Ensure uppercase for consistency
+        if (config.value) {
+          config.value = config.value.toUpperCase();
+        }
+        break;
+
+      case 'file':
+        // File upload
+        config.accept = attributes.accept;
+        config.multiple = attributes.multiple;
+        config.maxFileSize = attributes.maxFileSize;
+        config.preview = attributes.preview;
+        break;
+
+      case 'checkbox':
+      case 'radio':
+        // Checkbox/radio
+        config.checked = value === true || value === '1' || value === 'true';
+        if (attributes.options) {
+          config.options = attributes.options;
+        }
+        break;
+
+      case 'search':
+        // Search element
+        config.minLength = attributes.minLength || 2;
+        config.delay = attributes.delay || 300;
+        if (attributes.source) {
+          config.source = attributes.source;
+        }
+        config.onSearch = attributes.onSearch;
+        break;
+    }
+
+    // Add validators if specified
+    if (attributes.validate) {
+      config.validate = attributes.validate;
+    }
+
+    // Add formatter if specified
+    if (attributes.formatter) {
+      config.formatter = attributes.formatter;
+    }
+
+    return config;
+  },
+
+  cleanupTableResources(tableId) {
+    try {
+      const table = this.state.tables.get(tableId);
+      if (!table) return;
+
+      this.disconnectRealtime(tableId);
+
+      // Cleanup external filter form handlers
+      if (table._externalFilterCleanup && Array.isArray(table._externalFilterCleanup)) {
+        table._externalFilterCleanup.forEach(cleanup => {
+          try {
+            cleanup();
+          } catch (err) {
+            console.warn('External filter cleanup error:', err);
+          }
+        });
+        table._externalFilterCleanup = [];
+      }
+
+      // Cleanup event handlers
+      if (table.eventHandlers) {
+        // Cleanup sort handlers
+        if (table.eventHandlers.sort instanceof Map) {
+          table.eventHandlers.sort.forEach((handlers, th) => {
+            th.removeEventListener('click', handlers.sort);
+            th.removeEventListener('keydown', handlers.key);
+          });
+        }
+
+        // Cleanup other handlers
+        if (table.eventHandlers.keyboard) {
+          table.element.removeEventListener('keydown', table.eventHandlers.keyboard);
+        }
+
+        // Remove delegation listeners if present
+        if (table.eventHandlers.delegation && table.element) {
+          const tbody = table.element.querySelector('tbody');
+          if (tbody) {
+            tbody.removeEventListener('click', table.eventHandlers.delegation.click);
+            tbody.removeEventListener('change', table.eventHandlers.delegation.change);
+            tbody.removeEventListener('dblclick', table.eventHandlers.delegation.dblclick);
+          }
+        }
+
+        if (table.eventHandlers.filterWrapperChange && table.filterWrapper) {
+          table.filterWrapper.removeEventListener('change', table.eventHandlers.filterWrapperChange);
+        }
+
+        // Remove action button handler if present
+        if (table.eventHandlers.actionButton && table.actionElements && table.actionElements.submit && table.actionElements.submit.element) {
+          table.actionElements.submit.element.removeEventListener('click', table.eventHandlers.actionButton);
+          delete table.eventHandlers.actionButton;
+        }
+
+        table.eventHandlers = {};
+      }
+
+      // Cleanup elements created by the table
+      if (table.elementInstances) {
+        if (table.elementInstances instanceof Map) {
+          table.elementInstances.forEach((instance, id) => {
+            const elementManager = Now.getManager('element');
+            if (elementManager) {
+              elementManager.destroy(id);
+            }
+          });
+          table.elementInstances.clear();
+        }
+      }
+
+      // Cleanup filter elements
+      if (table.filterElements) {
+        if (table.filterElements instanceof Map) {
+          table.filterElements.forEach((element) => {
+            if (element && element.element && element.element.id) {
+              const elementManager = Now.getManager('element');
+              if (elementManager) {
+                elementManager.destroy(element.element.id);
+              }
+            }
+          });
+          table.filterElements.clear();
+        }
+      }
+
+      // Remove DOM elements
+      ['filterWrapper', 'filterBuilderWrapper', 'pivotWrapper', 'pivotOutput', 'viewWrapper', 'groupWrapper', 'editWrapper', 'actionWrapper', 'paginationWrapper'].forEach(wrapper => {
+        if (table[wrapper]) {
+          table[wrapper].remove();
+          table[wrapper] = null;
+        }
+      });
+
+      // Clear data
+      table.data = null;
+      if (table.columns && table.columns.clear) table.columns.clear();
+      if (table.filterData && table.filterData.clear) table.filterData.clear();
+
+      // Clear filterOptions (can be Map or Object)
+      if (table.filterOptions) {
+        if (table.filterOptions instanceof Map) {
+          table.filterOptions.clear();
+        } else {
+          table.filterOptions = {};
+        }
+      }
+
+      // Clear dataOptions (Object)
+      if (table.dataOptions) {
+        table.dataOptions = {};
+      }
+
+      // Clear sort state
+      table.sortable = null;
+
+      this.cleanupVirtualScroll(table);
+      this.cleanupInfiniteScroll(table);
+
+      // Clear cache
+      this.clearTableCache(tableId);
+
+      // Remove table attributes
+      if (table.element) {
+        table.element.removeAttribute('data-table-initialized');
+        table.element.classList.remove('table-initialized');
+      }
+
+      // Remove table state binding
+      if (table.unsubscribe) {
+        table.unsubscribe();
+        table.unsubscribe = null;
+      }
+
+    } catch (error) {
+      this.handleError('Failed to cleanup table resources', error, 'cleanup');
+    }
+  },
+
+  // Delegated event handlers
+  _handleDelegatedClick(e, tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
+
+    const groupToggle = e.target.closest('.group-toggle');
+    if (groupToggle && table.element.contains(groupToggle)) {
+      e.preventDefault();
+      this.toggleGroup(tableId, groupToggle.closest('tr')?.dataset.groupKey);
+      return;
+    }
+
+    const expandToggle = e.target.closest('.row-expand');
+    if (expandToggle && table.element.contains(expandToggle)) {
+      e.preventDefault();
+      this.toggleRowDetail(tableId, expandToggle.closest('tr')?.dataset.id);
+      return;
+    }
+
+    // Detail panels handle their own content
+    if (e.target.closest('.detail-row')) return;
+
+    const btn = e.target.closest('[data-action]');
+    if (btn && table.element.contains(btn)) {
+      e.preventDefault();
+      const action = btn.dataset.action;
+      const params = btn.dataset.params ? JSON.parse(btn.dataset.params) : null;
+      const tr = btn.closest('tr');
+      const id = tr?.dataset?.id;
+      const row = id ? this.getRowObjectById(tableId, id) : null;
+      const actionUrl = table.element.dataset.actionUrl || table.config.actionUrl;
+
+      // always route data operations to table actionUrl
+      this._executeRowAction(tableId, actionUrl, row || {}, action, {...(params || {})});
+      return;
+    }
+
+    // handle buttons inside action cell without data-action (icons etc.)
+    const iconBtn = e.target.closest('button, a');
+    if (iconBtn && table.element.contains(iconBtn)) {
+      // if it has data-field or data-action via other attrs, treat accordingly
+      const action = iconBtn.dataset.action;
+      if (action) {
+        e.preventDefault();
+        const tr = iconBtn.closest('tr');
+        const id = tr?.dataset?.id;
+        const row = id ? this.getRowObjectById(tableId, id) : null;
+        const actionUrl = table.element.dataset.actionUrl || table.config.actionUrl;
+        this._executeRowAction(tableId, actionUrl, row || {}, action, {});
+      }
+    }
+  },
+
+  _handleDelegatedChange(e, tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
+
+    const target = e.target;
+    if (!table.element.contains(target)) return;
+
+    // Inline editors are committed in batch by saveEdits(); detail panels are not row fields
+    if (target.closest('.cell-editor, .detail-row')) return;
+
+    // Find field attribute
+    const fieldEl = target.closest('[data-field]') || target;
+    const field = fieldEl.dataset.field || fieldEl.name || fieldEl.dataset.name;
+
+    if (field) {
+      const tr = target.closest('tr');
+      const id = tr?.dataset?.id;
+      const row = id ? this.getRowObjectById(tableId, id) : null;
+
+      // Do not treat header/select-all checkboxes as row-level field updates
+      if (target.classList && target.classList.contains('select-all')) return;
+
+      let value;
+      if (target.type === 'checkbox') value = target.checked ? '1' : '0';
+      else if (target.type === 'radio') {
+        const checked = target.closest('tr')?.querySelector(`input[name="${target.name}"]:checked`);
+        value = checked ? checked.value : null;
+      } else {
+        value = target.value;
+      }
+
+      const shouldSend = true;
+
+      this.handleFieldChange(table, tableId, field, value, row, target, {send: shouldSend});
+    }
+  },
+
+  /**
+   * Selection key of a row: its id, or its index in table.data for rows without one.
+   * The rendered position is not used, group headers and pages shift it.
+   * @param {Object} table - Table instance
+   * @param {Object} item - Row data
+   * @param {number} index - Rendered position, used for rows outside table.data
+   * @returns {string}
+   */
+  getRowKey(table, item, index) {
+    if (item.id) return String(item.id);
+    return String(table.rowIndexes?.get(item) ?? index);
+  },
+
+  // Helper to get selected row ids (from tbody .select-row checkboxes)
+  getSelectedRowIds(table) {
+    if (!table || !table.element) return [];
+    if (table.virtual) return Array.from(table.selectedIds || []);
+    const checked = table.element.querySelectorAll('tbody .select-row:checked');
+    return Array.from(checked).map(cb => cb.value);
+  },
+
+  _performActionWrapperSubmission(tableId) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
+
+    const selectInfo = table.actionElements?.select;
+    const submitInfo = table.actionElements?.submit;
+    const actionUrl = table.element.dataset.actionUrl || table.config.actionUrl;
+
+    if (!selectInfo || !submitInfo) return;
+
+    const selectEl = selectInfo.element;
+    const selectedAction = selectEl ? selectEl.value : null;
+
+    // Validate that an action is selected (not empty value)
+    if (!selectedAction || selectedAction === '') {
+      NotificationManager.warning('Please select an action');
+      return;
+    }
+
+    const ids = this.getSelectedRowIds(table);
+    if (!ids || ids.length === 0) {
+      NotificationManager.warning('Please select at least one row');
+      return;
+    }
+
+    // Parse action key with pipe separator (e.g., "stage|lead" -> action=stage, stage=lead)
+    const data = {ids: ids};
+    if (selectedAction.includes('|')) {
+      const [actionName, actionValue] = selectedAction.split('|', 2);
+      data.action = actionName;
+      data[actionName] = actionValue;
+    } else {
+      data.action = selectedAction;
+    }
+
+    // sendAction will handle UI feedback
+    this.sendAction(actionUrl, data, tableId, submitInfo.element).catch(err => console.error('Action submit error', err));
+  },
+
+  setupColumnResizing(tableId) {
+    const tableObj = this.state.tables.get(tableId);
+    if (!tableObj || !tableObj.element) return;
+    if (!tableObj.config.persistColumnWidths) return;
+
+    const tableEl = tableObj.element;
+    const thead = tableEl.querySelector('thead');
+    if (!thead) return;
+
+    // Load saved widths if present
+    try {
+      const saved = localStorage.getItem(`table_${tableId}_columns`);
+      if (saved) {
+        const widths = JSON.parse(saved);
+        const cols = thead.querySelectorAll('th');
+        cols.forEach((th, idx) => {
+          if (widths[idx]) th.style.width = widths[idx];
+        });
+      }
+    } catch (err) {
+      // ignore
+    }
+
+    // Add simple resizer handles to last row headers
+    const headers = thead.querySelectorAll('th');
+    headers.forEach((th, idx) => {
+      // Skip if already has resizer
+      if (th.querySelector('.col-resizer')) return;
+
+      const resizer = document.createElement('div');
+      resizer.className = 'col-resizer';
+      resizer.setAttribute('role', 'separator');
+      resizer.style.position = 'absolute';
+      resizer.style.top = '0';
+      resizer.style.right = '0';
+      resizer.style.width = '6px';
+      resizer.style.cursor = 'col-resize';
+      resizer.style.userSelect = 'none';
+      resizer.style.height = '100%';
+      resizer.style.zIndex = '5';
+
+      th.appendChild(resizer);
+
+      let startX = 0;
+      let startWidth = 0;
+
+      const onMouseDown = (e) => {
+        e.preventDefault();
+        startX = e.clientX;
+        startWidth = th.offsetWidth;
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+      };
+
+      const onMouseMove = (e) => {
+        const dx = e.clientX - startX;
+        const newWidth = Math.max(30, startWidth + dx);
+        th.style.width = `${newWidth}px`;
+      };
+
+      const onMouseUp = (e) => {
+        document.removeEventListener('mousemove', onMouseMove);
+        document.removeEventListener('mouseup', onMouseUp);
+
+        // save widths
+        try {
+          const cols = Array.from(thead.querySelectorAll('th'));
+          const widths = cols.map(c => c.style.width || window.getComputedStyle(c).width);
+          localStorage.setItem(`table_${tableId}_columns`, JSON.stringify(widths));
+        } catch (err) {
+          console.warn('Failed to persist column widths', err);
+        }
+      };
+
+      resizer.addEventListener('mousedown', onMouseDown);
+    });
+  },
+
+  /**
+   * Current column layout (order of all data columns and the hidden ones)
+   * @param {Object} table - Table instance
+   * @returns {{order: Array<string>, hidden: Array<string>}}
+   */
+  getColumnLayout(table) {
+    return {
+      order: Array.from(table.columns.keys()),
+      hidden: Array.from(table.hiddenColumns || [])
+    };
+  },
+
+  /**
+   * Reorder and show/hide data columns. Header cells (and matching footer cells)
+   * are moved in place so sort handlers and widths stay attached.
+   * @param {string} tableId - Table identifier
+   * @param {Object} layout - {order: ['name', 'stage', ...], hidden: ['owner']}
+   * @param {Object} options - {render: true, persist: true}
+   */
+  setColumnLayout(tableId, layout = {}, options = {}) {
+    const table = this.state.tables.get(tableId);
+    const thead = table?.element.querySelector('thead');
+    if (!thead) return;
+
+    const {render = true, persist = true} = options;
+    const headerRow = thead.rows[thead.rows.length - 1];
+    const known = new Set(table.columns.keys());
+
+    // Reordering is only supported for single-row headers (no merged header groups)
+    if (Array.isArray(layout.order) && thead.rows.length === 1) {
+      const cells = Array.from(headerRow.cells);
+      const fieldCells = cells.filter(th => th.dataset.field && known.has(th.dataset.field));
+      const ordered = [
+        ...layout.order.map(field => fieldCells.find(th => th.dataset.field === field)).filter(Boolean),
+        ...fieldCells.filter(th => !layout.order.includes(th.dataset.field))
+      ];
+
+      if (fieldCells.length && ordered.some((th, i) => th !== fieldCells[i])) {
+        const positions = fieldCells.map(th => cells.indexOf(th));
+        const permutation = cells.map((th, i) => {
+          const slot = positions.indexOf(i);
+          return slot === -1 ? i : cells.indexOf(ordered[slot]);
+        });
 
-      case 'checkbox':
-      case 'radio':
-        // Checkbox/radio
-        config.checked = value === true || value === '1' || value === 'true';
-        if (attributes.options) {
-          config.options = attributes.options;
-        }
-        break;
+        const reorder = (row) => {
+          const rowCells = Array.from(row.cells);
+          if (rowCells.length !== cells.length) return;
+          permutation.forEach(from => row.appendChild(rowCells[from]));
+        };
 
-      case 'search':
-        // Search element
-        config.minLength = attributes.minLength || 2;
-        config.delay = attributes.delay || 300;
-        if (attributes.source) {
-          config.source = attributes.source;
-        }
-        config.onSearch = attributes.onSearch;
-        break;
+        reorder(headerRow);
+        table.element.querySelectorAll('tfoot tr').forEach(reorder);
+      }
     }
 
-    // Add validators if specified
-    if (attributes.validate) {
-      config.validate = attributes.validate;
+    if (Array.isArray(layout.hidden)) {
+      table.hiddenColumns = new Set(layout.hidden.filter(field => known.has(field)));
     }
 
-    // Add formatter if specified
-    if (attributes.formatter) {
-      config.formatter = attributes.formatter;
-    }
+    const hidden = table.hiddenColumns || new Set();
+    const cellCount = headerRow.cells.length;
+    Array.from(headerRow.cells).forEach((th, i) => {
+      const isHidden = !!th.dataset.field && hidden.has(th.dataset.field);
+      th.hidden = isHidden;
+      table.element.querySelectorAll('tfoot tr').forEach(row => {
+        if (row.cells.length === cellCount) row.cells[i].hidden = isHidden;
+      });
+    });
 
-    return config;
-  },
+    table.columns = this.getColumnDefinitions(table);
 
-  cleanupTableResources(tableId) {
-    try {
-      const table = this.state.tables.get(tableId);
-      if (!table) return;
+    if (persist) {
+      const store = this.loadViews(table);
+      store.layout = this.getColumnLayout(table);
+      this.storeViews(table, store);
+    }
 
-      // Cleanup external filter form handlers
-      if (table._externalFilterCleanup && Array.isArray(table._externalFilterCleanup)) {
-        table._externalFilterCleanup.forEach(cleanup => {
-          try {
-            cleanup();
-          } catch (err) {
-            console.warn('External filter cleanup error:', err);
-          }
-        });
-        table._externalFilterCleanup = [];
-      }
+    this.refreshColumnChooser(table, tableId);
 
-      // Cleanup event handlers
-      if (table.eventHandlers) {
-        // Cleanup sort handlers
-        if (table.eventHandlers.sort instanceof Map) {
-          table.eventHandlers.sort.forEach((handlers, th) => {
-            th.removeEventListener('click', handlers.sort);
-            th.removeEventListener('keydown', handlers.key);
-          });
-        }
+    if (render && !table.initializing) {
+      this.syncStateToUrl(tableId);
+      this.renderTable(tableId);
+    }
 
-        // Cleanup other handlers
-        if (table.eventHandlers.keyboard) {
-          table.element.removeEventListener('keydown', table.eventHandlers.keyboard);
-        }
+    EventManager.emit('table:columnsChange', {
+      tableId,
+      ...this.getColumnLayout(table)
+    });
+  },
 
-        // Remove delegation listeners if present
-        if (table.eventHandlers.delegation && table.element) {
-          const tbody = table.element.querySelector('tbody');
-          if (tbody) {
-            tbody.removeEventListener('click', table.eventHandlers.delegation.click);
-            tbody.removeEventListener('change', table.eventHandlers.delegation.change);
-          }
-        }
+  setColumnVisibility(tableId, field, visible) {
+    const table = this.state.tables.get(tableId);
+    if (!table || !table.columns.has(field)) return;
 
-        if (table.eventHandlers.filterWrapperChange && table.filterWrapper) {
-          table.filterWrapper.removeEventListener('change', table.eventHandlers.filterWrapperChange);
-        }
+    const hidden = new Set(table.hiddenColumns || []);
+    if (visible) {
+      hidden.delete(field);
+    } else {
+      // Keep at least one visible column
+      if (table.columns.size - hidden.size <= 1) return;
+      hidden.add(field);
+    }
 
-        // Remove action button handler if present
-        if (table.eventHandlers.actionButton && table.actionElements && table.actionElements.submit && table.actionElements.submit.element) {
-          table.actionElements.submit.element.removeEventListener('click', table.eventHandlers.actionButton);
-          delete table.eventHandlers.actionButton;
-        }
+    this.setColumnLayout(tableId, {hidden: Array.from(hidden)});
+  },
 
-        table.eventHandlers = {};
-      }
+  setColumnOrder(tableId, order) {
+    this.setColumnLayout(tableId, {order});
+  },
 
-      // Cleanup elements created by the table
-      if (table.elementInstances) {
-        if (table.elementInstances instanceof Map) {
-          table.elementInstances.forEach((instance, id) => {
-            const elementManager = Now.getManager('element');
-            if (elementManager) {
-              elementManager.destroy(id);
-            }
-          });
-          table.elementInstances.clear();
-        }
+  /**
+   * Create the column chooser and saved views controls (data-column-chooser="true")
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   */
+  setupColumnChooser(table, tableId) {
+    if (!table.config.columnChooser || table.viewWrapper || !table.element.parentNode) return;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table_nav table-view-controls';
+
+    const chooser = document.createElement('details');
+    chooser.className = 'column-chooser';
+    const summary = document.createElement('summary');
+    summary.className = 'btn';
+    summary.textContent = Now.translate('Columns');
+    summary.dataset.i18n = 'Columns';
+    chooser.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'column-chooser-list';
+    list.setAttribute('aria-label', Now.translate('Columns'));
+    chooser.appendChild(list);
+
+    chooser.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && chooser.open) {
+        chooser.open = false;
+        summary.focus();
       }
+    });
 
-      // Cleanup filter elements
-      if (table.filterElements) {
-        if (table.filterElements instanceof Map) {
-          table.filterElements.forEach((element) => {
-            if (element && element.element && element.element.id) {
-              const elementManager = Now.getManager('element');
-              if (elementManager) {
-                elementManager.destroy(element.element.id);
-              }
-            }
-          });
-          table.filterElements.clear();
-        }
+    list.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('input[type="checkbox"]');
+      if (checkbox) {
+        this.setColumnVisibility(tableId, checkbox.value, checkbox.checked);
       }
+    });
 
-      // Remove DOM elements
-      ['filterWrapper', 'actionWrapper', 'paginationWrapper'].forEach(wrapper => {
-        if (table[wrapper]) {
-          table[wrapper].remove();
-          table[wrapper] = null;
+    if (typeof Sortable !== 'undefined' && table.element.querySelector('thead').rows.length === 1) {
+      table.columnSortable = new Sortable(list, {
+        draggable: 'li',
+        handle: '.drag-handle',
+        animation: 150,
+        onEnd: () => {
+          this.setColumnOrder(tableId, Array.from(list.children).map(li => li.dataset.field));
         }
       });
+    }
 
-      // Clear data
-      table.data = null;
-      if (table.columns && table.columns.clear) table.columns.clear();
-      if (table.filterData && table.filterData.clear) table.filterData.clear();
+    const select = document.createElement('select');
+    select.className = 'table-view-select';
+    select.setAttribute('aria-label', Now.translate('Saved views'));
+    select.addEventListener('change', () => {
+      if (select.value) {
+        this.applyView(tableId, select.value);
+      } else {
+        this.resetView(tableId);
+      }
+    });
 
-      // Clear filterOptions (can be Map or Object)
-      if (table.filterOptions) {
-        if (table.filterOptions instanceof Map) {
-          table.filterOptions.clear();
-        } else {
-          table.filterOptions = {};
-        }
+    const saveButton = document.createElement('button');
+    saveButton.type = 'button';
+    saveButton.className = 'btn';
+    saveButton.textContent = Now.translate('Save view');
+    saveButton.dataset.i18n = 'Save view';
+    saveButton.addEventListener('click', async (e) => {
+      e.preventDefault();
+      const name = await DialogManager.prompt(Now.translate('View name'), select.value || '', Now.translate('Save view'));
+      if (name && name.trim()) {
+        this.saveView(tableId, name.trim());
       }
+    });
 
-      // Clear dataOptions (Object)
-      if (table.dataOptions) {
-        table.dataOptions = {};
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'btn';
+    deleteButton.textContent = Now.translate('Delete view');
+    deleteButton.dataset.i18n = 'Delete view';
+    deleteButton.addEventListener('click', async (e) => {
+      e.preventDefault();
+      if (!select.value) return;
+      const confirmed = await DialogManager.confirm(Now.translate('Delete view') + ` "${select.value}"?`);
+      if (confirmed) {
+        this.deleteView(tableId, select.value);
       }
+    });
 
-      // Clear sort state
-      table.sortable = null;
+    wrapper.append(chooser, select, saveButton, deleteButton);
+    table.element.parentNode.insertBefore(wrapper, table.element);
 
-      // Clear cache
-      this.clearTableCache(tableId);
+    table.viewWrapper = wrapper;
+    table.viewElements = {list, select, deleteButton};
+    this.refreshColumnChooser(table, tableId);
+  },
 
-      // Remove table attributes
-      if (table.element) {
-        table.element.removeAttribute('data-table-initialized');
-        table.element.classList.remove('table-initialized');
-      }
+  /**
+   * Sync the column chooser list and the saved views select with the table state
+   * @param {Object} table - Table instance
+   * @param {string} tableId - Table identifier
+   */
+  refreshColumnChooser(table, tableId) {
+    if (!table?.viewElements) return;
 
-      // Remove table state binding
-      if (table.unsubscribe) {
-        table.unsubscribe();
-        table.unsubscribe = null;
+    const {list, select, deleteButton} = table.viewElements;
+    const hidden = table.hiddenColumns || new Set();
+    const reorderable = !!table.columnSortable;
+
+    list.innerHTML = '';
+    table.columns.forEach((attributes, field) => {
+      const th = table.element.querySelector(`thead th[data-field="${field}"]`);
+      const li = document.createElement('li');
+      li.dataset.field = field;
+
+      if (reorderable) {
+        li.draggable = true;
+        const handle = document.createElement('span');
+        handle.className = 'drag-handle';
+        handle.textContent = '⋮⋮';
+        handle.setAttribute('aria-hidden', 'true');
+        li.appendChild(handle);
       }
 
-    } catch (error) {
-      this.handleError('Failed to cleanup table resources', error, 'cleanup');
-    }
-  },
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = field;
+      checkbox.checked = !hidden.has(field);
+      label.append(checkbox, ` ${attributes.label || (th ? th.textContent.trim() : field)}`);
+      li.appendChild(label);
+      list.appendChild(li);
+    });
 
-  // Delegated event handlers
-  _handleDelegatedClick(e, tableId) {
-    const table = this.state.tables.get(tableId);
-    if (!table) return;
+    const store = this.loadViews(table);
+    select.innerHTML = '';
+    select.appendChild(new Option(Now.translate('Default view'), ''));
+    Object.keys(store.views).sort().forEach(name => {
+      select.appendChild(new Option(name, name));
+    });
+    select.value = store.active && store.views[store.active] ? store.active : '';
+    deleteButton.disabled = !select.value;
+  },
 
-    const btn = e.target.closest('[data-action]');
-    if (btn && table.element.contains(btn)) {
-      e.preventDefault();
-      const action = btn.dataset.action;
-      const params = btn.dataset.params ? JSON.parse(btn.dataset.params) : null;
-      const tr = btn.closest('tr');
-      const id = tr?.dataset?.id;
-      const row = id ? this.getRowObjectById(tableId, id) : null;
-      const actionUrl = table.element.dataset.actionUrl || table.config.actionUrl;
+  /**
+   * Storage key for saved views, scoped to the signed-in user
+   * @param {Object} table - Table instance
+   * @returns {string}
+   */
+  getViewStorageKey(table) {
+    const authManager = window.Now?.getManager ? Now.getManager('auth') : window.AuthManager;
+    const user = authManager?.getUser?.();
+    const userKey = user?.id ?? user?.username ?? 'guest';
+    return `table_${table.id}_views_${userKey}`;
+  },
 
-      // always route data operations to table actionUrl
-      this._executeRowAction(tableId, actionUrl, row || {}, action, {...(params || {})});
-      return;
+  loadViews(table) {
+    let store = null;
+    try {
+      store = window.StorageManager ? StorageManager.local.get(this.getViewStorageKey(table)) : null;
+    } catch (err) {
+      // ignore
     }
 
-    // handle buttons inside action cell without data-action (icons etc.)
-    const iconBtn = e.target.closest('button, a');
-    if (iconBtn && table.element.contains(iconBtn)) {
-      // if it has data-field or data-action via other attrs, treat accordingly
-      const action = iconBtn.dataset.action;
-      if (action) {
-        e.preventDefault();
-        const tr = iconBtn.closest('tr');
-        const id = tr?.dataset?.id;
-        const row = id ? this.getRowObjectById(tableId, id) : null;
-        const actionUrl = table.element.dataset.actionUrl || table.config.actionUrl;
-        this._executeRowAction(tableId, actionUrl, row || {}, action, {});
+    return {
+      views: {},
+      active: '',
+      layout: null,
+      ...(store && typeof store === 'object' ? store : {})
+    };
+  },
+
+  storeViews(table, store) {
+    try {
+      if (window.StorageManager) {
+        StorageManager.local.set(this.getViewStorageKey(table), store);
       }
+    } catch (err) {
+      console.warn('Failed to persist table views', err);
     }
   },
 
-  _handleDelegatedChange(e, tableId) {
+  /**
+   * Names of the views saved for a table by the current user
+   * @param {string} tableId - Table identifier
+   * @returns {Array<string>}
+   */
+  getViews(tableId) {
     const table = this.state.tables.get(tableId);
-    if (!table) return;
-
-    const target = e.target;
-    if (!table.element.contains(target)) return;
+    return table ? Object.keys(this.loadViews(table).views) : [];
+  },
 
-    // Find field attribute
-    const fieldEl = target.closest('[data-field]') || target;
-    const field = fieldEl.dataset.field || fieldEl.name || fieldEl.dataset.name;
+  /**
+   * Save the current columns, filters, sort, grouping and page size as a named view
+   * @param {string} tableId - Table identifier
+   * @param {string} name - View name (an existing view with this name is replaced)
+   * @returns {Object|null} The saved view
+   */
+  saveView(tableId, name) {
+    const table = this.state.tables.get(tableId);
+    if (!table || !name) return null;
 
-    if (field) {
-      const tr = target.closest('tr');
-      const id = tr?.dataset?.id;
-      const row = id ? this.getRowObjectById(tableId, id) : null;
+    const view = {
+      ...this.getColumnLayout(table),
+      params: {
+        ...this.getFilterParams(table),
+        search: table.config.params.search || ''
+      },
+      sort: {...table.sortState},
+      groupBy: [...(table.groupBy || [])],
+      pageSize: table.config.params.pageSize,
+      savedAt: Date.now()
+    };
 
-      // Do not treat header/select-all checkboxes as row-level field updates
-      if (target.classList && target.classList.contains('select-all')) return;
+    const store = this.loadViews(table);
+    store.views[name] = view;
+    store.active = name;
+    store.layout = {order: view.order, hidden: view.hidden};
+    this.storeViews(table, store);
 
-      let value;
-      if (target.type === 'checkbox') value = target.checked ? '1' : '0';
-      else if (target.type === 'radio') {
-        const checked = target.closest('tr')?.querySelector(`input[name="${target.name}"]:checked`);
-        value = checked ? checked.value : null;
-      } else {
-        value = target.value;
-      }
+    this.refreshColumnChooser(table, tableId);
+    EventManager.emit('table:viewSave', {tableId, name, view});
+    return view;
+  },
 
-      const shouldSend = true;
+  /**
+   * Apply a saved view: column layout, filters, sort, grouping and page size
+   * @param {string} tableId - Table identifier
+   * @param {string} name - View name
+   * @param {Object} options - {reload: true} set false to only update state (no render)
+   * @returns {boolean} Whether the view exists
+   */
+  applyView(tableId, name, options = {}) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return false;
 
-      this.handleFieldChange(table, tableId, field, value, row, target, {send: shouldSend});
+    const store = this.loadViews(table);
+    const view = store.views[name];
+    if (!view) {
+      this.handleError(`View "${name}" not found`, null, 'applyView');
+      return false;
     }
-  },
 
-  // Helper to get selected row ids (from tbody .select-row checkboxes)
-  getSelectedRowIds(table) {
-    if (!table || !table.element) return [];
-    const checked = table.element.querySelectorAll('tbody .select-row:checked');
-    return Array.from(checked).map(cb => cb.value);
+    store.active = name;
+    this.storeViews(table, store);
+    this.applyViewState(table, tableId, view, options);
+
+    EventManager.emit('table:viewApply', {tableId, name, view});
+    return true;
   },
 
-  _performActionWrapperSubmission(tableId) {
+  /**
+   * Return to the table's default layout and clear filters, sort and grouping
+   * @param {string} tableId - Table identifier
+   */
+  resetView(tableId) {
     const table = this.state.tables.get(tableId);
     if (!table) return;
 
-    const selectInfo = table.actionElements?.select;
-    const submitInfo = table.actionElements?.submit;
-    const actionUrl = table.element.dataset.actionUrl || table.config.actionUrl;
-
-    if (!selectInfo || !submitInfo) return;
+    const store = this.loadViews(table);
+    store.active = '';
+    store.layout = null;
+    this.storeViews(table, store);
+
+    this.applyViewState(table, tableId, {
+      order: table.defaultColumnOrder || [],
+      hidden: [],
+      params: {},
+      sort: {},
+      groupBy: [...(table.config.groupBy || [])],
+      pageSize: this.extractDataAttributes(table.element, this.config.params).pageSize ?? this.config.params.pageSize
+    });
 
-    const selectEl = selectInfo.element;
-    const selectedAction = selectEl ? selectEl.value : null;
+    EventManager.emit('table:viewApply', {tableId, name: '', view: null});
+  },
 
-    // Validate that an action is selected (not empty value)
-    if (!selectedAction || selectedAction === '') {
-      NotificationManager.warning('Please select an action');
-      return;
-    }
+  deleteView(tableId, name) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
 
-    const ids = this.getSelectedRowIds(table);
-    if (!ids || ids.length === 0) {
-      NotificationManager.warning('Please select at least one row');
-      return;
-    }
+    const store = this.loadViews(table);
+    if (!store.views[name]) return;
 
-    // Parse action key with pipe separator (e.g., "stage|lead" -> action=stage, stage=lead)
-    const data = {ids: ids};
-    if (selectedAction.includes('|')) {
-      const [actionName, actionValue] = selectedAction.split('|', 2);
-      data.action = actionName;
-      data[actionName] = actionValue;
-    } else {
-      data.action = selectedAction;
-    }
+    delete store.views[name];
+    if (store.active === name) store.active = '';
+    this.storeViews(table, store);
 
-    // sendAction will handle UI feedback
-    this.sendAction(actionUrl, data, tableId, submitInfo.element).catch(err => console.error('Action submit error', err));
+    this.refreshColumnChooser(table, tableId);
+    EventManager.emit('table:viewDelete', {tableId, name});
   },
 
-  setupColumnResizing(tableId) {
-    const tableObj = this.state.tables.get(tableId);
-    if (!tableObj || !tableObj.element) return;
-    if (!tableObj.config.persistColumnWidths) return;
-
-    const tableEl = tableObj.element;
-    const thead = tableEl.querySelector('thead');
-    if (!thead) return;
+  applyViewState(table, tableId, view, options = {}) {
+    this.setColumnLayout(tableId, {order: view.order, hidden: view.hidden}, {render: false, persist: false});
 
-    // Load saved widths if present
-    try {
-      const saved = localStorage.getItem(`table_${tableId}_columns`);
-      if (saved) {
-        const widths = JSON.parse(saved);
-        const cols = thead.querySelectorAll('th');
-        cols.forEach((th, idx) => {
-          if (widths[idx]) th.style.width = widths[idx];
-        });
+    // Replace filter parameters with the ones saved in the view
+    const params = table.config.params;
+    Object.keys(this.getFilterParams(table)).forEach(key => delete params[key]);
+    table.filterElements.forEach((_, key) => {
+      if (key !== 'pageSize') params[key] = '';
+    });
+    Object.assign(params, view.params || {});
+    params.search = view.params?.search || '';
+    if (view.pageSize !== undefined) params.pageSize = view.pageSize;
+    params.page = 1;
+
+    table.advancedFilter = this.parseAdvancedFilter(params.filter);
+    table.filterDraft = null;
+    this.renderFilterBuilder(table, tableId);
+
+    table.filterElements.forEach((instance, key) => {
+      const element = instance?.element;
+      if (!element) return;
+      const value = params[key] ?? '';
+      if (table.externalFilterForm) {
+        this.setFormElementValue(element, value);
+      } else if (element.type === 'checkbox') {
+        element.checked = !!value;
+      } else {
+        element.value = value;
       }
-    } catch (err) {
-      // ignore
-    }
+    });
 
-    // Add simple resizer handles to last row headers
-    const headers = thead.querySelectorAll('th');
-    headers.forEach((th, idx) => {
-      // Skip if already has resizer
-      if (th.querySelector('.col-resizer')) return;
+    table.sortState = {...(view.sort || {})};
+    table.groupBy = [...(view.groupBy || [])];
+    table.groupToggled.clear();
+    this.setupGroupControls(table, tableId);
+    this.restoreSortUI(table);
 
-      const resizer = document.createElement('div');
-      resizer.className = 'col-resizer';
-      resizer.setAttribute('role', 'separator');
-      resizer.style.position = 'absolute';
-      resizer.style.top = '0';
-      resizer.style.right = '0';
-      resizer.style.width = '6px';
-      resizer.style.cursor = 'col-resize';
-      resizer.style.userSelect = 'none';
-      resizer.style.height = '100%';
-      resizer.style.zIndex = '5';
+    const store = this.loadViews(table);
+    store.layout = this.getColumnLayout(table);
+    this.storeViews(table, store);
 
-      th.appendChild(resizer);
+    if (options.reload === false || table.initializing) return;
 
-      let startX = 0;
-      let startWidth = 0;
+    this.clearSelection(table, tableId);
+    this.syncStateToUrl(tableId);
 
-      const onMouseDown = (e) => {
-        e.preventDefault();
-        startX = e.clientX;
-        startWidth = th.offsetWidth;
-        document.addEventListener('mousemove', onMouseMove);
-        document.addEventListener('mouseup', onMouseUp);
-      };
+    if (this.isServerSideTable(table)) {
+      this.loadFromApi(table, tableId, table.element.dataset.source || table.config.source)
+        .catch(err => console.error('View load error', err));
+      return;
+    }
 
-      const onMouseMove = (e) => {
-        const dx = e.clientX - startX;
-        const newWidth = Math.max(30, startWidth + dx);
-        th.style.width = `${newWidth}px`;
-      };
+    this.renderTable(tableId);
+  },
 
-      const onMouseUp = (e) => {
-        document.removeEventListener('mousemove', onMouseMove);
-        document.removeEventListener('mouseup', onMouseUp);
+  /**
+   * Restore the user's last column layout, or the whole active view when the
+   * URL does not already carry table state
+   * @param {string} tableId - Table identifier
+   * @param {boolean} urlStateLoaded - Whether loadStateFromUrl() restored state
+   */
+  restoreSavedView(tableId, urlStateLoaded) {
+    const table = this.state.tables.get(tableId);
+    if (!table) return;
 
-        // save widths
-        try {
-          const cols = Array.from(thead.querySelectorAll('th'));
-          const widths = cols.map(c => c.style.width || window.getComputedStyle(c).width);
-          localStorage.setItem(`table_${tableId}_columns`, JSON.stringify(widths));
-        } catch (err) {
-          console.warn('Failed to persist column widths', err);
-        }
-      };
+    table.defaultColumnOrder = Array.from(table.columns.keys());
 
-      resizer.addEventListener('mousedown', onMouseDown);
-    });
+    const store = this.loadViews(table);
+    const view = store.active ? store.views[store.active] : null;
+
+    if (view && !urlStateLoaded) {
+      this.applyViewState(table, tableId, view, {reload: false});
+    } else if (table.urlColumnLayout) {
+      // A shared or bookmarked URL brings its own columns
+      this.setColumnLayout(tableId, table.urlColumnLayout, {render: false, persist: false});
+    } else if (store.layout) {
+      this.setColumnLayout(tableId, store.layout, {render: false, persist: false});
+    }
+    table.urlColumnLayout = null;
+
+    this.refreshColumnChooser(table, tableId);
   },
 
   getRowObjectById(tableId, id) {
@@ -4771,14 +8778,22 @@ const TableManager = {
     if (!table?.element || !ids?.length) return;
 
     ids.forEach(id => {
+      // Forget the detail panel of removed rows
+      table.expandedRows?.delete(String(id));
+      table.detailCache?.delete(String(id));
+
       const row = table.element.querySelector(`tr[data-id="${id}"]`);
       if (!row) return;
 
-      row.style.transition = 'opacity 0.3s';
-      row.style.opacity = '0';
+      const detailRow = row.nextElementSibling?.classList.contains('detail-row') ? row.nextElementSibling : null;
+      [row, detailRow].filter(Boolean).forEach(el => {
+        el.style.transition = 'opacity 0.3s';
+        el.style.opacity = '0';
+      });
 
       setTimeout(() => {
         row.remove();
+        detailRow?.remove();
 
         this.updateTableInfo(table);
 
@@ -4791,7 +8806,7 @@ const TableManager = {
   },
 
   updateTableInfo(table) {
-    const rowCount = table.element.querySelectorAll('tbody tr').length;
+    const rowCount = table.element.querySelectorAll('tbody tr:not(.detail-row)').length;
 
     if (rowCount === 0) {
       const tbody = table.element.querySelector('tbody');
@@ -4839,8 +8854,67 @@ const TableManager = {
         }
       }
 
+      // Inline editing: F2 edits the first editable cell, Ctrl+Z undoes the last unsaved edit
+      if (event.key === 'F2' && target.matches('tbody tr')) {
+        const cell = target.querySelector('td.cell-editable');
+        if (cell) {
+          event.preventDefault();
+          this.startCellEdit(tableId, cell);
+          return;
+        }
+      }
+
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z' && !target.closest('input, textarea, select, [contenteditable="true"]')) {
+        if (tableData.editHistory.length) {
+          event.preventDefault();
+          this.undoEdit(tableId);
+          return;
+        }
+      }
+
+      if (target.matches('tbody tr.group-header')) {
+        const key = target.dataset.groupKey;
+        const collapsed = {
+          Enter: null,
+          ' ': null,
+          ArrowLeft: true,
+          ArrowRight: false
+        };
+
+        if (event.key in collapsed) {
+          event.preventDefault();
+          this.toggleGroup(tableId, key, collapsed[event.key]);
+          Array.from(table.querySelectorAll('tbody tr.group-header'))
+            .find(row => row.dataset.groupKey === key)?.focus();
+          return;
+        }
+      }
+
+      if (target.matches('tbody tr[data-id]') && (event.key === 'ArrowRight' || event.key === 'ArrowLeft') && this.isExpandable(tableData)) {
+        event.preventDefault();
+        this.toggleRowDetail(tableId, target.dataset.id, event.key === 'ArrowRight');
+        return;
+      }
+
+      if (target.matches('tbody tr') && tableData.virtual && target.dataset.rowIndex !== undefined) {
+        // Virtual rows: navigate by dataset index so focus can move beyond the rendered slice
+        const current = parseInt(target.dataset.rowIndex);
+        const targets = {
+          ArrowUp: current - 1,
+          ArrowDown: current + 1,
+          Home: 0,
+          End: tableData.virtual.rows.length - 1
+        };
+
+        if (targets[event.key] !== undefined) {
+          event.preventDefault();
+          this.focusVirtualRow(tableData, tableId, targets[event.key]);
+        }
+        return;
+      }
+
       if (target.matches('tbody tr')) {
-        const rows = Array.from(table.querySelectorAll('tbody tr'));
+        const rows = Array.from(table.querySelectorAll('tbody tr:not(.virtual-spacer):not(.detail-row)'));
         const currentIndex = rows.indexOf(target);
 
         switch (event.key) {
@@ -4895,10 +8969,10 @@ const TableManager = {
     headers[nextIndex].focus();
   },
 
-  announceRowChange(table, rowIndex) {
+  announceRowChange(table, rowIndex, rowElement = null) {
     const announcer = document.getElementById(table.dataset.announcer);
     if (announcer) {
-      const row = table.querySelectorAll('tbody tr')[rowIndex];
+      const row = rowElement || table.querySelectorAll('tbody tr:not(.virtual-spacer)')[rowIndex];
       const firstCell = row.querySelector('td');
       announcer.textContent = Now.translate('Row') + ` ${rowIndex + 1}: ${firstCell?.textContent || ''}`;
     }
@@ -5384,7 +9458,12 @@ const TableManager = {
   getPaginationParams(table) {
     const params = {};
 
-    if (table.config.params.page) {
+    if (this.isCursorPagination(table)) {
+      // Keyset pagination: the first page has no cursor
+      if (table.cursor.current) {
+        params.cursor = table.cursor.current;
+      }
+    } else if (table.config.params.page) {
       params.page = table.config.params.page;
     }
 
@@ -5401,7 +9480,7 @@ const TableManager = {
 
   getFilterParams(table) {
     const params = {};
-    const excludeKeys = ['page', 'pageSize', 'search', 'total', 'totalPages'];
+    const excludeKeys = ['page', 'pageSize', 'search', 'total', 'totalPages', 'groupBy'];
 
     // Include all filter parameters from config.params except pagination/meta keys
     Object.keys(table.config.params).forEach(key => {
@@ -5425,9 +9504,12 @@ const TableManager = {
 
     format = (format || 'csv').toLowerCase();
 
-    // If server-side and an export URL is provided, delegate to the server
+    // Workbooks and print views are always built in the browser
+    const clientFormat = format === 'xlsx' || format === 'pdf' || format === 'print';
+
+    // If server-side and an export URL is provided, delegate csv/json to the server
     const exportUrl = table.element.dataset.exportUrl || table.element.dataset.export || table.config.exportUrl;
-    if (table.serverSide && exportUrl) {
+    if (table.serverSide && exportUrl && !clientFormat) {
       try {
         const params = new URLSearchParams({
           ...table.config.params,
@@ -5473,12 +9555,33 @@ const TableManager = {
       }
     }
 
-    // Client-side export: apply filtering and sorting first
-    let rawData = Array.isArray(table.data) ? table.data : [];
+    // Limit to selected rows: by default for workbooks and print views, for csv/json only on request
+    const useSelection = table.config.showCheckbox && (options.selectedOnly === true || (options.selectedOnly === undefined && clientFormat));
+    const selected = new Set(useSelection ? this.getSelectedRowIds(table).map(String) : []);
+    const noSelection = useSelection && options.selectedOnly === true && !selected.size;
+
+    let exportData;
+    if (noSelection) {
+      exportData = [];
+    } else if (!selected.size && (this.isServerSideTable(table) || table.serverSide)) {
+      // Only one page is loaded, fetch the whole result of the current query
+      try {
+        const result = await this.fetchServerRows(table, table.config.exportMaxRows || 50000);
+        exportData = result.rows;
+      } catch (err) {
+        console.error('Export error (server):', err);
+        EventManager.emit('table:export', {tableId, format, success: false, error: err});
+        return false;
+      }
+    } else {
+      // Client-side export: apply filtering and sorting first (same as what user sees)
+      const rawData = Array.isArray(table.data) ? table.data : [];
+      exportData = this.sortData(table, this.filterData(table, rawData));
 
-    // Apply filtering and sorting (same as what user sees)
-    let exportData = this.filterData(table, rawData);
-    exportData = this.sortData(table, exportData);
+      if (selected.size) {
+        exportData = exportData.filter((row, index) => selected.has(this.getRowKey(table, row, index)));
+      }
+    }
 
     try {
       // Determine columns order and get column attributes
@@ -5488,12 +9591,13 @@ const TableManager = {
 
       try {
         if (table.columns && table.columns.size) {
-          columns = Array.from(table.columns.keys());
-          // Get column headers and attributes for formatting
+          // Get column headers and attributes for formatting, skipping hidden columns
           table.columns.forEach((attrs, field) => {
+            const th = table.element.querySelector(`th[data-field="${field}"]`);
+            if (th && (th.hidden || th.style.display === 'none')) return;
+            columns.push(field);
             columnAttributes[field] = attrs;
             // Get header label from th element
-            const th = table.element.querySelector(`th[data-field="${field}"]`);
             columnLabels[field] = th ? th.textContent.trim() : field;
           });
         }
@@ -5513,6 +9617,12 @@ const TableManager = {
       const formatExportValue = (value, field) => {
         const attrs = columnAttributes[field] || {};
 
+        // Lookup columns resolve labels the same way renderCell() does
+        const lookupOptions = table.dataOptions?.[field] || table.filterOptions?.[field];
+        if (lookupOptions && (!attrs.format || attrs.format === 'lookup') && Object.keys(lookupOptions).length) {
+          return this.formatValue(value, 'lookup', lookupOptions);
+        }
+
         // Use formatValue with lookup to get rendered text
         if (attrs.format || attrs.options) {
           const formatted = this.formatValue(value, attrs.format || 'lookup', {
@@ -5525,6 +9635,18 @@ const TableManager = {
         return value;
       };
 
+      if (format === 'xlsx') {
+        this.exportXlsx(tableId, exportData, columns, columnLabels, formatExportValue, columnAttributes, options);
+        EventManager.emit('table:export', {tableId, format, success: true, count: exportData.length});
+        return true;
+      }
+
+      if (format === 'pdf' || format === 'print') {
+        this.exportPrint(tableId, exportData, columns, columnLabels, formatExportValue, columnAttributes, options);
+        EventManager.emit('table:export', {tableId, format, success: true, count: exportData.length});
+        return true;
+      }
+
       if (format === 'json') {
         // For JSON export, format the values as well
         const formattedData = exportData.map(row => {
@@ -5542,28 +9664,7 @@ const TableManager = {
       }
 
       // default: csv
-      // Build CSV string
-      const escape = (v) => {
-        if (v === null || v === undefined) return '';
-        let s = v;
-        if (typeof s === 'object') s = JSON.stringify(s);
-        s = String(s);
-        if (s.indexOf('"') !== -1) s = s.replace(/"/g, '""');
-        if (/[",\n\r]/.test(s)) s = `"${s}"`;
-        return s;
-      };
-
-      // Use column labels (header text) instead of field names
-      const header = columns.map(col => escape(columnLabels[col] || col)).join(',');
-
-      // Format each cell value before escaping
-      const rows = exportData.map(row =>
-        columns.map(col => escape(formatExportValue(row[col], col))).join(',')
-      );
-
-      const csv = [header, ...rows].join('\r\n');
-      const blob = new Blob([csv], {type: 'text/csv;charset=utf-8'});
-      this.downloadBlob(blob, options.filename || `${tableId}.csv`);
+      this.exportCsv(exportData, columns, columnLabels, formatExportValue, {filename: `${tableId}.csv`, ...options});
       EventManager.emit('table:export', {tableId, format: 'csv', success: true, count: exportData.length});
       return true;
     } catch (err) {
@@ -5573,6 +9674,38 @@ const TableManager = {
     }
   },
 
+  /**
+   * Build a CSV file from formatted cell values and download it
+   * @param {Array} data - Rows to export
+   * @param {Array} columns - Field names in output order
+   * @param {Object} labels - Header text by field
+   * @param {Function} formatText - Formats a value as display text (value, field)
+   * @param {Object} options - Export options (filename)
+   */
+  exportCsv(data, columns, labels, formatText, options = {}) {
+    const escape = (v) => {
+      if (v === null || v === undefined) return '';
+      let s = v;
+      if (typeof s === 'object') s = JSON.stringify(s);
+      s = String(s);
+      if (s.indexOf('"') !== -1) s = s.replace(/"/g, '""');
+      if (/[",\n\r]/.test(s)) s = `"${s}"`;
+      return s;
+    };
+
+    // Use column labels (header text) instead of field names
+    const header = columns.map(col => escape(labels[col] || col)).join(',');
+
+    // Format each cell value before escaping
+    const rows = data.map(row =>
+      columns.map(col => escape(formatText(row[col], col))).join(',')
+    );
+
+    const csv = [header, ...rows].join('\r\n');
+    const blob = new Blob([csv], {type: 'text/csv;charset=utf-8'});
+    this.downloadBlob(blob, options.filename || 'export.csv');
+  },
+
   downloadBlob(blob, filename) {
     try {
       const url = window.URL.createObjectURL(blob);
@@ -5590,6 +9723,380 @@ const TableManager = {
     }
   },
 
+  /**
+   * Build an Excel workbook (SpreadsheetML inside a stored ZIP) and download it.
+   * Numeric, currency, percent and date columns are written as typed cells so
+   * they stay sortable and summable in Excel; everything else is written as text.
+   * @param {string} tableId - Table identifier
+   * @param {Array} data - Rows to export
+   * @param {Array} columns - Field names in output order
+   * @param {Object} labels - Header text by field
+   * @param {Function} formatText - Formats a value as display text (value, field)
+   * @param {Object} columnAttributes - Column attributes by field
+   * @param {Object} options - Export options (filename, sheetName)
+   */
+  exportXlsx(tableId, data, columns, labels, formatText, columnAttributes, options = {}) {
+    const xml = (v) => String(v)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+    const columnName = (index) => {
+      let name = '';
+      for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+      }
+      return name;
+    };
+
+    // Number formats follow formatValue(): custom ids start at 164
+    const currencySymbol = (attrs) => {
+      if (!attrs.currency) return '';
+      const sample = this.formatValue(0, 'currency', attrs);
+      return String(sample).replace(/[\d.,\s -]/g, '');
+    };
+    const numberFormats = [];
+    const styles = {};
+    const styleFor = (code) => {
+      if (!styles[code]) {
+        numberFormats.push(code);
+        styles[code] = numberFormats.length + 1; // 0 = default, 1 = header
+      }
+      return styles[code];
+    };
+
+    const decimals = (attrs, fallback) => {
+      const places = parseInt(attrs.decimals);
+      return isNaN(places) ? fallback : places;
+    };
+    const fixed = (places) => places > 0 ? `#,##0.${'0'.repeat(places)}` : '#,##0';
+
+    const toSerialDate = (value) => {
+      if (value instanceof Date) {
+        if (isNaN(value)) return null;
+        return (value.getTime() - value.getTimezoneOffset() * 60000 - Date.UTC(1899, 11, 30)) / 86400000;
+      }
+      const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+      if (!m) return null;
+      const time = Date.UTC(m[1], m[2] - 1, m[3], m[4] || 0, m[5] || 0, m[6] || 0);
+      return (time - Date.UTC(1899, 11, 30)) / 86400000;
+    };
+
+    const toNumber = (value) => {
+      if (typeof value === 'number') return isFinite(value) ? value : null;
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+      return null;
+    };
+
+    const buildCell = (ref, value, field) => {
+      if (value === null || value === undefined || value === '') return '';
+      const attrs = columnAttributes[field] || {};
+      let number = null;
+      let style = 0;
+
+      switch (attrs.format) {
+        case 'number':
+          number = toNumber(value);
+          style = styleFor(fixed(decimals(attrs, 0)));
+          break;
+        case 'currency': {
+          number = toNumber(value);
+          const symbol = currencySymbol(attrs);
+          style = styleFor(`${symbol ? `"${symbol}"` : ''}${fixed(decimals(attrs, 2))}`);
+          break;
+        }
+        case 'percent':
+          number = toNumber(value);
+          if (number !== null) number = number / (attrs.base || 100);
+          style = styleFor(`0${decimals(attrs, 0) > 0 ? '.' + '0'.repeat(decimals(attrs, 0)) : ''}%`);
+          break;
+        case 'date':
+          number = toSerialDate(value);
+          style = styleFor('d mmm yyyy');
+          break;
+        case 'datetime':
+          number = toSerialDate(value);
+          style = styleFor('d mmm yyyy hh:mm');
+          break;
+        case '':
+        case undefined:
+          if (typeof value === 'number' && isFinite(value)) number = value;
+          if (typeof value === 'boolean') {
+            return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+          }
+          break;
+      }
+
+      if (number !== null) {
+        return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${number}</v></c>`;
+      }
+
+      let text = formatText(value, field);
+      if (text && typeof text === 'object') text = JSON.stringify(text);
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(text)}</t></is></c>`;
+    };
+
+    // Column widths from the longest header/value text (capped)
+    const widths = columns.map(field => String(labels[field] || field).length);
+
+    const headerRow = `<row r="1">${columns.map((field, c) =>
+      `<c r="${columnName(c)}1" s="1" t="inlineStr"><is><t>${xml(labels[field] || field)}</t></is></c>`
+    ).join('')}</row>`;
+
+    const bodyRows = data.map((row, r) => {
+      const cells = columns.map((field, c) => {
+        const value = row[field];
+        if (value !== null && value !== undefined) {
+          widths[c] = Math.max(widths[c], String(formatText(value, field)).length);
+        }
+        return buildCell(`${columnName(c)}${r + 2}`, value, field);
+      }).join('');
+      return `<row r="${r + 2}">${cells}</row>`;
+    });
+
+    const cols = widths.map((w, c) =>
+      `<col min="${c + 1}" max="${c + 1}" width="${Math.min(Math.max(w, 6), 60) + 2}" customWidth="1"/>`
+    ).join('');
+
+    const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      (cols ? `<cols>${cols}</cols>` : '') +
+      `<sheetData>${headerRow}${bodyRows.join('')}</sheetData>` +
+      (columns.length ? `<autoFilter ref="A1:${columnName(columns.length - 1)}${data.length + 1}"/>` : '') +
+      '</worksheet>';
+
+    const styleSheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      (numberFormats.length
+        ? `<numFmts count="${numberFormats.length}">${numberFormats.map((code, i) =>
+          `<numFmt numFmtId="${164 + i}" formatCode="${xml(code)}"/>`).join('')}</numFmts>`
+        : '') +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+      '<fill><patternFill patternType="solid"><fgColor rgb="FFE7ECF3"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+      '<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border>' +
+      '<border><left/><right/><top/><bottom style="thin"><color rgb="FF9AA5B1"/></bottom><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      `<cellXfs count="${numberFormats.length + 2}">` +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="2" borderId="1" xfId="0" applyFont="1" applyFill="1" applyBorder="1"/>' +
+      numberFormats.map((code, i) => `<xf numFmtId="${164 + i}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`).join('') +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+
+    const sheetName = xml(String(options.sheetName || tableId).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Sheet1');
+
+    const files = {
+      '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>',
+      '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+      'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        (columns.length
+          ? `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${sheetName.replace(/'/g, "''")}'!$A$1:$${columnName(columns.length - 1)}$${data.length + 1}</definedName></definedNames>`
+          : '') +
+        '</workbook>',
+      'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>',
+      'xl/styles.xml': styleSheet,
+      'xl/worksheets/sheet1.xml': sheet
+    };
+
+    const blob = new Blob([this.createZip(files)], {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+    this.downloadBlob(blob, options.filename || `${tableId}.xlsx`);
+  },
+
+  /**
+   * Create an uncompressed (stored) ZIP archive
+   * @param {Object} files - Map of path => string content
+   * @returns {Uint8Array} ZIP bytes
+   */
+  createZip(files) {
+    const encoder = new TextEncoder();
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    Object.entries(files).forEach(([path, content]) => {
+      const name = encoder.encode(path);
+      const data = typeof content === 'string' ? encoder.encode(content) : content;
+      const crc = this.crc32(data);
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 0x0800, true); // UTF-8 file names
+      header.setUint16(8, 0, true); // stored
+      header.setUint16(10, dosTime, true);
+      header.setUint16(12, dosDate, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, data.length, true);
+      header.setUint32(22, data.length, true);
+      header.setUint16(26, name.length, true);
+      header.setUint16(28, 0, true);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+
+      local.push(new Uint8Array(header.buffer), name, data);
+      central.push(new Uint8Array(entry.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, Object.keys(files).length, true);
+    end.setUint16(10, Object.keys(files).length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...local, ...central, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      output.set(part, position);
+      position += part.length;
+    });
+    return output;
+  },
+
+  crc32(bytes) {
+    if (!this._crcTable) {
+      this._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this._crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this._crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  /**
+   * Render the export rows into a print-ready document and open the browser
+   * print dialog (users pick "Save as PDF" to get a PDF file).
+   * @param {string} tableId - Table identifier
+   * @param {Array} data - Rows to export
+   * @param {Array} columns - Field names in output order
+   * @param {Object} labels - Header text by field
+   * @param {Function} formatText - Formats a value as display text (value, field)
+   * @param {Object} columnAttributes - Column attributes by field
+   * @param {Object} options - Export options (title, orientation)
+   */
+  exportPrint(tableId, data, columns, labels, formatText, columnAttributes, options = {}) {
+    const table = this.state.tables.get(tableId);
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('aria-hidden', 'true');
+    iframe.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;visibility:hidden;';
+    document.body.appendChild(iframe);
+
+    const doc = iframe.contentDocument;
+    const caption = table?.element.querySelector('caption');
+    const title = options.title || table?.element.dataset.exportTitle || (caption ? caption.textContent.trim() : '') || document.title || tableId;
+    const numeric = ['number', 'currency', 'percent'];
+
+    doc.open();
+    doc.write('<!DOCTYPE html><html><head><meta charset="utf-8"><title></title></head><body></body></html>');
+    doc.close();
+    doc.documentElement.lang = document.documentElement.lang || 'en';
+    doc.title = title;
+
+    const style = doc.createElement('style');
+    style.textContent = `
+      @page { size: ${options.orientation === 'portrait' ? 'portrait' : 'landscape'}; margin: 12mm; }
+      body { font: 10pt/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; color: #000; margin: 0; }
+      h1 { font-size: 14pt; margin: 0 0 2mm; }
+      .meta { font-size: 8pt; color: #555; margin-bottom: 4mm; }
+      table { width: 100%; border-collapse: collapse; }
+      thead { display: table-header-group; }
+      tr { page-break-inside: avoid; }
+      th, td { border: 1px solid #999; padding: 1mm 2mm; text-align: left; vertical-align: top; }
+      th { background: #e7ecf3; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      td.number { text-align: right; white-space: nowrap; }
+    `;
+    doc.head.appendChild(style);
+
+    const heading = doc.createElement('h1');
+    heading.textContent = title;
+    doc.body.appendChild(heading);
+
+    const meta = doc.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = `${new Date().toLocaleString(document.documentElement.lang || undefined)} · ${data.length} ${Now.translate('items')}`;
+    doc.body.appendChild(meta);
+
+    const printTable = doc.createElement('table');
+    const thead = printTable.createTHead().insertRow();
+    columns.forEach(field => {
+      const th = doc.createElement('th');
+      th.textContent = labels[field] || field;
+      thead.appendChild(th);
+    });
+
+    const tbody = printTable.createTBody();
+    data.forEach(row => {
+      const tr = tbody.insertRow();
+      columns.forEach(field => {
+        const td = tr.insertCell();
+        let text = formatText(row[field], field);
+        if (text && typeof text === 'object') text = JSON.stringify(text);
+        td.textContent = text ?? '';
+        if (numeric.includes(columnAttributes[field]?.format)) td.className = 'number';
+      });
+    });
+    doc.body.appendChild(printTable);
+
+    const cleanup = () => setTimeout(() => iframe.remove(), 1000);
+    iframe.contentWindow.addEventListener('afterprint', cleanup, {once: true});
+    iframe.contentWindow.focus();
+    iframe.contentWindow.print();
+
+    // Some browsers do not fire afterprint for iframes
+    setTimeout(() => iframe.isConnected && iframe.remove(), 60000);
+  },
+
   resetState() {
     this.state = {
       initialized: false,
@@ -96,6 +96,20 @@ INSERT INTO `{prefix}_campaigns` (`id`, `name`, `description`, `type`, `status`,
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `{prefix}_contact_phones`
+--
+
+CREATE TABLE `{prefix}_contact_phones` (
+  `id` int(10) UNSIGNED NOT NULL,
+  `contact_id` int(10) UNSIGNED NOT NULL,
+  `type` enum('work','mobile','home','fax','other') NOT NULL DEFAULT 'work',
+  `phone` varchar(50) NOT NULL,
+  `ordering` smallint(5) UNSIGNED NOT NULL DEFAULT 0
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `{prefix}_contacts`
 --
@@ -162,6 +176,7 @@ CREATE TABLE `{prefix}_customers` (
   `rating` tinyint(3) UNSIGNED DEFAULT NULL COMMENT '1-5 stars',
   `owner_id` int(11) UNSIGNED DEFAULT NULL,
   `notes` mediumtext DEFAULT NULL,
+  `custom_fields` text DEFAULT NULL COMMENT 'JSON, config customer_fields',
   `created_at` datetime NOT NULL DEFAULT current_timestamp(),
   `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -199,6 +214,39 @@ INSERT INTO `{prefix}_customers` (`id`, `name`, `company_type`, `industry`, `web
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `{prefix}_deal_attachments`
+--
+
+CREATE TABLE `{prefix}_deal_attachments` (
+  `id` int(10) UNSIGNED NOT NULL,
+  `deal_id` int(10) UNSIGNED NOT NULL,
+  `name` varchar(255) NOT NULL,
+  `type` varchar(100) NOT NULL,
+  `size` int(10) UNSIGNED NOT NULL DEFAULT 0,
+  `file` varchar(32) NOT NULL,
+  `created_by` int(10) UNSIGNED NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `{prefix}_deal_items`
+--
+
+CREATE TABLE `{prefix}_deal_items` (
+  `id` int(10) UNSIGNED NOT NULL,
+  `deal_id` int(10) UNSIGNED NOT NULL,
+  `product` varchar(255) NOT NULL,
+  `quantity` decimal(10,2) NOT NULL DEFAULT 1.00,
+  `unit_price` decimal(15,2) NOT NULL DEFAULT 0.00,
+  `discount` decimal(5,2) NOT NULL DEFAULT 0.00,
+  `ordering` smallint(5) UNSIGNED NOT NULL DEFAULT 0
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `{prefix}_deals`
 --
@@ -447,6 +495,14 @@ ALTER TABLE `{prefix}_campaigns`
   ADD KEY `idx_owner` (`owner_id`),
   ADD KEY `idx_dates` (`start_date`,`end_date`);
 
+--
+-- Indexes for table `{prefix}_contact_phones`
+--
+ALTER TABLE `{prefix}_contact_phones`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_contact` (`contact_id`,`ordering`),
+  ADD KEY `idx_phone` (`phone`);
+
 --
 -- Indexes for table `{prefix}_contacts`
 --
@@ -468,6 +524,20 @@ ALTER TABLE `{prefix}_customers`
   ADD KEY `idx_source` (`source`),
   ADD KEY `idx_created` (`created_at`);
 
+--
+-- Indexes for table `{prefix}_deal_attachments`
+--
+ALTER TABLE `{prefix}_deal_attachments`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_deal` (`deal_id`);
+
+--
+-- Indexes for table `{prefix}_deal_items`
+--
+ALTER TABLE `{prefix}_deal_items`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_deal` (`deal_id`,`ordering`);
+
 --
 -- Indexes for table `{prefix}_deals`
 --
@@ -558,6 +628,12 @@ ALTER TABLE `{prefix}_activities`
 ALTER TABLE `{prefix}_campaigns`
   MODIFY `id` int(10) UNSIGNED NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `{prefix}_contact_phones`
+--
+ALTER TABLE `{prefix}_contact_phones`
+  MODIFY `id` int(10) UNSIGNED NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `{prefix}_contacts`
 --
@@ -570,6 +646,18 @@ ALTER TABLE `{prefix}_contacts`
 ALTER TABLE `{prefix}_customers`
   MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `{prefix}_deal_attachments`
+--
+ALTER TABLE `{prefix}_deal_attachments`
+  MODIFY `id` int(10) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `{prefix}_deal_items`
+--
+ALTER TABLE `{prefix}_deal_items`
+  MODIFY `id` int(10) UNSIGNED NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `{prefix}_deals`
 --
@@ -110,6 +110,21 @@ document.addEventListener('DOMContentLoaded', async () => {
         base: currentDir,
         mode: 'history', // 'hash' or 'history'
 
+        // Sidebar, topbar and footer stay mounted, pages render into its data-outlet
+        layout: 'layouts/app.html',
+
+        // Warm templates of menu links on hover so switching pages does not wait for them
+        prefetch: {
+          enabled: true,
+          strategy: 'hover'
+        },
+
+        // Fade between pages; a kanban card morphs into the deal page (data-transition-name)
+        transition: {
+          enabled: true,
+          type: 'fade'
+        },
+
         // Auth Configuration for Router
         auth: {
           enabled: true,
@@ -126,9 +141,11 @@ document.addEventListener('DOMContentLoaded', async () => {
           }
         },
 
+        // Public page: rendered without the app layout (sidebar and topbar need a login)
         notFound: {
           behavior: 'render',
           template: '404.html',
+          layout: false,
           title: 'Page Not Found'
         },
 
@@ -140,30 +157,35 @@ document.addEventListener('DOMContentLoaded', async () => {
           },
           '/login': {
             template: 'login.html',
+            layout: false,
             title: '{LNG_Login} - CRM',
             requireGuest: true,
             requireAuth: false
           },
           '/forgot': {
             template: 'forgot.html',
+            layout: false,
             title: '{LNG_Forgot Password} - CRM',
             requireGuest: true,
             requireAuth: false
           },
           '/register': {
             template: 'register.html',
+            layout: false,
             title: '{LNG_Register} - CRM',
             requireGuest: true,
             requireAuth: false
           },
           '/reset-password': {
             template: 'reset-password.html',
+            layout: false,
             title: '{LNG_Reset Password} - CRM',
             requireGuest: true,
             requireAuth: false
           },
           '/activate': {
             template: 'activate.html',
+            layout: false,
             title: '{LNG_Activate Account} - CRM',
             requireGuest: true,
             requireAuth: false
@@ -187,6 +209,8 @@ document.addEventListener('DOMContentLoaded', async () => {
           },
           '/deal': {
             template: '/crm/deal.html',
+            // Fetched alongside the template, the form reads it through data-load-route
+            loader: 'api/crm/deal/get',
             title: '{LNG_Deal} - CRM',
             menuPath: '/deals',
             requireAuth: true
@@ -339,6 +363,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           },
           '/404': {
             template: '404.html',
+            layout: false,
             title: '{LNG_Page Not Found}'
           }
         }
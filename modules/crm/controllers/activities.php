@@ -28,6 +28,22 @@ class Controller extends \Gcms\Table
      */
     protected $allowedSortColumns = ['id', 'type', 'subject', 'customer', 'owner', 'start_time', 'status', 'created_at'];
 
+    /**
+     * SQL expression of each sort column, used for keyset (cursor) pagination
+     *
+     * @var array
+     */
+    protected $keysetColumns = [
+        'id' => 'A.id',
+        'type' => 'A.type',
+        'subject' => 'A.subject',
+        'customer' => 'C.name',
+        'owner' => 'U.name',
+        'start_time' => 'A.start_time',
+        'status' => 'A.status',
+        'created_at' => 'A.created_at'
+    ];
+
     /**
      * @var array
      */
@@ -73,7 +89,8 @@ class Controller extends \Gcms\Table
     {
         return [
             'status' => $request->get('status')->filter('a-z_'),
-            'type' => $request->get('type')->filter('a-z_')
+            'type' => $request->get('type')->filter('a-z_'),
+            'cursor' => $request->get('cursor')->filter('A-Za-z0-9\\-_')
         ];
     }
 
@@ -107,6 +124,142 @@ class Controller extends \Gcms\Table
         return \Crm\Activities\Model::toDataTable($params);
     }
 
+    /**
+     * Execute DataTable query
+     * The activity log is large and grows while it is browsed, so besides page numbers
+     * it is paged by keyset: every response carries meta.next_cursor (sort value and id
+     * of the last row) and a request with a cursor continues after that row, without
+     * an OFFSET or a COUNT query.
+     *
+     * @param array $params
+     * @param object $login
+     *
+     * @return array
+     */
+    protected function executeDataTable(array $params, $login)
+    {
+        $sortData = $this->parseSort($params['sort'] ?? '');
+        $sorts = $sortData['columns'] ?: ['id'];
+        $sortOrders = $sortData['directions'] ?: ['desc'];
+
+        $pageSize = !empty($params['pageSize']) ? min(100, max(1, (int) $params['pageSize'])) : 25;
+
+        $query = $this->toDataTable($params, $login);
+        $meta = ['pageSize' => $pageSize];
+
+        // A keyset follows one sort column with the id as tie-breaker
+        $column = $sorts[0];
+        $direction = $sortOrders[0];
+        $cursor = count($sorts) === 1 ? $this->decodeCursor($params['cursor'] ?? '') : null;
+
+        if ($cursor) {
+            $this->whereAfter($query, $this->keysetColumns[$column], $direction, $cursor);
+            $query->limit($pageSize + 1);
+        } else {
+            $page = !empty($params['page']) ? max(1, (int) $params['page']) : 1;
+
+            $count = $query->copy()
+                ->selectCount()
+                ->first();
+
+            $totalRecords = $count->count ?? 0;
+            $totalPages = $totalRecords > 0 ? ceil($totalRecords / $pageSize) : 1;
+
+            // Auto-correct page if it exceeds total pages
+            if ($page > $totalPages) {
+                $page = max(1, $totalPages);
+            }
+
+            $query->limit($pageSize + 1, ($page - 1) * $pageSize);
+
+            $meta += [
+                'page' => $page,
+                'total' => $totalRecords,
+                'totalPages' => $totalPages
+            ];
+        }
+
+        foreach ($sorts as $key => $sort) {
+            $query->orderBy($this->keysetColumns[$sort], $sortOrders[$key] ?? 'asc');
+        }
+        $query->orderBy('A.id', $direction);
+
+        // One extra row tells whether there is a next page
+        $rows = $query->execute()->fetchAll();
+        $hasMore = count($rows) > $pageSize;
+        $rows = array_slice($rows, 0, $pageSize);
+
+        $last = end($rows);
+        $meta['next_cursor'] = $hasMore && count($sorts) === 1 ? $this->encodeCursor($last->$column, $last->id) : null;
+
+        return [
+            'data' => $rows,
+            'meta' => $meta
+        ];
+    }
+
+    /**
+     * Limit the query to the rows after the cursor position.
+     * MySQL sorts NULL first ascending and last descending.
+     *
+     * @param \Kotchasan\QueryBuilder\QueryBuilderInterface $query
+     * @param string $expression Sort column expression
+     * @param string $direction asc or desc
+     * @param array $cursor [sort value, id] of the last row seen
+     */
+    protected function whereAfter($query, $expression, $direction, array $cursor)
+    {
+        [$value, $id] = $cursor;
+        $after = $direction === 'desc' ? '<' : '>';
+
+        $query->where(function ($q) use ($expression, $direction, $after, $value, $id) {
+            if ($value === null) {
+                $q->where(function ($q) use ($expression, $after, $id) {
+                    $q->where($expression.' IS NULL')->where(['A.id', $after, $id]);
+                });
+                if ($direction === 'asc') {
+                    $q->orWhere($expression.' IS NOT NULL');
+                }
+            } else {
+                $q->where([$expression, $after, $value]);
+                $q->orWhere(function ($q) use ($expression, $after, $value, $id) {
+                    $q->where([$expression, $value])->where(['A.id', $after, $id]);
+                });
+                if ($direction === 'desc') {
+                    $q->orWhere($expression.' IS NULL');
+                }
+            }
+        });
+    }
+
+    /**
+     * @param mixed $value Sort value of the last row
+     * @param int $id Id of the last row
+     *
+     * @return string URL-safe cursor
+     */
+    protected function encodeCursor($value, $id)
+    {
+        return rtrim(strtr(base64_encode(json_encode([$value, (int) $id])), '+/', '-_'), '=');
+    }
+
+    /**
+     * @param string $cursor
+     *
+     * @return array|null [sort value, id], null when missing or malformed
+     */
+    protected function decodeCursor($cursor)
+    {
+        if ($cursor === '') {
+            return null;
+        }
+        $data = json_decode(base64_decode(strtr($cursor, '-_', '+/')), true);
+        if (!is_array($data) || count($data) !== 2 || !is_int($data[1]) || !(is_scalar($data[0]) || $data[0] === null)) {
+            return null;
+        }
+        return $data;
+    }
+
     /**
      * Get filters for table response
      *
@@ -61,6 +61,41 @@ class Controller extends ApiController
         }
     }
 
+    /**
+     * GET /api/crm/contact/check-email
+     * Check whether an email is already used by another contact
+     *
+     * @param Request $request
+     *
+     * @return Response
+     */
+    public function checkEmail(Request $request)
+    {
+        try {
+            ApiController::validateMethod($request, 'GET');
+
+            // Authentication check (required)
+            $login = $this->authenticateRequest($request);
+            if (!$login) {
+                return $this->errorResponse('Unauthorized', 401);
+            }
+
+            $email = $request->get('email')->email();
+            $exists = !empty($email) && \Kotchasan\DB::create()->first('contacts', [
+                ['email', $email],
+                ['id', '!=', $request->get('id')->toInt()]
+            ]);
+
+            return $this->successResponse([
+                'valid' => !$exists,
+                'message' => $exists ? 'This email already exists' : ''
+            ], 'Email checked');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($e->getMessage(), $e->getCode() ?: 500);
+        }
+    }
+
     /**
      * POST /api/crm/contact/save
      * Save contact details (create or update)
@@ -87,6 +122,7 @@ class Controller extends ApiController
             }
 
             $save = $this->parseInput($request);
+            $phones = $this->parsePhones($request, $save);
             $contact = \Crm\Contact\Model::get($request->post('id')->toInt());
 
             if (!$contact) {
@@ -106,6 +142,7 @@ class Controller extends ApiController
             if (empty($errors)) {
                 // Save contact
                 $id = \Crm\Contact\Model::save($db, $contact->id, $save);
+                \Crm\Contact\Model::savePhones($db, $id, $phones);
 
                 // Log
                 \Index\Log\Model::add($id, 'Crm', 'Saved contact: '.$save['first_name'].' '.$save['last_name'], $login->id);
@@ -137,8 +174,6 @@ class Controller extends ApiController
             'first_name' => $request->post('first_name')->topic(),
             'last_name' => $request->post('last_name')->topic(),
             'email' => $request->post('email')->email(),
-            'phone' => $request->post('phone')->number(),
-            'mobile' => $request->post('mobile')->number(),
             'job_title' => $request->post('job_title')->topic(),
             'department' => $request->post('department')->topic(),
             'linkedin' => $request->post('linkedin')->url(),
@@ -153,6 +188,45 @@ class Controller extends ApiController
         return $save;
     }
 
+    /**
+     * Parse the phone numbers repeater (phones[0][type], phones[0][phone], ...)
+     * The first work and mobile numbers are also kept in the phone and mobile
+     * columns used by the contact lists and search
+     *
+     * @param Request $request
+     * @param array &$save Save data (modified by reference)
+     *
+     * @return array
+     */
+    protected function parsePhones(Request $request, &$save): array
+    {
+        $phones = [];
+        $save['phone'] = '';
+        $save['mobile'] = '';
+
+        foreach ($request->post('phones', []) as $row) {
+            if (!$row instanceof \Kotchasan\Http\Inputs) {
+                continue;
+            }
+            $phone = $row->get('phone')->number();
+            if ($phone === '') {
+                continue;
+            }
+            $type = $row->get('type')->filter('a-z');
+            if (!in_array($type, ['work', 'mobile', 'home', 'fax', 'other'])) {
+                $type = 'other';
+            }
+            $phones[] = ['type' => $type, 'phone' => $phone];
+
+            $column = $type === 'mobile' ? 'mobile' : 'phone';
+            if ($save[$column] === '' && $type !== 'fax') {
+                $save[$column] = $phone;
+            }
+        }
+
+        return $phones;
+    }
+
     /**
      * Validate contact fields for required and format validation
      *
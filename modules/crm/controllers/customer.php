@@ -63,6 +63,134 @@ class Controller extends ApiController
         }
     }
 
+    /**
+     * GET /api/crm/customer/summary
+     * Get the contacts, open deals and recent activities of a customer
+     *
+     * @param Request $request
+     *
+     * @return Response
+     */
+    public function summary(Request $request)
+    {
+        try {
+            ApiController::validateMethod($request, 'GET');
+
+            // Authentication check (required)
+            $login = $this->authenticateRequest($request);
+            if (!$login) {
+                return $this->errorResponse('Unauthorized', 401);
+            }
+
+            $id = $request->get('id')->toInt();
+
+            return $this->successResponse([
+                'data' => \Crm\Customer\Model::summary($id)
+            ], 'Customer summary retrieved');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($e->getMessage(), $e->getCode() ?: 500);
+        }
+    }
+
+    /**
+     * GET /api/crm/customer/schema
+     * Get the JSON Schema of the custom fields of customers (data-schema of the customer form)
+     *
+     * @param Request $request
+     *
+     * @return Response
+     */
+    public function schema(Request $request)
+    {
+        try {
+            ApiController::validateMethod($request, 'GET');
+
+            // Authentication check (required)
+            $login = $this->authenticateRequest($request);
+            if (!$login) {
+                return $this->errorResponse('Unauthorized', 401);
+            }
+
+            return $this->successResponse([
+                'schema' => self::$cfg->customer_fields
+            ], 'Customer fields retrieved');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($e->getMessage(), $e->getCode() ?: 500);
+        }
+    }
+
+    /**
+     * GET /api/crm/customer/check-email
+     * Check whether an email is already used by another customer
+     *
+     * @param Request $request
+     *
+     * @return Response
+     */
+    public function checkEmail(Request $request)
+    {
+        try {
+            ApiController::validateMethod($request, 'GET');
+
+            // Authentication check (required)
+            $login = $this->authenticateRequest($request);
+            if (!$login) {
+                return $this->errorResponse('Unauthorized', 401);
+            }
+
+            $email = $request->get('email')->email();
+            $exists = !empty($email) && \Kotchasan\DB::create()->first('customers', [
+                ['email', $email],
+                ['id', '!=', $request->get('id')->toInt()]
+            ]);
+
+            return $this->successResponse([
+                'valid' => !$exists,
+                'message' => $exists ? 'This email already exists' : ''
+            ], 'Email checked');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($e->getMessage(), $e->getCode() ?: 500);
+        }
+    }
+
+    /**
+     * GET /api/crm/customer/check-tax-id
+     * Check whether a tax ID is already used by another customer
+     *
+     * @param Request $request
+     *
+     * @return Response
+     */
+    public function checkTaxId(Request $request)
+    {
+        try {
+            ApiController::validateMethod($request, 'GET');
+
+            // Authentication check (required)
+            $login = $this->authenticateRequest($request);
+            if (!$login) {
+                return $this->errorResponse('Unauthorized', 401);
+            }
+
+            $taxId = $request->get('tax_id')->number();
+            $exists = !empty($taxId) && \Kotchasan\DB::create()->first('customers', [
+                ['tax_id', $taxId],
+                ['id', '!=', $request->get('id')->toInt()]
+            ]);
+
+            return $this->successResponse([
+                'valid' => !$exists,
+                'message' => $exists ? 'This tax ID already exists' : ''
+            ], 'Tax ID checked');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($e->getMessage(), $e->getCode() ?: 500);
+        }
+    }
+
     /**
      * POST /api/crm/customer/save
      * Save customer details (create or update)
@@ -103,9 +231,12 @@ class Controller extends ApiController
             $db = \Kotchasan\DB::create();
 
             // Validate customer fields
-            $errors = $this->validateFields($request, $save, $customer, $db);
+            $errors = $this->validateFields($request, $save, $customer, $db) + $this->validateCustomFields($save['custom_fields']);
 
             if (empty($errors)) {
+                // Values of fields removed from the schema are kept
+                $save['custom_fields'] = json_encode(array_merge($customer->custom_fields ?? [], $save['custom_fields']), JSON_UNESCAPED_UNICODE);
+
                 // Save customer
                 $id = \Crm\Customer\Model::save($db, $customer->id, $save);
 
@@ -153,12 +284,95 @@ class Controller extends ApiController
             'status' => $request->post('status')->filter('a-z_'),
             'owner_id' => $request->post('owner_id')->toInt(),
             'notes' => $request->post('notes')->textarea(),
+            'custom_fields' => $this->parseCustomFields($request->post('custom_fields', [])),
             'updated_at' => date('Y-m-d H:i:s')
         ];
 
         return $save;
     }
 
+    /**
+     * Read the custom fields (config customer_fields) as their schema types
+     * Numbers that do not parse are kept as strings for validateCustomFields()
+     *
+     * @param \Kotchasan\Http\Inputs|\Kotchasan\Http\InputItem $input
+     *
+     * @return array
+     */
+    protected function parseCustomFields($input): array
+    {
+        $values = [];
+        foreach (self::$cfg->customer_fields['properties'] ?? [] as $name => $property) {
+            $item = $input instanceof \Kotchasan\Http\Inputs ? $input->get($name) : null;
+            if (!$item instanceof \Kotchasan\Http\InputItem) {
+                $item = new \Kotchasan\Http\InputItem(null);
+            }
+
+            $type = $property['type'] ?? 'string';
+            if ($type === 'boolean') {
+                $values[$name] = $item->toBoolean() === 1;
+            } elseif ($type === 'number' || $type === 'integer') {
+                $value = str_replace(',', '', trim($item->toString()));
+                $values[$name] = $value === '' ? null : (is_numeric($value) ? $value + 0 : $value);
+            } elseif (($property['format'] ?? '') === 'date') {
+                $values[$name] = $item->date();
+            } else {
+                $values[$name] = $item->topic();
+            }
+        }
+
+        return $values;
+    }
+
+    /**
+     * Validate the custom fields against their schema, errors are keyed custom_fields.{name}
+     *
+     * @param array $values
+     *
+     * @return array
+     */
+    protected function validateCustomFields(array $values)
+    {
+        $schema = self::$cfg->customer_fields;
+        $errors = [];
+
+        foreach ($values as $name => $value) {
+            $property = $schema['properties'][$name];
+            $key = 'custom_fields.'.$name;
+
+            if ($value === null || $value === '') {
+                if (in_array($name, $schema['required'] ?? [], true)) {
+                    $errors[$key] = 'Please fill in';
+                }
+                continue;
+            }
+
+            $type = $property['type'] ?? 'string';
+            $choices = isset($property['oneOf']) ? array_column($property['oneOf'], 'const') : ($property['enum'] ?? null);
+            if ($type === 'number' || $type === 'integer') {
+                $valid = $type === 'integer' ? is_int($value) : !is_string($value);
+                $valid = $valid && (!isset($property['minimum']) || $value >= $property['minimum'])
+                    && (!isset($property['maximum']) || $value <= $property['maximum']);
+            } elseif (is_string($value)) {
+                $length = mb_strlen($value);
+                $valid = (!isset($property['minLength']) || $length >= $property['minLength'])
+                    && (!isset($property['maxLength']) || $length <= $property['maxLength'])
+                    && (!isset($property['pattern']) || preg_match('/'.str_replace('/', '\/', $property['pattern']).'/u', $value));
+            } else {
+                $valid = true;
+            }
+            if ($valid && $choices !== null && $type !== 'boolean') {
+                $valid = in_array($value, $choices);
+            }
+
+            if (!$valid) {
+                $errors[$key] = 'Invalid value';
+            }
+        }
+
+        return $errors;
+    }
+
     /**
      * Validate customer fields for required and format validation
      *
@@ -235,6 +449,17 @@ class Controller extends ApiController
             $errors['customer_tax_id'] = 'Tax ID must be 13 digits';
         }
 
+        // Validate tax_id uniqueness (if provided)
+        if (!empty($save['tax_id']) && empty($errors['customer_tax_id'])) {
+            $exists = $db->first('customers', [
+                ['tax_id', $save['tax_id']],
+                ['id', '!=', $customer->id]
+            ]);
+            if ($exists) {
+                $errors['customer_tax_id'] = 'This tax ID already exists';
+            }
+        }
+
         // Validate zipcode format (if provided, must be 5 digits for Thai zipcode)
         if (!empty($save['zipcode']) && !preg_match('/^[0-9]{5}$/', $save['zipcode'])) {
             $errors['customer_zipcode'] = 'Zipcode must be 5 digits';
@@ -90,6 +90,7 @@ class Controller extends ApiController
             }
 
             $save = $this->parseInput($request);
+            $items = $this->parseItems($request);
             $deal = \Crm\Deal\Model::get($request->post('id')->toInt());
 
             if (!$deal) {
@@ -105,11 +106,20 @@ class Controller extends ApiController
             $db = \Kotchasan\DB::create();
 
             // Validate login fields
-            $errors = $this->validateFields($request, $save, $deal, $db);
+            $errors = $this->validateFields($request, $save, $deal, $db) + $this->validateItems($items);
 
             if (empty($errors)) {
+                // The deal value is the total of its line items, when it has any
+                if (!empty($items)) {
+                    $save['value'] = \Crm\Deal\Model::getItemsTotal($items);
+                }
+
                 // Save user
-                \Crm\Deal\Model::save($db, $deal->id, $save);
+                $id = \Crm\Deal\Model::save($db, $deal->id, $save);
+                \Crm\Deal\Model::saveItems($db, $id, $items);
+                // Files of the chunked uploads of the attachments field
+                \Crm\Deal\Model::addAttachments($db, $id, (array) $request->post('attachments', [])->filter('a-f0-9'), $login->id);
+                \Crm\Deals\Model::notify($deal->id === 0 ? 'insert' : 'update', [$id]);
 
                 // Log
                 \Index\Log\Model::add($save['id'], 'Crm', 'Saved deal: '.$save['title'], $login->id);
@@ -127,6 +137,92 @@ class Controller extends ApiController
         }
     }
 
+    /**
+     * GET /api/crm/deal/attachment?id=1
+     * Download a deal attachment
+     *
+     * @param Request $request
+     *
+     * @return Response
+     */
+    public function attachment(Request $request)
+    {
+        try {
+            ApiController::validateMethod($request, 'GET');
+
+            // Authentication check (required), the link sends the auth cookie
+            $login = $this->authenticateRequest($request);
+            if (!$login) {
+                return $this->errorResponse('Unauthorized', 401);
+            }
+            if (!ApiController::hasPermission($login, ['can_manage_crm', 'can_view_crm'])) {
+                return $this->errorResponse('Permission required', 403);
+            }
+
+            $attachment = \Crm\Deal\Model::getAttachment($request->get('id')->toInt());
+            if (!$attachment || !is_file($attachment->path)) {
+                return $this->errorResponse('File not found', 404);
+            }
+
+            // The stored name is the client name, keep it out of the header syntax
+            $filename = str_replace(['"', '\\', "\r", "\n"], '', $attachment->name);
+
+            return (new Response())->file($attachment->path, $filename, [
+                'Content-Type' => $attachment->type,
+                'X-Content-Type-Options' => 'nosniff'
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($e->getMessage(), $e->getCode() ?: 500);
+        }
+    }
+
+    /**
+     * POST /api/crm/deal/remove-attachment
+     * Remove a deal attachment (FileElementFactory action: delete, id)
+     *
+     * @param Request $request
+     *
+     * @return Response
+     */
+    public function removeAttachment(Request $request)
+    {
+        try {
+            ApiController::validateMethod($request, 'POST');
+            $this->validateCsrfToken($request);
+
+            // Authentication check (required)
+            $login = $this->authenticateRequest($request);
+            if (!$login) {
+                return $this->redirectResponse('/login', 'Unauthorized', 401);
+            }
+
+            // Authorization for saving
+            if (!ApiController::canModify($login)) {
+                return $this->errorResponse('Access denied', 403);
+            }
+
+            if ($request->post('action')->filter('a-z') !== 'delete') {
+                return $this->errorResponse('Invalid action', 400);
+            }
+
+            $attachment = \Crm\Deal\Model::getAttachment($request->post('id')->toInt());
+            if (!$attachment) {
+                return $this->errorResponse('File not found', 404);
+            }
+
+            \Crm\Deal\Model::removeAttachment($attachment);
+
+            // Log
+            \Index\Log\Model::add($attachment->deal_id, 'Crm', 'Remove deal attachment: '.$attachment->name, $login->id);
+
+            return $this->successResponse(null, 'Removed successfully');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($e->getMessage(), $e->getCode() ?: 500);
+        }
+    }
+
     /**
      * Parse user input from request
      *
@@ -158,6 +254,60 @@ class Controller extends ApiController
         return $save;
     }
 
+    /**
+     * Parse the line items repeater (items[0][product], ...)
+     * Keys are the row indexes of the form
+     *
+     * @param Request $request
+     * @return array
+     */
+    protected function parseItems(Request $request): array
+    {
+        $items = [];
+        foreach ($request->post('items', []) as $index => $row) {
+            if (!$row instanceof \Kotchasan\Http\Inputs) {
+                continue;
+            }
+            $items[$index] = [
+                'product' => $row->get('product')->topic(),
+                'quantity' => $row->get('quantity')->toDouble(),
+                'unit_price' => $row->get('unit_price')->toDouble(),
+                'discount' => $row->get('discount')->toDouble()
+            ];
+        }
+
+        return $items;
+    }
+
+    /**
+     * Validate line items, errors are keyed items.{row}.{field}
+     *
+     * @param array $items
+     *
+     * @return array
+     */
+    protected function validateItems($items)
+    {
+        $errors = [];
+
+        foreach ($items as $index => $item) {
+            if ($item['product'] === '') {
+                $errors['items.'.$index.'.product'] = 'Please fill in';
+            }
+            if ($item['quantity'] <= 0) {
+                $errors['items.'.$index.'.quantity'] = 'Value must be positive';
+            }
+            if ($item['unit_price'] < 0) {
+                $errors['items.'.$index.'.unit_price'] = 'Value must be positive';
+            }
+            if ($item['discount'] < 0 || $item['discount'] > 100) {
+                $errors['items.'.$index.'.discount'] = 'Discount must be between 0 and 100';
+            }
+        }
+
+        return $errors;
+    }
+
     /**
      * Validate deal fields for duplicates and required fields
      *
@@ -186,6 +336,16 @@ class Controller extends ApiController
             $errors['stage'] = 'Please select a stage';
         }
 
+        // Fields hidden by data-show-if are not kept from an earlier stage
+        if ($save['stage'] !== 'lost') {
+            $save['lost_reason'] = '';
+        } elseif ($save['lost_reason'] === '') {
+            $errors['lost_reason'] = 'Please fill in';
+        }
+        if ($save['stage'] !== 'won' && $save['stage'] !== 'lost') {
+            $save['actual_close_date'] = null;
+        }
+
         // Validate value (must be positive)
         if ($save['value'] < 0) {
             $errors['value'] = 'Value must be positive';
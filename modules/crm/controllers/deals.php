@@ -32,6 +32,30 @@ class Controller extends \Gcms\Table
      */
     protected $allowedSortColumns = ['id', 'title', 'customer', 'value', 'stage', 'owner', 'expected_close_date', 'created_at'];
 
+    /**
+     * Columns the advanced filter may query
+     *
+     * @var array
+     */
+    protected $filterColumns = [
+        'id' => 'D.id',
+        'title' => 'D.title',
+        'customer' => 'C.name',
+        'value' => 'D.value',
+        'stage' => 'D.stage',
+        'probability' => 'D.probability',
+        'expected_close_date' => 'D.expected_close_date',
+        'owner' => 'U.name',
+        'created_at' => 'D.created_at'
+    ];
+
+    /**
+     * Columns the deals table edits inline (data-editor)
+     *
+     * @var array
+     */
+    protected $editableColumns = ['title', 'value', 'stage', 'probability', 'expected_close_date'];
+
     /**
      * @var array
      */
@@ -119,6 +143,7 @@ class Controller extends \Gcms\Table
             return $this->errorResponse('Delete action failed', 400);
         }
 
+        \Crm\Deals\Model::notify('delete', $ids);
         \Index\Log\Model::add(0, 'Crm', 'Delete Deal ID(s) : '.implode(', ', $ids), $login->id);
 
         return $this->redirectResponse('reload', 'Deleted '.$removeCount.' deal(s) successfully');
@@ -151,11 +176,138 @@ class Controller extends \Gcms\Table
             return $this->errorResponse('Update action failed', 400);
         }
 
+        \Crm\Deals\Model::notify('update', $ids);
         \Index\Log\Model::add(0, 'Crm', 'Update Deal ID(s) : '.implode(', ', $ids).' to stage : '.$stage, $login->id);
 
         return $this->redirectResponse('reload', 'Updated '.$updateCount.' deal(s) successfully');
     }
 
+    /**
+     * Handle batch_update action (inline cell edits of the deals table)
+     * rows: [{id, changes: {field: value}}]. Rejected rows are returned as
+     * errors: {id: {field: message}}, the other rows are saved.
+     *
+     * @param Request $request
+     * @param object $login
+     *
+     * @return Response
+     */
+    protected function handleBatchUpdateAction(Request $request, $login)
+    {
+        if (!ApiController::canModify($login, ['can_manage_crm', 'can_view_crm'])) {
+            return $this->errorResponse('Failed to process request', 403);
+        }
+
+        $rows = [];
+        foreach ($request->post('rows', []) as $row) {
+            if (!$row instanceof \Kotchasan\Http\Inputs || !$row->get('changes') instanceof \Kotchasan\Http\Inputs) {
+                continue;
+            }
+            $id = $row->get('id')->toInt();
+            if ($id > 0) {
+                $rows[$id] = $row->get('changes');
+            }
+        }
+
+        if (empty($rows)) {
+            return $this->errorResponse('No data to save', 400);
+        }
+
+        $deals = \Crm\Deals\Model::getForUpdate(array_keys($rows));
+        $saved = [];
+        $errors = [];
+        foreach ($rows as $id => $changes) {
+            if (!isset($deals[$id])) {
+                $errors[$id] = 'Deal not found';
+                continue;
+            }
+            list($save, $rowErrors) = $this->parseChanges($changes, $deals[$id]);
+            if (!empty($rowErrors)) {
+                $errors[$id] = $rowErrors;
+            } elseif (!empty($save)) {
+                $save['updated_at'] = date('Y-m-d H:i:s');
+                \Crm\Deals\Model::update($id, $save);
+                $saved[] = $id;
+            }
+        }
+
+        if (!empty($saved)) {
+            \Crm\Deals\Model::notify('update', $saved);
+            \Index\Log\Model::add(0, 'Crm', 'Update Deal ID(s) : '.implode(', ', $saved), $login->id);
+        }
+
+        return $this->successResponse([
+            'saved' => $saved,
+            'errors' => (object) $errors
+        ], empty($errors) ? 'Saved successfully' : 'Some rows could not be saved');
+    }
+
+    /**
+     * Validate the inline edits of one deal
+     * Fields outside $editableColumns are rejected
+     *
+     * @param \Kotchasan\Http\Inputs $changes
+     * @param object $deal From \Crm\Deals\Model::getForUpdate()
+     *
+     * @return array [data to save, errors keyed by field]
+     */
+    protected function parseChanges($changes, $deal)
+    {
+        $save = [];
+        $errors = [];
+
+        foreach ($changes->keys() as $field) {
+            $input = $changes->get($field);
+            if (!in_array($field, $this->editableColumns, true) || !$input instanceof \Kotchasan\Http\InputItem) {
+                $errors[$field] = 'This field cannot be edited';
+                continue;
+            }
+
+            if ($field === 'title') {
+                $save['title'] = $input->topic();
+                if ($save['title'] === '') {
+                    $errors['title'] = 'Please fill in';
+                }
+            } elseif ($field === 'value') {
+                $save['value'] = $input->toDouble();
+                if ($deal->items > 0) {
+                    $errors['value'] = 'The deal value is the total of its line items';
+                } elseif ($save['value'] < 0) {
+                    $errors['value'] = 'Value must be positive';
+                }
+            } elseif ($field === 'stage') {
+                $save['stage'] = $input->filter('a-z');
+                if (!in_array($save['stage'], self::$stages)) {
+                    $errors['stage'] = 'Invalid stage';
+                } elseif ($save['stage'] === 'lost' && $deal->lost_reason === '') {
+                    $errors['stage'] = 'Open the deal to enter the lost reason';
+                }
+            } elseif ($field === 'probability') {
+                $save['probability'] = $input->toInt();
+                if ($save['probability'] < 0 || $save['probability'] > 100) {
+                    $errors['probability'] = 'Probability must be between 0 and 100';
+                }
+            } elseif ($field === 'expected_close_date') {
+                $save['expected_close_date'] = $input->date();
+                if (empty($save['expected_close_date'])) {
+                    $errors['expected_close_date'] = 'Please fill in';
+                }
+            }
+        }
+
+        // Same rules as the deal form: the close date and lost reason only belong to closed deals
+        if (isset($save['stage']) && empty($errors)) {
+            if ($save['stage'] !== 'lost') {
+                $save['lost_reason'] = '';
+            }
+            if ($save['stage'] !== 'won' && $save['stage'] !== 'lost') {
+                $save['actual_close_date'] = null;
+            }
+        }
+
+        return [$save, $errors];
+    }
+
     /**
      * Handle edit action
      *
@@ -210,6 +362,7 @@ class Controller extends \Gcms\Table
                 return $this->errorResponse('Update action failed', 400);
             }
 
+            \Crm\Deals\Model::notify('update', [$id]);
             \Index\Log\Model::add(0, 'Crm', 'Update Deal ID: '.$id.' to stage : '.$stage, $login->id);
 
             return $this->notificationResponse('Saved successfully');
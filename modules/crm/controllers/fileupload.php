@@ -10,7 +10,7 @@
 
 namespace Crm\Fileupload;
 
-use Kotchasan\ApiController;
+use Gcms\Api as ApiController;
 use Kotchasan\Http\Request;
 
 /**
@@ -21,7 +21,7 @@ use Kotchasan\Http\Request;
  * @author Goragod Wiriya <admin@goragod.com>
  * @since 1.0
  */
-class Controller extends \Kotchasan\ApiController
+class Controller extends ApiController
 {
     /**
      * POST /crm/fileupload/upload
@@ -127,6 +127,81 @@ class Controller extends \Kotchasan\ApiController
         }
     }
 
+    /**
+     * POST /crm/fileupload/chunk
+     * Chunked upload session (start, chunk, complete, cancel) of FileElementFactory
+     * data-chunk-upload fields. Files are kept by Crm\Fileupload\Model until the
+     * form that sent them is saved.
+     *
+     * @param Request $request
+     * @return mixed
+     */
+    public function chunk(Request $request)
+    {
+        try {
+            ApiController::validateMethod($request, 'POST');
+            $this->validateCsrfToken($request);
+
+            // Authentication check (required)
+            $login = $this->authenticateRequest($request);
+            if (!$login) {
+                return $this->errorResponse('Unauthorized', 401);
+            }
+
+            // Uploads are attached by saving a form, so the same permission applies
+            if (!ApiController::canModify($login)) {
+                return $this->errorResponse('Access denied', 403);
+            }
+
+            $action = $request->post('action')->filter('a-z');
+            $uploadId = $request->post('uploadId')->filter('a-f0-9');
+
+            if ($action === 'start') {
+                list($uploadId, $received) = \Crm\Fileupload\Model::start($login->id, $uploadId, [
+                    'name' => $request->post('name')->topic(),
+                    'size' => $request->post('size')->toInt(),
+                    'chunkSize' => $request->post('chunkSize')->toInt(),
+                    'chunks' => $request->post('chunks')->toInt()
+                ]);
+                return $this->successResponse([
+                    'uploadId' => $uploadId,
+                    'received' => $received
+                ], 'Upload started');
+            }
+
+            if ($action === 'chunk') {
+                $uploadedFiles = $request->getUploadedFiles();
+                if (!isset($uploadedFiles['chunk']) || !is_object($uploadedFiles['chunk'])) {
+                    return $this->errorResponse('Invalid chunk', 400);
+                }
+                $index = $request->post('index')->toInt();
+                \Crm\Fileupload\Model::saveChunk($login->id, $uploadId, $index, $uploadedFiles['chunk'], $request->post('checksum')->filter('a-f0-9'));
+                return $this->successResponse(['index' => $index], 'Chunk received');
+            }
+
+            if ($action === 'complete') {
+                $file = \Crm\Fileupload\Model::complete($login->id, $uploadId);
+                return $this->successResponse([
+                    'file' => [
+                        'id' => $uploadId,
+                        'name' => $file['name'],
+                        'type' => $file['type'],
+                        'size' => \Kotchasan\Text::formatFileSize($file['size'])
+                    ]
+                ], 'File uploaded successfully', 201);
+            }
+
+            if ($action === 'cancel') {
+                \Crm\Fileupload\Model::cancel($login->id, $uploadId);
+                return $this->successResponse(null, 'Upload cancelled');
+            }
+
+            return $this->errorResponse('Unknown action', 400);
+        } catch (\Exception $e) {
+            return $this->errorResponse($e->getMessage(), $e->getCode() ?: 500);
+        }
+    }
+
     /**
      * GET /crm/fileupload
      * List user files
@@ -0,0 +1,90 @@
+<?php
+/**
+ * @filesource modules/crm/controllers/realtime.php
+ *
+ * @copyright 2025 Goragod.com
+ * @license https://www.kotchasan.com/license/
+ *
+ * @see https://www.kotchasan.com/
+ */
+
+namespace Crm\Realtime;
+
+use Gcms\Api as ApiController;
+use Kotchasan\Http\Request;
+use Kotchasan\Http\Response;
+
+/**
+ * API Realtime Controller
+ *
+ * Server-Sent Events stream of table changes (TableManager data-realtime-url)
+ *
+ * @author Goragod Wiriya <admin@goragod.com>
+ *
+ * @since 1.0
+ */
+class Controller extends ApiController
+{
+    /**
+     * Channels and the permissions needed to read them
+     *
+     * @var array
+     */
+    protected $channels = [
+        'deals' => ['can_manage_crm', 'can_view_crm']
+    ];
+
+    /**
+     * GET /crm/realtime?channel=deals
+     * Send the changes since Last-Event-ID and end the response. EventSource
+     * reconnects after the retry delay with the id of the last change, so no
+     * PHP worker is held open per browser tab.
+     *
+     * @param Request $request
+     *
+     * @return Response
+     */
+    public function index(Request $request)
+    {
+        try {
+            ApiController::validateMethod($request, 'GET');
+
+            // Authentication check (required), EventSource sends the auth cookie
+            $login = $this->authenticateRequest($request);
+            if (!$login) {
+                return $this->errorResponse('Unauthorized', 401);
+            }
+
+            $channel = $request->get('channel')->filter('a-z_');
+            if (!isset($this->channels[$channel])) {
+                return $this->errorResponse('Unknown channel', 404);
+            }
+            if (!ApiController::hasPermission($login, $this->channels[$channel])) {
+                return $this->errorResponse('Permission required', 403);
+            }
+
+            $lastEventId = $request->getHeaderLine('Last-Event-ID');
+            $after = $lastEventId !== '' && ctype_digit($lastEventId) ? (int) $lastEventId : null;
+
+            list($events, $last) = \Crm\Realtime\Model::read($channel, $after);
+
+            $content = "retry: 2000\n\n";
+            foreach ($events as $event) {
+                $content .= 'id: '.$event[0]."\ndata: ".$event[1]."\n\n";
+            }
+            if (empty($events)) {
+                // Remember the position for the next request
+                $content .= 'id: '.$last."\n\n";
+            }
+
+            // Not getResponseHeaders(): it would rotate the CSRF token of the session
+            return Response::create($content, 200, [
+                'Content-Type' => 'text/event-stream; charset=utf-8',
+                'Cache-Control' => 'no-cache'
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($e->getMessage(), $e->getCode() ?: 500);
+        }
+    }
+}
@@ -35,17 +35,52 @@ class Model extends \Kotchasan\Model
                 'id' => 0,
                 'status' => 'active',
                 'is_primary' => 0,
-                'is_decision_maker' => 0
+                'is_decision_maker' => 0,
+                'phones' => []
             ];
         } else {
-            return static::createQuery()
+            $contact = static::createQuery()
                 ->select()
                 ->from('contacts')
                 ->where([['id', $id]])
                 ->first();
+            if ($contact) {
+                $contact->phones = self::getPhones($contact);
+            }
+            return $contact;
         }
     }
 
+    /**
+     * Phone numbers of a contact in their saved order
+     * Contacts saved before phone numbers were kept in their own table fall back
+     * to the phone and mobile columns
+     *
+     * @param object $contact
+     *
+     * @return array
+     */
+    public static function getPhones($contact)
+    {
+        $phones = static::createQuery()
+            ->select('type', 'phone')
+            ->from('contact_phones')
+            ->where([['contact_id', $contact->id]])
+            ->orderBy('ordering')
+            ->execute()
+            ->fetchAll();
+
+        if (empty($phones)) {
+            foreach (['work' => $contact->phone, 'mobile' => $contact->mobile] as $type => $phone) {
+                if (!empty($phone)) {
+                    $phones[] = (object) ['type' => $type, 'phone' => $phone];
+                }
+            }
+        }
+
+        return $phones;
+    }
+
     /**
      * Save contact data
      * Return contact ID
@@ -65,4 +100,21 @@ class Model extends \Kotchasan\Model
             return $id;
         }
     }
+
+    /**
+     * Replace the phone numbers of a contact
+     *
+     * @param \Kotchasan\DB $db Database connection
+     * @param int $id Contact ID
+     * @param array $phones Phone numbers in display order
+     */
+    public static function savePhones($db, $id, $phones)
+    {
+        $db->delete('contact_phones', [['contact_id', $id]]);
+        foreach (array_values($phones) as $ordering => $phone) {
+            $phone['contact_id'] = $id;
+            $phone['ordering'] = $ordering;
+            $db->insert('contact_phones', $phone);
+        }
+    }
 }
@@ -168,6 +168,11 @@ class Model extends \Kotchasan\Model
             return 0;
         }
 
+        static::createQuery()
+            ->delete('contact_phones')
+            ->where([['contact_id', $ids]])
+            ->execute();
+
         static::createQuery()
             ->delete('contacts')
             ->where([['id', $ids]])
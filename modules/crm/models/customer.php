@@ -35,14 +35,59 @@ class Model extends \Kotchasan\Model
                 'id' => 0
             ];
         } else {
-            return static::createQuery()
+            $customer = static::createQuery()
                 ->select()
                 ->from('customers')
                 ->where([['id', $id]])
                 ->first();
+            if ($customer) {
+                // Custom fields (config customer_fields) are stored as JSON
+                $customer->custom_fields = json_decode($customer->custom_fields ?? '', true) ?: [];
+            }
+
+            return $customer;
         }
     }
 
+    /**
+     * Get the contacts, open deals and recent activities of a customer
+     * Used by the expandable rows of the customers table
+     *
+     * @param int $id customer ID
+     * @param int $limit Maximum number of rows per list
+     *
+     * @return array
+     */
+    public static function summary($id, $limit = 5)
+    {
+        $contacts = static::createQuery()
+            ->select('id', 'first_name', 'last_name', 'job_title', 'email', 'phone', 'is_primary')
+            ->from('contacts')
+            ->where([['customer_id', $id], ['status', 'active']])
+            ->orderBy('is_primary', 'DESC')
+            ->limit($limit)->execute()->fetchAll();
+
+        $deals = static::createQuery()
+            ->select('id', 'title', 'stage', 'value', 'expected_close_date')
+            ->from('deals')
+            ->where([['customer_id', $id], ['stage', '!=', ['won', 'lost']]])
+            ->orderBy('expected_close_date')
+            ->limit($limit)->execute()->fetchAll();
+
+        $activities = static::createQuery()
+            ->select('id', 'type', 'subject', 'status', 'start_time')
+            ->from('activities')
+            ->where([['customer_id', $id]])
+            ->orderBy('start_time', 'DESC')
+            ->limit($limit)->execute()->fetchAll();
+
+        return [
+            'contacts' => $contacts,
+            'deals' => $deals,
+            'activities' => $activities
+        ];
+    }
+
     /**
      * Save customer data
      * Return customer ID
@@ -41,18 +41,59 @@ class Model extends \Kotchasan\Model
                 'value' => 0,
                 'currency' => 'THB',
                 'status' => 'open',
+                'items' => [],
+                'attachments' => [],
                 'created_at' => date('Y-m-d H:i:s'),
                 'updated_at' => date('Y-m-d H:i:s')
             ];
         } else {
-            return static::createQuery()
+            $deal = static::createQuery()
                 ->select()
                 ->from('deals')
                 ->where([['id', $id]])
                 ->first();
+            if ($deal) {
+                $deal->items = self::getItems($id);
+                $deal->attachments = self::getAttachments($id);
+            }
+            return $deal;
         }
     }
 
+    /**
+     * Line items of a deal in their saved order
+     *
+     * @param int $id Deal ID
+     *
+     * @return array
+     */
+    public static function getItems($id)
+    {
+        return static::createQuery()
+            ->select('product', 'quantity', 'unit_price', 'discount')
+            ->from('deal_items')
+            ->where([['deal_id', $id]])
+            ->orderBy('ordering')
+            ->execute()
+            ->fetchAll();
+    }
+
+    /**
+     * Total of line items after their discount (%)
+     *
+     * @param array $items Line items
+     *
+     * @return float
+     */
+    public static function getItemsTotal($items)
+    {
+        $total = 0;
+        foreach ($items as $item) {
+            $total += $item['quantity'] * $item['unit_price'] * (100 - $item['discount']) / 100;
+        }
+        return round($total, 2);
+    }
+
     /**
      * Save deal data
      * Return deal ID
@@ -72,4 +113,128 @@ class Model extends \Kotchasan\Model
             return $id;
         }
     }
+
+    /**
+     * Replace the line items of a deal
+     *
+     * @param \Kotchasan\DB $db Database connection
+     * @param int $id Deal ID
+     * @param array $items Line items in display order
+     */
+    public static function saveItems($db, $id, $items)
+    {
+        $db->delete('deal_items', [['deal_id', $id]]);
+        foreach (array_values($items) as $ordering => $item) {
+            $item['deal_id'] = $id;
+            $item['ordering'] = $ordering;
+            $db->insert('deal_items', $item);
+        }
+    }
+
+    /**
+     * Files attached to a deal, in the format of FileElementFactory existing files
+     *
+     * @param int $id Deal ID
+     *
+     * @return array
+     */
+    public static function getAttachments($id)
+    {
+        $result = [];
+        $query = static::createQuery()
+            ->select('id', 'name', 'size')
+            ->from('deal_attachments')
+            ->where([['deal_id', $id]])
+            ->orderBy('id')
+            ->execute()
+            ->fetchAll();
+        foreach ($query as $item) {
+            // The URL ends with the file name, FileElementFactory picks the icon from it
+            $item->url = WEB_URL.'api/crm/deal/attachment?id='.$item->id.'&name='.rawurlencode($item->name);
+            $result[] = $item;
+        }
+        return $result;
+    }
+
+    /**
+     * Get an attachment and the path of its file
+     *
+     * @param int $id Attachment ID
+     *
+     * @return object|null
+     */
+    public static function getAttachment($id)
+    {
+        $attachment = static::createQuery()
+            ->select()
+            ->from('deal_attachments')
+            ->where([['id', $id]])
+            ->first();
+        if ($attachment) {
+            $attachment->path = self::getAttachmentDir($attachment->deal_id).$attachment->file;
+        }
+        return $attachment;
+    }
+
+    /**
+     * Attach the files of complete chunked uploads to a deal
+     * Upload ids of other users or unfinished uploads are ignored
+     *
+     * @param \Kotchasan\DB $db Database connection
+     * @param int $id Deal ID
+     * @param array $uploadIds
+     * @param int $userId Uploader
+     */
+    public static function addAttachments($db, $id, $uploadIds, $userId)
+    {
+        $dir = self::getAttachmentDir($id);
+        foreach ($uploadIds as $uploadId) {
+            $upload = \Crm\Fileupload\Model::claim($userId, $uploadId);
+            if (!$upload) {
+                continue;
+            }
+            if (!\Kotchasan\File::makeDirectory(ROOT_PATH.DATA_FOLDER.'deals/') || !\Kotchasan\File::makeDirectory($dir)) {
+                throw new \Exception('Directory '.DATA_FOLDER.'deals/ cannot be created or is read-only.', 500);
+            }
+            // Stored under a random name, the client name is only kept in the database
+            $file = bin2hex(random_bytes(16));
+            if (rename($upload['path'], $dir.$file)) {
+                $db->insert('deal_attachments', [
+                    'deal_id' => $id,
+                    'name' => $upload['name'],
+                    'type' => $upload['type'],
+                    'size' => $upload['size'],
+                    'file' => $file,
+                    'created_by' => $userId,
+                    'created_at' => date('Y-m-d H:i:s')
+                ]);
+            }
+            \Crm\Fileupload\Model::remove($uploadId);
+        }
+    }
+
+    /**
+     * Remove an attachment and its file
+     *
+     * @param object $attachment From getAttachment()
+     */
+    public static function removeAttachment($attachment)
+    {
+        \Kotchasan\DB::create()->delete('deal_attachments', [['id', $attachment->id]]);
+        if (is_file($attachment->path)) {
+            unlink($attachment->path);
+        }
+    }
+
+    /**
+     * Folder of the attachments of a deal
+     *
+     * @param int $id Deal ID
+     *
+     * @return string
+     */
+    public static function getAttachmentDir($id)
+    {
+        return ROOT_PATH.DATA_FOLDER.'deals/'.(int) $id.'/';
+    }
 }
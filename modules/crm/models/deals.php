@@ -10,6 +10,8 @@
 
 namespace Crm\Deals;
 
+use Kotchasan\Database\Sql;
+
 /**
  * API Deals Model
  *
@@ -80,7 +82,14 @@ class Model extends \Kotchasan\Model
             return 0;
         }
 
-        return \Kotchasan\DB::create()->delete('deals', [['id', $ids]]);
+        $db = \Kotchasan\DB::create();
+        $db->delete('deal_items', [['deal_id', $ids]]);
+        $db->delete('deal_attachments', [['deal_id', $ids]]);
+        foreach ($ids as $id) {
+            \Kotchasan\File::removeDirectory(\Crm\Deal\Model::getAttachmentDir($id));
+        }
+
+        return $db->delete('deals', [['id', $ids]]);
     }
 
     /**
@@ -96,6 +105,80 @@ class Model extends \Kotchasan\Model
         return \Kotchasan\DB::create()->update('deals', [['id', $ids]], ['stage' => $stage]);
     }
 
+    /**
+     * Deals being edited inline, keyed by ID
+     * items is the number of line items (the value of such deals is their total)
+     *
+     * @param array $ids Deal IDs
+     *
+     * @return array
+     */
+    public static function getForUpdate($ids)
+    {
+        $deals = [];
+        $query = static::createQuery()
+            ->select('id', 'stage', 'lost_reason')
+            ->from('deals')
+            ->where([['id', $ids]])
+            ->execute()
+            ->fetchAll();
+        foreach ($query as $item) {
+            $item->lost_reason = (string) $item->lost_reason;
+            $item->items = 0;
+            $deals[$item->id] = $item;
+        }
+
+        $query = static::createQuery()
+            ->select('deal_id', Sql::COUNT('id', 'count'))
+            ->from('deal_items')
+            ->where([['deal_id', $ids]])
+            ->groupBy('deal_id')
+            ->execute()
+            ->fetchAll();
+        foreach ($query as $item) {
+            if (isset($deals[$item->deal_id])) {
+                $deals[$item->deal_id]->items = (int) $item->count;
+            }
+        }
+
+        return $deals;
+    }
+
+    /**
+     * Update the fields of a deal
+     *
+     * @param int $id Deal ID
+     * @param array $save
+     *
+     * @return int Number of updated deals
+     */
+    public static function update($id, $save)
+    {
+        return \Kotchasan\DB::create()->update('deals', [['id', $id]], $save);
+    }
+
+    /**
+     * Publish changed deals to open deals tables (api/crm/realtime?channel=deals)
+     *
+     * @param string $action insert, update or delete
+     * @param array $ids Deal IDs
+     */
+    public static function notify($action, $ids)
+    {
+        $ids = array_map('intval', (array) $ids);
+        if (empty($ids)) {
+            return;
+        }
+
+        if ($action === 'delete') {
+            \Crm\Realtime\Model::publish('deals', 'delete', $ids);
+        } else {
+            // Same columns as the deals table
+            $rows = static::toDataTable([])->where([['D.id', $ids]])->execute()->fetchAll();
+            \Crm\Realtime\Model::publish('deals', $action, $rows);
+        }
+    }
+
     /**
      * Recent won deals
      *
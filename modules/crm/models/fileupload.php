@@ -0,0 +1,269 @@
+<?php
+/**
+ * @filesource modules/crm/models/fileupload.php
+ *
+ * @copyright 2025 Goragod.com
+ * @license https://www.kotchasan.com/license/
+ *
+ * @see https://www.kotchasan.com/
+ */
+
+namespace Crm\Fileupload;
+
+/**
+ * Chunked Upload Model
+ *
+ * Upload sessions of FileElementFactory data-chunk-upload fields.
+ * A session is a folder datas/uploads/{uploadId}/ holding meta.json, the received
+ * chunks ({index}.part) and, once complete, the assembled file. The client file
+ * name is only stored in meta.json, it is never used as a path.
+ * A form submits the upload ids, its save action takes the files with claim().
+ *
+ * @author Goragod Wiriya <admin@goragod.com>
+ *
+ * @since 1.0
+ */
+class Model extends \Kotchasan\Model
+{
+    /**
+     * Largest file (bytes)
+     */
+    const MAX_SIZE = 536870912;
+
+    /**
+     * Smallest and largest chunk (bytes)
+     */
+    const MIN_CHUNK = 262144;
+    const MAX_CHUNK = 10485760;
+
+    /**
+     * Sessions older than this are removed (seconds)
+     */
+    const MAX_AGE = 86400;
+
+    /**
+     * Allowed extensions and the file types their content may have
+     * Contracts (PDF, images) and recorded calls
+     *
+     * @var array
+     */
+    public static $types = [
+        'pdf' => ['application/pdf'],
+        'jpg' => ['image/jpeg'],
+        'jpeg' => ['image/jpeg'],
+        'png' => ['image/png'],
+        'webp' => ['image/webp'],
+        'mp3' => ['audio/mpeg'],
+        'm4a' => ['audio/mp4', 'audio/x-m4a', 'video/mp4'],
+        'wav' => ['audio/wav', 'audio/x-wav', 'audio/wave'],
+        'ogg' => ['audio/ogg', 'application/ogg'],
+        'webm' => ['audio/webm', 'video/webm']
+    ];
+
+    /**
+     * Open a session, or continue the session of the same file
+     *
+     * @param int $userId Uploader
+     * @param string $uploadId Stored upload id of the client, may be empty
+     * @param array $file name, size, chunkSize and chunks sent by the client
+     *
+     * @return array [uploadId, indexes of the received chunks]
+     */
+    public static function start($userId, $uploadId, $file)
+    {
+        self::removeExpired();
+
+        $meta = $uploadId === '' ? null : self::getMeta($uploadId, $userId);
+        if ($meta && $meta['name'] === $file['name'] && $meta['size'] === $file['size'] && $meta['chunkSize'] === $file['chunkSize']) {
+            $received = [];
+            foreach (glob(self::getDir($uploadId).'*.part') as $part) {
+                $received[] = (int) basename($part, '.part');
+            }
+            return [$uploadId, $received];
+        }
+
+        if (!isset(self::$types[\Kotchasan\File::ext($file['name'])])) {
+            throw new \Exception('The type of file is invalid', 415);
+        }
+        if ($file['size'] <= 0 || $file['size'] > self::MAX_SIZE) {
+            throw new \Exception('The file size is larger than allowed', 413);
+        }
+        if ($file['chunkSize'] < self::MIN_CHUNK || $file['chunkSize'] > self::MAX_CHUNK || $file['chunks'] !== (int) ceil($file['size'] / $file['chunkSize'])) {
+            throw new \Exception('Invalid chunk size', 400);
+        }
+
+        $uploadId = bin2hex(random_bytes(16));
+        if (!\Kotchasan\File::makeDirectory(ROOT_PATH.DATA_FOLDER.'uploads/') || !\Kotchasan\File::makeDirectory(self::getDir($uploadId))) {
+            throw new \Exception('Upload folder is not writable', 500);
+        }
+        file_put_contents(self::getDir($uploadId).'meta.json', json_encode([
+            'user_id' => (int) $userId,
+            'name' => $file['name'],
+            'size' => $file['size'],
+            'chunkSize' => $file['chunkSize'],
+            'chunks' => $file['chunks'],
+            'complete' => false
+        ]));
+
+        return [$uploadId, []];
+    }
+
+    /**
+     * Store one chunk
+     *
+     * @param int $userId Uploader
+     * @param string $uploadId
+     * @param int $index Chunk index
+     * @param \Kotchasan\Http\UploadedFile $chunk
+     * @param string $checksum SHA-256 of the chunk, may be empty
+     */
+    public static function saveChunk($userId, $uploadId, $index, $chunk, $checksum)
+    {
+        $meta = self::getMeta($uploadId, $userId);
+        if (!$meta || $meta['complete']) {
+            throw new \Exception('Upload not found', 404);
+        }
+        // Every chunk but the last is exactly chunkSize
+        $expected = $index === $meta['chunks'] - 1 ? $meta['size'] - $index * $meta['chunkSize'] : $meta['chunkSize'];
+        if ($index < 0 || $index >= $meta['chunks'] || !$chunk->hasUploadFile() || (int) $chunk->getSize() !== $expected) {
+            throw new \Exception('Invalid chunk', 400);
+        }
+        if ($checksum !== '' && !hash_equals($checksum, hash_file('sha256', $chunk->getTempFileName()))) {
+            throw new \Exception('Checksum mismatch', 422);
+        }
+        $chunk->moveTo(self::getDir($uploadId).$index.'.part');
+    }
+
+    /**
+     * Join the chunks and check the content of the file
+     *
+     * @param int $userId Uploader
+     * @param string $uploadId
+     *
+     * @return array name, type and size of the file
+     */
+    public static function complete($userId, $uploadId)
+    {
+        $meta = self::getMeta($uploadId, $userId);
+        if (!$meta) {
+            throw new \Exception('Upload not found', 404);
+        }
+        $dir = self::getDir($uploadId);
+
+        if (!$meta['complete']) {
+            for ($i = 0; $i < $meta['chunks']; $i++) {
+                if (!is_file($dir.$i.'.part')) {
+                    throw new \Exception('Missing chunk '.$i, 409);
+                }
+            }
+            $out = fopen($dir.'file', 'wb');
+            for ($i = 0; $i < $meta['chunks']; $i++) {
+                $in = fopen($dir.$i.'.part', 'rb');
+                stream_copy_to_stream($in, $out);
+                fclose($in);
+            }
+            fclose($out);
+            array_map('unlink', glob($dir.'*.part'));
+
+            $type = \Kotchasan\Validator::getRealMimeType($dir.'file');
+            if (filesize($dir.'file') !== $meta['size'] || !in_array($type, self::$types[\Kotchasan\File::ext($meta['name'])], true)) {
+                self::remove($uploadId);
+                throw new \Exception('The type of file is invalid', 415);
+            }
+            $meta['type'] = $type;
+            $meta['complete'] = true;
+            file_put_contents($dir.'meta.json', json_encode($meta));
+        }
+
+        return [
+            'name' => $meta['name'],
+            'type' => $meta['type'],
+            'size' => $meta['size']
+        ];
+    }
+
+    /**
+     * Take the file of a complete session, e.g. when the form is saved
+     * The caller moves the file away, remove() then drops the session
+     *
+     * @param int $userId Uploader
+     * @param string $uploadId
+     *
+     * @return array|null name, type, size and path of the file
+     */
+    public static function claim($userId, $uploadId)
+    {
+        $meta = self::getMeta($uploadId, $userId);
+        if (!$meta || !$meta['complete']) {
+            return null;
+        }
+        return [
+            'name' => $meta['name'],
+            'type' => $meta['type'],
+            'size' => $meta['size'],
+            'path' => self::getDir($uploadId).'file'
+        ];
+    }
+
+    /**
+     * Cancel a session of the user
+     *
+     * @param int $userId Uploader
+     * @param string $uploadId
+     */
+    public static function cancel($userId, $uploadId)
+    {
+        if (self::getMeta($uploadId, $userId)) {
+            self::remove($uploadId);
+        }
+    }
+
+    /**
+     * Remove a session folder
+     *
+     * @param string $uploadId
+     */
+    public static function remove($uploadId)
+    {
+        \Kotchasan\File::removeDirectory(self::getDir($uploadId));
+    }
+
+    /**
+     * Session of the user, null when it does not exist or belongs to someone else
+     *
+     * @param string $uploadId
+     * @param int $userId
+     *
+     * @return array|null
+     */
+    private static function getMeta($uploadId, $userId)
+    {
+        if (!preg_match('/^[a-f0-9]{32}$/', $uploadId) || !is_file(self::getDir($uploadId).'meta.json')) {
+            return null;
+        }
+        $meta = json_decode(file_get_contents(self::getDir($uploadId).'meta.json'), true);
+        return is_array($meta) && $meta['user_id'] === (int) $userId ? $meta : null;
+    }
+
+    /**
+     * Drop sessions that were abandoned
+     */
+    private static function removeExpired()
+    {
+        foreach (glob(ROOT_PATH.DATA_FOLDER.'uploads/*', GLOB_ONLYDIR) as $dir) {
+            if (filemtime($dir) < time() - self::MAX_AGE) {
+                \Kotchasan\File::removeDirectory($dir.'/');
+            }
+        }
+    }
+
+    /**
+     * @param string $uploadId
+     *
+     * @return string
+     */
+    private static function getDir($uploadId)
+    {
+        return ROOT_PATH.DATA_FOLDER.'uploads/'.$uploadId.'/';
+    }
+}
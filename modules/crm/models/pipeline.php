@@ -151,6 +151,16 @@ class Model extends \Kotchasan\Model
      */
     public static function deleteDeal($id)
     {
+        static::createQuery()
+            ->delete('deal_items')
+            ->where([['deal_id', $id]])
+            ->execute();
+        static::createQuery()
+            ->delete('deal_attachments')
+            ->where([['deal_id', $id]])
+            ->execute();
+        \Kotchasan\File::removeDirectory(\Crm\Deal\Model::getAttachmentDir($id));
+
         $db = static::createQuery();
         $result = $db->delete('deals')
             ->where([['id', $id]])
@@ -0,0 +1,105 @@
+<?php
+/**
+ * @filesource modules/crm/models/realtime.php
+ *
+ * @copyright 2025 Goragod.com
+ * @license https://www.kotchasan.com/license/
+ *
+ * @see https://www.kotchasan.com/
+ */
+
+namespace Crm\Realtime;
+
+/**
+ * Realtime Model
+ *
+ * Change log per channel (e.g. deals) read by the realtime stream.
+ * Every change is one JSON line; the byte offset after a line is its event id,
+ * so a client continues from its Last-Event-ID.
+ *
+ * @author Goragod Wiriya <admin@goragod.com>
+ *
+ * @since 1.0
+ */
+class Model extends \Kotchasan\Model
+{
+    /**
+     * The log starts over when it grows past this size (bytes)
+     */
+    const MAX_SIZE = 1048576;
+
+    /**
+     * Append a change to a channel
+     *
+     * @param string $channel Channel name, e.g. 'deals'
+     * @param string $action insert, update or delete
+     * @param array $payload Rows (insert/update) or ids (delete)
+     */
+    public static function publish($channel, $action, array $payload)
+    {
+        if (empty($payload)) {
+            return;
+        }
+
+        $file = self::getFile($channel);
+        if (!is_dir(dirname($file)) && !mkdir(dirname($file), 0755, true)) {
+            return;
+        }
+
+        clearstatcache(true, $file);
+        $flags = is_file($file) && filesize($file) > self::MAX_SIZE ? LOCK_EX : FILE_APPEND | LOCK_EX;
+        $key = $action === 'delete' ? 'ids' : 'rows';
+        file_put_contents($file, json_encode(['action' => $action, $key => array_values($payload)])."\n", $flags);
+    }
+
+    /**
+     * Changes of a channel after an event id
+     *
+     * @param string $channel Channel name
+     * @param int|null $after Last event id seen, null for a new subscriber
+     *
+     * @return array [events ([id, data]), last event id]
+     */
+    public static function read($channel, $after)
+    {
+        $file = self::getFile($channel);
+        clearstatcache(true, $file);
+        $size = is_file($file) ? filesize($file) : 0;
+
+        // New subscribers only get later changes
+        if ($after === null) {
+            return [[], $size];
+        }
+        // The log started over since the last read
+        if ($after > $size) {
+            $after = 0;
+        }
+
+        $events = [];
+        if ($size > $after) {
+            $fp = fopen($file, 'rb');
+            fseek($fp, $after);
+            while (($line = fgets($fp)) !== false) {
+                if (substr($line, -1) !== "\n") {
+                    // Still being written
+                    break;
+                }
+                $after += strlen($line);
+                $events[] = [$after, rtrim($line)];
+            }
+            fclose($fp);
+        }
+
+        return [$events, $after];
+    }
+
+    /**
+     * @param string $channel
+     *
+     * @return string
+     */
+    private static function getFile($channel)
+    {
+        return ROOT_PATH.DATA_FOLDER.'realtime/'.preg_replace('/[^a-z0-9_]/', '', $channel).'.log';
+    }
+}